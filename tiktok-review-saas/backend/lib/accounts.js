@@ -0,0 +1,143 @@
+import bcrypt from "bcrypt"
+import crypto from "node:crypto"
+import { pool, withTransaction } from "./db.js"
+import { renderEmail } from "./emailTemplates.js"
+import { httpError } from "./http.js"
+import { clearLoginFailures } from "./lockouts.js"
+import { revokeAllSessions } from "./sessions.js"
+
+export const PASSWORD_HASH_ROUNDS = 12
+
+// Email verification and password reset both mail the user a link holding a
+// random token. Only its hash is stored; a token works once, before it
+// expires, and issuing a new one for the same purpose drops the old ones.
+
+function hashToken(token) {
+  return crypto.createHash("sha256").update(token).digest("hex")
+}
+
+async function issueAccountToken(db, userId, purpose, ttlMinutes) {
+  const token = crypto.randomBytes(32).toString("base64url")
+  await db.query("DELETE FROM account_tokens WHERE user_id=$1 AND purpose=$2 AND used_at IS NULL", [userId, purpose])
+  await db.query(
+    `INSERT INTO account_tokens (user_id, purpose, token_hash, expires_at)
+     VALUES ($1,$2,$3, NOW() + make_interval(mins => $4))`,
+    [userId, purpose, hashToken(token), ttlMinutes]
+  )
+  return token
+}
+
+async function consumeAccountToken(client, token, purpose) {
+  const used = await client.query(
+    `UPDATE account_tokens SET used_at=NOW()
+     WHERE token_hash=$1 AND purpose=$2 AND used_at IS NULL AND expires_at > NOW()
+     RETURNING user_id`,
+    [hashToken(String(token)), purpose]
+  )
+  return used.rows[0]?.user_id ?? null
+}
+
+function formatTime(date, language) {
+  return new Intl.DateTimeFormat(language === "en" ? "en-GB" : "th-TH", {
+    dateStyle: "medium",
+    timeStyle: "short",
+    timeZone: "Asia/Bangkok"
+  }).format(date)
+}
+
+export function createAccountFlows({ mailer, appBaseUrl, verifyTokenTtlHours, resetTokenTtlMinutes }) {
+  async function mail(user, template, vars) {
+    const message = renderEmail(template, user.language, { email: user.email, ...vars })
+    return mailer.send({ to: user.email, ...message })
+  }
+
+  // Notices are best effort: the change they report has already happened.
+  function notify(user, template, vars) {
+    return mail(user, template, vars).catch((error) => {
+      console.error(`Sending ${template} to user ${user.id} failed:`, error.message)
+    })
+  }
+
+  function link(param, token) {
+    const url = new URL(appBaseUrl)
+    url.searchParams.set(param, token)
+    return url.toString()
+  }
+
+  return {
+    async sendVerification(userId) {
+      const found = await pool.query("SELECT id, email, language, email_verified_at FROM users WHERE id=$1", [userId])
+      const user = found.rows[0]
+      if (!user) throw httpError(404, "User not found")
+      if (user.email_verified_at) throw httpError(409, "Email is already verified")
+
+      const token = await issueAccountToken(pool, user.id, "verify_email", verifyTokenTtlHours * 60)
+      await mail(user, "verify_email", { link: link("verify_token", token), hours: verifyTokenTtlHours })
+    },
+
+    async verifyEmail(token) {
+      return withTransaction(async (client) => {
+        const userId = await consumeAccountToken(client, token, "verify_email")
+        if (!userId) throw httpError(400, "Verification link is invalid or has expired")
+        const user = await client.query(
+          `UPDATE users SET email_verified_at=COALESCE(email_verified_at, NOW())
+           WHERE id=$1
+           RETURNING id, email, email_verified_at`,
+          [userId]
+        )
+        return user.rows[0]
+      })
+    },
+
+    // Quietly does nothing for unknown addresses, so the reply cannot be used
+    // to find out who has an account.
+    async requestPasswordReset(email) {
+      const found = await pool.query("SELECT id, email, language FROM users WHERE email=$1", [email])
+      const user = found.rows[0]
+      if (!user) return
+
+      const token = await issueAccountToken(pool, user.id, "password_reset", resetTokenTtlMinutes)
+      await notify(user, "password_reset", { link: link("reset_token", token), minutes: resetTokenTtlMinutes })
+    },
+
+    // Signs the user out everywhere. Following the link also proves they
+    // own the address, so it counts as verifying it.
+    async resetPassword(token, password) {
+      const passwordHash = await bcrypt.hash(password, PASSWORD_HASH_ROUNDS)
+      const user = await withTransaction(async (client) => {
+        const userId = await consumeAccountToken(client, token, "password_reset")
+        if (!userId) throw httpError(400, "Reset link is invalid or has expired")
+        const updated = await client.query(
+          `UPDATE users SET password_hash=$2, email_verified_at=COALESCE(email_verified_at, NOW())
+           WHERE id=$1
+           RETURNING id, email, language`,
+          [userId, passwordHash]
+        )
+        // Proving access to the inbox lifts a sign-in lockout.
+        await clearLoginFailures(client, updated.rows[0].email)
+        return updated.rows[0]
+      })
+
+      await revokeAllSessions(user.id, "password_reset")
+      await notify(user, "password_changed", { changed_at: formatTime(new Date(), user.language) })
+    },
+
+    // Keeps the current session and signs out every other one.
+    async changePassword(userId, sessionId, currentPassword, newPassword) {
+      const found = await pool.query("SELECT id, email, language, password_hash FROM users WHERE id=$1", [userId])
+      const user = found.rows[0]
+      if (!user || !(await bcrypt.compare(currentPassword, user.password_hash))) {
+        throw httpError(400, "Current password is incorrect")
+      }
+
+      const passwordHash = await bcrypt.hash(newPassword, PASSWORD_HASH_ROUNDS)
+      await withTransaction(async (client) => {
+        await client.query("UPDATE users SET password_hash=$2 WHERE id=$1", [user.id, passwordHash])
+        await client.query("DELETE FROM account_tokens WHERE user_id=$1 AND purpose='password_reset' AND used_at IS NULL", [user.id])
+      })
+
+      await revokeAllSessions(user.id, "password_changed", { except: sessionId })
+      await notify(user, "password_changed", { changed_at: formatTime(new Date(), user.language) })
+    }
+  }
+}
@@ -0,0 +1,319 @@
+import { pool, withTransaction } from "./db.js"
+import { httpError } from "./http.js"
+
+// Platform-wide trends are read from daily rollups rather than the raw
+// tables: analytics_daily holds each day's signups, deposits, video jobs and
+// uploads, analytics_daily_plans each plan's rentals at the end of the day.
+// A background job rebuilds the last few days, today included, so late
+// changes such as a deposit confirmed after it was created are picked up.
+// Figures for today trail by at most the refresh interval.
+//
+// Per-workspace series are small enough to query live off the
+// (workspace_id, created_at) indexes.
+//
+// A rental counts as active on a day if it started by the end of the day
+// and ended after it. Renewals and plan changes start a new rental that
+// follows on from the last one; only rentals that follow on from nothing
+// count as new, and only those the workspace did not follow on from count as
+// churned, on the day they ended.
+// Days follow the database clock.
+
+export const GRANULARITIES = ["day", "week", "month"]
+
+// How far back a range may reach for each granularity.
+const MAX_SPAN_DAYS = { day: 366, week: 3 * 366, month: 10 * 366 }
+const DEFAULT_SPAN_DAYS = { day: 30, week: 12 * 7, month: 365 }
+const REFRESH_LOCK_KEY = 200_001
+const SPEND_TX_TYPES = "('subscription_charge','proration_credit','refund')"
+
+const DAY_MS = 24 * 60 * 60 * 1000
+
+function parseDay(value, field) {
+  const text = String(value)
+  const day = new Date(`${text}T00:00:00Z`)
+  if (!/^\d{4}-\d{2}-\d{2}$/.test(text) || Number.isNaN(day.getTime()) || formatDay(day) !== text) {
+    throw httpError(400, `${field} must be a date like 2024-01-31`)
+  }
+  return day
+}
+
+function formatDay(date) {
+  return date.toISOString().slice(0, 10)
+}
+
+// Both ends are inclusive days. The first and last buckets only count the
+// days inside the range.
+export function parseRange(query) {
+  const granularity = query.granularity ?? "day"
+  if (!GRANULARITIES.includes(granularity)) throw httpError(400, `granularity must be one of ${GRANULARITIES.join(", ")}`)
+
+  const to = query.to ? parseDay(query.to, "to") : parseDay(formatDay(new Date()), "to")
+  const from = query.from
+    ? parseDay(query.from, "from")
+    : new Date(to.getTime() - (DEFAULT_SPAN_DAYS[granularity] - 1) * DAY_MS)
+  if (from > to) throw httpError(400, "from must not be after to")
+  const span = Math.round((to - from) / DAY_MS) + 1
+  if (span > MAX_SPAN_DAYS[granularity]) {
+    throw httpError(400, `A ${granularity} range can cover at most ${MAX_SPAN_DAYS[granularity]} days`)
+  }
+
+  return { from: formatDay(from), to: formatDay(to), granularity }
+}
+
+function bucketsSql(range) {
+  return `SELECT generate_series(date_trunc('${range.granularity}', $1::date), $2::date, '1 ${range.granularity}'::interval)::date AS bucket`
+}
+
+// Rebuilds the rollups from refreshDays before the newest one up to today,
+// or from the first signup or rental when they are empty. Instances share the work:
+// whoever holds the lock refreshes, the others skip.
+export async function refreshAnalytics({ refreshDays }) {
+  return withTransaction(async (client) => {
+    const lock = await client.query("SELECT pg_try_advisory_xact_lock($1) AS locked", [REFRESH_LOCK_KEY])
+    if (!lock.rows[0].locked) return null
+
+    const start = await client.query(
+      `SELECT to_char(LEAST(CURRENT_DATE, COALESCE(
+         (SELECT MAX(day) - $1::int FROM analytics_daily),
+         LEAST((SELECT MIN(created_at)::date FROM users), (SELECT MIN(starts_at)::date FROM user_rentals)),
+         CURRENT_DATE
+       )), 'YYYY-MM-DD') AS day`,
+      [refreshDays]
+    )
+    const from = start.rows[0].day
+
+    const daily = await client.query(
+      `WITH days AS (
+         SELECT generate_series($1::date, CURRENT_DATE, '1 day'::interval)::date AS day
+       ),
+       signups AS (
+         SELECT created_at::date AS day, COUNT(*)::int AS n FROM users WHERE created_at >= $1::date GROUP BY 1
+       ),
+       deposits AS (
+         SELECT created_at::date AS day, COUNT(*)::int AS n, SUM(amount) AS total
+         FROM wallet_transactions
+         WHERE created_at >= $1::date AND tx_type='deposit' AND status='completed'
+         GROUP BY 1
+       ),
+       jobs AS (
+         SELECT created_at::date AS day, COUNT(*)::int AS n FROM video_jobs WHERE created_at >= $1::date GROUP BY 1
+       ),
+       uploads AS (
+         SELECT created_at::date AS day, COUNT(*)::int AS n FROM showcase_uploads WHERE created_at >= $1::date GROUP BY 1
+       )
+       INSERT INTO analytics_daily (day, signups, deposits_count, deposits_total, video_jobs, uploads, refreshed_at)
+       SELECT days.day, COALESCE(signups.n, 0), COALESCE(deposits.n, 0), COALESCE(deposits.total, 0),
+         COALESCE(jobs.n, 0), COALESCE(uploads.n, 0), NOW()
+       FROM days
+       LEFT JOIN signups USING (day)
+       LEFT JOIN deposits USING (day)
+       LEFT JOIN jobs USING (day)
+       LEFT JOIN uploads USING (day)
+       ON CONFLICT (day) DO UPDATE SET
+         signups=EXCLUDED.signups,
+         deposits_count=EXCLUDED.deposits_count,
+         deposits_total=EXCLUDED.deposits_total,
+         video_jobs=EXCLUDED.video_jobs,
+         uploads=EXCLUDED.uploads,
+         refreshed_at=EXCLUDED.refreshed_at`,
+      [from]
+    )
+
+    // Plans without a rental on a day get no row, so rows are rebuilt rather
+    // than upserted.
+    await client.query("DELETE FROM analytics_daily_plans WHERE day >= $1", [from])
+    await client.query(
+      `WITH days AS (
+         SELECT generate_series($1::date, CURRENT_DATE, '1 day'::interval)::date AS day
+       ),
+       rentals AS (
+         SELECT ur.*, rp.code,
+           NOT EXISTS (
+             SELECT 1 FROM user_rentals prev
+             WHERE prev.workspace_id = ur.workspace_id AND prev.id <> ur.id
+               AND prev.starts_at < ur.starts_at AND prev.ends_at >= ur.starts_at - INTERVAL '1 day'
+           ) AS started,
+           ur.ends_at <= NOW() AND NOT EXISTS (
+             SELECT 1 FROM user_rentals next
+             WHERE next.workspace_id = ur.workspace_id AND next.id <> ur.id
+               AND next.starts_at >= ur.starts_at AND next.starts_at <= ur.ends_at + INTERVAL '1 day'
+           ) AS churned
+         FROM user_rentals ur
+         JOIN rental_plans rp ON rp.id = ur.plan_id
+         WHERE COALESCE(ur.ends_at, 'infinity'::timestamp) >= $1::date
+       )
+       INSERT INTO analytics_daily_plans (day, plan_code, active_rentals, mrr, new_rentals, churned_rentals)
+       SELECT days.day, rentals.code,
+         COUNT(*) FILTER (WHERE rentals.starts_at < days.day + 1 AND COALESCE(rentals.ends_at, 'infinity'::timestamp) >= days.day + 1),
+         COALESCE(SUM(rentals.total_price / GREATEST(rentals.months, 1))
+           FILTER (WHERE rentals.starts_at < days.day + 1 AND COALESCE(rentals.ends_at, 'infinity'::timestamp) >= days.day + 1), 0),
+         COUNT(*) FILTER (WHERE rentals.started AND rentals.starts_at >= days.day AND rentals.starts_at < days.day + 1),
+         COUNT(*) FILTER (WHERE rentals.churned AND rentals.ends_at >= days.day AND rentals.ends_at < days.day + 1)
+       FROM days
+       JOIN rentals ON rentals.starts_at < days.day + 1 AND COALESCE(rentals.ends_at, 'infinity'::timestamp) >= days.day
+       GROUP BY days.day, rentals.code`,
+      [from]
+    )
+
+    return { from, days: daily.rowCount }
+  })
+}
+
+export function startAnalyticsRefresh({ intervalMs, refreshDays }) {
+  let running = false
+
+  const tick = async () => {
+    if (running) return
+    running = true
+    try {
+      await refreshAnalytics({ refreshDays })
+    } catch (error) {
+      console.error("Analytics refresh failed:", error)
+    } finally {
+      running = false
+    }
+  }
+
+  const timer = setInterval(tick, intervalMs)
+  tick()
+  return () => clearInterval(timer)
+}
+
+function churnRate(churned, activeBefore) {
+  return activeBefore ? Math.round((churned / activeBefore) * 10_000) / 10_000 : null
+}
+
+// Stocks (active rentals, MRR) are read at each bucket's last day; flows are
+// summed over it. Churn rate is churned rentals over those active just
+// before the bucket.
+export async function getPlatformAnalytics(range) {
+  const params = [range.from, range.to]
+  const [totals, plans, before, refreshed] = await Promise.all([
+    pool.query(
+      `WITH buckets AS (${bucketsSql(range)})
+       SELECT to_char(b.bucket, 'YYYY-MM-DD') AS bucket,
+         COALESCE(SUM(a.signups), 0)::int AS signups,
+         COALESCE(SUM(a.deposits_count), 0)::int AS deposits_count,
+         COALESCE(SUM(a.deposits_total), 0)::numeric(14,2) AS deposits_total,
+         COALESCE(SUM(a.video_jobs), 0)::int AS video_jobs,
+         COALESCE(SUM(a.uploads), 0)::int AS uploads
+       FROM buckets b
+       LEFT JOIN analytics_daily a
+         ON a.day BETWEEN $1::date AND $2::date AND date_trunc('${range.granularity}', a.day)::date = b.bucket
+       GROUP BY b.bucket
+       ORDER BY b.bucket`,
+      params
+    ),
+    pool.query(
+      `SELECT to_char(date_trunc('${range.granularity}', day), 'YYYY-MM-DD') AS bucket, plan_code,
+         SUM(new_rentals)::int AS new_rentals,
+         SUM(churned_rentals)::int AS churned_rentals,
+         COALESCE(SUM(active_rentals) FILTER (WHERE day = last_day), 0)::int AS active_rentals,
+         COALESCE(SUM(mrr) FILTER (WHERE day = last_day), 0)::numeric(14,2) AS mrr
+       FROM (
+         SELECT *, LEAST(
+           (date_trunc('${range.granularity}', day) + '1 ${range.granularity}'::interval - INTERVAL '1 day')::date,
+           $2::date,
+           CURRENT_DATE
+         ) AS last_day
+         FROM analytics_daily_plans
+         WHERE day BETWEEN $1::date AND $2::date
+       ) rollup
+       GROUP BY 1, 2`,
+      params
+    ),
+    pool.query("SELECT plan_code, active_rentals FROM analytics_daily_plans WHERE day = $1::date - 1", [range.from]),
+    pool.query("SELECT MAX(refreshed_at) AS refreshed_at FROM analytics_daily")
+  ])
+
+  const planCodes = [...new Set(plans.rows.map((row) => row.plan_code))].sort()
+  const byPlan = new Map(plans.rows.map((row) => [`${row.bucket}|${row.plan_code}`, row]))
+  const activeBefore = new Map(before.rows.map((row) => [row.plan_code, row.active_rentals]))
+  let totalBefore = [...activeBefore.values()].reduce((sum, value) => sum + value, 0)
+
+  const planSeries = Object.fromEntries(planCodes.map((code) => [code, []]))
+  const series = totals.rows.map((row) => {
+    const total = { active_rentals: 0, mrr: 0, new_rentals: 0, churned_rentals: 0 }
+    for (const code of planCodes) {
+      const found = byPlan.get(`${row.bucket}|${code}`)
+      const point = {
+        bucket: row.bucket,
+        active_rentals: found?.active_rentals ?? 0,
+        mrr: found?.mrr ?? "0.00",
+        new_rentals: found?.new_rentals ?? 0,
+        churned_rentals: found?.churned_rentals ?? 0
+      }
+      point.churn_rate = churnRate(point.churned_rentals, activeBefore.get(code) ?? 0)
+      activeBefore.set(code, point.active_rentals)
+      planSeries[code].push(point)
+
+      total.active_rentals += point.active_rentals
+      total.mrr += Number(point.mrr)
+      total.new_rentals += point.new_rentals
+      total.churned_rentals += point.churned_rentals
+    }
+    const churn = churnRate(total.churned_rentals, totalBefore)
+    totalBefore = total.active_rentals
+    return { ...row, ...total, mrr: total.mrr.toFixed(2), churn_rate: churn }
+  })
+
+  return { range, refreshed_at: refreshed.rows[0].refreshed_at, series, plans: planSeries }
+}
+
+export async function getWorkspaceAnalytics(workspaceId, range) {
+  const window = `created_at >= GREATEST(b.bucket, $1::date)
+    AND created_at < LEAST(b.bucket + '1 ${range.granularity}'::interval, $2::date + 1)`
+  const series = await pool.query(
+    `WITH buckets AS (${bucketsSql(range)})
+     SELECT to_char(b.bucket, 'YYYY-MM-DD') AS bucket,
+       (SELECT COUNT(*)::int FROM video_jobs WHERE workspace_id=$3 AND ${window}) AS video_jobs,
+       (SELECT COUNT(*)::int FROM showcase_uploads WHERE workspace_id=$3 AND ${window}) AS uploads,
+       (SELECT COALESCE(-SUM(amount), 0)::numeric(14,2) FROM wallet_transactions
+        WHERE workspace_id=$3 AND status='completed' AND tx_type IN ${SPEND_TX_TYPES} AND ${window}) AS spend
+     FROM buckets b
+     ORDER BY b.bucket`,
+    [range.from, range.to, workspaceId]
+  )
+  return { range, series: series.rows }
+}
+
+function csvCell(value) {
+  if (value === null || value === undefined) return ""
+  const text = String(value)
+  return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text
+}
+
+export function toCsv(columns, rows) {
+  return [columns, ...rows.map((row) => columns.map((column) => row[column]))]
+    .map((line) => line.map(csvCell).join(","))
+    .join("\r\n") + "\r\n"
+}
+
+// One row per bucket: the platform totals, then each plan's figures in
+// <plan>_<field> columns.
+export function platformAnalyticsCsv(report) {
+  const planFields = ["active_rentals", "mrr", "new_rentals", "churned_rentals", "churn_rate"]
+  const codes = Object.keys(report.plans)
+  const columns = [
+    "bucket",
+    "signups",
+    "deposits_count",
+    "deposits_total",
+    "video_jobs",
+    "uploads",
+    ...planFields,
+    ...codes.flatMap((code) => planFields.map((field) => `${code}_${field}`))
+  ]
+  const rows = report.series.map((point, index) => {
+    const row = { ...point }
+    for (const code of codes) {
+      for (const field of planFields) row[`${code}_${field}`] = report.plans[code][index][field]
+    }
+    return row
+  })
+  return toCsv(columns, rows)
+}
+
+export function workspaceAnalyticsCsv(report) {
+  return toCsv(["bucket", "video_jobs", "uploads", "spend"], report.series)
+}
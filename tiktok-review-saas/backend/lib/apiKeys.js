@@ -0,0 +1,115 @@
+import crypto from "node:crypto"
+import { pool } from "./db.js"
+import { httpError } from "./http.js"
+
+// Personal API keys let automation (n8n, scripts) call the API as a user
+// without a login session. A key only reaches routes that declare one of its
+// scopes; account, session and admin routes declare none, so they stay
+// session-only. Keys are shown once and stored as a SHA-256 hash.
+
+export const API_KEY_SCOPES = {
+  "account:read": "Profile, dashboard and usage",
+  "events:read": "Live event stream",
+  "products:read": "Products, price history and feed imports",
+  "products:write": "Import product feeds",
+  "scripts:read": "Generated scripts",
+  "scripts:generate": "Generate scripts",
+  "videos:read": "Video jobs and captions",
+  "videos:generate": "Create and cancel video jobs",
+  "showcase:read": "Showcase account, uploads and hook performance",
+  "showcase:upload": "Upload to Showcase and report performance",
+  "wallet:read": "Wallet balance and transactions",
+  "webhooks:manage": "Webhook subscriptions and deliveries",
+  "rentals:read": "Rental plans and history"
+}
+
+const KEY_PREFIX = "trk_"
+const DISPLAY_PREFIX_LENGTH = 12
+const MAX_ACTIVE_KEYS = 25
+const MAX_EXPIRY_DAYS = 365
+
+const API_KEY_COLUMNS = "id, name, prefix, scopes, last_used_at, last_used_ip, expires_at, revoked_at, created_at"
+
+function hashKey(key) {
+  return crypto.createHash("sha256").update(key).digest("hex")
+}
+
+export function isApiKey(token) {
+  return token.startsWith(KEY_PREFIX)
+}
+
+function parseScopes(value) {
+  if (!Array.isArray(value) || !value.length) throw httpError(400, "scopes must be a non-empty array")
+  const scopes = [...new Set(value.map((scope) => String(scope).trim()))]
+  const unknown = scopes.filter((scope) => !API_KEY_SCOPES[scope])
+  if (unknown.length) {
+    throw httpError(400, `Unknown scopes: ${unknown.join(", ")}`, { allowed: Object.keys(API_KEY_SCOPES) })
+  }
+  return scopes
+}
+
+export async function createApiKey(userId, { name, scopes, expiresInDays }) {
+  const keyName = String(name ?? "").trim().slice(0, 100)
+  if (!keyName) throw httpError(400, "name is required")
+  const keyScopes = parseScopes(scopes)
+
+  let expiryDays = null
+  if (expiresInDays !== undefined && expiresInDays !== null) {
+    expiryDays = Number(expiresInDays)
+    if (!Number.isInteger(expiryDays) || expiryDays < 1 || expiryDays > MAX_EXPIRY_DAYS) {
+      throw httpError(400, `expiresInDays must be an integer between 1 and ${MAX_EXPIRY_DAYS}`)
+    }
+  }
+
+  const active = await pool.query(
+    "SELECT COUNT(*)::int AS count FROM api_keys WHERE user_id=$1 AND revoked_at IS NULL AND (expires_at IS NULL OR expires_at > NOW())",
+    [userId]
+  )
+  if (active.rows[0].count >= MAX_ACTIVE_KEYS) {
+    throw httpError(409, `You can have at most ${MAX_ACTIVE_KEYS} active API keys, revoke one first`)
+  }
+
+  const key = `${KEY_PREFIX}${crypto.randomBytes(30).toString("base64url")}`
+  const created = await pool.query(
+    `INSERT INTO api_keys (user_id, name, prefix, key_hash, scopes, expires_at)
+     VALUES ($1,$2,$3,$4,$5, CASE WHEN $6::int IS NULL THEN NULL ELSE NOW() + make_interval(days => $6::int) END)
+     RETURNING ${API_KEY_COLUMNS}`,
+    [userId, keyName, key.slice(0, DISPLAY_PREFIX_LENGTH), hashKey(key), keyScopes, expiryDays]
+  )
+  return { ...created.rows[0], key }
+}
+
+export async function listApiKeys(userId) {
+  const keys = await pool.query(
+    `SELECT ${API_KEY_COLUMNS} FROM api_keys
+     WHERE user_id=$1 AND revoked_at IS NULL
+     ORDER BY created_at DESC, id DESC`,
+    [userId]
+  )
+  return keys.rows
+}
+
+export async function revokeApiKey(userId, keyId) {
+  const revoked = await pool.query(
+    `UPDATE api_keys SET revoked_at=NOW()
+     WHERE id=$1 AND user_id=$2 AND revoked_at IS NULL
+     RETURNING ${API_KEY_COLUMNS}`,
+    [keyId, userId]
+  )
+  if (!revoked.rows.length) throw httpError(404, "API key not found")
+  return revoked.rows[0]
+}
+
+// Resolves a key to its owner as they are now and records the use, or
+// returns null for unknown, revoked and expired keys and suspended owners.
+export async function authenticateApiKey(key, ip) {
+  const found = await pool.query(
+    `UPDATE api_keys k SET last_used_at=NOW(), last_used_ip=$2
+     FROM users u
+     WHERE k.key_hash=$1 AND u.id = k.user_id AND u.suspended_at IS NULL
+       AND k.revoked_at IS NULL AND (k.expires_at IS NULL OR k.expires_at > NOW())
+     RETURNING u.id, u.email, u.role, u.email_verified_at IS NOT NULL AS email_verified, k.id AS api_key_id, k.scopes`,
+    [hashKey(key), ip]
+  )
+  return found.rows[0] ?? null
+}
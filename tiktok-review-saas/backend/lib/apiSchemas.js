@@ -0,0 +1,513 @@
+import { API_KEY_SCOPES } from "./apiKeys.js"
+import { CHECKED_FIELDS, RULE_KINDS, RULE_SEVERITIES } from "./compliance.js"
+import { DISCOUNT_TYPES } from "./promoCodes.js"
+import { TEMPLATE_LANGUAGES } from "./scriptTemplates.js"
+import { WEEKDAYS } from "./showcaseSchedule.js"
+import { VIDEO_JOB_STATES } from "./videoJobs.js"
+import { WEBHOOK_DELIVERY_STATES, WEBHOOK_EVENTS } from "./webhooks.js"
+import { WORKSPACE_ROLES } from "./workspaces.js"
+import {
+  array,
+  boolean,
+  enumOf,
+  id,
+  integer,
+  nullable,
+  number,
+  object,
+  ref,
+  string
+} from "./schema.js"
+
+// Schemas shared by several routes, published under components.schemas in
+// /openapi.json. NUMERIC columns come back from Postgres as strings, hence
+// decimal(); JSONB columns are left untyped.
+
+export function timestamp(description) {
+  return string(description ? { format: "date-time", description } : { format: "date-time" })
+}
+
+export function decimal(description) {
+  return string(description ? { format: "decimal", example: "199.00", description } : { format: "decimal", example: "199.00" })
+}
+
+export function json(description) {
+  return description ? { nullable: true, description } : { nullable: true }
+}
+
+export function page(items) {
+  return object({
+    items: array(items),
+    next_cursor: nullable(string({ description: "Pass as ?cursor= for the next page; null on the last page" }))
+  }, { required: ["items", "next_cursor"] })
+}
+
+// ?limit, ?sort, ?order and ?cursor of the keyset-paginated lists, plus any
+// filters of the route.
+export function pageQuery(sorts, filters = {}) {
+  return object({
+    limit: integer({ minimum: 1, maximum: 100, default: 20 }),
+    sort: enumOf(Array.isArray(sorts) ? sorts : Object.keys(sorts)),
+    order: enumOf(["asc", "desc"], { case: "lower", default: "desc" }),
+    cursor: string({ description: "next_cursor of the previous page" }),
+    ...filters
+  })
+}
+
+export function language(description) {
+  return enumOf(TEMPLATE_LANGUAGES, { case: "lower", default: "th", ...(description ? { description } : {}) })
+}
+
+// Routes canonicalise the name with parseTimeZone.
+export function timeZone(description) {
+  return string({ maxLength: 64, example: "Asia/Bangkok", ...(description ? { description } : {}) })
+}
+
+export const components = {
+  Error: object({
+    error: string(),
+    details: object({}, { description: "Extra context, depending on the error" })
+  }, { required: ["error"] }),
+  ValidationError: object({
+    error: string({ description: "Every problem, joined with \"; \"" }),
+    details: object({
+      fields: array(object({
+        in: enumOf(["params", "query", "body"]),
+        field: string({ description: "Path of the field, e.g. products[2].price" }),
+        message: string()
+      }, { required: ["in", "field", "message"] }))
+    }, { required: ["fields"] })
+  }, { required: ["error", "details"] }),
+  ComplianceError: object({
+    error: string({ description: "Names the codes of the blocking rules" }),
+    details: ref("ComplianceReport")
+  }, { required: ["error", "details"] }),
+  Message: object({ message: string() }, { required: ["message"] }),
+  Tokens: object({
+    token: string({ description: "Access token for the Authorization: Bearer header" }),
+    refresh_token: string(),
+    expires_in: integer({ description: "Seconds until the access token expires" }),
+    role: enumOf(["admin", "user"])
+  }, { required: ["token", "refresh_token", "expires_in", "role"] }),
+  Me: object({
+    id: id(),
+    email: string({ format: "email" }),
+    role: enumOf(["admin", "user"]),
+    language: enumOf(TEMPLATE_LANGUAGES),
+    timezone: string({ example: "Asia/Bangkok" }),
+    email_verified_at: nullable(timestamp()),
+    created_at: timestamp()
+  }),
+  AdminUser: object({
+    id: id(),
+    email: string({ format: "email" }),
+    role: enumOf(["admin", "user"]),
+    language: enumOf(TEMPLATE_LANGUAGES),
+    plan: nullable(string({ description: "Plan of the user's personal workspace" })),
+    email_verified_at: nullable(timestamp()),
+    suspended_at: nullable(timestamp()),
+    suspended_reason: nullable(string()),
+    referral_code: string(),
+    referred_by: nullable(id()),
+    created_at: timestamp()
+  }),
+  Session: object({
+    id: id(),
+    user_agent: nullable(string()),
+    ip: nullable(string()),
+    current: boolean(),
+    created_at: timestamp(),
+    last_used_at: timestamp(),
+    expires_at: timestamp()
+  }),
+  ApiKey: object({
+    id: id(),
+    name: string(),
+    prefix: string(),
+    scopes: array(enumOf(Object.keys(API_KEY_SCOPES))),
+    last_used_at: nullable(timestamp()),
+    last_used_ip: nullable(string()),
+    expires_at: nullable(timestamp()),
+    revoked_at: nullable(timestamp()),
+    created_at: timestamp()
+  }),
+  Workspace: object({
+    id: id(),
+    name: string(),
+    personal: boolean(),
+    plan: string(),
+    role: enumOf(WORKSPACE_ROLES, { description: "The caller's role" }),
+    created_at: timestamp()
+  }),
+  Member: object({
+    user_id: id(),
+    email: string({ format: "email" }),
+    role: enumOf(WORKSPACE_ROLES),
+    joined_at: timestamp()
+  }),
+  Invitation: object({
+    id: id(),
+    email: string({ format: "email" }),
+    role: enumOf(WORKSPACE_ROLES),
+    invited_by: nullable(id()),
+    expires_at: timestamp(),
+    accepted_at: nullable(timestamp()),
+    revoked_at: nullable(timestamp()),
+    created_at: timestamp()
+  }),
+  Wallet: object({
+    id: id(),
+    workspace_id: id(),
+    balance: decimal(),
+    currency: string(),
+    updated_at: timestamp(),
+    created_at: timestamp()
+  }),
+  WalletTransaction: object({
+    id: id(),
+    wallet_id: nullable(id()),
+    workspace_id: id(),
+    user_id: nullable(id()),
+    rental_id: nullable(id()),
+    tx_type: string({ example: "deposit" }),
+    amount: decimal("Positive for money in, negative for money out"),
+    balance_after: nullable(decimal()),
+    status: string({ example: "completed" }),
+    note: nullable(string()),
+    reference: nullable(string()),
+    refund_of: nullable(id()),
+    provider: nullable(string()),
+    provider_ref: nullable(string()),
+    expires_at: nullable(timestamp()),
+    settled_at: nullable(timestamp()),
+    metadata: json(),
+    created_at: timestamp()
+  }),
+  RentalPlan: object({
+    id: id(),
+    code: string(),
+    name: string(),
+    monthly_price: decimal(),
+    max_video_jobs: integer(),
+    max_script_generations: nullable(integer({ description: "null is unlimited" })),
+    max_showcase_uploads: nullable(integer({ description: "null is unlimited" })),
+    perks: nullable(string()),
+    active: boolean(),
+    updated_at: timestamp(),
+    created_at: timestamp()
+  }),
+  Rental: object({
+    id: id(),
+    workspace_id: id(),
+    user_id: nullable(id()),
+    plan_id: id(),
+    code: string({ description: "Plan code" }),
+    name: string({ description: "Plan name" }),
+    months: integer(),
+    total_price: decimal(),
+    status: string({ example: "active" }),
+    starts_at: timestamp(),
+    ends_at: nullable(timestamp()),
+    auto_renew: boolean(),
+    cancel_at_period_end: boolean(),
+    grace_until: nullable(timestamp()),
+    bonus_video_jobs: integer(),
+    cycle_starts_at: timestamp("Start of the billing cycle usage is metered over; plan changes keep it"),
+    created_at: timestamp()
+  }),
+  Usage: object({
+    plan: string(),
+    period: object({ starts_at: nullable(timestamp()), resets_at: nullable(timestamp()) }),
+    metrics: object({}, { description: "Per metric: { limit, used, remaining }, limit null for unlimited" })
+  }),
+  Script: object({
+    id: id(),
+    workspace_id: id(),
+    user_id: nullable(id()),
+    product_name: nullable(string()),
+    category: nullable(string()),
+    content: nullable(string()),
+    generation: json(),
+    created_at: timestamp()
+  }),
+  Product: object({
+    id: id(),
+    feed_id: nullable(id()),
+    workspace_id: id(),
+    product_id: string({ description: "The shop's product id" }),
+    title: string(),
+    category: nullable(string()),
+    price: nullable(decimal()),
+    currency: nullable(string()),
+    product_url: nullable(string()),
+    image_url: nullable(string()),
+    raw_payload: json(),
+    updated_at: timestamp(),
+    created_at: timestamp()
+  }),
+  // Rows are checked one at a time by the importer, which reports each
+  // rejected row instead of failing the whole feed, so nothing is typed here.
+  FeedProduct: {
+    description: "One feed row. Keys are matched loosely (\"Product ID\" is product_id) and the usual " +
+      "TikTok Shop names work too, e.g. name for title and sale_price for price.",
+    properties: {
+      product_id: { description: "The shop's product id" },
+      title: { description: "Required" },
+      category: { description: "Defaults to general" },
+      price: { description: "A number or text such as \"฿1,299\"" },
+      currency: { description: "Defaults to THB" },
+      product_url: {},
+      image_url: {}
+    }
+  },
+  FeedImportJob: object({
+    id: id(),
+    workspace_id: id(),
+    user_id: nullable(id()),
+    feed_id: nullable(id()),
+    feed_name: string(),
+    source: enumOf(["upload", "url"]),
+    format: nullable(string()),
+    source_url: nullable(string()),
+    status: string({ example: "queued" }),
+    summary: json(),
+    error: nullable(string()),
+    attempts: integer(),
+    finished_at: nullable(timestamp()),
+    updated_at: timestamp(),
+    created_at: timestamp()
+  }),
+  VideoJob: object({
+    id: id(),
+    workspace_id: id(),
+    user_id: nullable(id()),
+    product_ref: nullable(id()),
+    status: enumOf(VIDEO_JOB_STATES),
+    title: nullable(string()),
+    hook: nullable(string()),
+    hook_id: nullable(id()),
+    script: nullable(string()),
+    storyboard: json(),
+    hashtags: nullable(string()),
+    tts_voice: nullable(string()),
+    language: enumOf(TEMPLATE_LANGUAGES),
+    generation: json(),
+    attempts: integer(),
+    max_attempts: integer(),
+    run_after: timestamp(),
+    last_error: nullable(string()),
+    finished_at: nullable(timestamp()),
+    updated_at: timestamp(),
+    created_at: timestamp()
+  }),
+  ShowcaseAccount: object({
+    connected: boolean(),
+    connected_by: nullable(id()),
+    open_id: nullable(string()),
+    scope: nullable(string()),
+    expires_at: nullable(timestamp()),
+    updated_at: timestamp()
+  }, { required: ["connected"] }),
+  ShowcaseUpload: object({
+    id: id(),
+    workspace_id: id(),
+    user_id: nullable(id()),
+    video_job_id: nullable(id()),
+    status: nullable(string({ example: "queued", description: "scheduled, queued, uploading, published, failed or cancelled" })),
+    showcase_video_id: nullable(string()),
+    publish_url: nullable(string()),
+    payload: json(),
+    views: integer(),
+    clicks: integer(),
+    orders: integer(),
+    performance_updated_at: nullable(timestamp()),
+    error: json(),
+    attempts: integer(),
+    next_check_at: timestamp(),
+    scheduled_for: nullable(timestamp()),
+    slot_id: nullable(id("Posting slot that picked the video")),
+    finished_at: nullable(timestamp()),
+    updated_at: timestamp(),
+    created_at: timestamp()
+  }),
+  ShowcaseSlot: object({
+    id: id(),
+    workspace_id: id(),
+    created_by: nullable(id()),
+    time_of_day: string({ example: "19:00" }),
+    days: nullable(array(enumOf(WEEKDAYS), { description: "null means every day" })),
+    timezone: string({ example: "Asia/Bangkok" }),
+    caption: nullable(string()),
+    active: boolean(),
+    next_run_at: nullable(timestamp()),
+    last_run_at: nullable(timestamp()),
+    last_upload_id: nullable(id()),
+    last_error: json("{ code, message } of the last run that queued nothing"),
+    updated_at: timestamp(),
+    created_at: timestamp()
+  }),
+  ScheduleItem: object({
+    type: enumOf(["upload", "slot"], { description: "A scheduled upload, or an upcoming run of a posting slot" }),
+    at: timestamp(),
+    local_time: string({ example: "2026-10-25T19:00", description: "at on the schedule's time zone" }),
+    upload_id: nullable(id()),
+    slot_id: nullable(id()),
+    video_job_id: nullable(id("For slot runs, the video it would take if nothing changes")),
+    title: nullable(string()),
+    status: nullable(string({ description: "The upload's status, or open for slot runs" })),
+    error: json()
+  }),
+  HookPerformance: object({
+    id: id(),
+    text: string(),
+    language: string(),
+    category: string(),
+    video_jobs: integer(),
+    uploads: integer(),
+    views: integer(),
+    clicks: integer(),
+    orders: integer(),
+    click_rate: nullable(decimal()),
+    order_rate: nullable(decimal())
+  }),
+  WebhookEndpoint: object({
+    id: id(),
+    url: string({ format: "uri" }),
+    description: nullable(string()),
+    events: array(enumOf(WEBHOOK_EVENTS)),
+    active: boolean(),
+    created_at: timestamp(),
+    updated_at: timestamp()
+  }),
+  WebhookDelivery: object({
+    id: id(),
+    endpoint_id: id(),
+    event_id: string({ format: "uuid" }),
+    event_type: enumOf(WEBHOOK_EVENTS),
+    status: enumOf(WEBHOOK_DELIVERY_STATES),
+    attempts: integer(),
+    next_attempt_at: timestamp(),
+    last_status_code: nullable(integer()),
+    last_error: nullable(string()),
+    redelivery_of: nullable(id()),
+    delivered_at: nullable(timestamp()),
+    created_at: timestamp(),
+    updated_at: timestamp()
+  }),
+  PromoCode: object({
+    id: id(),
+    code: string(),
+    description: nullable(string()),
+    discount_type: enumOf(DISCOUNT_TYPES),
+    discount_value: decimal(),
+    bonus_video_jobs: integer(),
+    plan_codes: nullable(array(string())),
+    max_redemptions: nullable(integer()),
+    max_redemptions_per_workspace: integer(),
+    starts_at: nullable(timestamp()),
+    expires_at: nullable(timestamp()),
+    active: boolean(),
+    created_by: nullable(id()),
+    updated_at: timestamp(),
+    created_at: timestamp()
+  }),
+  Hook: object({
+    id: id(),
+    text: string(),
+    category: string(),
+    language: enumOf(TEMPLATE_LANGUAGES),
+    weight: decimal(),
+    active: boolean(),
+    created_by: nullable(id()),
+    created_at: timestamp()
+  }),
+  ComplianceRule: object({
+    id: id(),
+    category: string({ description: "Product category, or general for every category" }),
+    language: enumOf(TEMPLATE_LANGUAGES),
+    code: string({ example: "medical_claim" }),
+    kind: enumOf(RULE_KINDS),
+    pattern: string(),
+    is_regex: boolean(),
+    fields: nullable(array(enumOf(CHECKED_FIELDS), { description: "null checks every field" })),
+    severity: enumOf(RULE_SEVERITIES),
+    message: string(),
+    suggestion: nullable(string()),
+    active: boolean(),
+    created_by: nullable(id()),
+    updated_at: timestamp(),
+    created_at: timestamp()
+  }),
+  ComplianceFinding: object({
+    rule_id: id(),
+    code: string(),
+    severity: enumOf(RULE_SEVERITIES),
+    message: string(),
+    suggestion: nullable(string({ description: "Replacement for the span, or the text a required rule wants added" })),
+    field: nullable(string({ example: "hooks[1]", description: "null when required text is missing" })),
+    start: nullable(integer({ description: "UTF-16 offset of the span in the field" })),
+    end: nullable(integer()),
+    text: nullable(string()),
+    append_to: nullable(string({ description: "Where the suggested fix adds missing required text" }))
+  }),
+  ComplianceReport: object({
+    category: string(),
+    language: enumOf(TEMPLATE_LANGUAGES, { description: "The content's language; rules of every language are checked" }),
+    status: enumOf(["pass", "warn", "block"]),
+    findings: array(ref("ComplianceFinding")),
+    fixed: object({}, { description: "Field path to the text with the suggested fixes applied, for fields that change" })
+  }),
+  ScriptTemplate: object({
+    id: id(),
+    name: string(),
+    category: string(),
+    language: enumOf(TEMPLATE_LANGUAGES),
+    sections: ref("TemplateSections"),
+    active: boolean(),
+    created_by: nullable(id()),
+    created_at: timestamp(),
+    updated_at: timestamp()
+  }),
+  TemplateSections: object({
+    hooks: array(string({ minLength: 1 }), { minItems: 3 }),
+    short_scripts: array(string({ minLength: 1 }), { minItems: 2 }),
+    long_script: string({ minLength: 1 }),
+    benefits: array(string({ minLength: 1 }), { minItems: 1 }),
+    ab_test_ideas: array(string({ minLength: 1 }), { minItems: 1 }),
+    storyboard: array(object({
+      duration_sec: number({ minimum: 0, exclusiveMinimum: true }),
+      shot: string(),
+      text: string()
+    }, { required: ["duration_sec", "text"] })),
+    title: string(),
+    cta: string(),
+    hashtags: string()
+  }, { required: ["hooks", "short_scripts", "long_script"] }),
+  AuditEntry: object({
+    id: id(),
+    actor_user_id: nullable(integer()),
+    actor_email: nullable(string()),
+    action: string({ example: "user.suspended" }),
+    target_type: string(),
+    target_id: nullable(string()),
+    workspace_id: nullable(integer()),
+    before: json(),
+    after: json(),
+    ip: nullable(string()),
+    user_agent: nullable(string()),
+    prev_hash: string(),
+    hash: string(),
+    created_at: timestamp()
+  }),
+  Lockout: object({
+    id: id(),
+    email: string(),
+    failed_count: integer(),
+    lockouts: integer(),
+    locked_until: nullable(timestamp()),
+    last_failed_at: timestamp(),
+    last_ip: nullable(string()),
+    retry_after: integer({ description: "Seconds left on the lockout, 0 when not locked" }),
+    created_at: timestamp()
+  })
+}
@@ -0,0 +1,182 @@
+import crypto from "node:crypto"
+import { pool } from "./db.js"
+import { httpError } from "./http.js"
+import { queryPage } from "./pagination.js"
+
+// Privileged and financial actions are written to an append-only audit log;
+// a trigger refuses UPDATE, DELETE and TRUNCATE on it. Each entry also stores
+// the hash of the one before it and a hash over its own content plus that
+// link, so editing, removing or reordering rows behind the trigger's back
+// breaks the chain where it happened.
+//
+// Entries are written inside the transaction that performs the action, so
+// they commit or roll back together. Appends take a transaction-scoped
+// advisory lock to keep the chain linear; call recordAudit as the last step
+// so the lock is held briefly.
+
+const CHAIN_LOCK_KEY = 160_001
+const GENESIS_HASH = "0".repeat(64)
+const VERIFY_BATCH_SIZE = 1000
+
+const AUDIT_COLUMNS = `id, actor_user_id, actor_email, action, target_type, target_id, workspace_id,
+  before, after, ip, user_agent, prev_hash, hash, created_at`
+
+// Who acted, from a request. System jobs pass {} and are logged without an
+// actor.
+export function auditContext(req) {
+  return {
+    actorUserId: req.user?.id ?? null,
+    actorEmail: req.user?.email ?? null,
+    ip: req.ip ?? null,
+    userAgent: String(req.get("user-agent") ?? "").slice(0, 255) || null
+  }
+}
+
+// JSON with object keys sorted, so a value hashes the same after a round
+// trip through JSONB.
+function canonicalJson(value) {
+  if (Array.isArray(value)) return `[${value.map(canonicalJson).join(",")}]`
+  if (value && typeof value === "object") {
+    const keys = Object.keys(value).sort()
+    return `{${keys.map((key) => `${JSON.stringify(key)}:${canonicalJson(value[key])}`).join(",")}}`
+  }
+  return JSON.stringify(value)
+}
+
+function entryHash(prevHash, entry) {
+  const content = canonicalJson({
+    actor_user_id: entry.actor_user_id,
+    actor_email: entry.actor_email,
+    action: entry.action,
+    target_type: entry.target_type,
+    target_id: entry.target_id,
+    workspace_id: entry.workspace_id,
+    before: entry.before,
+    after: entry.after,
+    ip: entry.ip,
+    user_agent: entry.user_agent,
+    created_at: new Date(entry.created_at).toISOString()
+  })
+  return crypto.createHash("sha256").update(`${prevHash}\n${content}`).digest("hex")
+}
+
+// Drops undefined and turns dates into strings the way JSONB storage would.
+function jsonValue(value) {
+  return value === undefined ? null : JSON.parse(JSON.stringify(value))
+}
+
+export async function recordAudit(client, context, { action, targetType, targetId = null, workspaceId = null, before = null, after = null }) {
+  await client.query("SELECT pg_advisory_xact_lock($1)", [CHAIN_LOCK_KEY])
+  const last = await client.query("SELECT hash FROM audit_log ORDER BY id DESC LIMIT 1")
+  const prevHash = last.rows[0]?.hash ?? GENESIS_HASH
+
+  const entry = {
+    actor_user_id: context.actorUserId ?? null,
+    actor_email: context.actorEmail ?? null,
+    action,
+    target_type: targetType,
+    target_id: targetId === null ? null : String(targetId),
+    workspace_id: workspaceId,
+    before: jsonValue(before),
+    after: jsonValue(after),
+    ip: context.ip ?? null,
+    user_agent: context.userAgent ?? null,
+    created_at: new Date()
+  }
+
+  const inserted = await client.query(
+    `INSERT INTO audit_log (actor_user_id, actor_email, action, target_type, target_id, workspace_id,
+       before, after, ip, user_agent, prev_hash, hash, created_at)
+     VALUES ($1,$2,$3,$4,$5,$6,$7,$8,$9,$10,$11,$12,$13)
+     RETURNING ${AUDIT_COLUMNS}`,
+    [
+      entry.actor_user_id,
+      entry.actor_email,
+      entry.action,
+      entry.target_type,
+      entry.target_id,
+      entry.workspace_id,
+      JSON.stringify(entry.before),
+      JSON.stringify(entry.after),
+      entry.ip,
+      entry.user_agent,
+      prevHash,
+      entryHash(prevHash, entry),
+      entry.created_at
+    ]
+  )
+  return inserted.rows[0]
+}
+
+function parseTime(value, field) {
+  const time = new Date(String(value))
+  if (Number.isNaN(time.getTime())) throw httpError(400, `${field} must be a date or timestamp`)
+  return time
+}
+
+export async function listAuditLog(query) {
+  const where = []
+  const params = []
+  const filter = (condition, value) => {
+    params.push(value)
+    where.push(condition.replace("?", `$${params.length}`))
+  }
+
+  if (query.actor_user_id !== undefined) {
+    const actorId = Number(query.actor_user_id)
+    if (!Number.isInteger(actorId) || actorId <= 0) throw httpError(400, "actor_user_id must be a positive integer")
+    filter("actor_user_id=?", actorId)
+  }
+  if (query.workspace_id !== undefined) {
+    const workspaceId = Number(query.workspace_id)
+    if (!Number.isInteger(workspaceId) || workspaceId <= 0) throw httpError(400, "workspace_id must be a positive integer")
+    filter("workspace_id=?", workspaceId)
+  }
+  // "wallet." matches every wallet action.
+  if (query.action) {
+    const action = String(query.action).trim()
+    if (action.endsWith(".")) filter("action LIKE ?", `${action.replace(/[\\%_]/g, "\\$&")}%`)
+    else filter("action=?", action)
+  }
+  if (query.target_type) filter("target_type=?", String(query.target_type).trim())
+  if (query.target_id) filter("target_id=?", String(query.target_id).trim())
+  if (query.from) filter("created_at >= ?", parseTime(query.from, "from"))
+  if (query.to) filter("created_at < ?", parseTime(query.to, "to"))
+
+  return queryPage(query, {
+    select: AUDIT_COLUMNS,
+    from: "audit_log",
+    where,
+    params,
+    sorts: { created_at: { expr: "created_at", type: "timestamptz" } }
+  })
+}
+
+// Walks the whole chain in id order. head_hash is worth recording somewhere
+// outside the database: the chain alone cannot show rows cut off its end.
+export async function verifyAuditChain() {
+  let prevHash = GENESIS_HASH
+  let lastId = 0
+  let checked = 0
+
+  for (;;) {
+    const batch = await pool.query(
+      `SELECT ${AUDIT_COLUMNS} FROM audit_log WHERE id > $1 ORDER BY id ASC LIMIT ${VERIFY_BATCH_SIZE}`,
+      [lastId]
+    )
+    for (const entry of batch.rows) {
+      if (entry.prev_hash !== prevHash) {
+        return { valid: false, checked, broken_at: entry.id, reason: "prev_hash does not match the previous entry" }
+      }
+      if (entryHash(prevHash, entry) !== entry.hash) {
+        return { valid: false, checked, broken_at: entry.id, reason: "entry content does not match its hash" }
+      }
+      prevHash = entry.hash
+      lastId = entry.id
+      checked += 1
+    }
+    if (batch.rows.length < VERIFY_BATCH_SIZE) break
+  }
+
+  return { valid: true, checked, head_id: lastId || null, head_hash: checked ? prevHash : null }
+}
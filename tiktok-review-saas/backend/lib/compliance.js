@@ -0,0 +1,273 @@
+import { recordAudit } from "./audit.js"
+import { pool, withTransaction } from "./db.js"
+import { httpError } from "./http.js"
+
+// Marketing-claim checks for generated packages and Showcase captions. Rules
+// are kept per language and product category by admins; "general" rules
+// apply to every category. A forbidden rule flags each span its pattern
+// matches (medical claims, "No.1" superlatives...). A required rule flags
+// content that has none (an affiliate disclosure) and only applies when the
+// content has one of the fields it looks at. Blocking findings stop an
+// upload, warnings are reported alongside it.
+//
+// Captions and hashtags are free text in whatever language the creator
+// writes, so the rules of every language apply, not just the language the
+// content was generated in. Required rules sharing a code are alternatives:
+// a Thai or an English disclosure will do, and a missing one is reported
+// once, by the rule in the content's language when there is one.
+//
+// Patterns are phrases matched case-insensitively, or regular expressions
+// when is_regex is set. Phrases that start or end with a Latin letter or
+// digit only match whole words; Thai has no spaces between words, so Thai
+// phrases match anywhere.
+
+export const RULE_KINDS = ["forbidden", "required"]
+export const RULE_SEVERITIES = ["warn", "block"]
+export const CHECKED_FIELDS = ["title", "hooks", "script", "short_scripts", "storyboard", "cta", "hashtags", "caption"]
+
+const RULE_COLUMNS = `id, category, language, code, kind, pattern, is_regex, fields, severity, message, suggestion,
+  active, created_by, updated_at, created_at`
+
+const EDITABLE_FIELDS = ["category", "language", "code", "kind", "pattern", "is_regex", "fields", "severity", "message", "suggestion", "active"]
+
+const EDGE_WORD = /[A-Za-z0-9]/
+const compiled = new Map()
+
+function escapeRegExp(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, "\\$&")
+}
+
+function compile({ pattern, is_regex: isRegex }) {
+  const key = `${isRegex ? "re" : "phrase"}:${pattern}`
+  if (!compiled.has(key)) {
+    let source = pattern
+    if (!isRegex) {
+      source = escapeRegExp(pattern.trim()).replace(/\s+/g, "\\s+")
+      if (EDGE_WORD.test(pattern.trim()[0])) source = `\\b${source}`
+      if (EDGE_WORD.test(pattern.trim().slice(-1))) source = `${source}\\b`
+    }
+    compiled.set(key, new RegExp(source, "giu"))
+  }
+  return compiled.get(key)
+}
+
+// Admin input only; a pattern that matches the empty string would flag
+// every position.
+function assertRule(rule) {
+  let pattern
+  try {
+    pattern = compile(rule)
+  } catch (error) {
+    throw httpError(400, `pattern is not a valid regular expression: ${error.message}`)
+  }
+  if (new RegExp(pattern.source, "u").test("")) throw httpError(400, "pattern must not match empty text")
+}
+
+// { field, group, text } for every piece of text in a package or caption:
+// "hooks[1]" and "storyboard[0].text" belong to the hooks and storyboard
+// groups that rules name in fields.
+function contentEntries(content) {
+  const entries = []
+  for (const group of CHECKED_FIELDS) {
+    const value = content[group]
+    if (value == null) continue
+    if (Array.isArray(value)) {
+      value.forEach((item, index) => {
+        const text = group === "storyboard" ? item?.text : item
+        const field = group === "storyboard" ? `storyboard[${index}].text` : `${group}[${index}]`
+        if (typeof text === "string") entries.push({ field, group, text })
+      })
+    } else {
+      entries.push({ field: group, group, text: String(value) })
+    }
+  }
+  return entries
+}
+
+function appliesTo(rule, entry) {
+  return !rule.fields?.length || rule.fields.includes(entry.group)
+}
+
+function finding(rule, fields) {
+  return {
+    rule_id: rule.id,
+    code: rule.code,
+    severity: rule.severity,
+    message: rule.message,
+    suggestion: rule.suggestion,
+    ...fields
+  }
+}
+
+// Each flagged span replaced by its rule's suggestion, left to right, and
+// each missing required text appended to the first field its rule looks at.
+// Spans without a suggestion, or overlapping an earlier one, stay as they are.
+function suggestedFixes(entries, findings) {
+  const fixed = {}
+  for (const entry of entries) {
+    const spans = findings
+      .filter((item) => item.field === entry.field && item.start !== null && item.suggestion !== null)
+      .sort((a, b) => a.start - b.start)
+    let text = ""
+    let cursor = 0
+    for (const span of spans) {
+      if (span.start < cursor) continue
+      text += entry.text.slice(cursor, span.start) + span.suggestion
+      cursor = span.end
+    }
+    text += entry.text.slice(cursor)
+    if (text !== entry.text) fixed[entry.field] = text.replace(/[ \t]{2,}/g, " ")
+  }
+  for (const item of findings) {
+    if (item.start !== null || !item.suggestion || !item.append_to) continue
+    const current = fixed[item.append_to] ?? entries.find((entry) => entry.field === item.append_to).text
+    fixed[item.append_to] = current.trim() ? `${current.trimEnd()} ${item.suggestion}` : item.suggestion
+  }
+  return fixed
+}
+
+// Checks content ({ title, hooks, script, hashtags, caption, ... }) against
+// rules. Spans are UTF-16 offsets into the field's text, as JavaScript
+// strings count them.
+export function evaluateRules(content, rules, { language } = {}) {
+  const entries = contentEntries(content)
+  const findings = []
+  const requiredCodes = new Set()
+
+  for (const rule of rules) {
+    if (rule.kind === "required") {
+      if (requiredCodes.has(rule.code)) continue
+      requiredCodes.add(rule.code)
+
+      const alternatives = rules
+        .filter((other) => other.kind === "required" && other.code === rule.code)
+        .map((other) => ({ rule: other, checked: entries.filter((entry) => appliesTo(other, entry)) }))
+        .filter((alternative) => alternative.checked.length)
+      if (!alternatives.length) continue
+      const met = alternatives.some((alternative) =>
+        alternative.checked.some((entry) => entry.text.search(compile(alternative.rule)) !== -1)
+      )
+      if (met) continue
+
+      const reported = alternatives.find((alternative) => alternative.rule.language === language) ?? alternatives[0]
+      findings.push(finding(reported.rule, {
+        field: null,
+        start: null,
+        end: null,
+        text: null,
+        append_to: reported.checked[0].field
+      }))
+      continue
+    }
+
+    const checked = entries.filter((entry) => appliesTo(rule, entry))
+    if (!checked.length) continue
+
+    for (const entry of checked) {
+      for (const match of entry.text.matchAll(compile(rule))) {
+        findings.push(finding(rule, {
+          field: entry.field,
+          start: match.index,
+          end: match.index + match[0].length,
+          text: match[0],
+          append_to: null
+        }))
+      }
+    }
+  }
+
+  const status = findings.some((item) => item.severity === "block") ? "block" : findings.length ? "warn" : "pass"
+  return { status, findings, fixed: suggestedFixes(entries, findings) }
+}
+
+// The active rules for a product category, its own and the general ones, in
+// every language.
+export async function rulesFor({ category }, db = pool) {
+  const rules = await db.query(
+    `SELECT ${RULE_COLUMNS} FROM compliance_rules
+     WHERE active=TRUE AND category IN ($1, 'general')
+     ORDER BY id ASC`,
+    [String(category || "general").toLowerCase()]
+  )
+  return rules.rows
+}
+
+// language is the one the content was written for; it only decides which
+// rule reports missing required text.
+export async function checkCompliance(content, { category, language = "th" }, db = pool) {
+  const rules = await rulesFor({ category }, db)
+  return { category: String(category || "general").toLowerCase(), language, ...evaluateRules(content, rules, { language }) }
+}
+
+export function assertCompliant(report, action) {
+  if (report.status !== "block") return
+  const codes = [...new Set(report.findings.filter((item) => item.severity === "block").map((item) => item.code))]
+  throw httpError(422, `${action} is blocked by compliance rules: ${codes.join(", ")}`, report)
+}
+
+export async function listComplianceRules({ category, language } = {}) {
+  const rules = await pool.query(
+    `SELECT ${RULE_COLUMNS} FROM compliance_rules
+     WHERE ($1::text IS NULL OR category=$1) AND ($2::text IS NULL OR language=$2)
+     ORDER BY category ASC, language ASC, code ASC, id ASC`,
+    [category || null, language || null]
+  )
+  return rules.rows
+}
+
+export async function createComplianceRule(input, audit) {
+  assertRule(input)
+  return withTransaction(async (client) => {
+    const created = await client.query(
+      `INSERT INTO compliance_rules (created_by, ${EDITABLE_FIELDS.join(", ")})
+       VALUES ($1,$2,$3,$4,$5,$6,$7,$8,$9,$10,$11,$12)
+       RETURNING ${RULE_COLUMNS}`,
+      [audit.actorUserId ?? null, ...EDITABLE_FIELDS.map((field) => input[field])]
+    )
+    const rule = created.rows[0]
+    await recordAudit(client, audit, { action: "compliance_rule.created", targetType: "compliance_rule", targetId: rule.id, after: rule })
+    return rule
+  })
+}
+
+export async function updateComplianceRule(id, changes, audit) {
+  const fields = EDITABLE_FIELDS.filter((field) => changes[field] !== undefined)
+  if (!fields.length) throw httpError(400, `Nothing to update, send any of ${EDITABLE_FIELDS.join(", ")}`)
+
+  return withTransaction(async (client) => {
+    const current = await client.query(`SELECT ${RULE_COLUMNS} FROM compliance_rules WHERE id=$1 FOR UPDATE`, [id])
+    if (!current.rows.length) throw httpError(404, "Compliance rule not found")
+    const before = current.rows[0]
+    assertRule({ ...before, ...changes })
+
+    const updated = await client.query(
+      `UPDATE compliance_rules
+       SET ${fields.map((field, index) => `${field}=$${index + 2}`).join(", ")}, updated_at=NOW()
+       WHERE id=$1
+       RETURNING ${RULE_COLUMNS}`,
+      [id, ...fields.map((field) => changes[field])]
+    )
+    const rule = updated.rows[0]
+    await recordAudit(client, audit, {
+      action: "compliance_rule.updated",
+      targetType: "compliance_rule",
+      targetId: rule.id,
+      before,
+      after: rule
+    })
+    return rule
+  })
+}
+
+export async function deleteComplianceRule(id, audit) {
+  return withTransaction(async (client) => {
+    const deleted = await client.query(`DELETE FROM compliance_rules WHERE id=$1 RETURNING ${RULE_COLUMNS}`, [id])
+    if (!deleted.rows.length) throw httpError(404, "Compliance rule not found")
+    await recordAudit(client, audit, {
+      action: "compliance_rule.deleted",
+      targetType: "compliance_rule",
+      targetId: id,
+      before: deleted.rows[0]
+    })
+  })
+}
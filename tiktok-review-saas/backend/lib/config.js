@@ -0,0 +1,166 @@
+import { HOOK_METRICS, HOOK_STRATEGIES } from "./hooks.js"
+
+// Settings shared by the API server and the video worker process.
+
+const HOOK_SELECTION = process.env.HOOK_SELECTION || "bandit"
+const HOOK_BANDIT_METRIC = process.env.HOOK_BANDIT_METRIC || "orders"
+
+if (!HOOK_STRATEGIES.includes(HOOK_SELECTION)) throw new Error(`HOOK_SELECTION must be one of ${HOOK_STRATEGIES.join(", ")}`)
+if (!HOOK_METRICS.includes(HOOK_BANDIT_METRIC)) throw new Error(`HOOK_BANDIT_METRIC must be one of ${HOOK_METRICS.join(", ")}`)
+
+export const scriptGeneratorOptions = {
+  engine: process.env.SCRIPT_GENERATOR || "template",
+  hookSelection: { strategy: HOOK_SELECTION, metric: HOOK_BANDIT_METRIC },
+  llm: {
+    baseUrl: process.env.LLM_BASE_URL,
+    apiKey: process.env.LLM_API_KEY,
+    model: process.env.LLM_MODEL || "local-model",
+    timeoutMs: Number(process.env.LLM_TIMEOUT_MS || 20_000)
+  }
+}
+
+export const videoWorkerOptions = {
+  pollIntervalMs: Number(process.env.VIDEO_WORKER_POLL_MS || 1000),
+  concurrency: Number(process.env.VIDEO_WORKER_CONCURRENCY || 1),
+  leaseMs: Number(process.env.VIDEO_JOB_LEASE_MS || 10 * 60_000),
+  retryBaseMs: Number(process.env.VIDEO_JOB_RETRY_BASE_MS || 5_000),
+  retryMaxMs: Number(process.env.VIDEO_JOB_RETRY_MAX_MS || 10 * 60_000),
+  tts: { provider: process.env.TTS_PROVIDER || "local" }
+}
+
+export const feedImportOptions = {
+  syncMaxRows: Number(process.env.FEED_IMPORT_SYNC_MAX_ROWS || 1000),
+  maxRows: Number(process.env.FEED_IMPORT_MAX_ROWS || 50_000),
+  maxBytes: Number(process.env.FEED_IMPORT_MAX_BYTES || 20 * 1024 * 1024),
+  fetchTimeoutMs: Number(process.env.FEED_FETCH_TIMEOUT_MS || 30_000),
+  allowPrivateUrls: process.env.FEED_FETCH_ALLOW_PRIVATE === "true",
+  pollIntervalMs: Number(process.env.FEED_IMPORT_POLL_MS || 2000),
+  leaseMs: Number(process.env.FEED_IMPORT_LEASE_MS || 10 * 60_000)
+}
+
+export const showcaseOptions = {
+  baseUrl: process.env.SHOWCASE_API_BASE_URL,
+  authorizeBaseUrl: process.env.SHOWCASE_AUTHORIZE_BASE_URL,
+  clientKey: process.env.SHOWCASE_CLIENT_KEY,
+  clientSecret: process.env.SHOWCASE_CLIENT_SECRET,
+  redirectUri: process.env.SHOWCASE_REDIRECT_URI || "http://localhost:4000/showcase/oauth/callback",
+  timeoutMs: Number(process.env.SHOWCASE_TIMEOUT_MS || 15_000),
+  sync: {
+    intervalMs: Number(process.env.SHOWCASE_SYNC_INTERVAL_MS || 5_000),
+    leaseMs: Number(process.env.SHOWCASE_SUBMIT_LEASE_MS || 5 * 60_000),
+    maxAttempts: Number(process.env.SHOWCASE_MAX_ATTEMPTS || 5),
+    retryBaseMs: Number(process.env.SHOWCASE_RETRY_BASE_MS || 10_000),
+    retryMaxMs: Number(process.env.SHOWCASE_RETRY_MAX_MS || 10 * 60_000),
+    pendingTimeoutMs: Number(process.env.SHOWCASE_PENDING_TIMEOUT_MS || 24 * 60 * 60_000)
+  },
+  schedule: {
+    intervalMs: Number(process.env.SHOWCASE_SCHEDULE_INTERVAL_MS || 30_000),
+    maxDaysAhead: Number(process.env.SHOWCASE_SCHEDULE_MAX_DAYS || 90),
+    maxSlots: Number(process.env.SHOWCASE_MAX_SLOTS || 20)
+  }
+}
+
+export const webhookOptions = {
+  pollIntervalMs: Number(process.env.WEBHOOK_POLL_MS || 1000),
+  leaseMs: Number(process.env.WEBHOOK_LEASE_MS || 60_000),
+  timeoutMs: Number(process.env.WEBHOOK_TIMEOUT_MS || 10_000),
+  maxAttempts: Number(process.env.WEBHOOK_MAX_ATTEMPTS || 8),
+  retryBaseMs: Number(process.env.WEBHOOK_RETRY_BASE_MS || 30_000),
+  retryMaxMs: Number(process.env.WEBHOOK_RETRY_MAX_MS || 6 * 60 * 60_000),
+  allowPrivateUrls: process.env.WEBHOOK_ALLOW_PRIVATE === "true"
+}
+
+export const mailerOptions = {
+  transport: process.env.MAIL_TRANSPORT || "console",
+  from: process.env.MAIL_FROM || "TikTok Review SaaS <no-reply@localhost>",
+  smtp: {
+    host: process.env.SMTP_HOST,
+    port: Number(process.env.SMTP_PORT || 587),
+    secure: process.env.SMTP_SECURE === "true",
+    user: process.env.SMTP_USER,
+    pass: process.env.SMTP_PASS
+  },
+  outboxDir: process.env.MAIL_OUTBOX_DIR || "mail-outbox"
+}
+
+export const accountOptions = {
+  appBaseUrl: process.env.APP_BASE_URL || "http://localhost:3000",
+  verifyTokenTtlHours: Number(process.env.EMAIL_VERIFY_TOKEN_TTL_HOURS || 48),
+  resetTokenTtlMinutes: Number(process.env.PASSWORD_RESET_TOKEN_TTL_MINUTES || 60)
+}
+
+export const workspaceOptions = {
+  appBaseUrl: accountOptions.appBaseUrl,
+  invitationTtlDays: Number(process.env.WORKSPACE_INVITATION_TTL_DAYS || 7)
+}
+
+// PAYMENT_PROVIDERS lists the enabled deposit providers, comma separated;
+// the first is the default. With none enabled, deposits are unavailable.
+export const paymentOptions = {
+  providers: (process.env.PAYMENT_PROVIDERS || "").split(",").map((name) => name.trim()).filter(Boolean),
+  minDeposit: Number(process.env.DEPOSIT_MIN_AMOUNT || 20),
+  maxDeposit: Number(process.env.DEPOSIT_MAX_AMOUNT || 1_000_000),
+  expiryMinutes: Number(process.env.DEPOSIT_EXPIRY_MINUTES || 30),
+  expiryIntervalMs: Number(process.env.DEPOSIT_EXPIRY_INTERVAL_MS || 60_000),
+  callbackBaseUrl: process.env.PAYMENT_CALLBACK_BASE_URL || "http://localhost:4000",
+  returnUrl: accountOptions.appBaseUrl,
+  toleranceSeconds: Number(process.env.PAYMENT_SIGNATURE_TOLERANCE_SECONDS || 300),
+  promptpay: {
+    id: process.env.PROMPTPAY_ID,
+    callbackSecret: process.env.PROMPTPAY_CALLBACK_SECRET
+  },
+  card: {
+    baseUrl: process.env.CARD_GATEWAY_BASE_URL,
+    apiKey: process.env.CARD_GATEWAY_API_KEY,
+    callbackSecret: process.env.CARD_GATEWAY_CALLBACK_SECRET,
+    timeoutMs: Number(process.env.CARD_GATEWAY_TIMEOUT_MS || 15_000)
+  },
+  fake: { secret: process.env.PAYMENT_FAKE_SECRET }
+}
+
+// Paid into each side's personal wallet on a referred user's first paid
+// subscription. Set both to 0 to turn payouts off.
+export const referralOptions = {
+  referrerCredit: Number(process.env.REFERRAL_REFERRER_CREDIT || 100),
+  referredCredit: Number(process.env.REFERRAL_REFERRED_CREDIT || 50)
+}
+
+// The daily rollups behind /admin/analytics are rebuilt every
+// refreshIntervalMs, going back refreshDays to catch late changes.
+export const analyticsOptions = {
+  refreshIntervalMs: Number(process.env.ANALYTICS_REFRESH_INTERVAL_MS || 10 * 60_000),
+  refreshDays: Number(process.env.ANALYTICS_REFRESH_DAYS || 7)
+}
+
+// With validateResponses every JSON response is also checked against its
+// route's schema and mismatches are logged; meant for development and CI.
+export const apiOptions = {
+  validateResponses: process.env.API_VALIDATE_RESPONSES === "true"
+}
+
+// RATE_LIMIT_<GROUP> is "<max requests>/<window seconds>", e.g. 30/900;
+// a max of 0 turns the group's limit off.
+function rateLimitPolicy(group, fallback) {
+  const value = process.env[`RATE_LIMIT_${group.toUpperCase()}`] || fallback
+  const match = /^(\d+)\/(\d+)$/.exec(value.trim())
+  if (!match || Number(match[2]) < 1) throw new Error(`RATE_LIMIT_${group.toUpperCase()} must look like 30/900`)
+  return { max: Number(match[1]), windowSeconds: Number(match[2]) }
+}
+
+export const rateLimitOptions = {
+  store: process.env.RATE_LIMIT_STORE || "postgres",
+  cleanupIntervalMs: Number(process.env.RATE_LIMIT_CLEANUP_INTERVAL_MS || 5 * 60_000),
+  groups: {
+    auth: rateLimitPolicy("auth", "30/900"),
+    generation: rateLimitPolicy("generation", "60/3600"),
+    import: rateLimitPolicy("import", "20/3600"),
+    deposit: rateLimitPolicy("deposit", "10/3600"),
+    admin: rateLimitPolicy("admin", "300/60")
+  },
+  lockout: {
+    threshold: Number(process.env.LOGIN_LOCKOUT_THRESHOLD || 5),
+    baseSeconds: Number(process.env.LOGIN_LOCKOUT_BASE_SECONDS || 60),
+    maxSeconds: Number(process.env.LOGIN_LOCKOUT_MAX_SECONDS || 24 * 60 * 60),
+    resetAfterSeconds: Number(process.env.LOGIN_LOCKOUT_RESET_AFTER_SECONDS || 24 * 60 * 60)
+  }
+}
@@ -0,0 +1,28 @@
+import pkg from "pg"
+
+const { Pool } = pkg
+const DATABASE_URL = process.env.DATABASE_URL
+
+if (!DATABASE_URL) throw new Error("DATABASE_URL is required")
+
+export const pool = new Pool({ connectionString: DATABASE_URL })
+
+// An idle client losing its connection must not take the process down; the
+// pool replaces it on the next checkout.
+pool.on("error", (error) => console.error("Idle database client error:", error.message))
+
+export async function withTransaction(work) {
+  const client = await pool.connect()
+
+  try {
+    await client.query("BEGIN")
+    const result = await work(client)
+    await client.query("COMMIT")
+    return result
+  } catch (error) {
+    await client.query("ROLLBACK")
+    throw error
+  } finally {
+    client.release()
+  }
+}
@@ -0,0 +1,227 @@
+import crypto from "node:crypto"
+import { recordAudit } from "./audit.js"
+import { pool, withTransaction } from "./db.js"
+import { publishEvent } from "./events.js"
+import { httpError } from "./http.js"
+import { completeDeposit, ensureWallet, lockWallet, roundMoney } from "./wallet.js"
+
+// Deposits are paid through a payment provider (see payments.js). Asking for
+// one writes a pending deposit to the ledger and returns the provider's
+// payment instructions; the balance only moves when the provider's signed
+// callback confirms the payment. A deposit ends up completed, failed, or
+// expired if nothing is heard before expires_at.
+//
+// Callbacks are idempotent: repeating the outcome already recorded changes
+// nothing, and completed is final. A confirmation still credits a deposit
+// that expired or failed first, since it means the money did arrive.
+
+const DEPOSIT_COLUMNS = `id, wallet_id, workspace_id, user_id, tx_type, amount, balance_after, status, note, reference,
+  provider, provider_ref, expires_at, settled_at, metadata, created_at`
+
+function depositEvent(deposit) {
+  return {
+    id: deposit.id,
+    status: deposit.status,
+    amount: deposit.amount,
+    provider: deposit.provider,
+    reference: deposit.reference,
+    expires_at: deposit.expires_at,
+    settled_at: deposit.settled_at
+  }
+}
+
+async function settle(client, deposit, status, details) {
+  const updated = await client.query(
+    `UPDATE wallet_transactions
+     SET status=$2, settled_at=NOW(), metadata = COALESCE(metadata, '{}'::jsonb) || $3::jsonb
+     WHERE id=$1
+     RETURNING ${DEPOSIT_COLUMNS}`,
+    [deposit.id, status, JSON.stringify(details)]
+  )
+  await publishEvent(client, deposit.workspace_id, "deposit.updated", depositEvent(updated.rows[0]))
+  return updated.rows[0]
+}
+
+export function createDepositFlows({ providers, minDeposit, maxDeposit, expiryMinutes, callbackBaseUrl, returnUrl }) {
+  const names = [...providers.keys()]
+
+  async function handleCallback(name, headers, rawBody, audit) {
+    const gateway = providers.get(name)
+    if (!gateway) throw httpError(404, "Unknown payment provider")
+    if (!rawBody?.length) throw httpError(400, "Callback body is empty")
+
+    const event = gateway.parseCallback(headers, rawBody)
+    if (!event.status) return { received: true, ignored: true }
+
+    return withTransaction(async (client) => {
+      const found = await client.query(
+        `SELECT ${DEPOSIT_COLUMNS} FROM wallet_transactions
+         WHERE provider=$1 AND reference=$2 AND tx_type='deposit'
+         FOR UPDATE`,
+        [name, event.reference]
+      )
+      const deposit = found.rows[0]
+      if (!deposit) throw httpError(404, "Deposit not found")
+      if (event.providerRef && deposit.provider_ref && event.providerRef !== deposit.provider_ref) {
+        throw httpError(409, "Callback does not belong to this deposit's charge")
+      }
+      // Answers that leave the balance alone still carry the wallet, so a
+      // redelivered callback gets the same shape as the first one.
+      const unchanged = async (result) => ({ received: true, ...result, wallet: await ensureWallet(deposit.workspace_id, client) })
+
+      if (deposit.status === "completed" || deposit.status === event.status) {
+        return unchanged({ duplicate: true, deposit })
+      }
+
+      if (event.status === "failed") {
+        return unchanged({ deposit: await settle(client, deposit, "failed", { failure: "Declined by the payment provider" }) })
+      }
+
+      // Paying a different amount than asked is left for an admin to sort
+      // out with a manual credit or refund.
+      if (event.amount !== undefined && roundMoney(event.amount) !== Number(deposit.amount)) {
+        if (deposit.status === "failed") return unchanged({ duplicate: true, deposit })
+        const failure = `Paid ${roundMoney(event.amount)} instead of ${deposit.amount}`
+        return unchanged({ deposit: await settle(client, deposit, "failed", { failure, paid_amount: event.amount }) })
+      }
+
+      const wallet = await lockWallet(client, deposit.workspace_id)
+      const posted = await completeDeposit(client, wallet, deposit, { providerRef: event.providerRef })
+      const completed = { ...deposit, ...posted.transaction }
+      await publishEvent(client, deposit.workspace_id, "deposit.updated", depositEvent(completed))
+      await recordAudit(client, audit, {
+        action: "wallet.deposit",
+        targetType: "wallet_transaction",
+        targetId: deposit.id,
+        workspaceId: deposit.workspace_id,
+        before: { balance: wallet.balance, status: deposit.status },
+        after: {
+          balance: posted.wallet.balance,
+          amount: deposit.amount,
+          provider: name,
+          reference: deposit.reference,
+          provider_ref: completed.provider_ref
+        }
+      })
+      return { received: true, deposit: completed, wallet: posted.wallet }
+    })
+  }
+
+  return {
+    providers: names,
+
+    async create(workspaceId, user, { amount, provider, note }) {
+      if (!names.length) throw httpError(503, "Deposits are unavailable: no payment provider is configured")
+      const name = provider || names[0]
+      const gateway = providers.get(name)
+      if (!gateway) throw httpError(400, `provider must be one of ${names.join(", ")}`)
+
+      const value = roundMoney(amount)
+      if (!Number.isFinite(value) || value < minDeposit) throw httpError(400, `amount must be at least ${minDeposit}`)
+      if (value > maxDeposit) throw httpError(400, `amount must be at most ${maxDeposit}`)
+
+      const reference = `dep_${crypto.randomBytes(10).toString("hex")}`
+      const expiresAt = new Date(Date.now() + expiryMinutes * 60_000)
+      const wallet = await ensureWallet(workspaceId)
+      const inserted = await pool.query(
+        `INSERT INTO wallet_transactions
+           (wallet_id, workspace_id, user_id, tx_type, amount, status, note, reference, provider, expires_at, metadata)
+         VALUES ($1,$2,$3,'deposit',$4,'pending',$5,$6,$7,$8,$9)
+         RETURNING ${DEPOSIT_COLUMNS}`,
+        [wallet.id, workspaceId, user.id, value, note, reference, name, expiresAt, JSON.stringify({ source: "user_deposit" })]
+      )
+      const deposit = inserted.rows[0]
+
+      let charge
+      try {
+        charge = await gateway.createCharge({
+          reference,
+          amount: value,
+          expiresAt: expiresAt.toISOString(),
+          callbackUrl: `${callbackBaseUrl.replace(/\/$/, "")}/payments/${name}/callback`,
+          returnUrl
+        })
+      } catch (error) {
+        await withTransaction((client) => settle(client, deposit, "failed", { failure: error.message }))
+        throw error
+      }
+
+      const updated = await pool.query(
+        `UPDATE wallet_transactions
+         SET provider_ref=$2, metadata = metadata || jsonb_build_object('instructions', $3::jsonb)
+         WHERE id=$1
+         RETURNING ${DEPOSIT_COLUMNS}`,
+        [deposit.id, charge.providerRef, JSON.stringify(charge.instructions)]
+      )
+      return { deposit: updated.rows[0], instructions: charge.instructions }
+    },
+
+    async get(workspaceId, id) {
+      const found = await pool.query(
+        `SELECT ${DEPOSIT_COLUMNS} FROM wallet_transactions WHERE id=$1 AND workspace_id=$2 AND tx_type='deposit'`,
+        [id, workspaceId]
+      )
+      if (!found.rows.length) throw httpError(404, "Deposit not found")
+      return found.rows[0]
+    },
+
+    handleCallback,
+
+    // Settles a fake-provider deposit the way its provider would, through the
+    // same signed callback path.
+    async simulate(workspaceId, reference, outcome, audit) {
+      const fake = providers.get("fake")
+      if (!fake) throw httpError(404, "The fake payment provider is not enabled")
+      const found = await pool.query(
+        "SELECT amount, provider_ref FROM wallet_transactions WHERE provider='fake' AND reference=$1 AND workspace_id=$2",
+        [reference, workspaceId]
+      )
+      const deposit = found.rows[0]
+      if (!deposit) throw httpError(404, "Deposit not found")
+
+      const { headers, rawBody } = fake.signCallback({
+        reference,
+        status: outcome === "complete" ? "completed" : "failed",
+        amount: Number(deposit.amount),
+        transaction_id: deposit.provider_ref
+      })
+      return handleCallback("fake", headers, rawBody, audit)
+    },
+
+    async expire() {
+      return withTransaction(async (client) => {
+        const expired = await client.query(
+          `UPDATE wallet_transactions
+           SET status='expired', settled_at=NOW()
+           WHERE tx_type='deposit' AND status='pending' AND expires_at <= NOW()
+           RETURNING ${DEPOSIT_COLUMNS}`
+        )
+        for (const deposit of expired.rows) {
+          await publishEvent(client, deposit.workspace_id, "deposit.updated", depositEvent(deposit))
+        }
+        return expired.rows
+      })
+    },
+
+    startExpiry({ intervalMs }) {
+      let running = false
+
+      const tick = async () => {
+        if (running) return
+        running = true
+        try {
+          const expired = await this.expire()
+          if (expired.length) console.log(`Expired ${expired.length} pending deposit(s)`)
+        } catch (error) {
+          console.error("Deposit expiry failed:", error)
+        } finally {
+          running = false
+        }
+      }
+
+      const timer = setInterval(tick, intervalMs)
+      tick()
+      return () => clearInterval(timer)
+    }
+  }
+}
@@ -0,0 +1,114 @@
+import { TEMPLATE_LANGUAGES } from "./scriptTemplates.js"
+
+// Account emails in each supported language. Each paragraph becomes a
+// paragraph of the text and HTML parts; {{link}} is rendered as a link in
+// HTML and as the bare URL in text. Subjects take the same variables.
+const EMAIL_TEMPLATES = {
+  verify_email: {
+    th: {
+      subject: "ยืนยันอีเมลของคุณ",
+      paragraphs: [
+        "สวัสดีค่ะ",
+        "กรุณายืนยันอีเมล {{email}} โดยเปิดลิงก์ด้านล่าง ลิงก์นี้ใช้ได้ {{hours}} ชั่วโมง",
+        "{{link}}",
+        "หากคุณไม่ได้สมัครสมาชิก สามารถเพิกเฉยต่ออีเมลนี้ได้"
+      ]
+    },
+    en: {
+      subject: "Verify your email address",
+      paragraphs: [
+        "Hello,",
+        "Please confirm {{email}} by opening the link below. It is valid for {{hours}} hours.",
+        "{{link}}",
+        "If you did not sign up, you can ignore this email."
+      ]
+    }
+  },
+  password_reset: {
+    th: {
+      subject: "รีเซ็ตรหัสผ่าน",
+      paragraphs: [
+        "สวัสดีค่ะ",
+        "มีคำขอรีเซ็ตรหัสผ่านสำหรับ {{email}} เปิดลิงก์ด้านล่างเพื่อตั้งรหัสผ่านใหม่ ลิงก์นี้ใช้ได้ครั้งเดียวภายใน {{minutes}} นาที",
+        "{{link}}",
+        "หากคุณไม่ได้ขอรีเซ็ตรหัสผ่าน สามารถเพิกเฉยต่ออีเมลนี้ได้ รหัสผ่านเดิมยังใช้งานได้ตามปกติ"
+      ]
+    },
+    en: {
+      subject: "Reset your password",
+      paragraphs: [
+        "Hello,",
+        "Someone asked to reset the password for {{email}}. Open the link below to choose a new one. It works once, within {{minutes}} minutes.",
+        "{{link}}",
+        "If you did not ask for this, you can ignore this email and keep using your current password."
+      ]
+    }
+  },
+  password_changed: {
+    th: {
+      subject: "รหัสผ่านของคุณถูกเปลี่ยนแล้ว",
+      paragraphs: [
+        "สวัสดีค่ะ",
+        "รหัสผ่านของ {{email}} ถูกเปลี่ยนเมื่อ {{changed_at}} และอุปกรณ์อื่นทั้งหมดถูกออกจากระบบแล้ว",
+        "หากคุณไม่ได้เป็นผู้เปลี่ยน กรุณารีเซ็ตรหัสผ่านทันที"
+      ]
+    },
+    en: {
+      subject: "Your password was changed",
+      paragraphs: [
+        "Hello,",
+        "The password for {{email}} was changed at {{changed_at}} and all other devices were signed out.",
+        "If this was not you, reset your password right away."
+      ]
+    }
+  },
+  workspace_invitation: {
+    th: {
+      subject: "คุณได้รับคำเชิญเข้าร่วมเวิร์กสเปซ {{workspace}}",
+      paragraphs: [
+        "สวัสดีค่ะ",
+        "{{inviter}} เชิญคุณเข้าร่วมเวิร์กสเปซ {{workspace}} ในบทบาท {{role}} เข้าสู่ระบบด้วย {{email}} แล้วเปิดลิงก์ด้านล่างเพื่อตอบรับ ลิงก์นี้ใช้ได้ {{days}} วัน",
+        "{{link}}",
+        "หากยังไม่มีบัญชี สามารถสมัครด้วยอีเมลนี้ก่อนแล้วค่อยเปิดลิงก์"
+      ]
+    },
+    en: {
+      subject: "You are invited to the {{workspace}} workspace",
+      paragraphs: [
+        "Hello,",
+        "{{inviter}} invited you to join the {{workspace}} workspace as {{role}}. Sign in as {{email}} and open the link below to accept. It is valid for {{days}} days.",
+        "{{link}}",
+        "If you do not have an account yet, sign up with this address first, then open the link."
+      ]
+    }
+  }
+}
+
+function escapeHtml(value) {
+  return String(value)
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;")
+}
+
+function fill(paragraph, vars, { html }) {
+  return paragraph.replace(/\{\{(\w+)\}\}/g, (_match, key) => {
+    const value = vars[key] ?? ""
+    if (!html) return value
+    if (key === "link") return `<a href="${escapeHtml(value)}">${escapeHtml(value)}</a>`
+    return escapeHtml(value)
+  })
+}
+
+export function renderEmail(name, language, vars) {
+  const templates = EMAIL_TEMPLATES[name]
+  if (!templates) throw new Error(`Unknown email template: ${name}`)
+  const template = templates[TEMPLATE_LANGUAGES.includes(language) ? language : "th"]
+
+  return {
+    subject: fill(template.subject, vars, { html: false }),
+    text: template.paragraphs.map((paragraph) => fill(paragraph, vars, { html: false })).join("\n\n"),
+    html: template.paragraphs.map((paragraph) => `<p>${fill(paragraph, vars, { html: true })}</p>`).join("\n")
+  }
+}
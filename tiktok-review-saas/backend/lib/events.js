@@ -0,0 +1,197 @@
+import { pool, withTransaction } from "./db.js"
+
+const CHANNEL = "workspace_events"
+const REPLAY_LIMIT = 500
+const SEQUENCE_LOCK_KEY = 170_001
+
+// Events belong to a workspace and reach every member streaming it. They
+// are stored before they are announced so a client that reconnects with
+// Last-Event-ID can replay whatever it missed, on whichever instance it
+// lands. Called with a transaction client, the NOTIFY fires on COMMIT.
+//
+// Streams read events in seq order, not id order: ids are drawn when the
+// INSERT runs, so a transaction can commit an event below an id a stream
+// has already passed. seq is handed out after commit instead (see
+// sequenceEvents), and the stream's SSE id is that seq.
+export async function publishEvent(db, workspaceId, type, payload) {
+  await db.query(
+    `WITH event AS (
+       INSERT INTO workspace_events (workspace_id, type, payload) VALUES ($1,$2,$3) RETURNING id, workspace_id
+     )
+     SELECT pg_notify('${CHANNEL}', json_build_object('id', event.id, 'workspace_id', event.workspace_id)::text) FROM event`,
+    [workspaceId, type, JSON.stringify(payload)]
+  )
+}
+
+export function videoJobEvent(job) {
+  return {
+    id: job.id,
+    status: job.status,
+    attempts: job.attempts,
+    last_error: job.last_error,
+    updated_at: job.updated_at
+  }
+}
+
+export function showcaseUploadEvent(upload) {
+  return {
+    id: upload.id,
+    video_job_id: upload.video_job_id,
+    status: upload.status,
+    showcase_video_id: upload.showcase_video_id,
+    publish_url: upload.publish_url,
+    scheduled_for: upload.scheduled_for ?? null,
+    error: upload.error ?? null
+  }
+}
+
+// Numbers committed events that have no seq yet. Runs hold one advisory lock
+// through COMMIT, so each batch is visible before the next is numbered and a
+// reader that has seen a seq has seen every smaller one.
+async function sequenceEvents() {
+  await withTransaction(async (client) => {
+    await client.query("SELECT pg_advisory_xact_lock($1)", [SEQUENCE_LOCK_KEY])
+    await client.query(
+      `UPDATE workspace_events e SET seq = pending.seq
+       FROM (
+         SELECT id, nextval('workspace_events_seq') AS seq
+         FROM (SELECT id FROM workspace_events WHERE seq IS NULL ORDER BY id) unsequenced
+       ) pending
+       WHERE e.id = pending.id`
+    )
+  })
+}
+
+async function eventsAfter(workspaceId, lastEventId) {
+  const data = await pool.query(
+    `SELECT seq AS id, type, payload, created_at FROM workspace_events
+     WHERE workspace_id=$1 AND seq > $2
+     ORDER BY seq ASC
+     LIMIT ${REPLAY_LIMIT}`,
+    [workspaceId, lastEventId]
+  )
+  return data.rows
+}
+
+// One LISTEN connection per process fans notifications out to that process's
+// SSE subscribers.
+export function createEventHub({ retentionDays = 7 } = {}) {
+  const subscribers = new Map()
+  let listener = null
+  let stopped = false
+  let pruneTimer = null
+  let sequencing = Promise.resolve()
+  let pendingSequence = null
+
+  // A burst of notifications shares one sequencing run; a notification that
+  // arrives while a run is under way gets the next one, which sees its event.
+  function sequence() {
+    if (!pendingSequence) {
+      pendingSequence = sequencing
+        .then(() => {
+          pendingSequence = null
+          return sequenceEvents()
+        })
+        .catch((error) => console.error("Event sequencing failed:", error.message))
+      sequencing = pendingSequence
+    }
+    return pendingSequence
+  }
+
+  // Deliveries to one subscriber are chained so overlapping notifications
+  // cannot send the same event twice.
+  function deliver(subscriber) {
+    subscriber.queue = subscriber.queue
+      .then(async () => {
+        const events = await eventsAfter(subscriber.workspaceId, subscriber.lastEventId)
+        for (const event of events) {
+          subscriber.lastEventId = Number(event.id)
+          subscriber.send(event)
+        }
+      })
+      .catch((error) => console.error("Event delivery failed:", error.message))
+    return subscriber.queue
+  }
+
+  async function deliverToWorkspace(workspaceId) {
+    await sequence()
+    for (const subscriber of subscribers.get(workspaceId) ?? []) deliver(subscriber)
+  }
+
+  async function connect() {
+    try {
+      listener = await pool.connect()
+      listener.on("notification", (message) => {
+        try {
+          const { workspace_id: workspaceId } = JSON.parse(message.payload)
+          if (subscribers.has(workspaceId)) deliverToWorkspace(workspaceId)
+        } catch (error) {
+          console.error("Bad event notification:", error.message)
+        }
+      })
+      listener.on("error", (error) => reconnect(error))
+      await listener.query(`LISTEN ${CHANNEL}`)
+
+      // Catch up on anything announced while the listener was down.
+      for (const workspaceId of subscribers.keys()) deliverToWorkspace(workspaceId)
+    } catch (error) {
+      reconnect(error)
+    }
+  }
+
+  function reconnect(error) {
+    console.error("Event listener lost connection:", error.message)
+    if (listener) {
+      listener.removeAllListeners("notification")
+      listener.release(error)
+      listener = null
+    }
+    if (!stopped) setTimeout(connect, 2000)
+  }
+
+  async function prune() {
+    await pool
+      .query("DELETE FROM workspace_events WHERE created_at < NOW() - make_interval(days => $1)", [retentionDays])
+      .catch((error) => console.error("Event pruning failed:", error.message))
+  }
+
+  return {
+    start() {
+      connect()
+      prune()
+      pruneTimer = setInterval(prune, 60 * 60 * 1000)
+    },
+    // Without a Last-Event-ID the stream starts from now rather than
+    // replaying history.
+    async subscribe(workspaceId, lastEventId, send) {
+      await sequence()
+      if (lastEventId === null) {
+        const latest = await pool.query(
+          "SELECT COALESCE(MAX(seq),0)::bigint AS id FROM workspace_events WHERE workspace_id=$1",
+          [workspaceId]
+        )
+        lastEventId = Number(latest.rows[0].id)
+      }
+
+      const subscriber = { workspaceId, lastEventId, send, queue: Promise.resolve() }
+      if (!subscribers.has(workspaceId)) subscribers.set(workspaceId, new Set())
+      subscribers.get(workspaceId).add(subscriber)
+      await deliver(subscriber)
+
+      return () => {
+        const set = subscribers.get(workspaceId)
+        set?.delete(subscriber)
+        if (set && !set.size) subscribers.delete(workspaceId)
+      }
+    },
+    async stop() {
+      stopped = true
+      clearInterval(pruneTimer)
+      if (listener) {
+        await listener.query(`UNLISTEN ${CHANNEL}`).catch(() => {})
+        listener.release()
+        listener = null
+      }
+    }
+  }
+}
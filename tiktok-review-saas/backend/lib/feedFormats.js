@@ -0,0 +1,223 @@
+// Parsing and validation for product feeds. Every format is reduced to a list
+// of { row, data } records and then run through the same normaliser, so a
+// CSV column called "Product Name" and a JSON field called "title" end up in
+// the same place.
+
+export const FEED_FORMATS = ["json", "jsonl", "csv", "tiktok"]
+
+const FIELD_ALIASES = {
+  product_id: ["product_id", "id", "productid", "sku_id", "item_id"],
+  title: ["title", "product_name", "name", "product_title"],
+  category: ["category", "category_name", "product_category"],
+  price: ["price", "sale_price", "min_price", "product_price"],
+  currency: ["currency", "price_currency"],
+  product_url: ["product_url", "product_link", "url", "link", "detail_url"],
+  image_url: ["image_url", "main_image", "image", "image_link", "cover_image"]
+}
+
+// "Product ID", "productId" and "product-id" all become product_id.
+function normalizeKey(key) {
+  return String(key)
+    .replace(/([a-z0-9])([A-Z])/g, "$1_$2")
+    .trim()
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, "_")
+    .replace(/^_|_$/g, "")
+}
+
+export class FeedParseError extends Error {}
+
+function splitCsvRecords(text, delimiter) {
+  const records = []
+  let record = []
+  let field = ""
+  let quoted = false
+  let line = 1
+  let recordLine = 1
+
+  for (let i = 0; i < text.length; i += 1) {
+    const char = text[i]
+    if (quoted) {
+      if (char === "\"" && text[i + 1] === "\"") {
+        field += "\""
+        i += 1
+      } else if (char === "\"") {
+        quoted = false
+      } else {
+        if (char === "\n") line += 1
+        field += char
+      }
+    } else if (char === "\"" && field === "") {
+      quoted = true
+    } else if (char === delimiter) {
+      record.push(field)
+      field = ""
+    } else if (char === "\n" || char === "\r") {
+      if (char === "\r" && text[i + 1] === "\n") i += 1
+      record.push(field)
+      records.push({ line: recordLine, fields: record })
+      record = []
+      field = ""
+      line += 1
+      recordLine = line
+    } else {
+      field += char
+    }
+  }
+  if (quoted) throw new FeedParseError(`Unterminated quoted field starting on line ${recordLine}`)
+  if (field !== "" || record.length) {
+    record.push(field)
+    records.push({ line: recordLine, fields: record })
+  }
+  return records.filter((entry) => entry.fields.some((value) => value.trim() !== ""))
+}
+
+function detectDelimiter(headerLine) {
+  const counts = [",", ";", "\t"].map((delimiter) => [delimiter, headerLine.split(delimiter).length])
+  return counts.sort((a, b) => b[1] - a[1])[0][0]
+}
+
+function parseCsv(text) {
+  const delimiter = detectDelimiter(text.slice(0, text.search(/\r?\n|$/)))
+  const [header, ...rows] = splitCsvRecords(text, delimiter)
+  if (!header) return []
+
+  const columns = header.fields.map((name) => name.trim())
+  return rows.map((entry, index) => {
+    const data = {}
+    columns.forEach((column, position) => {
+      if (column) data[column] = entry.fields[position]?.trim() ?? ""
+    })
+    return { row: index + 1, line: entry.line, data }
+  })
+}
+
+function parseJsonl(text) {
+  const records = []
+  text.split(/\r?\n/).forEach((line, index) => {
+    if (!line.trim()) return
+    const row = records.length + 1
+    try {
+      records.push({ row, line: index + 1, data: JSON.parse(line) })
+    } catch (_error) {
+      records.push({ row, line: index + 1, data: null, errors: ["line is not valid JSON"] })
+    }
+  })
+  return records
+}
+
+function parseJson(text) {
+  let body
+  try {
+    body = JSON.parse(text)
+  } catch (error) {
+    throw new FeedParseError(`Feed is not valid JSON: ${error.message}`)
+  }
+  // TikTok Shop affiliate exports wrap the list as { data: { products: [...] } }.
+  const items = Array.isArray(body) ? body : body?.data?.products ?? body?.products ?? body?.data
+  if (!Array.isArray(items)) throw new FeedParseError("JSON feed must be an array or contain a products array")
+  return items.map((data, index) => ({ row: index + 1, data }))
+}
+
+// An explicit format wins; otherwise the file name, then the content decides.
+export function detectFormat({ format, filename = "", contentType = "", text = "" }) {
+  if (format) {
+    if (!FEED_FORMATS.includes(format)) throw new FeedParseError(`format must be one of ${FEED_FORMATS.join(", ")}`)
+    return format
+  }
+  const extension = filename.toLowerCase().split(".").pop()
+  if (["jsonl", "ndjson"].includes(extension) || contentType.includes("ndjson")) return "jsonl"
+  if (extension === "json" || contentType.includes("json")) return "json"
+  if (["csv", "tsv"].includes(extension) || contentType.includes("csv")) return "csv"
+
+  const start = text.trimStart()
+  if (start.startsWith("[")) return "json"
+  if (start.startsWith("{")) return /^\{[^\n]*\}\s*\n\s*\{/.test(start) ? "jsonl" : "json"
+  return "csv"
+}
+
+export function parseFeed(text, format) {
+  const content = text.replace(/^\uFEFF/, "")
+  if (format === "csv") return parseCsv(content)
+  if (format === "jsonl") return parseJsonl(content)
+  if (format === "tiktok") return content.trimStart().startsWith("{") || content.trimStart().startsWith("[") ? parseJson(content) : parseCsv(content)
+  return parseJson(content)
+}
+
+function pick(fields, name) {
+  for (const alias of FIELD_ALIASES[name]) {
+    const value = fields[alias]
+    if (value !== undefined && value !== null && value !== "") return value
+  }
+  return undefined
+}
+
+function nested(value, ...keys) {
+  if (!value || typeof value !== "object") return value
+  for (const key of keys) if (value[key] !== undefined) return value[key]
+  return undefined
+}
+
+// Accepts 199, "199.00", "฿1,299" and "1.299,50" style prices.
+function parsePrice(value) {
+  if (typeof value === "number") return value
+  let text = String(value).replace(/[^\d.,-]/g, "")
+  if (/,\d{1,2}$/.test(text)) text = text.replace(/\./g, "").replace(",", ".")
+  else text = text.replace(/,/g, "")
+  return text === "" ? NaN : Number(text)
+}
+
+function isHttpUrl(value) {
+  try {
+    return ["http:", "https:"].includes(new URL(value).protocol)
+  } catch (_error) {
+    return false
+  }
+}
+
+// Returns { product, errors }; product is null when the row is rejected.
+export function normalizeProduct(data) {
+  if (!data || typeof data !== "object" || Array.isArray(data)) return { product: null, errors: ["row must be an object"] }
+
+  const fields = {}
+  for (const [key, value] of Object.entries(data)) fields[normalizeKey(key)] = value
+
+  const errors = []
+  const productId = String(pick(fields, "product_id") ?? "").trim()
+  const title = String(pick(fields, "title") ?? "").trim()
+  const category = String(nested(pick(fields, "category"), "name") ?? "general").trim() || "general"
+  const rawPrice = nested(pick(fields, "price"), "sale_price", "min_price", "amount")
+  const priceCurrency = typeof fields.price === "object" ? fields.price?.currency : undefined
+  const currency = String(pick(fields, "currency") ?? priceCurrency ?? "THB").trim().toUpperCase()
+  const productUrl = String(pick(fields, "product_url") ?? "").trim()
+  const images = fields.main_images ?? fields.images
+  const imageUrl = String(pick(fields, "image_url") ?? nested(Array.isArray(images) ? images[0] : images, "url") ?? "").trim()
+
+  if (!productId) errors.push("product_id is required")
+  else if (productId.length > 128) errors.push("product_id must be at most 128 characters")
+  if (!title) errors.push("title is required")
+
+  let price = null
+  if (rawPrice !== undefined && rawPrice !== null && rawPrice !== "") {
+    price = parsePrice(rawPrice)
+    if (!Number.isFinite(price) || price < 0) errors.push("price must be a non-negative number")
+  }
+  if (!/^[A-Z]{3}$/.test(currency)) errors.push("currency must be a 3-letter code")
+  if (productUrl && !isHttpUrl(productUrl)) errors.push("product_url must be an http(s) URL")
+  if (imageUrl && !isHttpUrl(imageUrl)) errors.push("image_url must be an http(s) URL")
+
+  if (errors.length) return { product: null, errors }
+  return {
+    product: {
+      product_id: productId,
+      title: title.slice(0, 255),
+      category: category.slice(0, 100),
+      price,
+      currency,
+      product_url: productUrl || null,
+      image_url: imageUrl || null,
+      raw_payload: data
+    },
+    errors
+  }
+}
@@ -0,0 +1,339 @@
+import { fetch } from "undici"
+import { pool, withTransaction } from "./db.js"
+import { publishEvent } from "./events.js"
+import { FeedParseError, detectFormat, normalizeProduct, parseFeed } from "./feedFormats.js"
+import { httpError } from "./http.js"
+import { assertPublicHost, publicAgent } from "./publicHosts.js"
+import { queueWebhookEvent } from "./webhooks.js"
+
+// Small feeds are imported inside the request; bigger ones, and every URL
+// feed, become a feed_import_jobs row that the background worker picks up.
+// Either way a feed is applied in a single transaction, so a failed import
+// leaves the catalogue untouched.
+
+const UPSERT_BATCH_SIZE = 500
+const MAX_REDIRECTS = 5
+const MAX_ATTEMPTS = 3
+
+export const FEED_IMPORT_JOB_COLUMNS =
+  "id, workspace_id, user_id, feed_id, feed_name, source, format, source_url, status, summary, error, attempts, finished_at, updated_at, created_at"
+
+export function prepareFeed({ text, format, filename, contentType }, { maxRows }) {
+  try {
+    const detected = detectFormat({ format, filename, contentType, text })
+    const records = parseFeed(text, detected)
+    if (records.length > maxRows) throw httpError(413, `Feed has ${records.length} rows, the limit is ${maxRows}`)
+    return { format: detected, records }
+  } catch (error) {
+    if (error instanceof FeedParseError) throw httpError(400, error.message)
+    throw error
+  }
+}
+
+function validateRecords(records) {
+  const rows = []
+  const accepted = []
+  const firstRowById = new Map()
+
+  for (const record of records) {
+    const entry = record.line ? { row: record.row, line: record.line } : { row: record.row }
+    const { product, errors } = record.errors ? { product: null, errors: record.errors } : normalizeProduct(record.data)
+
+    if (!product) {
+      rows.push({ ...entry, status: "rejected", errors })
+      continue
+    }
+    entry.product_id = product.product_id
+    if (firstRowById.has(product.product_id)) {
+      rows.push({ ...entry, status: "rejected", errors: [`duplicate product_id, already imported from row ${firstRowById.get(product.product_id)}`] })
+      continue
+    }
+
+    firstRowById.set(product.product_id, record.row)
+    rows.push(entry)
+    accepted.push({ entry, product })
+  }
+
+  return { rows, accepted }
+}
+
+// One statement per batch: the previous prices are read from the snapshot
+// before the upsert, so a price history row is written for new products and
+// for every product whose price changed.
+async function upsertBatch(client, feedId, workspaceId, userId, batch) {
+  const column = (name) => batch.map(({ product }) => product[name])
+  const result = await client.query(
+    `WITH incoming AS (
+       SELECT * FROM unnest(
+         $4::varchar[], $5::varchar[], $6::varchar[], $7::numeric[], $8::varchar[], $9::text[], $10::text[], $11::jsonb[]
+       ) AS t(product_id, title, category, price, currency, product_url, image_url, raw_payload)
+     ),
+     previous AS (
+       SELECT p.product_id, p.price FROM products p
+       JOIN incoming i ON i.product_id = p.product_id
+       WHERE p.workspace_id=$2
+     ),
+     saved AS (
+       INSERT INTO products (feed_id, workspace_id, user_id, product_id, title, category, price, currency, product_url, image_url, raw_payload)
+       SELECT $1, $2, $3, i.* FROM incoming i
+       ON CONFLICT (workspace_id, product_id) DO UPDATE
+       SET feed_id=EXCLUDED.feed_id,
+           title=EXCLUDED.title,
+           category=EXCLUDED.category,
+           price=EXCLUDED.price,
+           currency=EXCLUDED.currency,
+           product_url=EXCLUDED.product_url,
+           image_url=EXCLUDED.image_url,
+           raw_payload=EXCLUDED.raw_payload,
+           updated_at=NOW()
+       RETURNING id, product_id, price, currency, (xmax = 0) AS inserted
+     ),
+     changed AS (
+       SELECT s.*, pr.price AS previous_price FROM saved s
+       LEFT JOIN previous pr ON pr.product_id = s.product_id
+     ),
+     history AS (
+       INSERT INTO product_price_history (product_ref, feed_id, price, previous_price, currency)
+       SELECT id, $1, price, previous_price, currency FROM changed
+       WHERE price IS NOT NULL AND (inserted OR price IS DISTINCT FROM previous_price)
+     )
+     SELECT id, product_id, inserted, price, previous_price FROM changed`,
+    [
+      feedId,
+      workspaceId,
+      userId,
+      column("product_id"),
+      column("title"),
+      column("category"),
+      column("price"),
+      column("currency"),
+      column("product_url"),
+      column("image_url"),
+      batch.map(({ product }) => JSON.stringify(product.raw_payload))
+    ]
+  )
+  return result.rows
+}
+
+// Returns the per-row report: every row is inserted, updated or rejected,
+// with the reasons for rejections. Products are the workspace's; userId is
+// the member importing them.
+export async function importFeed(workspaceId, userId, { feedName, records }) {
+  const { rows, accepted } = validateRecords(records)
+
+  return withTransaction(async (client) => {
+    const feed = await client.query(
+      "INSERT INTO product_feeds (workspace_id, user_id, feed_name) VALUES ($1,$2,$3) RETURNING *",
+      [workspaceId, userId, feedName]
+    )
+
+    for (let start = 0; start < accepted.length; start += UPSERT_BATCH_SIZE) {
+      const batch = accepted.slice(start, start + UPSERT_BATCH_SIZE)
+      const saved = new Map((await upsertBatch(client, feed.rows[0].id, workspaceId, userId, batch)).map((row) => [row.product_id, row]))
+      for (const { entry, product } of batch) {
+        const row = saved.get(product.product_id)
+        entry.id = row.id
+        entry.status = row.inserted ? "inserted" : "updated"
+        if (!row.inserted && row.price !== row.previous_price) {
+          entry.price_change = { from: row.previous_price, to: row.price }
+        }
+      }
+    }
+
+    const summary = { total: rows.length, inserted: 0, updated: 0, rejected: 0 }
+    for (const row of rows) summary[row.status] += 1
+    await queueWebhookEvent(client, workspaceId, "product.imported", {
+      feed_id: feed.rows[0].id,
+      feed_name: feed.rows[0].feed_name,
+      summary
+    })
+    return { feed: feed.rows[0], summary, rows }
+  })
+}
+
+export function parseFeedUrl(value) {
+  let url
+  try {
+    url = new URL(String(value))
+  } catch (_error) {
+    throw httpError(400, "url must be a valid URL")
+  }
+  if (!["http:", "https:"].includes(url.protocol)) throw httpError(400, "url must use http or https")
+  return url.toString()
+}
+
+// Redirects are followed by hand so every hop gets the private-address
+// check, not only the first.
+async function fetchFeed(sourceUrl, { maxBytes, fetchTimeoutMs, allowPrivateUrls }) {
+  const controller = new AbortController()
+  const timeoutId = setTimeout(() => controller.abort(), fetchTimeoutMs)
+  try {
+    let url = new URL(sourceUrl)
+    for (let hop = 0; hop <= MAX_REDIRECTS; hop += 1) {
+      if (!allowPrivateUrls) await assertPublicHost(url.hostname)
+      const response = await fetch(url, {
+        redirect: "manual",
+        signal: controller.signal,
+        dispatcher: allowPrivateUrls ? undefined : publicAgent
+      }).catch((error) => {
+        // fetch reports network failures as "fetch failed" with the reason in cause.
+        throw error.cause instanceof Error ? error.cause : error
+      })
+
+      if (response.status >= 300 && response.status < 400 && response.headers.get("location")) {
+        url = new URL(response.headers.get("location"), url)
+        continue
+      }
+      if (!response.ok) throw new Error(`Feed URL responded ${response.status}`)
+      if (Number(response.headers.get("content-length") || 0) > maxBytes) throw new Error(`Feed is larger than ${maxBytes} bytes`)
+
+      const chunks = []
+      let size = 0
+      for await (const chunk of response.body) {
+        size += chunk.length
+        if (size > maxBytes) throw new Error(`Feed is larger than ${maxBytes} bytes`)
+        chunks.push(chunk)
+      }
+      return {
+        text: Buffer.concat(chunks).toString("utf8"),
+        filename: url.pathname,
+        contentType: response.headers.get("content-type") ?? ""
+      }
+    }
+    throw new Error("Feed URL redirected too many times")
+  } finally {
+    clearTimeout(timeoutId)
+  }
+}
+
+async function publishImportUpdate(job) {
+  await publishEvent(pool, job.workspace_id, "feed_import.updated", {
+    id: job.id,
+    status: job.status,
+    feed_id: job.feed_id,
+    summary: job.summary,
+    error: job.error
+  })
+}
+
+export async function enqueueFeedImport(workspaceId, userId, { feedName, format = null, sourceUrl = null, content = null }) {
+  const job = await pool.query(
+    `INSERT INTO feed_import_jobs (workspace_id, user_id, feed_name, source, format, source_url, content)
+     VALUES ($1,$2,$3,$4,$5,$6,$7)
+     RETURNING ${FEED_IMPORT_JOB_COLUMNS}`,
+    [workspaceId, userId, feedName, sourceUrl ? "url" : "upload", format, sourceUrl, content]
+  )
+  await publishImportUpdate(job.rows[0])
+  return job.rows[0]
+}
+
+export async function getFeedImportJob(workspaceId, id) {
+  const job = await pool.query(
+    `SELECT ${FEED_IMPORT_JOB_COLUMNS}, report FROM feed_import_jobs WHERE id=$1 AND workspace_id=$2`,
+    [id, workspaceId]
+  )
+  if (!job.rows.length) throw httpError(404, "Feed import not found")
+  return job.rows[0]
+}
+
+// A job whose worker died mid-import is claimed again once its lease lapses;
+// the import transaction never committed, so running it again is safe. A feed
+// that keeps killing workers is given up on after MAX_ATTEMPTS.
+async function reapExpiredImports(leaseMs) {
+  const reaped = await pool.query(
+    `UPDATE feed_import_jobs
+     SET status='failed', error='worker lease expired', content=NULL, locked_by=NULL, locked_at=NULL,
+         finished_at=NOW(), updated_at=NOW()
+     WHERE status='running' AND attempts >= $1 AND locked_at < NOW() - make_interval(secs => $2)
+     RETURNING ${FEED_IMPORT_JOB_COLUMNS}`,
+    [MAX_ATTEMPTS, leaseMs / 1000]
+  )
+  for (const job of reaped.rows) await publishImportUpdate(job)
+}
+
+async function claimFeedImport(workerId, leaseMs) {
+  const claimed = await pool.query(
+    `UPDATE feed_import_jobs
+     SET status='running', attempts = attempts + 1, locked_by=$1, locked_at=NOW(), updated_at=NOW()
+     WHERE id = (
+       SELECT id FROM feed_import_jobs
+       WHERE status='queued' OR (status='running' AND locked_at < NOW() - make_interval(secs => $2))
+       ORDER BY id ASC
+       FOR UPDATE SKIP LOCKED
+       LIMIT 1
+     )
+     RETURNING *`,
+    [workerId, leaseMs / 1000]
+  )
+  if (!claimed.rows.length) return null
+
+  await publishImportUpdate(claimed.rows[0])
+  return claimed.rows[0]
+}
+
+async function finishFeedImport(job, workerId, assignments, values) {
+  const finished = await pool.query(
+    `UPDATE feed_import_jobs
+     SET ${assignments}, content=NULL, locked_by=NULL, locked_at=NULL, finished_at=NOW(), updated_at=NOW()
+     WHERE id=$1 AND locked_by=$2 AND status='running'
+     RETURNING ${FEED_IMPORT_JOB_COLUMNS}`,
+    [job.id, workerId, ...values]
+  )
+  if (finished.rows.length) await publishImportUpdate(finished.rows[0])
+}
+
+async function runFeedImport(job, limits) {
+  const source = job.source === "url"
+    ? await fetchFeed(job.source_url, limits)
+    : { text: job.content ?? "", filename: "", contentType: "" }
+  const { records } = prepareFeed({ ...source, format: job.format ?? undefined }, limits)
+  return importFeed(job.workspace_id, job.user_id, { feedName: job.feed_name, records })
+}
+
+export function createFeedImportWorker({ workerId, pollIntervalMs, leaseMs, ...limits }) {
+  let stopping = false
+  let loop = null
+
+  const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms))
+
+  async function run() {
+    while (!stopping) {
+      let job = null
+      try {
+        await reapExpiredImports(leaseMs)
+        job = await claimFeedImport(workerId, leaseMs)
+      } catch (error) {
+        console.error("Feed import poll failed:", error)
+      }
+
+      if (!job) {
+        await sleep(pollIntervalMs)
+        continue
+      }
+
+      try {
+        const report = await runFeedImport(job, limits)
+        await finishFeedImport(job, workerId, "status='completed', feed_id=$3, summary=$4, report=$5, error=NULL", [
+          report.feed.id,
+          JSON.stringify(report.summary),
+          JSON.stringify(report.rows)
+        ])
+      } catch (error) {
+        console.error(`Feed import ${job.id} failed:`, error.message)
+        await finishFeedImport(job, workerId, "status='failed', error=$3", [error.message]).catch((finishError) => {
+          console.error(`Could not record failure for feed import ${job.id}:`, finishError)
+        })
+      }
+    }
+  }
+
+  return {
+    start() {
+      loop = run()
+    },
+    async stop() {
+      stopping = true
+      await loop
+    }
+  }
+}
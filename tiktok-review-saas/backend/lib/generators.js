@@ -0,0 +1,201 @@
+import { checkCompliance } from "./compliance.js"
+import { chooseHooks } from "./hooks.js"
+import { findTemplate, productVariables, renderTemplate } from "./scriptTemplates.js"
+
+function shuffle(list) {
+  const copy = [...list]
+  for (let i = copy.length - 1; i > 0; i -= 1) {
+    const j = Math.floor(Math.random() * (i + 1))
+    ;[copy[i], copy[j]] = [copy[j], copy[i]]
+  }
+  return copy
+}
+
+// Hook records take part in the A/B experiment; template hooks only top the
+// variant list up when there are fewer than three records.
+async function hookVariants(product, language, sections, hookSelection) {
+  const records = await chooseHooks({ category: product.category, language, ...hookSelection })
+  const fillers = shuffle(sections.hooks).map((text) => ({ id: null, text }))
+  return [...records, ...fillers].slice(0, 3)
+}
+
+function createTemplateGenerator(hookSelection) {
+  return {
+    name: "template",
+    async generate(product, { language = "th" } = {}) {
+      const template = await findTemplate(product.category, language)
+      const { sections } = template
+      const vars = productVariables(product, sections, language)
+
+      const variants = await hookVariants(product, language, sections, hookSelection)
+      const hooks = variants.map((variant) => renderTemplate(variant.text, vars))
+      const hook = hooks[0]
+      const cta = renderTemplate(sections.cta, vars)
+      const scoped = { ...vars, hook, cta }
+
+      return {
+        generator: "template",
+        template_id: template.id,
+        language,
+        title: renderTemplate(sections.title, scoped),
+        hook,
+        hook_id: variants[0].id,
+        hooks,
+        script: renderTemplate(sections.long_script, scoped),
+        short_scripts: sections.short_scripts.slice(0, 2).map((text) => renderTemplate(text, scoped)),
+        storyboard: sections.storyboard.map((scene, index) => ({
+          scene: index + 1,
+          duration_sec: Number(scene.duration_sec),
+          shot: scene.shot ?? "",
+          text: renderTemplate(scene.text, scoped)
+        })),
+        cta,
+        hashtags: renderTemplate(sections.hashtags, scoped),
+        ab_test_ideas: (sections.ab_test_ideas ?? []).map((idea) => renderTemplate(idea, scoped))
+      }
+    }
+  }
+}
+
+const LLM_SYSTEM_PROMPT = `You write high-converting TikTok Shop affiliate review videos.
+Analyze the product's target customer pain points, alternatives, objections and emotional/rational hooks.
+Reply with a single JSON object and nothing else:
+{"title": string, "hooks": [3 strings], "script": string, "short_scripts": [2 strings],
+ "storyboard": [{"duration_sec": number, "shot": string, "text": string}],
+ "cta": string, "hashtags": string, "ab_test_ideas": [strings about the first 3 seconds]}`
+
+function isStringList(value, min) {
+  return Array.isArray(value) && value.length >= min && value.every((item) => typeof item === "string" && item.trim())
+}
+
+// Keeps only well-formed fields from the model reply; anything missing or
+// malformed falls through to the template output.
+function pickLlmFields(reply) {
+  const picked = {}
+  if (typeof reply.title === "string" && reply.title.trim()) picked.title = reply.title.trim()
+  if (isStringList(reply.hooks, 3)) picked.hooks = reply.hooks.slice(0, 3)
+  if (typeof reply.script === "string" && reply.script.trim()) picked.script = reply.script
+  if (isStringList(reply.short_scripts, 2)) picked.short_scripts = reply.short_scripts.slice(0, 2)
+  if (typeof reply.cta === "string" && reply.cta.trim()) picked.cta = reply.cta
+  if (typeof reply.hashtags === "string" && reply.hashtags.trim()) picked.hashtags = reply.hashtags
+  if (isStringList(reply.ab_test_ideas, 1)) picked.ab_test_ideas = reply.ab_test_ideas
+  if (
+    Array.isArray(reply.storyboard) &&
+    reply.storyboard.length &&
+    reply.storyboard.every((scene) => scene && Number(scene.duration_sec) > 0 && typeof scene.text === "string")
+  ) {
+    picked.storyboard = reply.storyboard.map((scene, index) => ({
+      scene: index + 1,
+      duration_sec: Number(scene.duration_sec),
+      shot: String(scene.shot ?? ""),
+      text: scene.text
+    }))
+  }
+  return picked
+}
+
+// Talks to any OpenAI-compatible chat completions endpoint (llama.cpp, vLLM,
+// Ollama, LM Studio...). The template generator always runs first so a slow,
+// offline or unparseable model never fails the request. Model-written hooks are
+// not hook records, so they are kept out of the A/B experiment.
+function createLlmGenerator({ baseUrl, apiKey, model, timeoutMs }, fallback) {
+  return {
+    name: "llm",
+    async generate(product, options = {}) {
+      const base = await fallback.generate(product, options)
+      const language = options.language ?? "th"
+
+      const controller = new AbortController()
+      const timeoutId = setTimeout(() => controller.abort(), timeoutMs)
+      try {
+        const headers = { "Content-Type": "application/json" }
+        if (apiKey) headers.Authorization = `Bearer ${apiKey}`
+
+        const response = await fetch(`${baseUrl.replace(/\/$/, "")}/chat/completions`, {
+          method: "POST",
+          headers,
+          signal: controller.signal,
+          body: JSON.stringify({
+            model,
+            temperature: 0.8,
+            response_format: { type: "json_object" },
+            messages: [
+              { role: "system", content: LLM_SYSTEM_PROMPT },
+              {
+                role: "user",
+                content: JSON.stringify({
+                  language: language === "en" ? "English" : "Thai",
+                  product: {
+                    title: product.title,
+                    category: product.category,
+                    price: product.price,
+                    discount: product.discount ?? null,
+                    currency: product.currency,
+                    details: product.raw_payload ?? {}
+                  }
+                })
+              }
+            ]
+          })
+        })
+        if (!response.ok) throw new Error(`LLM responded ${response.status}`)
+
+        const body = await response.json()
+        const content = body?.choices?.[0]?.message?.content ?? ""
+        const picked = pickLlmFields(JSON.parse(content.slice(content.indexOf("{"), content.lastIndexOf("}") + 1)))
+        if (!picked.script) throw new Error("LLM reply has no script")
+
+        const merged = { ...base, ...picked, generator: "llm", model }
+        if (picked.hooks) {
+          merged.hook = picked.hooks[0]
+          merged.hook_id = null
+        }
+        return merged
+      } catch (error) {
+        console.error("LLM generator failed, using template output:", error.message)
+        return base
+      } finally {
+        clearTimeout(timeoutId)
+      }
+    }
+  }
+}
+
+// Every package, template or model written, carries its compliance report
+// for the product's category. Flagged packages are still returned; uploads
+// are where blocking findings are enforced.
+function withComplianceCheck(generator) {
+  return {
+    name: generator.name,
+    async generate(product, options = {}) {
+      const pack = await generator.generate(product, options)
+      const compliance = await checkCompliance(pack, { category: product.category, language: pack.language })
+      return { ...pack, compliance }
+    }
+  }
+}
+
+// The parts of a generated package that have no column of their own.
+export function generationDetails(pack) {
+  return {
+    generator: pack.generator,
+    model: pack.model,
+    template_id: pack.template_id,
+    hook_id: pack.hook_id,
+    language: pack.language,
+    hooks: pack.hooks,
+    short_scripts: pack.short_scripts,
+    cta: pack.cta,
+    ab_test_ideas: pack.ab_test_ideas,
+    compliance: pack.compliance
+  }
+}
+
+export function createScriptGenerator({ engine = "template", llm = {}, hookSelection = {} } = {}) {
+  const templateGenerator = createTemplateGenerator(hookSelection)
+  if (engine === "llm") {
+    if (!llm.baseUrl) throw new Error("LLM_BASE_URL is required when SCRIPT_GENERATOR=llm")
+    return withComplianceCheck(createLlmGenerator(llm, templateGenerator))
+  }
+  return withComplianceCheck(templateGenerator)
+}
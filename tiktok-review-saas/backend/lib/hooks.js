@@ -0,0 +1,159 @@
+import { pool } from "./db.js"
+import { httpError } from "./http.js"
+
+export const HOOK_STRATEGIES = ["bandit", "weighted"]
+export const HOOK_METRICS = ["orders", "clicks"]
+
+function sampleNormal() {
+  const u = 1 - Math.random()
+  const v = Math.random()
+  return Math.sqrt(-2 * Math.log(u)) * Math.cos(2 * Math.PI * v)
+}
+
+// Marsaglia & Tsang (2000).
+function sampleGamma(shape) {
+  if (shape < 1) return sampleGamma(shape + 1) * Math.random() ** (1 / shape)
+  const d = shape - 1 / 3
+  const c = 1 / Math.sqrt(9 * d)
+  for (;;) {
+    let x
+    let v
+    do {
+      x = sampleNormal()
+      v = 1 + c * x
+    } while (v <= 0)
+    v = v * v * v
+    const u = Math.random()
+    if (u < 1 - 0.0331 * x ** 4) return d * v
+    if (Math.log(u) < 0.5 * x * x + d * (1 - v + Math.log(v))) return d * v
+  }
+}
+
+function sampleBeta(alpha, beta) {
+  const x = sampleGamma(alpha)
+  return x / (x + sampleGamma(beta))
+}
+
+// Thompson sampling: each hook's conversion rate is drawn from
+// Beta(1 + successes, 1 + failures) and the best draw wins, so proven hooks
+// are shown more often while untested ones still get explored.
+function pickBandit(candidates, metric) {
+  let best = null
+  let bestScore = -1
+  for (const hook of candidates) {
+    const successes = hook[metric]
+    const score = sampleBeta(1 + successes, 1 + Math.max(0, hook.views - successes))
+    if (score > bestScore) {
+      best = hook
+      bestScore = score
+    }
+  }
+  return best
+}
+
+function pickWeighted(candidates) {
+  const total = candidates.reduce((sum, hook) => sum + Number(hook.weight), 0)
+  let roll = Math.random() * total
+  for (const hook of candidates) {
+    roll -= Number(hook.weight)
+    if (roll <= 0) return hook
+  }
+  return candidates[candidates.length - 1]
+}
+
+// Returns up to `count` hook records for the category/language: the first is
+// the variant chosen by the strategy, the rest are random alternatives.
+export async function chooseHooks({ category, language, strategy = "bandit", metric = "orders" }, count = 3) {
+  const data = await pool.query(
+    `SELECT h.id, h.text, h.category, h.weight,
+       COALESCE(SUM(su.views),0)::int AS views,
+       COALESCE(SUM(su.clicks),0)::int AS clicks,
+       COALESCE(SUM(su.orders),0)::int AS orders
+     FROM hooks h
+     LEFT JOIN video_jobs vj ON vj.hook_id = h.id
+     LEFT JOIN showcase_uploads su ON su.video_job_id = vj.id
+     WHERE h.active=TRUE AND h.weight > 0 AND h.language=$2 AND h.category IN ($1, 'general')
+     GROUP BY h.id`,
+    [category || "general", language]
+  )
+
+  const specific = data.rows.filter((hook) => hook.category !== "general")
+  const candidates = specific.length ? specific : data.rows
+  if (!candidates.length) return []
+
+  const selected = strategy === "weighted" ? pickWeighted(candidates) : pickBandit(candidates, metric)
+  const others = candidates.filter((hook) => hook.id !== selected.id).sort(() => Math.random() - 0.5)
+  return [selected, ...others].slice(0, count).map(({ id, text }) => ({ id, text }))
+}
+
+export async function hookPerformance({ workspaceId = null, limit = 10 } = {}) {
+  const data = await pool.query(
+    `SELECT h.id, h.text, h.language, h.category,
+       COUNT(DISTINCT vj.id)::int AS video_jobs,
+       COUNT(su.id)::int AS uploads,
+       COALESCE(SUM(su.views),0)::int AS views,
+       COALESCE(SUM(su.clicks),0)::int AS clicks,
+       COALESCE(SUM(su.orders),0)::int AS orders,
+       ROUND(SUM(su.clicks)::numeric / NULLIF(SUM(su.views),0), 4) AS click_rate,
+       ROUND(SUM(su.orders)::numeric / NULLIF(SUM(su.views),0), 4) AS order_rate
+     FROM hooks h
+     JOIN video_jobs vj ON vj.hook_id = h.id AND ($1::int IS NULL OR vj.workspace_id=$1)
+     LEFT JOIN showcase_uploads su ON su.video_job_id = vj.id
+     GROUP BY h.id
+     ORDER BY order_rate DESC NULLS LAST, click_rate DESC NULLS LAST, views DESC
+     LIMIT $2`,
+    [workspaceId, limit]
+  )
+  return data.rows
+}
+
+export async function recordUploadPerformance(workspaceId, uploadId, { views, clicks, orders }) {
+  const updated = await pool.query(
+    `UPDATE showcase_uploads
+     SET views = COALESCE($3, views),
+         clicks = COALESCE($4, clicks),
+         orders = COALESCE($5, orders),
+         performance_updated_at = NOW()
+     WHERE id=$1 AND workspace_id=$2
+     RETURNING *`,
+    [uploadId, workspaceId, views ?? null, clicks ?? null, orders ?? null]
+  )
+  if (!updated.rows.length) throw httpError(404, "Showcase upload not found")
+  return updated.rows[0]
+}
+
+export async function listHooks({ category, language } = {}) {
+  const data = await pool.query(
+    `SELECT * FROM hooks
+     WHERE ($1::text IS NULL OR category=$1) AND ($2::text IS NULL OR language=$2)
+     ORDER BY category ASC, language ASC, id ASC`,
+    [category || null, language || null]
+  )
+  return data.rows
+}
+
+export async function createHook({ text, category, language, weight, active }, userId) {
+  const created = await pool.query(
+    `INSERT INTO hooks (text, category, language, weight, active, created_by)
+     VALUES ($1,$2,$3,$4,$5,$6)
+     RETURNING *`,
+    [text, category, language, weight, active, userId]
+  )
+  return created.rows[0]
+}
+
+export async function updateHook(id, changes) {
+  const updated = await pool.query(
+    `UPDATE hooks
+     SET text = COALESCE($2, text),
+         category = COALESCE($3, category),
+         language = COALESCE($4, language),
+         weight = COALESCE($5, weight),
+         active = COALESCE($6, active)
+     WHERE id=$1
+     RETURNING *`,
+    [id, changes.text ?? null, changes.category ?? null, changes.language ?? null, changes.weight ?? null, changes.active ?? null]
+  )
+  if (!updated.rows.length) throw httpError(404, "Hook not found")
+  return updated.rows[0]
+}
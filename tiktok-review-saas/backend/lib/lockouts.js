@@ -0,0 +1,91 @@
+import { recordAudit } from "./audit.js"
+import { withTransaction } from "./db.js"
+import { httpError } from "./http.js"
+import { queryPage } from "./pagination.js"
+
+// Failed sign-ins are counted per email, whether or not it has an account,
+// so a lockout says nothing about which emails are registered. Every
+// `threshold` consecutive failures lock the email out, for baseSeconds the
+// first time and twice as long each time after, up to maxSeconds. A
+// successful sign-in, a password reset or an admin clears the count; so does
+// a quiet spell of resetAfterSeconds without failures.
+
+const LOCKOUT_COLUMNS = `id, email, failed_count, lockouts, locked_until, last_failed_at, last_ip, created_at,
+  GREATEST(CEIL(EXTRACT(EPOCH FROM locked_until - NOW())), 0)::int AS retry_after`
+
+// Seconds left on the email's lockout, or 0.
+export async function lockoutRemaining(db, email) {
+  const found = await db.query(
+    "SELECT GREATEST(CEIL(EXTRACT(EPOCH FROM locked_until - NOW())), 0)::int AS remaining FROM login_lockouts WHERE email=$1",
+    [email]
+  )
+  return found.rows[0]?.remaining ?? 0
+}
+
+// Returns the seconds the email is now locked out for, or 0.
+export async function recordLoginFailure(db, email, ip, { threshold, baseSeconds, maxSeconds, resetAfterSeconds }) {
+  const updated = await db.query(
+    `INSERT INTO login_lockouts AS ll (email, failed_count, last_failed_at, last_ip)
+     VALUES ($1, 1, NOW(), $2)
+     ON CONFLICT (email) DO UPDATE SET
+       failed_count = CASE WHEN ll.last_failed_at < NOW() - make_interval(secs => $3) THEN 1 ELSE ll.failed_count + 1 END,
+       lockouts = CASE WHEN ll.last_failed_at < NOW() - make_interval(secs => $3) THEN 0 ELSE ll.lockouts END,
+       last_failed_at = NOW(),
+       last_ip = EXCLUDED.last_ip
+     RETURNING id, failed_count, lockouts`,
+    [email, ip, resetAfterSeconds]
+  )
+  const row = updated.rows[0]
+  if (row.failed_count < threshold) return 0
+
+  const seconds = Math.min(baseSeconds * 2 ** row.lockouts, maxSeconds)
+  await db.query(
+    `UPDATE login_lockouts
+     SET failed_count=0, lockouts=lockouts + 1, locked_until=NOW() + make_interval(secs => $2)
+     WHERE id=$1`,
+    [row.id, seconds]
+  )
+  return seconds
+}
+
+export async function clearLoginFailures(db, email) {
+  await db.query("DELETE FROM login_lockouts WHERE email=$1", [email])
+}
+
+// Emails with failures on record; ?status=locked keeps those locked out now.
+export async function listLockouts(query) {
+  const where = []
+  if (query.status === "locked") where.push("locked_until > NOW()")
+  else if (query.status) throw httpError(400, "status must be locked")
+  return queryPage(query, {
+    select: LOCKOUT_COLUMNS,
+    from: "login_lockouts",
+    where,
+    params: [],
+    sorts: {
+      last_failed_at: { expr: "last_failed_at", type: "timestamp" },
+      created_at: { expr: "created_at", type: "timestamp" }
+    },
+    defaultSort: "last_failed_at"
+  })
+}
+
+export async function clearLockout(id, audit) {
+  return withTransaction(async (client) => {
+    const deleted = await client.query(`DELETE FROM login_lockouts WHERE id=$1 RETURNING ${LOCKOUT_COLUMNS}`, [id])
+    if (!deleted.rows.length) throw httpError(404, "Lockout not found")
+    const lockout = deleted.rows[0]
+    await recordAudit(client, audit, {
+      action: "auth.lockout_cleared",
+      targetType: "login_lockout",
+      targetId: lockout.id,
+      before: {
+        email: lockout.email,
+        failed_count: lockout.failed_count,
+        lockouts: lockout.lockouts,
+        locked_until: lockout.locked_until
+      }
+    })
+    return lockout
+  })
+}
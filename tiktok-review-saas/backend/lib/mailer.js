@@ -0,0 +1,58 @@
+import crypto from "node:crypto"
+import fs from "node:fs/promises"
+import path from "node:path"
+import nodemailer from "nodemailer"
+
+export const MAIL_TRANSPORTS = ["smtp", "file", "console"]
+
+// Every mailer exposes send({ to, subject, text, html }). The file and
+// console transports are for local development: file writes each message as
+// an .eml that any mail client opens, console prints the text part.
+
+function createSmtpMailer({ from, smtp }) {
+  if (!smtp.host) throw new Error("SMTP_HOST is required when MAIL_TRANSPORT=smtp")
+  const transporter = nodemailer.createTransport({
+    host: smtp.host,
+    port: smtp.port,
+    secure: smtp.secure,
+    auth: smtp.user ? { user: smtp.user, pass: smtp.pass } : undefined
+  })
+  return {
+    name: "smtp",
+    async send(message) {
+      const info = await transporter.sendMail({ from, ...message })
+      return { id: info.messageId }
+    }
+  }
+}
+
+function createFileMailer({ from, outboxDir }) {
+  const transporter = nodemailer.createTransport({ streamTransport: true, buffer: true })
+  return {
+    name: "file",
+    async send(message) {
+      const info = await transporter.sendMail({ from, ...message })
+      const file = path.resolve(outboxDir, `${Date.now()}-${crypto.randomBytes(4).toString("hex")}.eml`)
+      await fs.mkdir(path.dirname(file), { recursive: true })
+      await fs.writeFile(file, info.message)
+      return { id: info.messageId, file }
+    }
+  }
+}
+
+function createConsoleMailer({ from }) {
+  return {
+    name: "console",
+    async send({ to, subject, text }) {
+      console.log(`[mail] from=${from} to=${to} subject=${subject}\n${text}`)
+      return { id: null }
+    }
+  }
+}
+
+export function createMailer({ transport = "console", ...options }) {
+  if (transport === "smtp") return createSmtpMailer(options)
+  if (transport === "file") return createFileMailer(options)
+  if (transport === "console") return createConsoleMailer(options)
+  throw new Error(`MAIL_TRANSPORT must be one of ${MAIL_TRANSPORTS.join(", ")}`)
+}
@@ -0,0 +1,389 @@
+import { httpError } from "./http.js"
+import { validate } from "./schema.js"
+
+// Routes are declared through createApi(app) instead of on app directly:
+//
+//   api.post("/workspaces", { tag, summary, body, response, status: 201 }, auth, handler)
+//
+// The spec's params, query and body schemas are checked right before the
+// final handler, after authentication, and replaced with the cleaned values,
+// so handlers read typed input. A failed check is a 400 whose details.fields
+// lists every problem as { in, field, message }. The same specs make up the
+// OpenAPI 3 document served at /openapi.json and the /docs page.
+//
+// Middleware that affects the contract (auth, roles, rate limits) is tagged
+// with describeMiddleware, and the security requirements, X-Workspace-Id
+// header and 401/403/429 responses are derived from those tags.
+
+const METHODS = ["get", "post", "patch", "delete"]
+
+const ERROR_RESPONSES = {
+  400: { name: "BadRequest", description: "The request is invalid; details.fields lists the problems", schema: "ValidationError" },
+  401: { name: "Unauthorized", description: "Missing, invalid or expired credentials" },
+  402: { name: "PaymentRequired", description: "The wallet balance is too low" },
+  403: { name: "Forbidden", description: "The caller may not do this" },
+  404: { name: "NotFound", description: "Not found" },
+  409: { name: "Conflict", description: "Conflicts with the current state" },
+  410: { name: "Gone", description: "No longer available" },
+  413: { name: "PayloadTooLarge", description: "The upload is too large" },
+  422: { name: "ComplianceBlocked", description: "The content breaks a blocking compliance rule; details is the report", schema: "ComplianceError" },
+  429: { name: "TooManyRequests", description: "Rate limited; retry after Retry-After seconds" },
+  502: { name: "BadGateway", description: "An upstream service failed" },
+  503: { name: "ServiceUnavailable", description: "Not configured on this server" }
+}
+
+const described = new WeakMap()
+
+// Tags middleware with what it means for the contract: { auth: true },
+// { scope }, { admin: true }, { verified: true }, { workspaceRole },
+// { quota } or { rateLimit: { group, max, windowSeconds } }.
+export function describeMiddleware(middleware, meta) {
+  described.set(middleware, { ...described.get(middleware), ...meta })
+  return middleware
+}
+
+function pathParams(path) {
+  return [...path.matchAll(/:(\w+)/g)].map((match) => match[1])
+}
+
+function toOpenApiPath(path) {
+  return path.replace(/:(\w+)/g, "{$1}")
+}
+
+function operationId(method, path) {
+  const words = path.split(/[/.-]/).filter(Boolean).map((part) => {
+    const name = part.startsWith(":") ? `by_${part.slice(1)}` : part
+    return name.replace(/_(\w)/g, (_match, letter) => letter.toUpperCase())
+  })
+  return [method, ...words].map((word, index) => index ? word[0].toUpperCase() + word.slice(1) : word).join("")
+}
+
+function errorMessage(errors) {
+  return errors.map((error) => `${error.field} ${error.message}`).join("; ")
+}
+
+function successResponses(spec) {
+  if (spec.responses) return spec.responses
+  return { [spec.status ?? 200]: spec.response }
+}
+
+function requestValidator(route, { components, validateResponses }) {
+  const { spec, method, path } = route
+  const inputs = [["params", route.paramsSchema], ["query", spec.query], ["body", spec.body]].filter(([, schema]) => schema)
+  const responses = successResponses(spec)
+
+  return (req, res, next) => {
+    const errors = []
+    for (const [location, schema] of inputs) {
+      const coerce = location !== "body" || req.is("multipart/form-data") === "multipart/form-data"
+      const checked = validate(schema, req[location], { location, coerce, components })
+      errors.push(...checked.errors)
+      req[location] = checked.value
+    }
+    if (errors.length) return next(httpError(400, errorMessage(errors), { fields: errors }))
+
+    if (validateResponses) {
+      const json = res.json.bind(res)
+      res.json = (body) => {
+        const schema = responses[res.statusCode]
+        if (schema && body !== undefined) {
+          const checked = validate(schema, JSON.parse(JSON.stringify(body)), { location: "response", mode: "response", components })
+          if (checked.errors.length) {
+            console.warn(`Response of ${method.toUpperCase()} ${path} does not match its schema: ${errorMessage(checked.errors)}`)
+          }
+        }
+        return json(body)
+      }
+    }
+    next()
+  }
+}
+
+function parameter(name, location, schema, required) {
+  const { description, ...rest } = schema
+  const param = { name, in: location, required, schema: rest }
+  if (description) param.description = description
+  return param
+}
+
+function securityNotes(meta) {
+  const notes = []
+  if (meta.admin) notes.push("Admins only.")
+  if (meta.verified) notes.push("Needs a verified email address.")
+  if (meta.workspaceRole) notes.push(`Needs the ${meta.workspaceRole} role in the workspace.`)
+  if (meta.quota) notes.push(`Counts against the workspace's ${meta.quota} quota.`)
+  if (meta.scope) notes.push(`API keys need the ${meta.scope} scope.`)
+  if (meta.rateLimit?.max) {
+    const { group, max, windowSeconds } = meta.rateLimit
+    notes.push(`Rate limited with the ${group} group: ${max} requests per ${windowSeconds} seconds.`)
+  }
+  return notes
+}
+
+// Read when the document is built rather than at registration, so middleware
+// may be tagged after the first routes using it are declared.
+function middlewareMeta(handlers) {
+  return Object.assign({}, ...handlers.map((handler) => described.get(handler) ?? {}))
+}
+
+function buildOperation(route) {
+  const { spec, method, path } = route
+  const meta = middlewareMeta(route.handlers)
+  const operation = { tags: [spec.tag], summary: spec.summary, operationId: spec.operationId ?? operationId(method, path) }
+  const description = [spec.description, ...securityNotes(meta)].filter(Boolean).join("\n\n")
+  if (description) operation.description = description
+  if (spec.deprecated) operation.deprecated = true
+
+  const parameters = []
+  for (const [name, schema] of Object.entries(route.paramsSchema?.properties ?? {})) {
+    parameters.push(parameter(name, "path", schema, true))
+  }
+  if (meta.workspaceRole && !pathParams(path).includes("workspaceId")) {
+    parameters.push({
+      name: "X-Workspace-Id",
+      in: "header",
+      required: false,
+      description: "The workspace to act in; the caller's personal workspace without it",
+      schema: { type: "integer", minimum: 1 }
+    })
+  }
+  for (const [name, schema] of Object.entries(spec.query?.properties ?? {})) {
+    parameters.push(parameter(name, "query", schema, spec.query.required?.includes(name) ?? false))
+  }
+  if (parameters.length) operation.parameters = parameters
+
+  if (spec.body) {
+    const content = { "application/json": { schema: spec.body } }
+    for (const type of spec.bodyTypes ?? []) content[type] = { schema: spec.body }
+    operation.requestBody = { required: Boolean(spec.body.required?.length), content }
+  }
+
+  operation.responses = {}
+  for (const [status, schema] of Object.entries(successResponses(spec))) {
+    const response = { description: spec.responseDescription ?? "OK" }
+    if (schema) response.content = { [spec.produces ?? "application/json"]: { schema } }
+    for (const [type, alternative] of Object.entries(spec.alsoProduces ?? {})) {
+      response.content = { ...response.content, [type]: { schema: alternative } }
+    }
+    operation.responses[status] = response
+  }
+
+  const errors = new Set(spec.errors ?? [])
+  if (route.paramsSchema || spec.query || spec.body) errors.add(400)
+  if (meta.auth) errors.add(401).add(403)
+  if (meta.workspaceRole) errors.add(404)
+  if (meta.rateLimit?.max) errors.add(429)
+  for (const status of [...errors].sort((a, b) => a - b)) {
+    operation.responses[status] = { $ref: `#/components/responses/${ERROR_RESPONSES[status].name}` }
+  }
+
+  if (meta.auth) {
+    operation.security = meta.scope ? [{ session: [] }, { apiKey: [] }] : [{ session: [] }]
+    if (meta.scope) operation["x-api-key-scope"] = meta.scope
+  } else {
+    operation.security = []
+  }
+  return operation
+}
+
+function buildDocument(routes, { title, version, description, components }) {
+  const paths = {}
+  const tags = []
+  for (const route of routes) {
+    if (route.spec.hidden) continue
+    const path = toOpenApiPath(route.path)
+    paths[path] = { ...paths[path], [route.method]: buildOperation(route) }
+    if (!tags.includes(route.spec.tag)) tags.push(route.spec.tag)
+  }
+
+  const responses = {}
+  for (const { name, description: text, schema = "Error" } of Object.values(ERROR_RESPONSES)) {
+    responses[name] = { description: text, content: { "application/json": { schema: { $ref: `#/components/schemas/${schema}` } } } }
+  }
+  responses.TooManyRequests.headers = {
+    "Retry-After": { description: "Seconds until the limit resets", schema: { type: "integer" } }
+  }
+
+  return {
+    openapi: "3.0.3",
+    info: { title, version, description },
+    tags: tags.map((name) => ({ name })),
+    paths,
+    components: {
+      schemas: components,
+      responses,
+      securitySchemes: {
+        session: {
+          type: "http",
+          scheme: "bearer",
+          bearerFormat: "JWT",
+          description: "Access token from /login or /token/refresh"
+        },
+        apiKey: {
+          type: "http",
+          scheme: "bearer",
+          description: "Personal API key (trk_...) from /me/api-keys; the operation's x-api-key-scope must be granted"
+        }
+      }
+    }
+  }
+}
+
+export function createApi(app, { title, version, description, components, validateResponses = false }) {
+  const routes = []
+  let document = null
+
+  function register(method, path, spec, handlers) {
+    const declared = Object.keys(spec.params ?? {})
+    const inPath = pathParams(path)
+    if (declared.length !== inPath.length || inPath.some((name) => !declared.includes(name))) {
+      throw new Error(`${method.toUpperCase()} ${path} must declare a schema for each path param`)
+    }
+    const paramsSchema = declared.length ? { type: "object", properties: spec.params, required: declared } : null
+    const route = { method, path, spec, handlers, paramsSchema }
+    routes.push(route)
+    document = null
+
+    const handler = handlers[handlers.length - 1]
+    app[method](path, ...handlers.slice(0, -1), requestValidator(route, { components, validateResponses }), handler)
+  }
+
+  const api = {
+    routes() {
+      return routes
+        .filter((route) => !route.spec.hidden)
+        .map((route) => ({ method: route.method.toUpperCase(), path: route.path, summary: route.spec.summary }))
+    },
+    document() {
+      document ??= buildDocument(routes, { title, version, description, components })
+      return document
+    }
+  }
+  for (const method of METHODS) api[method] = (path, spec, ...handlers) => register(method, path, spec, handlers)
+  return api
+}
+
+function escapeHtml(value) {
+  return String(value).replace(/[&<>"']/g, (char) => `&#${char.charCodeAt(0)};`)
+}
+
+function schemaName(ref) {
+  return ref.replace("#/components/schemas/", "")
+}
+
+// One line per schema: "integer, min 1", "Workspace[]", "th | en = th".
+function typeLabel(schema) {
+  if (schema.$ref) {
+    const name = schemaName(schema.$ref)
+    return `<a href="#schema-${escapeHtml(name)}">${escapeHtml(name)}</a>`
+  }
+  let label
+  if (schema.enum) label = schema.enum.map((value) => escapeHtml(JSON.stringify(value))).join(" | ")
+  else if (schema.type === "array") label = `${schema.items ? typeLabel(schema.items) : "any"}[]`
+  else label = escapeHtml(schema.type ?? "any")
+  const details = []
+  if (schema.format) details.push(schema.format)
+  if (schema.minimum !== undefined) details.push(`${schema.exclusiveMinimum ? ">" : "min"} ${schema.minimum}`)
+  if (schema.maximum !== undefined) details.push(`max ${schema.maximum}`)
+  if (schema.minLength !== undefined) details.push(`min length ${schema.minLength}`)
+  if (schema.maxLength !== undefined) details.push(`max length ${schema.maxLength}`)
+  if (schema.maxItems !== undefined) details.push(`max ${schema.maxItems} items`)
+  if (schema.nullable) details.push("nullable")
+  if (schema.default !== undefined) details.push(`default ${JSON.stringify(schema.default)}`)
+  return details.length ? `${label} <small>(${escapeHtml(details.join(", "))})</small>` : label
+}
+
+function schemaHtml(schema) {
+  if (!schema) return ""
+  const properties = schema.properties ?? schema.items?.properties
+  if (!properties || schema.$ref) return `<p class="type">${typeLabel(schema)}</p>`
+  const required = schema.properties ? schema.required ?? [] : schema.items.required ?? []
+  const rows = Object.entries(properties).map(([name, property]) => `
+    <tr>
+      <td><code>${escapeHtml(name)}</code>${required.includes(name) ? " <b>*</b>" : ""}</td>
+      <td>${typeLabel(property)}${property.properties ? schemaHtml(property) : ""}</td>
+      <td>${escapeHtml(property.description ?? "")}</td>
+    </tr>`).join("")
+  const prefix = schema.type === "array" ? "<p class=\"type\">array of</p>" : ""
+  return `${prefix}<table>${rows}</table>`
+}
+
+function parametersHtml(parameters = []) {
+  if (!parameters.length) return ""
+  const rows = parameters.map((param) => `
+    <tr>
+      <td><code>${escapeHtml(param.name)}</code>${param.required ? " <b>*</b>" : ""}</td>
+      <td>${escapeHtml(param.in)}</td>
+      <td>${typeLabel(param.schema)}</td>
+      <td>${escapeHtml(param.description ?? "")}</td>
+    </tr>`).join("")
+  return `<h4>Parameters</h4><table>${rows}</table>`
+}
+
+function responsesHtml(responses, document) {
+  return Object.entries(responses).map(([status, response]) => {
+    const resolved = response.$ref ? document.components.responses[response.$ref.split("/").pop()] : response
+    const content = Object.entries(resolved.content ?? {}).map(([type, { schema }]) => `
+      <div class="content"><small>${escapeHtml(type)}</small>${response.$ref ? `<p class="type">${typeLabel(schema)}</p>` : schemaHtml(schema)}</div>`).join("")
+    return `<div class="response"><b>${escapeHtml(status)}</b> ${escapeHtml(resolved.description)}${content}</div>`
+  }).join("")
+}
+
+// A static rendering of the document for people; tooling should read
+// /openapi.json.
+export function renderDocs(document) {
+  const sections = document.tags.map(({ name }) => {
+    const operations = []
+    for (const [path, methods] of Object.entries(document.paths)) {
+      for (const [method, operation] of Object.entries(methods)) {
+        if (operation.tags[0] !== name) continue
+        const security = operation.security.length
+          ? operation["x-api-key-scope"] ? `Session or API key (${operation["x-api-key-scope"]})` : "Session"
+          : "None"
+        const body = operation.requestBody
+          ? `<h4>Request body <small>${escapeHtml(Object.keys(operation.requestBody.content).join(", "))}</small></h4>${schemaHtml(operation.requestBody.content["application/json"].schema)}`
+          : ""
+        operations.push(`
+      <details id="${escapeHtml(operation.operationId)}">
+        <summary><span class="method ${method}">${method.toUpperCase()}</span> <code>${escapeHtml(path)}</code> ${escapeHtml(operation.summary ?? "")}${operation.deprecated ? " <em>deprecated</em>" : ""}</summary>
+        ${(operation.description ?? "").split("\n\n").map((text) => `<p>${escapeHtml(text)}</p>`).join("")}
+        <p><b>Auth:</b> ${escapeHtml(security)}</p>
+        ${parametersHtml(operation.parameters)}
+        ${body}
+        <h4>Responses</h4>${responsesHtml(operation.responses, document)}
+      </details>`)
+      }
+    }
+    return `<section><h2>${escapeHtml(name)}</h2>${operations.join("")}</section>`
+  }).join("")
+
+  const schemas = Object.entries(document.components.schemas)
+    .map(([name, schema]) => `<div id="schema-${escapeHtml(name)}"><h3>${escapeHtml(name)}</h3>${schemaHtml(schema)}</div>`)
+    .join("")
+
+  return `<!doctype html>
+<html lang="en">
+<head>
+  <meta charset="utf-8">
+  <title>${escapeHtml(document.info.title)} ${escapeHtml(document.info.version)}</title>
+  <style>
+    body { font-family: system-ui, sans-serif; max-width: 1100px; margin: 0 auto; padding: 1rem 2rem; color: #1f2328; }
+    details { border: 1px solid #d0d7de; border-radius: 6px; margin: 0.4rem 0; padding: 0.4rem 0.8rem; }
+    summary { cursor: pointer; }
+    .method { display: inline-block; min-width: 4.5em; font-weight: bold; font-family: monospace; }
+    .get { color: #0969da; } .post { color: #1a7f37; } .patch { color: #9a6700; } .delete { color: #cf222e; }
+    table { border-collapse: collapse; margin: 0.3rem 0; }
+    td { border-top: 1px solid #eaeef2; padding: 0.2rem 0.6rem; vertical-align: top; }
+    .type { margin: 0.3rem 0; } .response { margin: 0.4rem 0; } .content { margin-left: 1rem; }
+  </style>
+</head>
+<body>
+  <h1>${escapeHtml(document.info.title)} <small>${escapeHtml(document.info.version)}</small></h1>
+  <p>${escapeHtml(document.info.description ?? "")}</p>
+  <p>Machine-readable: <a href="/openapi.json">/openapi.json</a>. Fields marked <b>*</b> are required.</p>
+  ${sections}
+  <section><h2>Schemas</h2>${schemas}</section>
+</body>
+</html>
+`
+}
@@ -0,0 +1,91 @@
+import { pool } from "./db.js"
+import { httpError } from "./http.js"
+
+// Keyset pagination shared by the list endpoints. Each endpoint declares the
+// sorts it allows as { key: { expr, type } }; expr must be non-null (wrap
+// nullable columns in COALESCE) and id breaks ties, so (sort value, id) is a
+// strict order and a cursor never skips or repeats a row.
+//
+// Query: ?limit=20&sort=created_at&order=desc&cursor=<next_cursor>
+// Reply: { items, next_cursor }, next_cursor being null on the last page.
+
+const DEFAULT_LIMIT = 20
+const MAX_LIMIT = 100
+
+function encodeCursor(value) {
+  return Buffer.from(JSON.stringify(value)).toString("base64url")
+}
+
+function decodeCursor(cursor) {
+  try {
+    const value = JSON.parse(Buffer.from(String(cursor), "base64url").toString("utf8"))
+    if (value && typeof value === "object" && Number.isInteger(value.id)) return value
+  } catch (_error) {
+    // Falls through to the 400 below.
+  }
+  throw httpError(400, "cursor is invalid")
+}
+
+export function parsePage(query, { sorts, defaultSort = "created_at", idColumn = "id" }) {
+  const limit = query.limit === undefined ? DEFAULT_LIMIT : Number(query.limit)
+  if (!Number.isInteger(limit) || limit < 1 || limit > MAX_LIMIT) {
+    throw httpError(400, `limit must be an integer between 1 and ${MAX_LIMIT}`)
+  }
+
+  const sort = query.sort === undefined ? defaultSort : String(query.sort)
+  if (!sorts[sort]) throw httpError(400, `sort must be one of ${Object.keys(sorts).join(", ")}`)
+
+  const order = query.order === undefined ? "desc" : String(query.order).toLowerCase()
+  if (!["asc", "desc"].includes(order)) throw httpError(400, "order must be asc or desc")
+
+  const after = query.cursor ? decodeCursor(query.cursor) : null
+  if (after && (after.sort !== sort || after.order !== order)) {
+    throw httpError(400, "cursor belongs to a different sort, start again without it")
+  }
+
+  const { expr, type } = sorts[sort]
+  const direction = order.toUpperCase()
+
+  return {
+    limit,
+    // Selected as text so timestamps keep their microseconds in the cursor.
+    sortColumn: `(${expr})::text AS sort_value`,
+    orderBy: `${expr} ${direction}, ${idColumn} ${direction}`,
+
+    // Appends the cursor values to params and returns the keyset condition,
+    // or TRUE on the first page.
+    condition(params) {
+      if (!after) return "TRUE"
+      params.push(after.value, after.id)
+      const operator = order === "desc" ? "<" : ">"
+      return `(${expr}, ${idColumn}) ${operator} ($${params.length - 1}::${type}, $${params.length})`
+    },
+
+    // Expects limit + 1 rows; the extra one only signals another page.
+    respond(rows) {
+      const items = rows.slice(0, limit)
+      const last = items[items.length - 1]
+      const nextCursor = rows.length > limit
+        ? encodeCursor({ sort, order, value: last.sort_value, id: last.id })
+        : null
+      for (const item of items) delete item.sort_value
+      return { items, next_cursor: nextCursor }
+    }
+  }
+}
+
+// Runs one page of `SELECT select FROM from WHERE where`. where holds SQL
+// conditions referring to params by position.
+export async function queryPage(query, { select = "*", from, where = [], params = [], sorts, defaultSort, idColumn = "id" }) {
+  const page = parsePage(query, { sorts, defaultSort, idColumn })
+  const values = [...params]
+  const conditions = [...where, page.condition(values)]
+  const data = await pool.query(
+    `SELECT ${select}, ${page.sortColumn} FROM ${from}
+     WHERE ${conditions.join(" AND ")}
+     ORDER BY ${page.orderBy}
+     LIMIT ${page.limit + 1}`,
+    values
+  )
+  return page.respond(data.rows)
+}
@@ -0,0 +1,239 @@
+import crypto from "node:crypto"
+import { httpError } from "./http.js"
+
+export const PAYMENT_PROVIDERS = ["promptpay", "card", "fake"]
+
+// Every payment provider exposes:
+//   createCharge({ reference, amount, expiresAt, callbackUrl, returnUrl })
+//     -> { providerRef, instructions } telling the payer how to pay
+//   parseCallback(headers, rawBody)
+//     -> { reference, providerRef, status, amount } once the signature checks
+//        out; status is "completed", "failed" or null for interim updates
+//
+// Callbacks are signed the same way our own webhooks are:
+//   X-Payment-Signature  t=<unix seconds>,v1=<hex HMAC-SHA256 of "<t>.<body>">
+// Amounts in callbacks are THB unless a provider says otherwise.
+
+const SIGNATURE_HEADER = "x-payment-signature"
+const PROMPTPAY_AID = "A000000677010111"
+
+function sign(secret, timestamp, body) {
+  return crypto.createHmac("sha256", secret).update(`${timestamp}.${body}`).digest("hex")
+}
+
+function signatureHeader(secret, body) {
+  const timestamp = Math.floor(Date.now() / 1000)
+  return `t=${timestamp},v1=${sign(secret, timestamp, body)}`
+}
+
+function verifySignature(secret, header, rawBody, toleranceSeconds) {
+  const parts = Object.fromEntries(
+    String(header ?? "").split(",").map((part) => part.trim().split("=", 2)).filter((pair) => pair.length === 2)
+  )
+  const timestamp = Number(parts.t)
+  if (!Number.isInteger(timestamp) || !parts.v1) throw httpError(401, "Missing or malformed payment signature")
+  if (Math.abs(Date.now() / 1000 - timestamp) > toleranceSeconds) throw httpError(401, "Payment signature has expired")
+
+  const expected = Buffer.from(sign(secret, timestamp, rawBody.toString("utf8")), "hex")
+  const given = Buffer.from(parts.v1, "hex")
+  if (given.length !== expected.length || !crypto.timingSafeEqual(given, expected)) {
+    throw httpError(401, "Invalid payment signature")
+  }
+}
+
+function parseJsonBody(rawBody) {
+  try {
+    return JSON.parse(rawBody.toString("utf8"))
+  } catch (_error) {
+    throw httpError(400, "Callback body must be JSON")
+  }
+}
+
+// Callbacks in the shape the PromptPay relay and the fake provider both send:
+// { reference, status: "completed" | "failed", amount, transaction_id }.
+function parseSignedCallback(secret, toleranceSeconds, headers, rawBody) {
+  verifySignature(secret, headers[SIGNATURE_HEADER], rawBody, toleranceSeconds)
+  const body = parseJsonBody(rawBody)
+  if (!body.reference) throw httpError(400, "reference is required")
+  return {
+    reference: String(body.reference),
+    providerRef: body.transaction_id ? String(body.transaction_id) : null,
+    status: ["completed", "failed"].includes(body.status) ? body.status : null,
+    amount: body.amount === undefined ? undefined : Number(body.amount)
+  }
+}
+
+// EMVCo merchant-presented QR fields are <id><2-digit length><value>.
+function emvField(id, value) {
+  return `${id}${String(value.length).padStart(2, "0")}${value}`
+}
+
+// CRC-16/CCITT-FALSE over the whole payload including the "6304" CRC tag.
+function crc16(text) {
+  let crc = 0xffff
+  for (const byte of Buffer.from(text, "utf8")) {
+    crc ^= byte << 8
+    for (let bit = 0; bit < 8; bit += 1) {
+      crc = crc & 0x8000 ? (crc << 1) ^ 0x1021 : crc << 1
+      crc &= 0xffff
+    }
+  }
+  return crc.toString(16).toUpperCase().padStart(4, "0")
+}
+
+// A PromptPay id is a mobile number (10 digits), a national or tax id (13) or
+// an e-wallet id (15).
+function promptPayAccount(id) {
+  const digits = String(id ?? "").replace(/\D/g, "")
+  if (digits.length === 10 && digits.startsWith("0")) return emvField("01", `0066${digits.slice(1)}`)
+  if (digits.length === 13) return emvField("02", digits)
+  if (digits.length === 15) return emvField("03", digits)
+  throw new Error("PROMPTPAY_ID must be a 10-digit mobile number, a 13-digit national or tax id, or a 15-digit e-wallet id")
+}
+
+export function promptPayPayload(id, amount, reference) {
+  const body = [
+    emvField("00", "01"),
+    emvField("01", "12"),
+    emvField("29", emvField("00", PROMPTPAY_AID) + promptPayAccount(id)),
+    emvField("53", "764"),
+    emvField("54", Number(amount).toFixed(2)),
+    emvField("58", "TH"),
+    emvField("62", emvField("05", reference.slice(0, 25)))
+  ].join("")
+  return `${body}6304${crc16(`${body}6304`)}`
+}
+
+// PromptPay has no gateway of its own: the payer scans a dynamic QR in their
+// banking app and the confirmation comes from whatever watches the receiving
+// account (a bank API or a slip-verification service), relayed to the
+// callback route and signed with PROMPTPAY_CALLBACK_SECRET.
+function createPromptPayProvider({ promptpay, toleranceSeconds }) {
+  promptPayAccount(promptpay.id)
+  if (!promptpay.callbackSecret) throw new Error("PROMPTPAY_CALLBACK_SECRET is required for the promptpay provider")
+  return {
+    name: "promptpay",
+    async createCharge({ reference, amount, expiresAt }) {
+      return {
+        providerRef: null,
+        instructions: {
+          type: "promptpay_qr",
+          qr_payload: promptPayPayload(promptpay.id, amount, reference),
+          amount,
+          currency: "THB",
+          expires_at: expiresAt
+        }
+      }
+    },
+    parseCallback(headers, rawBody) {
+      return parseSignedCallback(promptpay.callbackSecret, toleranceSeconds, headers, rawBody)
+    }
+  }
+}
+
+const CARD_COMPLETED_STATES = ["succeeded", "successful", "paid", "captured", "completed"]
+const CARD_FAILED_STATES = ["failed", "declined", "canceled", "cancelled", "expired", "reversed"]
+
+// A hosted-checkout card gateway. POST <base>/charges with the amount in
+// satang returns { id, checkout_url }; the gateway later calls back with
+// { id, reference, status, amount } (satang again), signed as above.
+function createCardProvider({ card, toleranceSeconds }) {
+  if (!card.baseUrl || !card.apiKey) throw new Error("CARD_GATEWAY_BASE_URL and CARD_GATEWAY_API_KEY are required for the card provider")
+  if (!card.callbackSecret) throw new Error("CARD_GATEWAY_CALLBACK_SECRET is required for the card provider")
+  const root = card.baseUrl.replace(/\/$/, "")
+
+  return {
+    name: "card",
+    async createCharge({ reference, amount, expiresAt, callbackUrl, returnUrl }) {
+      let response
+      try {
+        response = await fetch(`${root}/charges`, {
+          method: "POST",
+          redirect: "manual",
+          signal: AbortSignal.timeout(card.timeoutMs),
+          headers: {
+            "Content-Type": "application/json",
+            Authorization: `Bearer ${card.apiKey}`,
+            "Idempotency-Key": reference
+          },
+          body: JSON.stringify({
+            amount: Math.round(amount * 100),
+            currency: "THB",
+            reference,
+            callback_url: callbackUrl,
+            return_url: returnUrl,
+            expires_at: expiresAt
+          })
+        })
+      } catch (error) {
+        throw httpError(502, `Card gateway unreachable: ${error.cause?.message ?? error.message}`)
+      }
+
+      const body = await response.json().catch(() => ({}))
+      if (!response.ok || !body.id || !body.checkout_url) {
+        throw httpError(502, `Card gateway refused the charge (${response.status})`, { gateway_error: body.error ?? null })
+      }
+      return {
+        providerRef: String(body.id),
+        instructions: { type: "redirect", url: body.checkout_url, expires_at: expiresAt }
+      }
+    },
+    parseCallback(headers, rawBody) {
+      verifySignature(card.callbackSecret, headers[SIGNATURE_HEADER], rawBody, toleranceSeconds)
+      const body = parseJsonBody(rawBody)
+      if (!body.reference) throw httpError(400, "reference is required")
+      const state = String(body.status ?? "").toLowerCase()
+      let status = null
+      if (CARD_COMPLETED_STATES.includes(state)) status = "completed"
+      else if (CARD_FAILED_STATES.includes(state)) status = "failed"
+      return {
+        reference: String(body.reference),
+        providerRef: body.id ? String(body.id) : null,
+        status,
+        amount: body.amount === undefined ? undefined : Number(body.amount) / 100
+      }
+    }
+  }
+}
+
+// For local development and tests. Nothing is charged: the app settles a
+// fake deposit by signing a callback itself (see signCallback), and so can
+// anything else that knows PAYMENT_FAKE_SECRET. Never enable in production.
+function createFakeProvider({ fake, toleranceSeconds }) {
+  const secret = fake.secret || crypto.randomBytes(32).toString("hex")
+  return {
+    name: "fake",
+    async createCharge({ reference, amount, expiresAt }) {
+      return {
+        providerRef: `fake_${crypto.randomBytes(8).toString("hex")}`,
+        instructions: {
+          type: "fake",
+          amount,
+          currency: "THB",
+          complete: `/payments/fake/${reference}/complete`,
+          fail: `/payments/fake/${reference}/fail`,
+          expires_at: expiresAt
+        }
+      }
+    },
+    parseCallback(headers, rawBody) {
+      return parseSignedCallback(secret, toleranceSeconds, headers, rawBody)
+    },
+    signCallback(payload) {
+      const rawBody = Buffer.from(JSON.stringify(payload))
+      return { headers: { [SIGNATURE_HEADER]: signatureHeader(secret, rawBody.toString("utf8")) }, rawBody }
+    }
+  }
+}
+
+function createPaymentProvider(name, options) {
+  if (name === "promptpay") return createPromptPayProvider(options)
+  if (name === "card") return createCardProvider(options)
+  if (name === "fake") return createFakeProvider(options)
+  throw new Error(`PAYMENT_PROVIDERS must be drawn from ${PAYMENT_PROVIDERS.join(", ")}`)
+}
+
+// The enabled providers by name, in the order configured.
+export function createPaymentProviders({ providers = [], ...options }) {
+  return new Map(providers.map((name) => [name, createPaymentProvider(name, options)]))
+}
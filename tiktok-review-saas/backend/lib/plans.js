@@ -0,0 +1,91 @@
+import { recordAudit } from "./audit.js"
+import { pool, withTransaction } from "./db.js"
+import { httpError } from "./http.js"
+
+// Rental plans are managed by admins. A plan's code is what workspaces.plan
+// and the quota meter refer to, so it never changes after creation; plans in
+// use are deactivated rather than deleted. Prices apply to new subscriptions
+// and renewals only: user_rentals.total_price keeps what each rental cost.
+// Quota changes apply to active rentals straight away.
+
+const PLAN_COLUMNS = `id, code, name, monthly_price, max_video_jobs, max_script_generations, max_showcase_uploads,
+  perks, active, updated_at, created_at`
+
+const EDITABLE_FIELDS = [
+  "name",
+  "monthly_price",
+  "max_video_jobs",
+  "max_script_generations",
+  "max_showcase_uploads",
+  "perks",
+  "active"
+]
+
+export async function listPlans({ includeInactive = false } = {}) {
+  const plans = await pool.query(
+    `SELECT ${PLAN_COLUMNS},
+       (SELECT COUNT(*)::int FROM user_rentals ur WHERE ur.plan_id = rental_plans.id AND ur.status='active') AS active_rentals
+     FROM rental_plans
+     WHERE $1 OR active
+     ORDER BY monthly_price ASC, id ASC`,
+    [includeInactive]
+  )
+  return plans.rows
+}
+
+export async function createPlan(input, audit) {
+  return withTransaction(async (client) => {
+    let created
+    try {
+      created = await client.query(
+        `INSERT INTO rental_plans (code, ${EDITABLE_FIELDS.join(", ")})
+         VALUES ($1,$2,$3,$4,$5,$6,$7,$8)
+         RETURNING ${PLAN_COLUMNS}`,
+        [input.code, ...EDITABLE_FIELDS.map((field) => input[field])]
+      )
+    } catch (error) {
+      if (error.code === "23505") throw httpError(409, `A plan with code ${input.code} already exists`)
+      throw error
+    }
+
+    const plan = created.rows[0]
+    await recordAudit(client, audit, { action: "plan.created", targetType: "rental_plan", targetId: plan.id, after: plan })
+    return plan
+  })
+}
+
+// Only the fields present in changes are written, so quotas can be set back
+// to null (unlimited).
+export async function updatePlan(id, changes, audit) {
+  const fields = EDITABLE_FIELDS.filter((field) => changes[field] !== undefined)
+  if (!fields.length) throw httpError(400, `Nothing to update, send any of ${EDITABLE_FIELDS.join(", ")}`)
+
+  return withTransaction(async (client) => {
+    const current = await client.query(`SELECT ${PLAN_COLUMNS} FROM rental_plans WHERE id=$1 FOR UPDATE`, [id])
+    if (!current.rows.length) throw httpError(404, "Plan not found")
+    const before = current.rows[0]
+
+    const updated = await client.query(
+      `UPDATE rental_plans
+       SET ${fields.map((field, index) => `${field}=$${index + 2}`).join(", ")}, updated_at=NOW()
+       WHERE id=$1
+       RETURNING ${PLAN_COLUMNS}`,
+      [id, ...fields.map((field) => changes[field])]
+    )
+    const plan = updated.rows[0]
+
+    let action = "plan.updated"
+    if (before.active && !plan.active) action = "plan.deactivated"
+    else if (!before.active && plan.active) action = "plan.reactivated"
+    else if (Number(before.monthly_price) !== Number(plan.monthly_price)) action = "plan.repriced"
+
+    await recordAudit(client, audit, {
+      action,
+      targetType: "rental_plan",
+      targetId: id,
+      before: Object.fromEntries(fields.map((field) => [field, before[field]])),
+      after: Object.fromEntries(fields.map((field) => [field, plan[field]]))
+    })
+    return plan
+  })
+}
@@ -0,0 +1,129 @@
+import { pool } from "./db.js"
+import { httpError } from "./http.js"
+import { queryPage } from "./pagination.js"
+
+export const PRODUCT_SORTS = {
+  created_at: { expr: "p.created_at", type: "timestamp" },
+  updated_at: { expr: "p.updated_at", type: "timestamp" },
+  price: { expr: "COALESCE(p.price, -1)", type: "numeric" },
+  title: { expr: "p.title", type: "text" }
+}
+
+// How far back the highest recorded price counts as the "before" price when
+// a product is advertised as discounted.
+const DISCOUNT_WINDOW_DAYS = 30
+const MAX_SEARCH_TERMS = 5
+
+// Thai is written without spaces between words, so word-based full-text
+// search cannot find "เซรั่ม" inside "เซรั่มวิตามินซี". Each whitespace
+// separated term is matched as a substring instead (backed by a trigram
+// index), after stripping the zero-width spaces Thai text often carries.
+function searchTerms(value) {
+  return String(value ?? "")
+    .normalize("NFC")
+    .replace(/[\u200B-\u200D\uFEFF]/g, "")
+    .toLowerCase()
+    .split(/\s+/)
+    .filter(Boolean)
+    .slice(0, MAX_SEARCH_TERMS)
+    .map((term) => term.slice(0, 100).replace(/[\\%_]/g, "\\$&"))
+}
+
+function parsePrice(value, field) {
+  if (value === undefined || value === "") return null
+  const price = Number(value)
+  if (!Number.isFinite(price) || price < 0) throw httpError(400, `${field} must be a non-negative number`)
+  return price
+}
+
+export async function listProducts(workspaceId, query) {
+  const params = [workspaceId]
+  const where = ["p.workspace_id=$1"]
+
+  if (query.category) {
+    params.push(String(query.category).trim().toLowerCase())
+    where.push(`LOWER(p.category)=$${params.length}`)
+  }
+  if (query.feed_id !== undefined) {
+    const feedId = Number(query.feed_id)
+    if (!Number.isInteger(feedId) || feedId <= 0) throw httpError(400, "feed_id must be a positive integer")
+    params.push(feedId)
+    where.push(`p.feed_id=$${params.length}`)
+  }
+
+  const minPrice = parsePrice(query.min_price, "min_price")
+  const maxPrice = parsePrice(query.max_price, "max_price")
+  if (minPrice !== null && maxPrice !== null && minPrice > maxPrice) throw httpError(400, "min_price must not exceed max_price")
+  if (minPrice !== null) {
+    params.push(minPrice)
+    where.push(`p.price >= $${params.length}`)
+  }
+  if (maxPrice !== null) {
+    params.push(maxPrice)
+    where.push(`p.price <= $${params.length}`)
+  }
+
+  for (const term of searchTerms(query.q)) {
+    params.push(`%${term}%`)
+    where.push(`LOWER(p.title) LIKE $${params.length}`)
+  }
+
+  return queryPage(query, { select: "p.*", from: "products p", where, params, sorts: PRODUCT_SORTS, idColumn: "p.id" })
+}
+
+// Summarises the recorded prices: the range, and the change from the price
+// the product was first imported at to the current one.
+export async function getPriceTrend(workspaceId, productId) {
+  const product = await pool.query(
+    "SELECT id, product_id, title, price, currency FROM products WHERE id=$1 AND workspace_id=$2",
+    [productId, workspaceId]
+  )
+  if (!product.rows.length) throw httpError(404, "Product not found")
+
+  const history = await pool.query(
+    `SELECT price, previous_price, currency, feed_id, recorded_at
+     FROM product_price_history
+     WHERE product_ref=$1
+     ORDER BY recorded_at ASC, id ASC`,
+    [productId]
+  )
+  const prices = history.rows.map((row) => Number(row.price))
+  const first = prices[0]
+  const current = product.rows[0].price === null ? null : Number(product.rows[0].price)
+
+  return {
+    product: product.rows[0],
+    recorded_prices: history.rows.length,
+    first_price: first ?? null,
+    lowest_price: prices.length ? Math.min(...prices) : null,
+    highest_price: prices.length ? Math.max(...prices) : null,
+    change_pct: first && current !== null ? Math.round(((current - first) / first) * 1000) / 10 : null,
+    history: history.rows
+  }
+}
+
+// The highest price in effect at any point over the discount window, when
+// the current price is below it. The price set before the window opened
+// counts too, since it was still in effect when the window started.
+export async function discountFor(product) {
+  if (product.price === null || product.price === undefined) return null
+  const reference = await pool.query(
+    `SELECT MAX(price) AS price FROM (
+       SELECT price FROM product_price_history
+       WHERE product_ref=$1 AND recorded_at > NOW() - make_interval(days => $2)
+       UNION ALL
+       (SELECT price FROM product_price_history
+        WHERE product_ref=$1 AND recorded_at <= NOW() - make_interval(days => $2)
+        ORDER BY recorded_at DESC, id DESC
+        LIMIT 1)
+     ) prices`,
+    [product.id, DISCOUNT_WINDOW_DAYS]
+  )
+  const previous = Number(reference.rows[0].price)
+  const current = Number(product.price)
+  if (!previous || current >= previous) return null
+  return {
+    previous_price: reference.rows[0].price,
+    discount_pct: Math.round(((previous - current) / previous) * 100)
+  }
+}
@@ -0,0 +1,183 @@
+import { recordAudit } from "./audit.js"
+import { pool, withTransaction } from "./db.js"
+import { httpError } from "./http.js"
+import { queryPage } from "./pagination.js"
+import { roundMoney } from "./wallet.js"
+
+// Promo codes are managed by admins and redeemed on /rent/subscribe. A code
+// takes a percent or fixed amount off the subscription and can add bonus
+// video jobs to the rental it pays for. Renewals are charged the plan price
+// and do not carry the bonus over. Codes with redemptions are deactivated
+// rather than deleted, so past rentals keep pointing at them.
+
+const PROMO_COLUMNS = `id, code, description, discount_type, discount_value, bonus_video_jobs, plan_codes,
+  max_redemptions, max_redemptions_per_workspace, starts_at, expires_at, active, created_by, updated_at, created_at`
+
+const EDITABLE_FIELDS = [
+  "description",
+  "discount_type",
+  "discount_value",
+  "bonus_video_jobs",
+  "plan_codes",
+  "max_redemptions",
+  "max_redemptions_per_workspace",
+  "starts_at",
+  "expires_at",
+  "active"
+]
+
+export const DISCOUNT_TYPES = ["percent", "fixed"]
+
+export async function listPromoCodes() {
+  const promos = await pool.query(
+    `SELECT ${PROMO_COLUMNS},
+       (SELECT COUNT(*)::int FROM promo_redemptions pr WHERE pr.promo_code_id = promo_codes.id) AS redemptions,
+       (SELECT COALESCE(SUM(pr.discount_amount),0)::numeric(14,2) FROM promo_redemptions pr WHERE pr.promo_code_id = promo_codes.id) AS discount_total
+     FROM promo_codes
+     ORDER BY created_at DESC, id DESC`
+  )
+  return promos.rows
+}
+
+export async function createPromoCode(input, audit) {
+  return withTransaction(async (client) => {
+    let created
+    try {
+      created = await client.query(
+        `INSERT INTO promo_codes (code, created_by, ${EDITABLE_FIELDS.join(", ")})
+         VALUES ($1,$2,$3,$4,$5,$6,$7,$8,$9,$10,$11,$12)
+         RETURNING ${PROMO_COLUMNS}`,
+        [input.code, audit.actorUserId ?? null, ...EDITABLE_FIELDS.map((field) => input[field])]
+      )
+    } catch (error) {
+      if (error.code === "23505") throw httpError(409, `Promo code ${input.code} already exists`)
+      throw error
+    }
+
+    const promo = created.rows[0]
+    await recordAudit(client, audit, { action: "promo.created", targetType: "promo_code", targetId: promo.id, after: promo })
+    return promo
+  })
+}
+
+export async function updatePromoCode(id, changes, audit) {
+  const fields = EDITABLE_FIELDS.filter((field) => changes[field] !== undefined)
+  if (!fields.length) throw httpError(400, `Nothing to update, send any of ${EDITABLE_FIELDS.join(", ")}`)
+
+  return withTransaction(async (client) => {
+    const current = await client.query(`SELECT ${PROMO_COLUMNS} FROM promo_codes WHERE id=$1 FOR UPDATE`, [id])
+    if (!current.rows.length) throw httpError(404, "Promo code not found")
+    const before = current.rows[0]
+
+    const updated = await client.query(
+      `UPDATE promo_codes
+       SET ${fields.map((field, index) => `${field}=$${index + 2}`).join(", ")}, updated_at=NOW()
+       WHERE id=$1
+       RETURNING ${PROMO_COLUMNS}`,
+      [id, ...fields.map((field) => changes[field])]
+    )
+    const promo = updated.rows[0]
+    if (Number(promo.discount_value) === 0 && promo.bonus_video_jobs === 0) {
+      throw httpError(400, "A promo code must give a discount or bonus video jobs")
+    }
+    if (promo.discount_type === "percent" && Number(promo.discount_value) > 100) {
+      throw httpError(400, "A percent discount cannot be more than 100")
+    }
+
+    let action = "promo.updated"
+    if (before.active && !promo.active) action = "promo.deactivated"
+    else if (!before.active && promo.active) action = "promo.reactivated"
+
+    await recordAudit(client, audit, {
+      action,
+      targetType: "promo_code",
+      targetId: id,
+      before: Object.fromEntries(fields.map((field) => [field, before[field]])),
+      after: Object.fromEntries(fields.map((field) => [field, promo[field]]))
+    })
+    return promo
+  })
+}
+
+export async function listPromoRedemptions(promoId, query) {
+  return queryPage(query, {
+    select: "pr.*, w.name AS workspace_name, u.email",
+    from: `promo_redemptions pr
+      JOIN workspaces w ON w.id = pr.workspace_id
+      LEFT JOIN users u ON u.id = pr.user_id`,
+    where: ["pr.promo_code_id=$1"],
+    params: [promoId],
+    sorts: { created_at: { expr: "pr.created_at", type: "timestamp" } },
+    idColumn: "pr.id"
+  })
+}
+
+// Checks a code against the plan and workspace and works out the discount on
+// grossPrice. The code stays locked until the caller's transaction ends, so
+// usage limits hold under concurrent redemptions.
+export async function quotePromoCode(client, code, { plan, workspaceId, grossPrice }) {
+  const found = await client.query(
+    `SELECT ${PROMO_COLUMNS},
+       starts_at > NOW() AS not_started,
+       expires_at <= NOW() AS expired
+     FROM promo_codes
+     WHERE code=$1 AND active
+     FOR UPDATE`,
+    [String(code).trim().toUpperCase()]
+  )
+  const promo = found.rows[0]
+  if (!promo) throw httpError(404, "Promo code not found")
+  if (promo.not_started) throw httpError(409, "This promo code is not valid yet", { starts_at: promo.starts_at })
+  if (promo.expired) throw httpError(409, "This promo code has expired", { expires_at: promo.expires_at })
+  if (promo.plan_codes?.length && !promo.plan_codes.includes(plan.code)) {
+    throw httpError(409, "This promo code does not apply to that plan", { plan_codes: promo.plan_codes })
+  }
+
+  const used = await client.query(
+    `SELECT COUNT(*)::int AS total, COUNT(*) FILTER (WHERE workspace_id=$2)::int AS workspace
+     FROM promo_redemptions WHERE promo_code_id=$1`,
+    [promo.id, workspaceId]
+  )
+  if (promo.max_redemptions !== null && used.rows[0].total >= promo.max_redemptions) {
+    throw httpError(409, "This promo code has been used up")
+  }
+  if (used.rows[0].workspace >= promo.max_redemptions_per_workspace) {
+    throw httpError(409, "This workspace has already used this promo code")
+  }
+
+  const value = Number(promo.discount_value)
+  const discount = promo.discount_type === "percent"
+    ? roundMoney((grossPrice * value) / 100)
+    : Math.min(value, grossPrice)
+  return { promo, discount: roundMoney(discount), bonusVideoJobs: promo.bonus_video_jobs }
+}
+
+export async function recordRedemption(client, quote, { workspaceId, userId, rentalId }) {
+  const redemption = await client.query(
+    `INSERT INTO promo_redemptions (promo_code_id, workspace_id, user_id, rental_id, discount_amount, bonus_video_jobs)
+     VALUES ($1,$2,$3,$4,$5,$6)
+     RETURNING *`,
+    [quote.promo.id, workspaceId, userId, rentalId, quote.discount, quote.bonusVideoJobs]
+  )
+  return redemption.rows[0]
+}
+
+export async function promoCodeStats() {
+  const [totals, topCodes] = await Promise.all([
+    pool.query(
+      `SELECT COUNT(*)::int AS redemptions,
+         COALESCE(SUM(discount_amount),0)::numeric(14,2) AS discount_total,
+         COALESCE(SUM(bonus_video_jobs),0)::int AS bonus_video_jobs
+       FROM promo_redemptions`
+    ),
+    pool.query(
+      `SELECT pc.code, COUNT(pr.id)::int AS redemptions, COALESCE(SUM(pr.discount_amount),0)::numeric(14,2) AS discount_total
+       FROM promo_codes pc
+       JOIN promo_redemptions pr ON pr.promo_code_id = pc.id
+       GROUP BY pc.id
+       ORDER BY redemptions DESC, pc.code ASC
+       LIMIT 10`
+    )
+  ])
+  return { ...totals.rows[0], top_codes: topCodes.rows }
+}
@@ -0,0 +1,57 @@
+import dns from "node:dns/promises"
+import net from "node:net"
+import { Agent } from "undici"
+
+// Outbound requests to user-supplied URLs (feed fetches, webhooks) must not
+// reach the internal network. Checking the name up front is not enough on its
+// own: fetch resolves it again, and a rebinding DNS server can answer with a
+// private address the second time. publicAgent therefore re-checks at connect
+// time and hands the socket only the addresses it checked.
+
+const PRIVATE_RANGES = new net.BlockList()
+for (const [address, prefix] of [
+  ["0.0.0.0", 8], ["10.0.0.0", 8], ["100.64.0.0", 10], ["127.0.0.0", 8],
+  ["169.254.0.0", 16], ["172.16.0.0", 12], ["192.168.0.0", 16]
+]) PRIVATE_RANGES.addSubnet(address, prefix, "ipv4")
+// 64:ff9b::/96 (NAT64) and 2002::/16 (6to4) embed an IPv4 address that may
+// well be private, so both are refused outright.
+for (const [address, prefix] of [
+  ["::", 128], ["::1", 128], ["64:ff9b::", 96], ["2002::", 16], ["fc00::", 7], ["fe80::", 10]
+]) PRIVATE_RANGES.addSubnet(address, prefix, "ipv6")
+
+function isPrivate(address, family) {
+  const type = family === 6 ? "ipv6" : "ipv4"
+  const mapped = type === "ipv6" && address.startsWith("::ffff:") ? address.slice(7) : null
+  return PRIVATE_RANGES.check(address, type) || Boolean(mapped && net.isIPv4(mapped) && PRIVATE_RANGES.check(mapped, "ipv4"))
+}
+
+async function resolvePublicAddresses(hostname) {
+  const literal = hostname.replace(/^\[|\]$/g, "")
+  const addresses = net.isIP(literal)
+    ? [{ address: literal, family: net.isIP(literal) }]
+    : await dns.lookup(literal, { all: true }).catch(() => {
+      throw new Error(`Could not resolve ${hostname}`)
+    })
+
+  if (addresses.some(({ address, family }) => isPrivate(address, family))) {
+    throw new Error(`${hostname} resolves to a private address`)
+  }
+  return addresses
+}
+
+export async function assertPublicHost(hostname) {
+  await resolvePublicAddresses(hostname)
+}
+
+// net.connect skips lookup for IP literals, so callers still run
+// assertPublicHost before the request.
+function lookupPublic(hostname, options, callback) {
+  resolvePublicAddresses(hostname).then(
+    (addresses) => options.all
+      ? callback(null, addresses)
+      : callback(null, addresses[0].address, addresses[0].family),
+    callback
+  )
+}
+
+export const publicAgent = new Agent({ connect: { lookup: lookupPublic } })
@@ -0,0 +1,111 @@
+import { pool, withTransaction } from "./db.js"
+import { httpError } from "./http.js"
+import { cycleStartSql, getActiveRental } from "./rentals.js"
+
+// Each metered action maps to the table whose rows are counted and the
+// rental_plans column holding its per-period limit (NULL means unlimited),
+// plus the user_rentals column with any bonus a promo code added on top.
+// Jobs that failed or were cancelled do not use up quota.
+const METRICS = {
+  video_jobs: {
+    table: "video_jobs",
+    planColumn: "max_video_jobs",
+    bonusColumn: "bonus_video_jobs",
+    filter: "status NOT IN ('failed','cancelled')"
+  },
+  script_generations: { table: "scripts", planColumn: "max_script_generations" },
+  showcase_uploads: { table: "showcase_uploads", planColumn: "max_showcase_uploads", filter: "status NOT IN ('failed','cancelled')" }
+}
+
+export const QUOTA_METRICS = Object.keys(METRICS)
+
+// Usage is counted per workspace, against the workspace's rental. Rental
+// workspaces are metered over their current billing cycle, which a plan
+// change does not restart (see cycleStartSql); free ones over the calendar
+// month.
+async function resolveBillingPeriod(workspaceId, db) {
+  const rental = await getActiveRental(workspaceId, db)
+  if (rental) {
+    const cycle = await db.query(
+      `SELECT ${cycleStartSql()} AS starts_at,
+         LEAST(${cycleStartSql()} + make_interval(months => ur.months), ur.ends_at) AS resets_at
+       FROM user_rentals ur WHERE ur.id=$1`,
+      [rental.id]
+    )
+    return { plan: rental.code, rental, ...cycle.rows[0] }
+  }
+
+  const month = await db.query(
+    "SELECT date_trunc('month', NOW()) AS starts_at, date_trunc('month', NOW()) + INTERVAL '1 month' AS resets_at"
+  )
+  return { plan: "free", rental: null, ...month.rows[0] }
+}
+
+async function countUsage(workspaceId, metric, startsAt, db) {
+  const { table, filter = "TRUE" } = METRICS[metric]
+  const data = await db.query(
+    `SELECT COUNT(*)::int AS count FROM ${table} WHERE workspace_id=$1 AND created_at >= $2 AND ${filter}`,
+    [workspaceId, startsAt]
+  )
+  return data.rows[0].count
+}
+
+function limitFor(period, metric, freeQuotas) {
+  if (!period.rental) return freeQuotas[metric] ?? null
+  const { planColumn, bonusColumn } = METRICS[metric]
+  const limit = period.rental[planColumn] ?? null
+  return limit === null || !bonusColumn ? limit : limit + (period.rental[bonusColumn] ?? 0)
+}
+
+function meter(limit, used) {
+  return { limit, used, remaining: limit === null ? null : Math.max(0, limit - used) }
+}
+
+export async function getUsage(workspaceId, freeQuotas, db = pool) {
+  const period = await resolveBillingPeriod(workspaceId, db)
+  const counts = await Promise.all(QUOTA_METRICS.map((metric) => countUsage(workspaceId, metric, period.starts_at, db)))
+
+  const metrics = {}
+  QUOTA_METRICS.forEach((metric, index) => {
+    metrics[metric] = meter(limitFor(period, metric, freeQuotas), counts[index])
+  })
+
+  return {
+    plan: period.plan,
+    period: { starts_at: period.starts_at, resets_at: period.resets_at },
+    metrics
+  }
+}
+
+export async function assertQuota(workspaceId, metric, freeQuotas, db = pool) {
+  const period = await resolveBillingPeriod(workspaceId, db)
+  const limit = limitFor(period, metric, freeQuotas)
+  const used = await countUsage(workspaceId, metric, period.starts_at, db)
+
+  if (limit !== null && used >= limit) {
+    throw httpError(403, "Plan limit reached. Please rent a higher plan.", {
+      metric,
+      plan: period.plan,
+      limit,
+      used,
+      resets_at: period.resets_at
+    })
+  }
+
+  return { metric, plan: period.plan, ...meter(limit, used), resets_at: period.resets_at }
+}
+
+// A plain check lets concurrent requests all count the same usage and all
+// pass. Claiming locks the workspace row first, so the check and the insert
+// that uses the quota, made on the same transaction client, are serialised
+// per workspace. NO KEY UPDATE leaves inserts that reference the workspace
+// unblocked.
+export async function claimQuota(client, workspaceId, metric, freeQuotas) {
+  await client.query("SELECT id FROM workspaces WHERE id=$1 FOR NO KEY UPDATE", [workspaceId])
+  return assertQuota(workspaceId, metric, freeQuotas, client)
+}
+
+// Runs insert(client, quota) in a transaction holding the claim.
+export async function withQuota(workspaceId, metric, freeQuotas, insert) {
+  return withTransaction(async (client) => insert(client, await claimQuota(client, workspaceId, metric, freeQuotas)))
+}
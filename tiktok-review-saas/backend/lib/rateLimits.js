@@ -0,0 +1,107 @@
+import { pool } from "./db.js"
+
+// Requests are counted per route group in fixed windows. A counter is keyed
+// by the group and the caller: the API key or user once the request is
+// authenticated, the client IP before that. Every limited response carries
+// the RateLimit-* headers, and a 429 carries Retry-After.
+//
+// A store exposes hit(key, windowSeconds) -> { count, resetSeconds } and
+// prune(). The Postgres store is shared by every API instance; the memory
+// store only suits a single instance.
+
+export const RATE_LIMIT_STORES = ["postgres", "memory"]
+
+function createPostgresStore() {
+  return {
+    async hit(key, windowSeconds) {
+      const hit = await pool.query(
+        `INSERT INTO rate_limit_buckets (key, count, reset_at)
+         VALUES ($1, 1, NOW() + make_interval(secs => $2))
+         ON CONFLICT (key) DO UPDATE SET
+           count = CASE WHEN rate_limit_buckets.reset_at <= NOW() THEN 1 ELSE rate_limit_buckets.count + 1 END,
+           reset_at = CASE WHEN rate_limit_buckets.reset_at <= NOW() THEN EXCLUDED.reset_at ELSE rate_limit_buckets.reset_at END
+         RETURNING count, CEIL(EXTRACT(EPOCH FROM reset_at - NOW()))::int AS reset_seconds`,
+        [key, windowSeconds]
+      )
+      return { count: hit.rows[0].count, resetSeconds: hit.rows[0].reset_seconds }
+    },
+    async prune() {
+      await pool.query("DELETE FROM rate_limit_buckets WHERE reset_at <= NOW()")
+    }
+  }
+}
+
+function createMemoryStore() {
+  const buckets = new Map()
+  return {
+    async hit(key, windowSeconds) {
+      const now = Date.now()
+      let bucket = buckets.get(key)
+      if (!bucket || bucket.resetAt <= now) {
+        bucket = { count: 0, resetAt: now + windowSeconds * 1000 }
+        buckets.set(key, bucket)
+      }
+      bucket.count += 1
+      return { count: bucket.count, resetSeconds: Math.ceil((bucket.resetAt - now) / 1000) }
+    },
+    async prune() {
+      const now = Date.now()
+      for (const [key, bucket] of buckets) {
+        if (bucket.resetAt <= now) buckets.delete(key)
+      }
+    }
+  }
+}
+
+export function createRateLimitStore(name) {
+  if (name === "postgres") return createPostgresStore()
+  if (name === "memory") return createMemoryStore()
+  throw new Error(`RATE_LIMIT_STORE must be one of ${RATE_LIMIT_STORES.join(", ")}`)
+}
+
+function rateLimitSubject(req) {
+  if (req.user?.apiKeyId) return `key:${req.user.apiKeyId}`
+  if (req.user) return `user:${req.user.id}`
+  return `ip:${req.ip}`
+}
+
+// Returns rateLimit(group), the middleware for one group. Put it after the
+// auth middleware to count per user or API key, before it to count per IP.
+// A group with a max of 0 is not limited. If the store fails the request is
+// let through rather than taking the API down with it.
+export function createRateLimiter({ store, groups }) {
+  return function rateLimit(group) {
+    const policy = groups[group]
+    if (!policy) throw new Error(`Unknown rate limit group: ${group}`)
+
+    return (req, res, next) => {
+      if (!policy.max) return next()
+      store.hit(`${group}:${rateLimitSubject(req)}`, policy.windowSeconds).then(({ count, resetSeconds }) => {
+        res.set({
+          "RateLimit-Limit": String(policy.max),
+          "RateLimit-Remaining": String(Math.max(policy.max - count, 0)),
+          "RateLimit-Reset": String(resetSeconds),
+          "RateLimit-Policy": `${policy.max};w=${policy.windowSeconds}`
+        })
+        if (count > policy.max) {
+          res.set("Retry-After", String(resetSeconds))
+          return res.status(429).json({
+            error: "Too many requests. Please retry later.",
+            details: { group, retry_after: resetSeconds }
+          })
+        }
+        next()
+      }, (error) => {
+        console.error(`Rate limit store failed for ${group}:`, error.message)
+        next()
+      })
+    }
+  }
+}
+
+export function startRateLimitCleanup({ store, intervalMs }) {
+  const prune = () => store.prune().catch((error) => console.error("Rate limit cleanup failed:", error.message))
+  const timer = setInterval(prune, intervalMs)
+  prune()
+  return () => clearInterval(timer)
+}
@@ -0,0 +1,118 @@
+import crypto from "node:crypto"
+import { recordAudit } from "./audit.js"
+import { pool } from "./db.js"
+import { httpError } from "./http.js"
+import { lockWallet, postWalletTransaction } from "./wallet.js"
+
+// Every user has a referral code; signing up with someone's code records
+// them as the referrer. When the referred user first pays for a subscription,
+// both get a referral_credit in their personal workspace's wallet. A user is
+// rewarded for at most one subscription, and subscriptions a promo code made
+// free do not count.
+
+// No 0/O or 1/I, so codes survive being read out loud.
+const CODE_ALPHABET = "ABCDEFGHJKLMNPQRSTUVWXYZ23456789"
+const CODE_LENGTH = 8
+
+export function newReferralCode() {
+  return Array.from(crypto.randomBytes(CODE_LENGTH), (byte) => CODE_ALPHABET[byte % CODE_ALPHABET.length]).join("")
+}
+
+export async function findReferrer(db, code) {
+  const found = await db.query("SELECT id FROM users WHERE referral_code=$1", [String(code).trim().toUpperCase()])
+  if (!found.rows.length) throw httpError(400, "Unknown referral code")
+  return found.rows[0].id
+}
+
+async function creditPersonalWallet(client, userId, amount, { rewardId, side }) {
+  const workspace = await client.query("SELECT id FROM workspaces WHERE personal AND created_by=$1", [userId])
+  const wallet = await lockWallet(client, workspace.rows[0].id)
+  const posted = await postWalletTransaction(client, wallet, {
+    txType: "referral_credit",
+    amount,
+    note: side === "referrer" ? "Referral reward: a user you referred subscribed" : "Welcome reward for signing up with a referral",
+    metadata: { source: "referral", referral_reward_id: rewardId, side }
+  })
+  return posted.transaction
+}
+
+// Called from inside the subscription's transaction, after the charge, with
+// the subscribing user and what they paid.
+export async function rewardReferral(client, userId, { rentalId, paid, referrerCredit, referredCredit }, audit) {
+  if (paid <= 0 || (referrerCredit <= 0 && referredCredit <= 0)) return null
+
+  const user = await client.query("SELECT referred_by FROM users WHERE id=$1", [userId])
+  const referrerId = user.rows[0]?.referred_by
+  if (!referrerId) return null
+
+  const inserted = await client.query(
+    `INSERT INTO referral_rewards (referrer_user_id, referred_user_id, rental_id, referrer_amount, referred_amount)
+     VALUES ($1,$2,$3,$4,$5)
+     ON CONFLICT (referred_user_id) DO NOTHING
+     RETURNING *`,
+    [referrerId, userId, rentalId, referrerCredit, referredCredit]
+  )
+  if (!inserted.rows.length) return null
+  const reward = inserted.rows[0]
+
+  const referrerTx = referrerCredit > 0
+    ? await creditPersonalWallet(client, referrerId, referrerCredit, { rewardId: reward.id, side: "referrer" })
+    : null
+  const referredTx = referredCredit > 0
+    ? await creditPersonalWallet(client, userId, referredCredit, { rewardId: reward.id, side: "referred" })
+    : null
+
+  const updated = await client.query(
+    "UPDATE referral_rewards SET referrer_transaction_id=$2, referred_transaction_id=$3 WHERE id=$1 RETURNING *",
+    [reward.id, referrerTx?.id ?? null, referredTx?.id ?? null]
+  )
+  await recordAudit(client, audit, {
+    action: "referral.rewarded",
+    targetType: "referral_reward",
+    targetId: reward.id,
+    after: {
+      referrer_user_id: referrerId,
+      referred_user_id: userId,
+      rental_id: rentalId,
+      referrer_amount: referrerCredit,
+      referred_amount: referredCredit
+    }
+  })
+  return updated.rows[0]
+}
+
+export async function getReferralSummary(userId) {
+  const [user, referred, earned] = await Promise.all([
+    pool.query("SELECT referral_code FROM users WHERE id=$1", [userId]),
+    pool.query(
+      `SELECT COUNT(*)::int AS signed_up, COUNT(rr.id)::int AS rewarded
+       FROM users u
+       LEFT JOIN referral_rewards rr ON rr.referred_user_id = u.id
+       WHERE u.referred_by=$1`,
+      [userId]
+    ),
+    pool.query(
+      `SELECT COALESCE(SUM(referrer_amount),0)::numeric(14,2) AS total
+       FROM referral_rewards WHERE referrer_user_id=$1`,
+      [userId]
+    )
+  ])
+  return {
+    referral_code: user.rows[0].referral_code,
+    referred_users: referred.rows[0].signed_up,
+    rewarded_referrals: referred.rows[0].rewarded,
+    earned_total: earned.rows[0].total
+  }
+}
+
+export async function referralStats() {
+  const [signups, payouts] = await Promise.all([
+    pool.query("SELECT COUNT(*)::int AS count FROM users WHERE referred_by IS NOT NULL"),
+    pool.query(
+      `SELECT COUNT(*)::int AS rewards,
+         COALESCE(SUM(referrer_amount + referred_amount),0)::numeric(14,2) AS payout_total
+       FROM referral_rewards`
+    )
+  ])
+  return { referred_signups: signups.rows[0].count, ...payouts.rows[0] }
+}
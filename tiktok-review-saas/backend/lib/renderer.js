@@ -0,0 +1,59 @@
+const FORMAT = { width: 1080, height: 1920, fps: 30 }
+
+function formatTimestamp(totalSeconds, fractionSeparator) {
+  const millis = Math.round(totalSeconds * 1000)
+  const hours = Math.floor(millis / 3_600_000)
+  const minutes = Math.floor((millis % 3_600_000) / 60_000)
+  const seconds = Math.floor((millis % 60_000) / 1000)
+  const pad = (value, size = 2) => String(value).padStart(size, "0")
+  return `${pad(hours)}:${pad(minutes)}:${pad(seconds)}${fractionSeparator}${pad(millis % 1000, 3)}`
+}
+
+export function toSrt(cues) {
+  return cues
+    .map((cue, index) => `${index + 1}\n${formatTimestamp(cue.start_sec, ",")} --> ${formatTimestamp(cue.end_sec, ",")}\n${cue.text}\n`)
+    .join("\n")
+}
+
+export function toVtt(cues) {
+  const body = cues
+    .map((cue) => `${formatTimestamp(cue.start_sec, ".")} --> ${formatTimestamp(cue.end_sec, ".")}\n${cue.text}\n`)
+    .join("\n")
+  return `WEBVTT\n\n${body}`
+}
+
+// Lays scenes end to end using each scene's duration_sec and attaches the
+// narration clip for the scene. The manifest is what a real encoder consumes.
+export function renderLocal(storyboard, narration) {
+  const clips = new Map(narration.map((clip) => [clip.scene, clip]))
+  let cursor = 0
+
+  const scenes = storyboard.map((scene) => {
+    const start = cursor
+    cursor += Number(scene.duration_sec)
+    return { scene: scene.scene, start_sec: start, end_sec: cursor, shot: scene.shot, text: scene.text }
+  })
+
+  const audio = scenes
+    .filter((scene) => clips.has(scene.scene))
+    .map((scene) => {
+      const clip = clips.get(scene.scene)
+      return {
+        scene: scene.scene,
+        start_sec: scene.start_sec,
+        duration_sec: clip.duration_sec,
+        voice: clip.voice,
+        src: clip.audio_url,
+        overruns_scene: clip.duration_sec > scene.end_sec - scene.start_sec
+      }
+    })
+
+  const cues = scenes.filter((scene) => scene.text).map(({ start_sec, end_sec, text }) => ({ start_sec, end_sec, text }))
+
+  return {
+    renderer: "local",
+    timeline: { version: 1, format: FORMAT, duration_sec: cursor, scenes, audio },
+    captions_srt: toSrt(cues),
+    captions_vtt: toVtt(cues)
+  }
+}
@@ -0,0 +1,146 @@
+import { recordAudit } from "./audit.js"
+import { pool, withTransaction } from "./db.js"
+import { publishEvent } from "./events.js"
+import { endRental } from "./rentals.js"
+import { lockWallet, postWalletTransaction, roundMoney } from "./wallet.js"
+
+const BATCH_SIZE = 100
+
+async function expireRental(client, rental, reason) {
+  await endRental(client, rental, reason)
+  return { rental_id: rental.id, workspace_id: rental.workspace_id, outcome: "expired", reason }
+}
+
+async function renewRental(client, rental) {
+  const wallet = await lockWallet(client, rental.workspace_id)
+  const totalPrice = roundMoney(Number(rental.monthly_price) * rental.months)
+  if (Number(wallet.balance) < totalPrice) return null
+
+  await client.query("UPDATE user_rentals SET status='expired' WHERE id=$1", [rental.id])
+
+  // The new period continues from the old end date, so time spent in grace is
+  // paid for rather than given away.
+  const renewed = await client.query(
+    `INSERT INTO user_rentals (workspace_id, user_id, plan_id, months, total_price, status, starts_at, ends_at, auto_renew, cycle_starts_at)
+     VALUES ($1,$2,$3,$4,$5,'active',$6,$6::timestamp + make_interval(months => $4),TRUE,$6)
+     RETURNING *`,
+    [rental.workspace_id, rental.user_id, rental.plan_id, rental.months, totalPrice, rental.ends_at]
+  )
+
+  const charge = await postWalletTransaction(client, wallet, {
+    txType: "subscription_charge",
+    amount: -totalPrice,
+    note: `${rental.code} x ${rental.months} month(s) auto-renew`,
+    metadata: { source: "auto_renew", plan_code: rental.code, months: rental.months, monthly_price: rental.monthly_price },
+    rentalId: renewed.rows[0].id
+  })
+
+  await recordAudit(client, {}, {
+    action: "rental.renewed",
+    targetType: "rental",
+    targetId: renewed.rows[0].id,
+    workspaceId: rental.workspace_id,
+    before: { balance: wallet.balance, rental_id: rental.id },
+    after: { balance: charge.wallet.balance, plan_code: rental.code, months: rental.months, total_price: totalPrice }
+  })
+
+  await publishEvent(client, rental.workspace_id, "rental.renewed", {
+    rental_id: renewed.rows[0].id,
+    previous_rental_id: rental.id,
+    plan_code: rental.code,
+    ends_at: renewed.rows[0].ends_at
+  })
+
+  return { rental_id: rental.id, workspace_id: rental.workspace_id, outcome: "renewed", renewed_rental_id: renewed.rows[0].id }
+}
+
+async function processRental(rentalId, graceDays) {
+  return withTransaction(async (client) => {
+    const locked = await client.query(
+      `SELECT ur.*, rp.code, rp.monthly_price, rp.active AS plan_active, ur.grace_until <= NOW() AS grace_elapsed
+       FROM user_rentals ur
+       JOIN rental_plans rp ON rp.id = ur.plan_id
+       WHERE ur.id=$1 AND ur.status='active' AND ur.ends_at <= NOW()
+       FOR UPDATE OF ur SKIP LOCKED`,
+      [rentalId]
+    )
+    const rental = locked.rows[0]
+    if (!rental) return null
+
+    if (rental.cancel_at_period_end) return expireRental(client, rental, "cancelled")
+    if (!rental.auto_renew) return expireRental(client, rental, "period_ended")
+    if (!rental.plan_active) return expireRental(client, rental, "plan_retired")
+
+    const renewed = await renewRental(client, rental)
+    if (renewed) return renewed
+
+    if (!rental.grace_until) {
+      const grace = await client.query(
+        "UPDATE user_rentals SET grace_until = ends_at + make_interval(days => $2) WHERE id=$1 RETURNING grace_until",
+        [rental.id, graceDays]
+      )
+      await publishEvent(client, rental.workspace_id, "rental.grace_period", {
+        rental_id: rental.id,
+        plan_code: rental.code,
+        grace_until: grace.rows[0].grace_until
+      })
+      return { rental_id: rental.id, workspace_id: rental.workspace_id, outcome: "grace_started" }
+    }
+
+    if (rental.grace_elapsed) return expireRental(client, rental, "insufficient_funds")
+    return null
+  })
+}
+
+// Rentals in their grace window are not due again until it closes, so they
+// are left out of the due batch; otherwise enough of them would fill every
+// batch and keep rentals that just ended from being processed. They are
+// retried separately once their wallet can pay the renewal, or once they no
+// longer renew at all.
+export async function processDueRentals({ graceDays }) {
+  const due = await pool.query(
+    `SELECT id FROM user_rentals
+     WHERE status='active' AND ends_at <= NOW() AND (grace_until IS NULL OR grace_until <= NOW())
+     ORDER BY ends_at ASC
+     LIMIT $1`,
+    [BATCH_SIZE]
+  )
+  const retries = await pool.query(
+    `SELECT ur.id FROM user_rentals ur
+     JOIN rental_plans rp ON rp.id = ur.plan_id
+     JOIN wallet_accounts wa ON wa.workspace_id = ur.workspace_id
+     WHERE ur.status='active' AND ur.grace_until > NOW()
+       AND (wa.balance >= rp.monthly_price * ur.months OR ur.cancel_at_period_end OR NOT ur.auto_renew OR NOT rp.active)
+     ORDER BY ur.grace_until ASC
+     LIMIT $1`,
+    [BATCH_SIZE]
+  )
+
+  const results = []
+  for (const { id } of [...due.rows, ...retries.rows]) {
+    const result = await processRental(id, graceDays)
+    if (result) results.push(result)
+  }
+  return results
+}
+
+export function startRentalLifecycle({ intervalMs, graceDays }) {
+  let running = false
+
+  const tick = async () => {
+    if (running) return
+    running = true
+    try {
+      const results = await processDueRentals({ graceDays })
+      if (results.length) console.log(`Rental lifecycle processed ${results.length} rental(s)`)
+    } catch (error) {
+      console.error("Rental lifecycle failed:", error)
+    } finally {
+      running = false
+    }
+  }
+
+  const timer = setInterval(tick, intervalMs)
+  tick()
+  return () => clearInterval(timer)
+}
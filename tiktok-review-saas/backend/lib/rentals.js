@@ -0,0 +1,329 @@
+import { recordAudit } from "./audit.js"
+import { pool, withTransaction } from "./db.js"
+import { publishEvent } from "./events.js"
+import { httpError } from "./http.js"
+import { quotePromoCode, recordRedemption } from "./promoCodes.js"
+import { rewardReferral } from "./referrals.js"
+import { queueWebhookEvent } from "./webhooks.js"
+import { lockWallet, postWalletTransaction, roundMoney } from "./wallet.js"
+
+// A rental grants access while it is active and either inside its paid period
+// or inside the grace window the lifecycle engine opened after a failed renewal.
+export const ACTIVE_RENTAL_SQL = "ur.status='active' AND COALESCE(ur.grace_until, ur.ends_at, 'infinity'::timestamp) > NOW()"
+
+// Usage is metered over billing cycles of the rental's length counted from
+// cycle_starts_at. A renewal starts a new cycle; a plan change, or leaving and
+// subscribing again, carries the running one over, so neither resets usage.
+// This is the start of the cycle running at the time "at".
+export function cycleStartSql(at = "NOW()") {
+  const elapsed = `age(${at}, ur.cycle_starts_at)`
+  return `(ur.cycle_starts_at + make_interval(months => ur.months *
+    FLOOR((EXTRACT(YEAR FROM ${elapsed}) * 12 + EXTRACT(MONTH FROM ${elapsed})) / ur.months)::int))`
+}
+
+export async function getActiveRental(workspaceId, db = pool) {
+  const data = await db.query(
+    `SELECT ur.*, rp.code, rp.name, rp.monthly_price, rp.max_video_jobs, rp.max_script_generations, rp.max_showcase_uploads
+     FROM user_rentals ur
+     JOIN rental_plans rp ON rp.id = ur.plan_id
+     WHERE ur.workspace_id=$1 AND ${ACTIVE_RENTAL_SQL}
+     ORDER BY ur.created_at DESC
+     LIMIT 1`,
+    [workspaceId]
+  )
+  return data.rows[0] ?? null
+}
+
+export async function setAutoRenew(workspaceId, enabled) {
+  const updated = await pool.query(
+    `UPDATE user_rentals ur
+     SET auto_renew=$2, cancel_at_period_end = CASE WHEN $2 THEN FALSE ELSE ur.cancel_at_period_end END
+     WHERE ur.workspace_id=$1 AND ${ACTIVE_RENTAL_SQL}
+     RETURNING ur.*`,
+    [workspaceId, enabled]
+  )
+  if (!updated.rows.length) throw httpError(404, "No active rental")
+  return updated.rows[0]
+}
+
+export async function cancelAtPeriodEnd(workspaceId) {
+  const updated = await pool.query(
+    `UPDATE user_rentals ur
+     SET cancel_at_period_end=TRUE, auto_renew=FALSE
+     WHERE ur.workspace_id=$1 AND ${ACTIVE_RENTAL_SQL}
+     RETURNING ur.*`,
+    [workspaceId]
+  )
+  if (!updated.rows.length) throw httpError(404, "No active rental")
+  return updated.rows[0]
+}
+
+// Ends an active rental now and drops the workspace back to the free plan.
+// rental needs workspace_id and the plan code; the caller holds its row lock.
+export async function endRental(client, rental, reason) {
+  const ended = await client.query(
+    "UPDATE user_rentals SET status='expired', ends_at=LEAST(COALESCE(ends_at, NOW()), NOW()) WHERE id=$1 RETURNING *",
+    [rental.id]
+  )
+  await client.query("UPDATE workspaces SET plan='free' WHERE id=$1", [rental.workspace_id])
+  await publishEvent(client, rental.workspace_id, "rental.expired", { rental_id: rental.id, plan_code: rental.code, reason })
+  await queueWebhookEvent(client, rental.workspace_id, "rental.expired", { rental_id: rental.id, plan_code: rental.code, reason })
+  return ended.rows[0]
+}
+
+export async function endRentalByAdmin(rentalId, { reason }, audit) {
+  return withTransaction(async (client) => {
+    const locked = await client.query(
+      `SELECT ur.*, rp.code
+       FROM user_rentals ur
+       JOIN rental_plans rp ON rp.id = ur.plan_id
+       WHERE ur.id=$1
+       FOR UPDATE OF ur`,
+      [rentalId]
+    )
+    const rental = locked.rows[0]
+    if (!rental) throw httpError(404, "Rental not found")
+    if (rental.status !== "active") throw httpError(409, "Rental has already ended")
+
+    const ended = await endRental(client, rental, "ended_by_admin")
+    await recordAudit(client, audit, {
+      action: "rental.ended",
+      targetType: "rental",
+      targetId: rental.id,
+      workspaceId: rental.workspace_id,
+      before: { status: rental.status, ends_at: rental.ends_at, plan_code: rental.code },
+      after: { status: ended.status, ends_at: ended.ends_at, reason }
+    })
+    return ended
+  })
+}
+
+// Whole unused days of the current period, credited pro rata on what was paid
+// for it and not refunded since.
+function prorationCredit(rental) {
+  if (!rental || rental.unused_days <= 0) return 0
+  const paid = Math.max(0, Number(rental.total_price) - Number(rental.refunded))
+  return roundMoney((paid * rental.unused_days) / rental.period_days)
+}
+
+// The rental is the workspace's and is paid from its wallet; userId is the
+// member subscribing and audit the auditContext of their request. referral
+// holds the referrerCredit and referredCredit paid out when this is the
+// user's first paid subscription.
+export async function subscribeToPlan(
+  workspaceId,
+  userId,
+  planCode,
+  months,
+  { autoRenew, promoCode, referral, audit = {} } = {}
+) {
+  return withTransaction(async (client) => {
+    const plan = await client.query("SELECT * FROM rental_plans WHERE code=$1 AND active=TRUE", [planCode])
+    if (!plan.rows.length) throw httpError(404, "Plan not found")
+    const selected = plan.rows[0]
+
+    const wallet = await lockWallet(client, workspaceId)
+    const current = await client.query(
+      `SELECT ur.*,
+         GREATEST(0, FLOOR(EXTRACT(EPOCH FROM (ur.ends_at - NOW())) / 86400))::int AS unused_days,
+         GREATEST(1, CEIL(EXTRACT(EPOCH FROM (ur.ends_at - ur.starts_at)) / 86400))::int AS period_days,
+         (SELECT COALESCE(SUM(wt.amount), 0) FROM wallet_transactions wt
+          WHERE wt.rental_id = ur.id AND wt.tx_type='refund') AS refunded
+       FROM user_rentals ur
+       WHERE ur.workspace_id=$1 AND ur.status='active'
+       ORDER BY ur.created_at DESC
+       LIMIT 1
+       FOR UPDATE`,
+      [workspaceId]
+    )
+    const previous = current.rows[0] ?? null
+
+    // The workspace's latest rental, active or not, whose cycle is still
+    // running when it ended.
+    const cycle = await client.query(
+      `SELECT ur.cycle_starts_at FROM (
+         SELECT * FROM user_rentals WHERE workspace_id=$1 ORDER BY created_at DESC LIMIT 1
+       ) ur
+       WHERE ${cycleStartSql("LEAST(COALESCE(ur.ends_at, NOW()), NOW())")} + make_interval(months => ur.months) > NOW()`,
+      [workspaceId]
+    )
+    const cycleStartsAt = cycle.rows[0]?.cycle_starts_at ?? null
+
+    const grossPrice = roundMoney(Number(selected.monthly_price) * months)
+    const quote = promoCode ? await quotePromoCode(client, promoCode, { plan: selected, workspaceId, grossPrice }) : null
+    const discount = quote?.discount ?? 0
+    const totalPrice = roundMoney(grossPrice - discount)
+    const credit = prorationCredit(previous)
+    const balance = Number(wallet.balance)
+
+    if (balance + credit < totalPrice) {
+      throw httpError(402, "Insufficient wallet balance", {
+        balance: roundMoney(balance),
+        required: totalPrice,
+        promo_discount: discount,
+        proration_credit: credit,
+        shortfall: roundMoney(totalPrice - credit - balance)
+      })
+    }
+
+    const transactions = []
+    let walletState = wallet
+
+    if (previous) {
+      await client.query(
+        "UPDATE user_rentals SET status='expired', ends_at=LEAST(COALESCE(ends_at, NOW()), NOW()) WHERE id=$1",
+        [previous.id]
+      )
+
+      if (credit > 0) {
+        const refund = await postWalletTransaction(client, walletState, {
+          txType: "proration_credit",
+          amount: credit,
+          note: `unused ${previous.unused_days}/${previous.period_days} days`,
+          metadata: { source: "plan_change", unused_days: previous.unused_days, period_days: previous.period_days },
+          rentalId: previous.id,
+          userId
+        })
+        walletState = refund.wallet
+        transactions.push(refund.transaction)
+      }
+    }
+
+    const rental = await client.query(
+      `INSERT INTO user_rentals
+         (workspace_id, user_id, plan_id, months, total_price, status, starts_at, ends_at, auto_renew, bonus_video_jobs,
+          cycle_starts_at)
+       VALUES ($1,$2,$3,$4,$5,'active',NOW(), NOW() + make_interval(months => $4), $6, $7, COALESCE($8, NOW()::timestamp))
+       RETURNING *`,
+      [
+        workspaceId,
+        userId,
+        selected.id,
+        months,
+        totalPrice,
+        autoRenew ?? previous?.auto_renew ?? false,
+        quote?.bonusVideoJobs ?? 0,
+        cycleStartsAt
+      ]
+    )
+
+    const charge = await postWalletTransaction(client, walletState, {
+      txType: "subscription_charge",
+      amount: -totalPrice,
+      note: `${selected.code} x ${months} month(s)${quote ? ` with ${quote.promo.code}` : ""}`,
+      metadata: {
+        plan_code: selected.code,
+        months,
+        monthly_price: selected.monthly_price,
+        ...(quote && { promo_code: quote.promo.code, gross_price: grossPrice, discount })
+      },
+      rentalId: rental.rows[0].id,
+      userId
+    })
+    transactions.push(charge.transaction)
+
+    await client.query("UPDATE workspaces SET plan=$1 WHERE id=$2", [selected.code, workspaceId])
+
+    if (quote) await recordRedemption(client, quote, { workspaceId, userId, rentalId: rental.rows[0].id })
+    const referralReward = referral
+      ? await rewardReferral(client, userId, { rentalId: rental.rows[0].id, paid: totalPrice, ...referral }, audit)
+      : null
+
+    await recordAudit(client, audit, {
+      action: "rental.subscribed",
+      targetType: "rental",
+      targetId: rental.rows[0].id,
+      workspaceId,
+      before: {
+        balance: wallet.balance,
+        rental: previous && { id: previous.id, plan_id: previous.plan_id, ends_at: previous.ends_at }
+      },
+      after: {
+        balance: charge.wallet.balance,
+        plan_code: selected.code,
+        months,
+        total_price: totalPrice,
+        promo_code: quote?.promo.code ?? null,
+        promo_discount: discount,
+        proration_credit: credit
+      }
+    })
+
+    // A referral welcome credit lands in the referred user's personal
+    // wallet, which may be the one just charged.
+    const finalWallet = referralReward
+      ? (await client.query("SELECT * FROM wallet_accounts WHERE id=$1", [wallet.id])).rows[0]
+      : charge.wallet
+
+    return {
+      rental: rental.rows[0],
+      plan: selected,
+      wallet: finalWallet,
+      proration_credit: credit,
+      promo: quote && { code: quote.promo.code, discount, bonus_video_jobs: quote.bonusVideoJobs },
+      referral_reward: referralReward,
+      transactions
+    }
+  })
+}
+
+// Refunds all or part of a subscription charge. Refunds point back at the
+// charge, so together they can never exceed it. Refunding the rest of the
+// charge ends its rental if it is still running; a partial refund leaves the
+// rental running but is no longer counted when a plan change prorates it.
+export async function refundWalletTransaction(workspaceId, transactionId, { amount, reason, reference }, audit) {
+  return withTransaction(async (client) => {
+    const wallet = await lockWallet(client, workspaceId)
+    const found = await client.query(
+      "SELECT * FROM wallet_transactions WHERE id=$1 AND wallet_id=$2 FOR UPDATE",
+      [transactionId, wallet.id]
+    )
+    const charge = found.rows[0]
+    if (!charge) throw httpError(404, "Transaction not found in this wallet")
+    if (charge.tx_type !== "subscription_charge") throw httpError(409, "Only subscription charges can be refunded")
+
+    const refunded = await client.query(
+      "SELECT COALESCE(SUM(amount),0) AS total FROM wallet_transactions WHERE refund_of=$1",
+      [charge.id]
+    )
+    const refundable = roundMoney(-Number(charge.amount) - Number(refunded.rows[0].total))
+    if (refundable <= 0) throw httpError(409, "This charge has already been refunded in full")
+
+    const refundAmount = amount ?? refundable
+    if (refundAmount > refundable) {
+      throw httpError(400, `amount is more than the ${refundable} left to refund on this charge`, { refundable })
+    }
+
+    const posted = await postWalletTransaction(client, wallet, {
+      txType: "refund",
+      amount: refundAmount,
+      note: reason,
+      reference,
+      refundOf: charge.id,
+      rentalId: charge.rental_id,
+      metadata: { source: "admin", admin_user_id: audit.actorUserId }
+    })
+    await recordAudit(client, audit, {
+      action: "wallet.refund",
+      targetType: "wallet_transaction",
+      targetId: posted.transaction.id,
+      workspaceId,
+      before: { balance: wallet.balance, refundable },
+      after: { balance: posted.wallet.balance, amount: posted.transaction.amount, refund_of: charge.id, reason, reference }
+    })
+
+    const remaining = roundMoney(refundable - refundAmount)
+    if (remaining <= 0 && charge.rental_id) {
+      const rental = await client.query(
+        `SELECT ur.*, rp.code
+         FROM user_rentals ur
+         JOIN rental_plans rp ON rp.id = ur.plan_id
+         WHERE ur.id=$1 AND ur.status='active'
+         FOR UPDATE OF ur`,
+        [charge.rental_id]
+      )
+      if (rental.rows.length) await endRental(client, rental.rows[0], "refunded")
+    }
+    return { ...posted, refundable: remaining }
+  })
+}
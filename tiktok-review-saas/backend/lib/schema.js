@@ -0,0 +1,213 @@
+// Request and response schemas are plain JSON Schema objects in the OpenAPI
+// 3.0 dialect, so the object that validates a request also documents it in
+// /openapi.json. The builders below only save typing. What JSON Schema cannot
+// say is kept under symbols, which JSON.stringify leaves out: a transform
+// applied to a valid value (lowercasing a code, rounding money) and the
+// message for a failed pattern.
+//
+// Supported keywords: type, nullable, enum, default, minLength, maxLength,
+// pattern, format (email, password, uri, date, date-time), minimum, maximum,
+// minItems, maxItems, items, properties, required, allOf and $ref. Unknown object
+// properties pass through untouched; they are just not documented.
+
+const TRANSFORM = Symbol("transform")
+const PATTERN_MESSAGE = Symbol("patternMessage")
+
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/
+
+export function string({ case: letterCase, message, ...options } = {}) {
+  const schema = { type: "string", ...options }
+  if (letterCase === "lower") schema[TRANSFORM] = (value) => value.toLowerCase()
+  if (letterCase === "upper") schema[TRANSFORM] = (value) => value.toUpperCase()
+  if (message) schema[PATTERN_MESSAGE] = message
+  return schema
+}
+
+export function integer(options = {}) {
+  return { type: "integer", ...options }
+}
+
+export function id(description) {
+  return integer(description ? { minimum: 1, description } : { minimum: 1 })
+}
+
+export function number(options = {}) {
+  return { type: "number", ...options }
+}
+
+// An amount in baht, rounded to satang once it is valid.
+export function money(options = {}) {
+  return { type: "number", ...options, [TRANSFORM]: (value) => Math.round(value * 100) / 100 }
+}
+
+export function boolean(options = {}) {
+  return { type: "boolean", ...options }
+}
+
+export function array(items, options = {}) {
+  return { type: "array", items, ...options }
+}
+
+export function object(properties, { required = [], ...options } = {}) {
+  const schema = { type: "object", properties, ...options }
+  if (required.length) schema.required = required
+  return schema
+}
+
+export function enumOf(values, options = {}) {
+  return string({ enum: [...values], ...options })
+}
+
+// OpenAPI 3.0 ignores keywords next to a $ref, so a nullable reference wraps
+// it in allOf instead.
+export function nullable(schema) {
+  return schema.$ref ? { nullable: true, allOf: [schema] } : { ...schema, nullable: true }
+}
+
+export function ref(name) {
+  return { $ref: `#/components/schemas/${name}` }
+}
+
+// Keywords beside the $ref, such as a description, are kept on top of the
+// referenced schema.
+function resolve(schema, components) {
+  if (!schema.$ref) return schema
+  const { $ref, ...siblings } = schema
+  const found = components[$ref.replace("#/components/schemas/", "")]
+  if (!found) throw new Error(`Unknown schema reference: ${$ref}`)
+  return { ...found, ...siblings }
+}
+
+function numberMessage(schema, valid) {
+  const { minimum, maximum, exclusiveMinimum } = schema
+  const noun = schema.type === "integer" ? "an integer" : "a number"
+  if (schema.type === "integer" && maximum === undefined && !exclusiveMinimum && (minimum === 0 || minimum === 1)) {
+    return minimum === 1 ? "must be a positive integer" : "must be a non-negative integer"
+  }
+  const lower = minimum === undefined ? null : exclusiveMinimum ? `greater than ${minimum}` : `at least ${minimum}`
+  if (lower && maximum !== undefined) {
+    if (!exclusiveMinimum) return `must be ${schema.type === "integer" ? "an integer " : ""}between ${minimum} and ${maximum}`
+    return `must be ${lower} and at most ${maximum}`
+  }
+  if (!valid) return `must be ${noun}`
+  return lower ? `must be ${lower}` : `must be at most ${maximum}`
+}
+
+function isDate(text) {
+  if (!DATE_PATTERN.test(text)) return false
+  const day = new Date(`${text}T00:00:00Z`)
+  return !Number.isNaN(day.getTime()) && day.toISOString().slice(0, 10) === text
+}
+
+function formatProblem(format, text) {
+  if (format === "email" && !EMAIL_PATTERN.test(text)) return "must be a valid email address"
+  if (format === "date" && !isDate(text)) return "must be a date (YYYY-MM-DD)"
+  if (format === "date-time" && (!DATE_PATTERN.test(text.slice(0, 10)) || Number.isNaN(Date.parse(text)))) {
+    return "must be a date or timestamp"
+  }
+  if (format === "uri") {
+    try {
+      if (["http:", "https:"].includes(new URL(text).protocol)) return null
+    } catch (_error) {
+      // Falls through to the message below.
+    }
+    return "must be an http or https URL"
+  }
+  return null
+}
+
+// Query strings, path params and multipart fields are all text, so there
+// numbers and booleans are parsed and a single value stands in for a
+// one-item array.
+function coerceValue(schema, value) {
+  if (typeof value !== "string") return value
+  const text = value.trim()
+  if ((schema.type === "integer" || schema.type === "number") && text !== "") return Number(text)
+  if (schema.type === "boolean" && (text === "true" || text === "false")) return text === "true"
+  if (schema.type === "array") return text.split(",").map((item) => item.trim()).filter(Boolean)
+  return value
+}
+
+function check(schema, input, path, context) {
+  schema = resolve(schema, context.components)
+  const { errors, request } = context
+  const fail = (message) => {
+    errors.push({ in: context.location, field: path, message })
+    return input
+  }
+
+  if (input === null) return schema.nullable ? null : fail("must not be null")
+  if (schema.allOf) return schema.allOf.reduce((value, part) => check(part, value, path, context), input)
+  const value = context.coerce ? coerceValue(schema, input) : input
+
+  switch (schema.type) {
+    case "string": {
+      if (typeof value !== "string") return fail("must be a string")
+      let text = request && schema.format !== "password" ? value.trim() : value
+      if (request && schema.format === "email") text = text.toLowerCase()
+      else if (request && schema[TRANSFORM]) text = schema[TRANSFORM](text)
+      if (schema.minLength && !text.length) return fail("is required")
+      if (schema.minLength && text.length < schema.minLength) return fail(`must be at least ${schema.minLength} characters`)
+      if (schema.maxLength !== undefined && text.length > schema.maxLength) return fail(`must be at most ${schema.maxLength} characters`)
+      if (schema.pattern && !new RegExp(schema.pattern).test(text)) return fail(schema[PATTERN_MESSAGE] ?? `must match ${schema.pattern}`)
+      const problem = schema.format && text ? formatProblem(schema.format, text) : null
+      if (problem) return fail(problem)
+      if (schema.enum && !schema.enum.includes(text)) return fail(`must be one of ${schema.enum.join(", ")}`)
+      return text
+    }
+    case "integer":
+    case "number": {
+      const valid = schema.type === "integer" ? Number.isInteger(value) : typeof value === "number" && Number.isFinite(value)
+      const { minimum, maximum, exclusiveMinimum } = schema
+      const inRange = valid &&
+        (minimum === undefined || (exclusiveMinimum ? value > minimum : value >= minimum)) &&
+        (maximum === undefined || value <= maximum)
+      if (!inRange) return fail(numberMessage(schema, valid))
+      return request && schema[TRANSFORM] ? schema[TRANSFORM](value) : value
+    }
+    case "boolean":
+      return typeof value === "boolean" ? value : fail("must be a boolean")
+    case "array": {
+      if (!Array.isArray(value)) return fail("must be an array")
+      if (schema.minItems && value.length < schema.minItems) {
+        return fail(schema.minItems === 1 ? "must not be empty" : `must have at least ${schema.minItems} items`)
+      }
+      if (schema.maxItems !== undefined && value.length > schema.maxItems) return fail(`must have at most ${schema.maxItems} items`)
+      if (!schema.items) return value
+      return value.map((item, index) => check(schema.items, item, `${path}[${index}]`, context))
+    }
+    case "object":
+      return checkObject(schema, value, path, context, fail)
+    default:
+      return value
+  }
+}
+
+function checkObject(schema, value, path, context, fail) {
+  if (typeof value !== "object" || Array.isArray(value)) return fail("must be an object")
+  const output = context.request ? { ...value } : value
+  const required = schema.required ?? []
+  for (const [name, property] of Object.entries(schema.properties ?? {})) {
+    const field = path ? `${path}.${name}` : name
+    if (value[name] === undefined) {
+      const fallback = resolve(property, context.components).default
+      if (required.includes(name)) context.errors.push({ in: context.location, field, message: "is required" })
+      else if (context.request && fallback !== undefined) output[name] = structuredClone(fallback)
+      continue
+    }
+    const checked = check(property, value[name], field, context)
+    if (context.request) output[name] = checked
+  }
+  return output
+}
+
+// Checks a value against a schema. In request mode (the default) strings are
+// trimmed, defaults filled in and transforms applied, and the cleaned copy is
+// returned; response mode only reports. Errors are { in, field, message }.
+export function validate(schema, input, { location = "body", coerce = false, mode = "request", components = {} } = {}) {
+  const context = { errors: [], location, coerce, request: mode === "request", components }
+  const value = check(schema, input ?? (schema.type === "object" ? {} : input), "", context)
+  for (const error of context.errors) if (!error.field) error.field = location
+  return { value, errors: context.errors }
+}
@@ -0,0 +1,187 @@
+import { pool } from "./db.js"
+import { httpError } from "./http.js"
+
+export const TEMPLATE_LANGUAGES = ["th", "en"]
+
+// Used when the database holds no template for the language at all, so a
+// fresh or misconfigured install still generates something sensible.
+const BUILTIN_SECTIONS = {
+  title: "{{title}} รีวิวสั้นสำหรับ TikTok Showcase",
+  hooks: [
+    "หยุดก่อน! {{title}} ตัวนี้โคตรดี",
+    "ไม่คิดว่า {{title}} จะดีขนาดนี้",
+    "ใครกำลังหา{{category}}ดี ๆ ต้องดู"
+  ],
+  benefits: ["ใช้งานจริงได้ทุกวัน", "ราคาเข้าถึงง่าย", "เหมาะกับมือใหม่"],
+  long_script:
+    "{{hook}}\n\nรีวิว {{title}} จาก TikTok Shop Affiliate\nราคา {{price|-}} {{currency}}{{price_note}}\n\nจุดเด่น 3 ข้อ:\n{{benefits}}\n\nปิดท้าย: {{cta}}",
+  short_scripts: ["{{hook}} {{benefit_1}} ราคา {{price|-}} {{currency}}{{price_note}} {{cta}}", "{{title}} — {{benefit_1}}, {{benefit_2}} {{cta}}"],
+  storyboard: [
+    { duration_sec: 3, shot: "close-up product", text: "{{hook}}" },
+    { duration_sec: 5, shot: "problem -> solution", text: "ปัญหาที่แก้ได้ด้วย {{title}}" },
+    { duration_sec: 6, shot: "benefits list", text: "{{benefit_1}} | {{benefit_2}} | {{benefit_3}}" },
+    { duration_sec: 4, shot: "cta", text: "{{cta}}" }
+  ],
+  cta: "กดดูใน Showcase ได้เลย!",
+  hashtags: "#tiktokshop #affiliate #รีวิวของดี #ป้ายยาของดี #tiktokshowcase",
+  ab_test_ideas: [
+    "เปิดด้วยตัวสินค้าระยะใกล้ vs เปิดด้วยหน้าผู้รีวิว",
+    "บอกราคาใน 3 วินาทีแรก vs เก็บราคาไว้ตอนท้าย",
+    "ข้อความบนจอเป็นคำถาม vs ข้อความบนจอเป็นข้อเท็จจริง"
+  ]
+}
+
+function getPath(source, path) {
+  return path.split(".").reduce((value, key) => (value == null ? undefined : value[key]), source)
+}
+
+// Replaces {{name}}, {{raw.some.field}} and {{name|fallback}} placeholders.
+export function renderTemplate(text, vars) {
+  return String(text ?? "").replace(/\{\{\s*([\w.]+)\s*(?:\|([^}]*))?\}\}/g, (_match, path, fallback) => {
+    const value = getPath(vars, path)
+    if (value == null || value === "") return fallback ?? ""
+    return typeof value === "object" ? JSON.stringify(value) : String(value)
+  })
+}
+
+function productBenefits(raw) {
+  const list = raw?.benefits ?? raw?.features ?? raw?.highlights
+  if (Array.isArray(list)) return list.map((item) => String(item).trim()).filter(Boolean)
+  if (typeof list === "string") return list.split(/[|\n]/).map((item) => item.trim()).filter(Boolean)
+  return []
+}
+
+// Empty unless the product carries a discount (see discountFor in
+// products.js), so templates can append {{price_note}} unconditionally.
+function priceNote(product, language) {
+  const discount = product.discount
+  if (!discount) return ""
+  return language === "en"
+    ? ` (down from ${discount.previous_price}, save ${discount.discount_pct}%)`
+    : ` (ลดจาก ${discount.previous_price} เหลือ ${product.price} ประหยัด ${discount.discount_pct}%)`
+}
+
+export function productVariables(product, sections, language = "th") {
+  const raw = product.raw_payload && typeof product.raw_payload === "object" ? product.raw_payload : {}
+  const benefits = productBenefits(raw)
+  const fallbackBenefits = sections.benefits ?? []
+  const picked = [0, 1, 2].map((index) => benefits[index] ?? fallbackBenefits[index] ?? "")
+
+  return {
+    title: product.title,
+    product_id: product.product_id,
+    category: product.category || "general",
+    price: product.price,
+    currency: product.currency || "THB",
+    previous_price: product.discount?.previous_price,
+    discount_pct: product.discount?.discount_pct,
+    price_note: priceNote(product, language),
+    product_url: product.product_url,
+    image_url: product.image_url,
+    raw,
+    benefit_1: picked[0],
+    benefit_2: picked[1],
+    benefit_3: picked[2],
+    benefits: picked
+      .filter(Boolean)
+      .map((benefit, index) => `${index + 1}) ${benefit}`)
+      .join("\n")
+  }
+}
+
+function assertStringList(value, field, min) {
+  if (!Array.isArray(value) || value.length < min || value.some((item) => typeof item !== "string" || !item.trim())) {
+    throw httpError(400, `sections.${field} must be an array of at least ${min} non-empty strings`)
+  }
+}
+
+export function validateSections(sections) {
+  if (!sections || typeof sections !== "object" || Array.isArray(sections)) {
+    throw httpError(400, "sections must be an object")
+  }
+  assertStringList(sections.hooks, "hooks", 3)
+  assertStringList(sections.short_scripts, "short_scripts", 2)
+  if (typeof sections.long_script !== "string" || !sections.long_script.trim()) {
+    throw httpError(400, "sections.long_script is required")
+  }
+  if (sections.benefits !== undefined) assertStringList(sections.benefits, "benefits", 1)
+  if (sections.ab_test_ideas !== undefined) assertStringList(sections.ab_test_ideas, "ab_test_ideas", 1)
+  if (sections.storyboard !== undefined) {
+    const valid =
+      Array.isArray(sections.storyboard) &&
+      sections.storyboard.every((scene) => scene && Number(scene.duration_sec) > 0 && typeof scene.text === "string")
+    if (!valid) throw httpError(400, "sections.storyboard must be an array of { duration_sec, shot, text }")
+  }
+  for (const field of ["title", "cta", "hashtags"]) {
+    if (sections[field] !== undefined && typeof sections[field] !== "string") {
+      throw httpError(400, `sections.${field} must be a string`)
+    }
+  }
+  if (JSON.stringify(sections).length > 20_000) throw httpError(400, "sections too large")
+  return sections
+}
+
+// Most specific match wins: the product's category, then "general", then the
+// built-in sections. Missing optional sections inherit from the built-ins.
+export async function findTemplate(category, language) {
+  const data = await pool.query(
+    `SELECT * FROM script_templates
+     WHERE active=TRUE AND language=$2 AND category IN ($1, 'general')
+     ORDER BY (category = $1) DESC, updated_at DESC
+     LIMIT 1`,
+    [category || "general", language]
+  )
+
+  const template = data.rows[0]
+  if (!template) return { id: null, category: "general", language, sections: BUILTIN_SECTIONS }
+  return { ...template, sections: { ...BUILTIN_SECTIONS, ...template.sections } }
+}
+
+export async function listTemplates({ category, language } = {}) {
+  const data = await pool.query(
+    `SELECT * FROM script_templates
+     WHERE ($1::text IS NULL OR category=$1) AND ($2::text IS NULL OR language=$2)
+     ORDER BY category ASC, language ASC, updated_at DESC`,
+    [category || null, language || null]
+  )
+  return data.rows
+}
+
+export async function createTemplate({ name, category, language, sections, active }, userId) {
+  const created = await pool.query(
+    `INSERT INTO script_templates (name, category, language, sections, active, created_by)
+     VALUES ($1,$2,$3,$4,$5,$6)
+     RETURNING *`,
+    [name, category, language, JSON.stringify(sections), active, userId]
+  )
+  return created.rows[0]
+}
+
+export async function updateTemplate(id, changes) {
+  const updated = await pool.query(
+    `UPDATE script_templates
+     SET name = COALESCE($2, name),
+         category = COALESCE($3, category),
+         language = COALESCE($4, language),
+         sections = COALESCE($5, sections),
+         active = COALESCE($6, active),
+         updated_at = NOW()
+     WHERE id=$1
+     RETURNING *`,
+    [
+      id,
+      changes.name ?? null,
+      changes.category ?? null,
+      changes.language ?? null,
+      changes.sections ? JSON.stringify(changes.sections) : null,
+      changes.active ?? null
+    ]
+  )
+  if (!updated.rows.length) throw httpError(404, "Template not found")
+  return updated.rows[0]
+}
+
+export async function deleteTemplate(id) {
+  const deleted = await pool.query("DELETE FROM script_templates WHERE id=$1 RETURNING id", [id])
+  if (!deleted.rows.length) throw httpError(404, "Template not found")
+}
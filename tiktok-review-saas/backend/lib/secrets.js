@@ -0,0 +1,28 @@
+import crypto from "node:crypto"
+
+// Third-party credentials are stored sealed with AES-256-GCM. The key falls
+// back to JWT_SECRET so a fresh install works, but a separate key lets the
+// two be rotated independently.
+const SECRET_KEY = process.env.SECRET_ENCRYPTION_KEY || process.env.JWT_SECRET
+
+function key() {
+  if (!SECRET_KEY) throw new Error("SECRET_ENCRYPTION_KEY or JWT_SECRET is required")
+  return crypto.createHash("sha256").update(SECRET_KEY).digest()
+}
+
+export function sealSecret(plain) {
+  if (plain === null || plain === undefined) return null
+  const iv = crypto.randomBytes(12)
+  const cipher = crypto.createCipheriv("aes-256-gcm", key(), iv)
+  const data = Buffer.concat([cipher.update(String(plain), "utf8"), cipher.final()])
+  return ["v1", iv.toString("base64"), cipher.getAuthTag().toString("base64"), data.toString("base64")].join(".")
+}
+
+export function openSecret(sealed) {
+  if (!sealed) return null
+  const [version, iv, tag, data] = sealed.split(".")
+  if (version !== "v1") throw new Error("Unsupported secret format")
+  const decipher = crypto.createDecipheriv("aes-256-gcm", key(), Buffer.from(iv, "base64"))
+  decipher.setAuthTag(Buffer.from(tag, "base64"))
+  return Buffer.concat([decipher.update(Buffer.from(data, "base64")), decipher.final()]).toString("utf8")
+}
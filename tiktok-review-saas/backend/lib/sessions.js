@@ -0,0 +1,136 @@
+import crypto from "node:crypto"
+import { pool, withTransaction } from "./db.js"
+import { httpError } from "./http.js"
+
+// A session is one login on one device. Its refresh tokens rotate on every
+// use and are stored hashed; presenting one that was already rotated means a
+// copy leaked, so the whole session is revoked. Access tokens name the
+// session, and the auth middleware checks it on every request, so logging
+// out or revoking takes effect immediately.
+
+const PRUNE_AFTER_DAYS = 7
+
+function hashToken(token) {
+  return crypto.createHash("sha256").update(token).digest("hex")
+}
+
+async function issueRefreshToken(db, sessionId) {
+  const token = crypto.randomBytes(32).toString("base64url")
+  await db.query("INSERT INTO refresh_tokens (session_id, token_hash) VALUES ($1,$2)", [sessionId, hashToken(token)])
+  return token
+}
+
+export async function createSession(userId, { userAgent, ip, ttlDays }) {
+  return withTransaction(async (client) => {
+    const session = await client.query(
+      `INSERT INTO user_sessions (user_id, user_agent, ip, expires_at)
+       VALUES ($1,$2,$3, NOW() + make_interval(days => $4))
+       RETURNING *`,
+      [userId, userAgent, ip, ttlDays]
+    )
+    const refreshToken = await issueRefreshToken(client, session.rows[0].id)
+    return { session: session.rows[0], refreshToken }
+  })
+}
+
+// Returns the rotated { session, refreshToken, user }. Sessions slide: each
+// refresh pushes the expiry out by ttlDays.
+export async function rotateRefreshToken(token, { userAgent, ip, ttlDays }) {
+  const outcome = await withTransaction(async (client) => {
+    const found = await client.query(
+      `SELECT rt.id AS token_id, rt.used_at, s.id AS session_id, s.revoked_at, s.expires_at <= NOW() AS expired,
+         u.suspended_at IS NOT NULL AS suspended
+       FROM refresh_tokens rt
+       JOIN user_sessions s ON s.id = rt.session_id
+       JOIN users u ON u.id = s.user_id
+       WHERE rt.token_hash=$1
+       FOR UPDATE OF rt, s`,
+      [hashToken(String(token))]
+    )
+    const row = found.rows[0]
+    if (!row || row.revoked_at || row.expired || row.suspended) return { error: "Refresh token is invalid or expired" }
+
+    if (row.used_at) {
+      await client.query(
+        "UPDATE user_sessions SET revoked_at=NOW(), revoked_reason='refresh_token_reuse' WHERE id=$1",
+        [row.session_id]
+      )
+      return { error: "Refresh token was already used, the session has been revoked" }
+    }
+
+    await client.query("UPDATE refresh_tokens SET used_at=NOW() WHERE id=$1", [row.token_id])
+    const session = await client.query(
+      `UPDATE user_sessions
+       SET last_used_at=NOW(), user_agent=$2, ip=$3, expires_at=NOW() + make_interval(days => $4)
+       WHERE id=$1
+       RETURNING *`,
+      [row.session_id, userAgent, ip, ttlDays]
+    )
+    const user = await client.query("SELECT id, email, role FROM users WHERE id=$1", [session.rows[0].user_id])
+    return { session: session.rows[0], user: user.rows[0], refreshToken: await issueRefreshToken(client, row.session_id) }
+  })
+
+  // Thrown after the transaction so a reuse revocation is committed.
+  if (outcome.error) throw httpError(401, outcome.error)
+  return outcome
+}
+
+// Resolves an access token's claims to the user as they are now, or null if
+// the session is gone.
+export async function authenticateSession(userId, sessionId) {
+  const found = await pool.query(
+    `SELECT u.id, u.email, u.role, u.email_verified_at IS NOT NULL AS email_verified, s.id AS session_id
+     FROM user_sessions s
+     JOIN users u ON u.id = s.user_id
+     WHERE s.id=$1 AND s.user_id=$2 AND s.revoked_at IS NULL AND s.expires_at > NOW() AND u.suspended_at IS NULL`,
+    [sessionId, userId]
+  )
+  return found.rows[0] ?? null
+}
+
+export async function listSessions(userId, currentSessionId) {
+  const sessions = await pool.query(
+    `SELECT id, user_agent, ip, created_at, last_used_at, expires_at
+     FROM user_sessions
+     WHERE user_id=$1 AND revoked_at IS NULL AND expires_at > NOW()
+     ORDER BY last_used_at DESC`,
+    [userId]
+  )
+  return sessions.rows.map((session) => ({ ...session, current: session.id === currentSessionId }))
+}
+
+export async function revokeSession(userId, sessionId, reason) {
+  const revoked = await pool.query(
+    `UPDATE user_sessions SET revoked_at=NOW(), revoked_reason=$3
+     WHERE id=$1 AND user_id=$2 AND revoked_at IS NULL
+     RETURNING id`,
+    [sessionId, userId, reason]
+  )
+  return revoked.rows.length > 0
+}
+
+export async function revokeAllSessions(userId, reason, { except = null } = {}) {
+  const revoked = await pool.query(
+    `UPDATE user_sessions SET revoked_at=NOW(), revoked_reason=$2
+     WHERE user_id=$1 AND revoked_at IS NULL AND id IS DISTINCT FROM $3`,
+    [userId, reason, except]
+  )
+  return revoked.rowCount
+}
+
+// Sessions are deleted a few days after they end, their refresh tokens with
+// them.
+export function startSessionCleanup({ intervalMs }) {
+  const prune = () =>
+    pool
+      .query(
+        `DELETE FROM user_sessions
+         WHERE COALESCE(revoked_at, expires_at) < NOW() - make_interval(days => $1)`,
+        [PRUNE_AFTER_DAYS]
+      )
+      .catch((error) => console.error("Session cleanup failed:", error.message))
+
+  const timer = setInterval(prune, intervalMs)
+  prune()
+  return () => clearInterval(timer)
+}
@@ -0,0 +1,340 @@
+import { assertCompliant, checkCompliance } from "./compliance.js"
+import { pool, withTransaction } from "./db.js"
+import { publishEvent, showcaseUploadEvent } from "./events.js"
+import { httpError } from "./http.js"
+import { claimQuota } from "./quotas.js"
+import { openSecret, sealSecret } from "./secrets.js"
+import { ShowcaseApiError } from "./showcasePublisher.js"
+import { queueWebhookEvent } from "./webhooks.js"
+
+// Upload lifecycle: [scheduled ->] queued -> uploading -> published | failed.
+// A scheduled upload waits for its scheduled_for time and can be cancelled
+// until then. An upload is "uploading" from the moment a sync pass claims it
+// until the Showcase API reports a final state; showcase_video_id is set once
+// the API accepted it.
+export const PENDING_UPLOAD_STATUSES = ["queued", "uploading"]
+
+const BATCH_SIZE = 20
+const TOKEN_REFRESH_MARGIN_MS = 60_000
+
+// Each workspace connects one Showcase account, which every upload from the
+// workspace publishes to.
+function publicAccount(account) {
+  if (!account) return { connected: false }
+  return {
+    connected: true,
+    connected_by: account.connected_by,
+    open_id: account.open_id,
+    scope: account.scope,
+    expires_at: account.expires_at,
+    updated_at: account.updated_at
+  }
+}
+
+async function saveTokens(db, workspaceId, grant, connectedBy = null) {
+  const saved = await db.query(
+    `INSERT INTO showcase_accounts (workspace_id, connected_by, open_id, access_token, refresh_token, scope, expires_at)
+     VALUES ($1,$2,$3,$4,$5,$6, NOW() + make_interval(secs => $7))
+     ON CONFLICT (workspace_id) DO UPDATE
+     SET connected_by=COALESCE(EXCLUDED.connected_by, showcase_accounts.connected_by),
+         open_id=COALESCE(EXCLUDED.open_id, showcase_accounts.open_id),
+         access_token=EXCLUDED.access_token,
+         refresh_token=COALESCE(EXCLUDED.refresh_token, showcase_accounts.refresh_token),
+         scope=COALESCE(EXCLUDED.scope, showcase_accounts.scope),
+         expires_at=EXCLUDED.expires_at,
+         updated_at=NOW()
+     RETURNING *`,
+    [
+      workspaceId,
+      connectedBy,
+      grant.open_id ?? null,
+      sealSecret(grant.access_token),
+      sealSecret(grant.refresh_token),
+      grant.scope ?? null,
+      Number(grant.expires_in || 86_400)
+    ]
+  )
+  return saved.rows[0]
+}
+
+export async function getShowcaseAccount(workspaceId) {
+  const account = await pool.query("SELECT * FROM showcase_accounts WHERE workspace_id=$1", [workspaceId])
+  return publicAccount(account.rows[0])
+}
+
+export async function connectShowcaseAccount(publisher, workspaceId, userId, code) {
+  let grant
+  try {
+    grant = await publisher.exchangeCode(code)
+  } catch (error) {
+    if (error instanceof ShowcaseApiError) {
+      throw httpError(error.status && error.status < 500 ? 400 : 502, "TikTok Showcase authorization failed", error.toJSON())
+    }
+    throw error
+  }
+  if (!grant?.access_token) throw httpError(502, "TikTok Showcase returned no access token")
+  return publicAccount(await saveTokens(pool, workspaceId, grant, userId))
+}
+
+export async function disconnectShowcaseAccount(workspaceId) {
+  const removed = await pool.query("DELETE FROM showcase_accounts WHERE workspace_id=$1 RETURNING workspace_id", [workspaceId])
+  return { disconnected: removed.rows.length > 0 }
+}
+
+// Refreshes under a row lock so two sync passes cannot both spend the same
+// refresh token.
+async function accessTokenFor(publisher, workspaceId) {
+  return withTransaction(async (client) => {
+    const found = await client.query("SELECT * FROM showcase_accounts WHERE workspace_id=$1 FOR UPDATE", [workspaceId])
+    const account = found.rows[0]
+    if (!account) throw new ShowcaseApiError("No TikTok Showcase account is connected", { code: "not_connected" })
+
+    const expiresSoon = account.expires_at && new Date(account.expires_at).getTime() - Date.now() < TOKEN_REFRESH_MARGIN_MS
+    if (!expiresSoon) return openSecret(account.access_token)
+    if (!account.refresh_token) {
+      throw new ShowcaseApiError("TikTok Showcase token expired, reconnect the account", { code: "token_expired" })
+    }
+
+    const grant = await publisher.refreshToken(openSecret(account.refresh_token))
+    await saveTokens(client, workspaceId, grant)
+    return grant.access_token
+  })
+}
+
+// Checks what the Showcase post will carry: the caption with the video's
+// title, script and hashtags, under the rules for the product's category.
+export async function checkUploadCompliance(videoJobId, caption, db = pool) {
+  const data = await db.query(
+    `SELECT vj.title, vj.script, vj.hashtags, vj.language, p.category
+     FROM video_jobs vj
+     LEFT JOIN products p ON p.id = vj.product_ref
+     WHERE vj.id=$1`,
+    [videoJobId]
+  )
+  const job = data.rows[0]
+  return checkCompliance(
+    { title: job.title, script: job.script, hashtags: job.hashtags, caption: caption || null },
+    { category: job.category, language: job.language },
+    db
+  )
+}
+
+// With scheduledFor the upload waits as "scheduled" until the scheduler
+// queues it at that time.
+export async function queueShowcaseUpload(
+  workspaceId,
+  userId,
+  videoJobId,
+  { caption, force = false, scheduledFor = null, freeQuotas }
+) {
+  return withTransaction(async (client) => {
+    await claimQuota(client, workspaceId, "showcase_uploads", freeQuotas)
+
+    // Locking the job serialises concurrent uploads of it, so the duplicate
+    // check below cannot race.
+    const video = await client.query(
+      "SELECT id, status FROM video_jobs WHERE id=$1 AND workspace_id=$2 FOR UPDATE",
+      [videoJobId, workspaceId]
+    )
+    if (!video.rows.length) throw httpError(404, "Video job not found")
+    if (video.rows[0].status !== "ready") throw httpError(409, `Video job is ${video.rows[0].status}, not ready`)
+
+    const existing = await client.query(
+      `SELECT id, status, publish_url FROM showcase_uploads
+       WHERE video_job_id=$1 AND status IN ('scheduled','queued','uploading','published')
+       ORDER BY id DESC LIMIT 1`,
+      [videoJobId]
+    )
+    const previous = existing.rows[0]
+    if (previous && previous.status !== "published") {
+      throw httpError(409, "Video job already has an upload in progress", { upload_id: previous.id, status: previous.status })
+    }
+    if (previous && !force) {
+      throw httpError(409, "Video job is already published to Showcase, pass force to upload it again", {
+        upload_id: previous.id,
+        publish_url: previous.publish_url
+      })
+    }
+
+    // Blocking findings refuse the upload; warnings are kept with it.
+    const compliance = await checkUploadCompliance(videoJobId, caption, client)
+    assertCompliant(compliance, "Upload")
+
+    const upload = await client.query(
+      `INSERT INTO showcase_uploads (workspace_id, user_id, video_job_id, status, payload, scheduled_for, next_check_at)
+       VALUES ($1,$2,$3,$4,$5,$6,COALESCE($6, NOW()::timestamp))
+       RETURNING *`,
+      [
+        workspaceId,
+        userId,
+        videoJobId,
+        scheduledFor ? "scheduled" : "queued",
+        JSON.stringify({ caption, forced: Boolean(previous), compliance: { status: compliance.status, findings: compliance.findings } }),
+        scheduledFor
+      ]
+    )
+    await publishEvent(client, workspaceId, "showcase_upload.updated", showcaseUploadEvent(upload.rows[0]))
+    return upload.rows[0]
+  })
+}
+
+async function updateUpload(id, assignments, values, { notify = true } = {}) {
+  const updated = await pool.query(
+    `UPDATE showcase_uploads SET ${assignments}, updated_at=NOW() WHERE id=$1 AND status='uploading' RETURNING *`,
+    [id, ...values]
+  )
+  const upload = updated.rows[0]
+  if (upload && notify) await publishEvent(pool, upload.workspace_id, "showcase_upload.updated", showcaseUploadEvent(upload))
+  return upload
+}
+
+function failUpload(upload, error) {
+  return updateUpload(upload.id, "status='failed', error=$2, finished_at=NOW()", [JSON.stringify(error)])
+}
+
+async function applyRemoteStatus(upload, remote, pollIntervalMs) {
+  if (remote.status === "published") {
+    const published = await updateUpload(
+      upload.id,
+      "status='published', showcase_video_id=$2, publish_url=$3, error=NULL, finished_at=NOW()",
+      [remote.id, remote.publish_url ?? null]
+    )
+    if (published) await queueWebhookEvent(pool, published.workspace_id, "showcase.uploaded", showcaseUploadEvent(published))
+    return published
+  }
+  if (remote.status === "failed") {
+    return updateUpload(
+      upload.id,
+      "status='failed', showcase_video_id=$2, error=$3, finished_at=NOW()",
+      [remote.id, JSON.stringify({ code: remote.error?.code || "publish_failed", message: remote.error?.message || "Showcase rejected the video" })]
+    )
+  }
+  return updateUpload(
+    upload.id,
+    "showcase_video_id=$2, next_check_at=NOW() + make_interval(secs => $3)",
+    [remote.id, pollIntervalMs / 1000],
+    { notify: upload.showcase_video_id !== remote.id }
+  )
+}
+
+async function videoPayload(upload) {
+  const data = await pool.query(
+    `SELECT vj.title, vj.script, vj.hashtags, vj.language, vj.artifacts, p.product_id, p.product_url
+     FROM video_jobs vj
+     LEFT JOIN products p ON p.id = vj.product_ref
+     WHERE vj.id=$1`,
+    [upload.video_job_id]
+  )
+  const job = data.rows[0]
+  return {
+    title: job.title,
+    caption: upload.payload?.caption || job.title,
+    hashtags: String(job.hashtags ?? "").split(/\s+/).filter(Boolean),
+    language: job.language,
+    script: job.script,
+    captions_vtt: job.artifacts?.captions_vtt ?? null,
+    timeline: job.artifacts?.timeline ?? null,
+    product: { product_id: job.product_id, product_url: job.product_url }
+  }
+}
+
+async function submitUpload(publisher, upload, options) {
+  try {
+    const token = await accessTokenFor(publisher, upload.workspace_id)
+    const remote = await publisher.publish(token, await videoPayload(upload), { idempotencyKey: `showcase-upload-${upload.id}` })
+    return applyRemoteStatus(upload, remote, options.pollIntervalMs)
+  } catch (error) {
+    if (!(error instanceof ShowcaseApiError)) throw error
+    if (error.retryable && upload.attempts < options.maxAttempts) {
+      const delayMs = Math.min(options.retryMaxMs, options.retryBaseMs * 2 ** Math.max(0, upload.attempts - 1))
+      return updateUpload(
+        upload.id,
+        "status='queued', error=$2, next_check_at=NOW() + make_interval(secs => $3)",
+        [JSON.stringify(error), delayMs / 1000]
+      )
+    }
+    return failUpload(upload, error)
+  }
+}
+
+async function reconcileUpload(publisher, upload, options) {
+  if (Date.now() - new Date(upload.created_at).getTime() > options.pendingTimeoutMs) {
+    return failUpload(upload, { code: "timeout", message: "Showcase did not finish processing the video in time" })
+  }
+
+  try {
+    const token = await accessTokenFor(publisher, upload.workspace_id)
+    return applyRemoteStatus(upload, await publisher.getStatus(token, upload.showcase_video_id), options.pollIntervalMs)
+  } catch (error) {
+    if (!(error instanceof ShowcaseApiError)) throw error
+    // Transient errors leave the upload pending; the claim already pushed
+    // its next check out.
+    if (error.retryable) return null
+    return failUpload(upload, error)
+  }
+}
+
+// Claiming moves next_check_at forward, which doubles as a lease: an upload
+// whose sync pass died mid-request is picked up again once it lapses, and the
+// idempotency key keeps a resubmission from publishing twice.
+async function claimUploads({ submitted, leaseMs }) {
+  const claimed = await pool.query(
+    `UPDATE showcase_uploads
+     SET status='uploading',
+         attempts = attempts + CASE WHEN $1::boolean THEN 0 ELSE 1 END,
+         next_check_at = NOW() + make_interval(secs => $2),
+         updated_at = NOW()
+     WHERE id IN (
+       SELECT id FROM showcase_uploads
+       WHERE next_check_at <= NOW()
+         AND ${submitted
+           ? "status='uploading' AND showcase_video_id IS NOT NULL"
+           : "(status='queued' OR (status='uploading' AND showcase_video_id IS NULL))"}
+       ORDER BY next_check_at ASC
+       FOR UPDATE SKIP LOCKED
+       LIMIT ${BATCH_SIZE}
+     )
+     RETURNING *`,
+    [submitted, leaseMs / 1000]
+  )
+  return claimed.rows
+}
+
+export async function syncShowcaseUploads(publisher, options) {
+  const results = []
+
+  for (const upload of await claimUploads({ submitted: false, leaseMs: options.leaseMs })) {
+    await publishEvent(pool, upload.workspace_id, "showcase_upload.updated", showcaseUploadEvent(upload))
+    const updated = await submitUpload(publisher, upload, options)
+    if (updated) results.push(updated)
+  }
+
+  for (const upload of await claimUploads({ submitted: true, leaseMs: options.leaseMs })) {
+    const updated = await reconcileUpload(publisher, upload, options)
+    if (updated) results.push(updated)
+  }
+
+  return results
+}
+
+export function startShowcaseSync({ publisher, intervalMs, ...options }) {
+  let running = false
+
+  const tick = async () => {
+    if (running) return
+    running = true
+    try {
+      const results = await syncShowcaseUploads(publisher, { pollIntervalMs: intervalMs, ...options })
+      const finished = results.filter((upload) => !PENDING_UPLOAD_STATUSES.includes(upload.status))
+      if (finished.length) console.log(`Showcase sync finished ${finished.length} upload(s)`)
+    } catch (error) {
+      console.error("Showcase sync failed:", error)
+    } finally {
+      running = false
+    }
+  }
+
+  const timer = setInterval(tick, intervalMs)
+  tick()
+  return () => clearInterval(timer)
+}
@@ -0,0 +1,102 @@
+// HTTP client for the TikTok Showcase publishing API. Anything that exposes
+// the same methods can stand in for it; in development the base URL points at
+// the bundled mock server (mock/showcaseServer.js).
+
+export class ShowcaseApiError extends Error {
+  constructor(message, { status = null, code = "request_failed", retryable = false } = {}) {
+    super(message)
+    this.status = status
+    this.code = code
+    this.retryable = retryable
+  }
+
+  toJSON() {
+    return { code: this.code, message: this.message, status: this.status }
+  }
+}
+
+// The consent page is opened by the user's browser, so it may live on a
+// different host than the API the server calls.
+export function createShowcasePublisher({ baseUrl, authorizeBaseUrl, clientKey, clientSecret, redirectUri, timeoutMs }) {
+  if (!baseUrl) throw new Error("SHOWCASE_API_BASE_URL is required")
+  const root = baseUrl.replace(/\/$/, "")
+  const authorizeRoot = (authorizeBaseUrl || baseUrl).replace(/\/$/, "")
+
+  async function call(method, path, { token, body, headers = {} } = {}) {
+    const controller = new AbortController()
+    const timeoutId = setTimeout(() => controller.abort(), timeoutMs)
+    try {
+      const requestHeaders = { ...headers }
+      if (token) requestHeaders.Authorization = `Bearer ${token}`
+      if (body) requestHeaders["Content-Type"] = "application/json"
+
+      let response
+      try {
+        response = await fetch(`${root}${path}`, {
+          method,
+          headers: requestHeaders,
+          signal: controller.signal,
+          body: body ? JSON.stringify(body) : undefined
+        })
+      } catch (error) {
+        throw new ShowcaseApiError(`Showcase API unreachable: ${error.message}`, { code: "network_error", retryable: true })
+      }
+
+      const payload = await response.json().catch(() => ({}))
+      if (!response.ok) {
+        throw new ShowcaseApiError(payload.error?.message || `Showcase API responded ${response.status}`, {
+          status: response.status,
+          code: payload.error?.code || (response.status === 401 ? "unauthorized" : "request_failed"),
+          retryable: response.status === 429 || response.status >= 500
+        })
+      }
+      return payload
+    } finally {
+      clearTimeout(timeoutId)
+    }
+  }
+
+  function tokenGrant(params) {
+    return call("POST", "/oauth/token", {
+      body: { client_key: clientKey, client_secret: clientSecret, ...params }
+    })
+  }
+
+  return {
+    authorizeUrl(state) {
+      const query = new URLSearchParams({
+        client_key: clientKey ?? "",
+        response_type: "code",
+        scope: "showcase.publish",
+        redirect_uri: redirectUri,
+        state
+      })
+      return `${authorizeRoot}/oauth/authorize?${query}`
+    },
+
+    // Both grants resolve to { access_token, refresh_token, expires_in, open_id, scope }.
+    exchangeCode(code) {
+      return tokenGrant({ grant_type: "authorization_code", code, redirect_uri: redirectUri })
+    },
+
+    refreshToken(refreshToken) {
+      return tokenGrant({ grant_type: "refresh_token", refresh_token: refreshToken })
+    },
+
+    // Resolves to { id, status, publish_url }. The idempotency key makes a
+    // retried submission return the original video instead of a duplicate.
+    publish(token, video, { idempotencyKey }) {
+      return call("POST", "/v2/showcase/videos", {
+        token,
+        body: video,
+        headers: { "Idempotency-Key": idempotencyKey }
+      })
+    },
+
+    // Resolves to { id, status, publish_url, error }, status being one of
+    // processing, published or failed.
+    getStatus(token, remoteId) {
+      return call("GET", `/v2/showcase/videos/${encodeURIComponent(remoteId)}`, { token })
+    }
+  }
+}
@@ -0,0 +1,338 @@
+import { pool, withTransaction } from "./db.js"
+import { publishEvent, showcaseUploadEvent } from "./events.js"
+import { httpError } from "./http.js"
+import { claimQuota } from "./quotas.js"
+import { checkUploadCompliance } from "./showcase.js"
+import { addDays, localDateTime, localParts, startOfLocalDay, zonedTime } from "./timezones.js"
+
+// Scheduled publishing. An upload can wait as "scheduled" until its
+// scheduled_for time, and a workspace can keep recurring posting slots
+// ("every day at 19:00 Asia/Bangkok") that each take the next ready video
+// nobody has uploaded yet. The scheduler loop turns both into queued uploads,
+// which the Showcase sync then publishes as usual.
+
+export const WEEKDAYS = ["mon", "tue", "wed", "thu", "fri", "sat", "sun"]
+export const MAX_SCHEDULE_DAYS = 62
+
+const SLOT_COLUMNS = `id, workspace_id, created_by, time_of_day, days, timezone, caption, active,
+  next_run_at, last_run_at, last_upload_id, last_error, updated_at, created_at`
+const BATCH_SIZE = 50
+const SLOT_CANDIDATES = 10
+
+// Oldest ready video first; a video that was ever uploaded, scheduled or
+// taken by a slot is left alone unless that upload was cancelled.
+const NEXT_VIDEOS = `SELECT vj.id, vj.title FROM video_jobs vj
+  WHERE vj.workspace_id=$1 AND vj.status='ready'
+    AND NOT EXISTS (
+      SELECT 1 FROM showcase_uploads su WHERE su.video_job_id = vj.id AND su.status <> 'cancelled'
+    )
+  ORDER BY vj.updated_at ASC, vj.id ASC`
+
+// The first time after `after` that the slot's clock shows its time of day on
+// one of its days (every day when days is null). A day whose time falls in a
+// DST gap is skipped.
+export function nextOccurrence({ time_of_day: time, days, timezone }, after = new Date()) {
+  const today = localParts(after, timezone).date
+  for (let offset = 0; offset <= 8; offset++) {
+    const instant = zonedTime(addDays(today, offset), time, timezone)
+    if (!instant || instant <= after) continue
+    if (days?.length && !days.includes(localParts(instant, timezone).weekday)) continue
+    return instant
+  }
+  return null
+}
+
+export function assertScheduleTime(instant, { maxDaysAhead }, field = "scheduledFor") {
+  if (instant.getTime() <= Date.now()) throw httpError(400, `${field} must be in the future`)
+  if (instant.getTime() > Date.now() + maxDaysAhead * 24 * 60 * 60_000) {
+    throw httpError(400, `${field} must be within ${maxDaysAhead} days`)
+  }
+}
+
+function normalizeDays(days) {
+  if (!days?.length) return null
+  return WEEKDAYS.filter((day) => days.includes(day))
+}
+
+export async function listSlots(workspaceId) {
+  const slots = await pool.query(
+    `SELECT ${SLOT_COLUMNS} FROM showcase_slots WHERE workspace_id=$1 ORDER BY time_of_day ASC, id ASC`,
+    [workspaceId]
+  )
+  return slots.rows
+}
+
+export async function createSlot(workspaceId, userId, { time, days, timezone, caption, active }, { maxSlots }) {
+  const slot = { time_of_day: time, days: normalizeDays(days), timezone }
+  return withTransaction(async (client) => {
+    // Serialises slot creation per workspace so the limit holds.
+    await client.query("SELECT id FROM workspaces WHERE id=$1 FOR UPDATE", [workspaceId])
+    const count = await client.query("SELECT COUNT(*)::int AS count FROM showcase_slots WHERE workspace_id=$1", [workspaceId])
+    if (count.rows[0].count >= maxSlots) throw httpError(409, `A workspace can have at most ${maxSlots} posting slots`)
+
+    const created = await client.query(
+      `INSERT INTO showcase_slots (workspace_id, created_by, time_of_day, days, timezone, caption, active, next_run_at)
+       VALUES ($1,$2,$3,$4,$5,$6,$7,$8)
+       RETURNING ${SLOT_COLUMNS}`,
+      [workspaceId, userId, slot.time_of_day, slot.days, timezone, caption, active, nextOccurrence(slot)]
+    )
+    return created.rows[0]
+  })
+}
+
+// Changing when a slot runs moves its next run; turning it back on starts
+// from now rather than catching up on the runs it missed.
+export async function updateSlot(workspaceId, id, changes) {
+  return withTransaction(async (client) => {
+    const found = await client.query(`SELECT ${SLOT_COLUMNS} FROM showcase_slots WHERE id=$1 AND workspace_id=$2 FOR UPDATE`, [id, workspaceId])
+    if (!found.rows.length) throw httpError(404, "Posting slot not found")
+    const slot = { ...found.rows[0] }
+    if (changes.time !== undefined) slot.time_of_day = changes.time
+    if (changes.days !== undefined) slot.days = normalizeDays(changes.days)
+    if (changes.timezone !== undefined) slot.timezone = changes.timezone
+    if (changes.caption !== undefined) slot.caption = changes.caption
+    if (changes.active !== undefined) slot.active = changes.active
+
+    const updated = await client.query(
+      `UPDATE showcase_slots
+       SET time_of_day=$2, days=$3, timezone=$4, caption=$5, active=$6, next_run_at=$7, updated_at=NOW()
+       WHERE id=$1
+       RETURNING ${SLOT_COLUMNS}`,
+      [id, slot.time_of_day, slot.days, slot.timezone, slot.caption, slot.active, nextOccurrence(slot)]
+    )
+    return updated.rows[0]
+  })
+}
+
+// Uploads a slot already made keep their history; only the link goes.
+export async function deleteSlot(workspaceId, id) {
+  const removed = await pool.query("DELETE FROM showcase_slots WHERE id=$1 AND workspace_id=$2 RETURNING id", [id, workspaceId])
+  if (!removed.rows.length) throw httpError(404, "Posting slot not found")
+}
+
+async function changeScheduledUpload(workspaceId, id, assignments, values, action) {
+  const updated = await pool.query(
+    `UPDATE showcase_uploads SET ${assignments}, updated_at=NOW()
+     WHERE id=$1 AND workspace_id=$2 AND status='scheduled'
+     RETURNING *`,
+    [id, workspaceId, ...values]
+  )
+  const upload = updated.rows[0]
+  if (!upload) {
+    const found = await pool.query("SELECT status FROM showcase_uploads WHERE id=$1 AND workspace_id=$2", [id, workspaceId])
+    if (!found.rows.length) throw httpError(404, "Showcase upload not found")
+    throw httpError(409, `Upload is ${found.rows[0].status}, only scheduled uploads can be ${action}`)
+  }
+  await publishEvent(pool, workspaceId, "showcase_upload.updated", showcaseUploadEvent(upload))
+  return upload
+}
+
+export function rescheduleUpload(workspaceId, id, scheduledFor) {
+  return changeScheduledUpload(workspaceId, id, "scheduled_for=$3, next_check_at=$3", [scheduledFor], "rescheduled")
+}
+
+export function cancelScheduledUpload(workspaceId, id) {
+  return changeScheduledUpload(workspaceId, id, "status='cancelled', finished_at=NOW()", [], "cancelled")
+}
+
+function calendarEntry(type, at, timeZone, fields) {
+  return {
+    type,
+    at,
+    local_time: localDateTime(at, timeZone),
+    upload_id: null,
+    slot_id: null,
+    video_job_id: null,
+    title: null,
+    status: null,
+    error: null,
+    ...fields
+  }
+}
+
+// Everything set to go out between the start of `from` and the end of `to`
+// on the timeZone's calendar: scheduled uploads (whatever became of them)
+// and the runs of active slots still to come. Each upcoming run shows the
+// video it would take if nothing changes before then.
+export async function getSchedule(workspaceId, { from, to, timeZone }) {
+  if (to < from) throw httpError(400, "to must not be before from")
+  if (addDays(from, MAX_SCHEDULE_DAYS - 1) < to) throw httpError(400, `The schedule covers at most ${MAX_SCHEDULE_DAYS} days at a time`)
+  const start = startOfLocalDay(from, timeZone)
+  const end = startOfLocalDay(addDays(to, 1), timeZone)
+
+  const [uploads, slots] = await Promise.all([
+    pool.query(
+      `SELECT su.id, su.video_job_id, su.slot_id, su.status, su.scheduled_for, su.error, vj.title
+       FROM showcase_uploads su
+       LEFT JOIN video_jobs vj ON vj.id = su.video_job_id
+       WHERE su.workspace_id=$1 AND su.scheduled_for >= $2 AND su.scheduled_for < $3
+       ORDER BY su.scheduled_for ASC, su.id ASC`,
+      [workspaceId, start, end]
+    ),
+    pool.query(`SELECT ${SLOT_COLUMNS} FROM showcase_slots WHERE workspace_id=$1 AND active`, [workspaceId])
+  ])
+
+  const runs = []
+  for (const slot of slots.rows) {
+    let at = slot.next_run_at
+    while (at && at < start) at = nextOccurrence(slot, at)
+    for (; at && at < end; at = nextOccurrence(slot, at)) {
+      runs.push(calendarEntry("slot", at, timeZone, { slot_id: slot.id, status: "open" }))
+    }
+  }
+  runs.sort((a, b) => a.at - b.at || a.slot_id - b.slot_id)
+
+  if (runs.length) {
+    const videos = await pool.query(`${NEXT_VIDEOS} LIMIT $2`, [workspaceId, runs.length])
+    videos.rows.forEach((video, index) => Object.assign(runs[index], { video_job_id: video.id, title: video.title }))
+  }
+
+  const items = uploads.rows
+    .map((upload) => calendarEntry("upload", upload.scheduled_for, timeZone, {
+      upload_id: upload.id,
+      slot_id: upload.slot_id,
+      video_job_id: upload.video_job_id,
+      title: upload.title,
+      status: upload.status,
+      error: upload.error
+    }))
+    .concat(runs)
+    .sort((a, b) => a.at - b.at)
+
+  return { timezone: timeZone, from, to, items }
+}
+
+// Queues the slot's next video, or says why it could not.
+async function fillSlot(client, slot, freeQuotas) {
+  const account = await client.query("SELECT 1 FROM showcase_accounts WHERE workspace_id=$1", [slot.workspace_id])
+  if (!account.rows.length) return { error: { code: "not_connected", message: "No TikTok Showcase account is connected" } }
+
+  try {
+    await claimQuota(client, slot.workspace_id, "showcase_uploads", freeQuotas)
+  } catch (error) {
+    if (error.status !== 403) throw error
+    return { error: { code: "quota_exceeded", message: error.message } }
+  }
+
+  // Videos whose post would break a blocking compliance rule are passed over
+  // for the next one in line.
+  const videos = await client.query(`${NEXT_VIDEOS} LIMIT ${SLOT_CANDIDATES} FOR UPDATE OF vj SKIP LOCKED`, [slot.workspace_id])
+  if (!videos.rows.length) return { error: { code: "no_ready_video", message: "No ready video was waiting for this slot" } }
+  let video = null
+  let compliance = null
+  for (const candidate of videos.rows) {
+    compliance = await checkUploadCompliance(candidate.id, slot.caption, client)
+    if (compliance.status !== "block") {
+      video = candidate
+      break
+    }
+  }
+  if (!video) {
+    return {
+      error: {
+        code: "compliance_blocked",
+        message: "The next videos in line all break a blocking compliance rule",
+        video_job_ids: videos.rows.map((candidate) => candidate.id)
+      }
+    }
+  }
+
+  const created = await client.query(
+    `INSERT INTO showcase_uploads (workspace_id, user_id, video_job_id, status, payload, scheduled_for, slot_id)
+     VALUES ($1,$2,$3,'queued',$4,$5,$6)
+     RETURNING *`,
+    [
+      slot.workspace_id,
+      slot.created_by,
+      video.id,
+      JSON.stringify({ caption: slot.caption, forced: false, compliance: { status: compliance.status, findings: compliance.findings } }),
+      slot.next_run_at,
+      slot.id
+    ]
+  )
+  const upload = created.rows[0]
+  await publishEvent(client, slot.workspace_id, "showcase_upload.updated", showcaseUploadEvent(upload))
+  return { upload }
+}
+
+// One slot per transaction, so a slow workspace does not hold the others'
+// locks. A slot that missed runs while the server was down runs once and
+// moves on to its next time.
+async function runDueSlot(freeQuotas) {
+  return withTransaction(async (client) => {
+    const due = await client.query(
+      `SELECT ${SLOT_COLUMNS} FROM showcase_slots
+       WHERE active AND next_run_at <= NOW()
+       ORDER BY next_run_at ASC
+       FOR UPDATE SKIP LOCKED
+       LIMIT 1`
+    )
+    const slot = due.rows[0]
+    if (!slot) return null
+
+    const { upload = null, error = null } = await fillSlot(client, slot, freeQuotas)
+    await client.query(
+      `UPDATE showcase_slots
+       SET next_run_at=$2, last_run_at=NOW(), last_upload_id=COALESCE($3, last_upload_id), last_error=$4, updated_at=NOW()
+       WHERE id=$1`,
+      [slot.id, nextOccurrence(slot), upload?.id ?? null, error ? JSON.stringify(error) : null]
+    )
+    if (error) {
+      await publishEvent(client, slot.workspace_id, "showcase_slot.skipped", { slot_id: slot.id, run_at: slot.next_run_at, error })
+    }
+    return { slot, upload, error }
+  })
+}
+
+async function releaseDueUploads() {
+  const released = await pool.query(
+    `UPDATE showcase_uploads
+     SET status='queued', next_check_at=NOW(), updated_at=NOW()
+     WHERE id IN (
+       SELECT id FROM showcase_uploads
+       WHERE status='scheduled' AND scheduled_for <= NOW()
+       ORDER BY scheduled_for ASC
+       FOR UPDATE SKIP LOCKED
+       LIMIT ${BATCH_SIZE}
+     )
+     RETURNING *`
+  )
+  for (const upload of released.rows) {
+    await publishEvent(pool, upload.workspace_id, "showcase_upload.updated", showcaseUploadEvent(upload))
+  }
+  return released.rows
+}
+
+export async function runShowcaseSchedule({ freeQuotas }) {
+  const released = await releaseDueUploads()
+  const runs = []
+  for (let count = 0; count < BATCH_SIZE; count++) {
+    const run = await runDueSlot(freeQuotas)
+    if (!run) break
+    runs.push(run)
+  }
+  return { released, runs }
+}
+
+export function startShowcaseScheduler({ intervalMs, freeQuotas }) {
+  let running = false
+
+  const tick = async () => {
+    if (running) return
+    running = true
+    try {
+      const { released, runs } = await runShowcaseSchedule({ freeQuotas })
+      const queued = released.length + runs.filter((run) => run.upload).length
+      const skipped = runs.filter((run) => run.error).length
+      if (queued || skipped) console.log(`Showcase scheduler queued ${queued} upload(s), skipped ${skipped} slot run(s)`)
+    } catch (error) {
+      console.error("Showcase scheduler failed:", error)
+    } finally {
+      running = false
+    }
+  }
+
+  const timer = setInterval(tick, intervalMs)
+  tick()
+  return () => clearInterval(timer)
+}
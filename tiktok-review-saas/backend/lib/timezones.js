@@ -0,0 +1,110 @@
+import { httpError } from "./http.js"
+
+// Wall-clock times in IANA time zones, worked out with Intl so DST zones
+// behave too. Local times are "YYYY-MM-DD" dates and "HH:MM" times.
+
+export const DEFAULT_TIME_ZONE = "Asia/Bangkok"
+
+const LOCAL_DATE_TIME = /^(\d{4})-(\d{2})-(\d{2})T(\d{2}):(\d{2})(?::\d{2}(?:\.\d+)?)?$/
+const WITH_OFFSET = /(?:Z|[+-]\d{2}:?\d{2})$/i
+const DAY_MS = 24 * 60 * 60_000
+
+const formatters = new Map()
+
+function formatterFor(timeZone) {
+  if (!formatters.has(timeZone)) {
+    formatters.set(timeZone, new Intl.DateTimeFormat("en-US", {
+      timeZone,
+      hourCycle: "h23",
+      year: "numeric",
+      month: "2-digit",
+      day: "2-digit",
+      hour: "2-digit",
+      minute: "2-digit",
+      second: "2-digit",
+      weekday: "short"
+    }))
+  }
+  return formatters.get(timeZone)
+}
+
+// Returns the canonical name ("asia/bangkok" becomes "Asia/Bangkok") or
+// throws a 400.
+export function parseTimeZone(value, field = "timezone") {
+  try {
+    return new Intl.DateTimeFormat("en-US", { timeZone: String(value) }).resolvedOptions().timeZone
+  } catch (_error) {
+    throw httpError(400, `${field} must be an IANA time zone, e.g. ${DEFAULT_TIME_ZONE}`)
+  }
+}
+
+// { date, time, seconds, weekday } of an instant on the zone's wall clock;
+// weekday is mon..sun.
+export function localParts(instant, timeZone) {
+  const parts = Object.fromEntries(formatterFor(timeZone).formatToParts(instant).map((part) => [part.type, part.value]))
+  return {
+    date: `${parts.year}-${parts.month}-${parts.day}`,
+    time: `${parts.hour}:${parts.minute}`,
+    seconds: Number(parts.second),
+    weekday: parts.weekday.toLowerCase()
+  }
+}
+
+export function localDateTime(instant, timeZone) {
+  const { date, time } = localParts(instant, timeZone)
+  return `${date}T${time}`
+}
+
+function offsetMs(instant, timeZone) {
+  const { date, time, seconds } = localParts(instant, timeZone)
+  const [year, month, day] = date.split("-").map(Number)
+  const [hour, minute] = time.split(":").map(Number)
+  const wallClock = Date.UTC(year, month - 1, day, hour, minute, seconds)
+  return wallClock - Math.floor(instant.getTime() / 1000) * 1000
+}
+
+// The instant the zone's clock reads date at time, or null when that wall
+// time does not exist (skipped by a DST change). Times repeated when clocks
+// go back resolve to the first of the two.
+export function zonedTime(date, time, timeZone) {
+  const [year, month, day] = date.split("-").map(Number)
+  const [hour, minute] = time.split(":").map(Number)
+  const wallClock = Date.UTC(year, month - 1, day, hour, minute)
+  // Offsets change at most once a day, so the ones a day either side cover
+  // every reading of the wall time.
+  const offsets = [wallClock - DAY_MS, wallClock + DAY_MS].map((ms) => offsetMs(new Date(ms), timeZone))
+  const candidates = offsets
+    .map((offset) => new Date(wallClock - offset))
+    .filter((instant) => localDateTime(instant, timeZone) === `${date}T${time}`)
+    .sort((a, b) => a - b)
+  return candidates[0] ?? null
+}
+
+export function addDays(date, days) {
+  const [year, month, day] = date.split("-").map(Number)
+  return new Date(Date.UTC(year, month - 1, day + days)).toISOString().slice(0, 10)
+}
+
+// "2026-10-25T19:00" is read on the zone's clock; a value with Z or an
+// offset is taken as is.
+export function parseZonedDateTime(value, timeZone, field) {
+  const text = String(value).trim()
+  if (WITH_OFFSET.test(text)) {
+    const instant = new Date(text)
+    if (!Number.isNaN(instant.getTime())) return instant
+  }
+  const match = LOCAL_DATE_TIME.exec(text)
+  if (match) {
+    const [, year, month, day, hour, minute] = match
+    const instant = zonedTime(`${year}-${month}-${day}`, `${hour}:${minute}`, timeZone)
+    if (instant) return instant
+    throw httpError(400, `${field} is not a valid time in ${timeZone}`)
+  }
+  throw httpError(400, `${field} must be a date and time such as 2026-10-25T19:00, optionally with an offset`)
+}
+
+// Midnight, or the first hour after it in zones whose DST change skips
+// midnight.
+export function startOfLocalDay(date, timeZone) {
+  return zonedTime(date, "00:00", timeZone) ?? zonedTime(date, "01:00", timeZone)
+}
@@ -0,0 +1,29 @@
+// Rough speaking rates the local stand-in uses to time narration.
+const CHARS_PER_SECOND = { th: 12, en: 15 }
+
+function roundSeconds(value) {
+  return Math.round(value * 100) / 100
+}
+
+// Produces timing only, no audio, so the pipeline can run end to end without a
+// speech engine. A real provider returns the same shape with audio_url filled.
+function createLocalTts() {
+  return {
+    name: "local",
+    async synthesize(segments, { voice, language }) {
+      const rate = CHARS_PER_SECOND[language] ?? CHARS_PER_SECOND.th
+      return segments.map((segment) => ({
+        scene: segment.scene,
+        text: segment.text,
+        voice,
+        audio_url: null,
+        duration_sec: roundSeconds(Math.max(0.5, [...segment.text].length / rate))
+      }))
+    }
+  }
+}
+
+export function createTtsProvider({ provider = "local" } = {}) {
+  if (provider === "local") return createLocalTts()
+  throw new Error(`Unknown TTS_PROVIDER: ${provider}`)
+}
@@ -0,0 +1,232 @@
+import { pool } from "./db.js"
+import { publishEvent, videoJobEvent } from "./events.js"
+import { generationDetails } from "./generators.js"
+import { httpError } from "./http.js"
+import { discountFor } from "./products.js"
+import { renderLocal } from "./renderer.js"
+import { queueWebhookEvent } from "./webhooks.js"
+
+export const VIDEO_JOB_STATES = ["queued", "scripting", "tts", "rendering", "ready", "failed", "cancelled"]
+const IN_PROGRESS = ["scripting", "tts", "rendering"]
+const CANCELLABLE = ["queued", ...IN_PROGRESS]
+
+// Everything but the rendered artifacts, which can be large.
+export const VIDEO_JOB_SUMMARY_COLUMNS = `id, workspace_id, user_id, product_ref, status, title, hook, hook_id, script, storyboard, hashtags,
+  tts_voice, language, generation, attempts, max_attempts, run_after, last_error, finished_at, updated_at, created_at`
+
+// Raised when a job was cancelled or its lease taken over while a worker was
+// still processing it; the worker drops the job without touching it again.
+class JobLostError extends Error {}
+
+async function publishJobUpdate(job, db = pool) {
+  await publishEvent(db, job.workspace_id, "video_job.updated", videoJobEvent(job))
+  if (job.status === "ready") await queueWebhookEvent(db, job.workspace_id, "video_job.ready", videoJobWebhook(job))
+}
+
+function videoJobWebhook(job) {
+  return {
+    id: job.id,
+    product_ref: job.product_ref,
+    status: job.status,
+    language: job.language,
+    title: job.title,
+    hook: job.hook,
+    hashtags: job.hashtags,
+    created_at: job.created_at,
+    finished_at: job.finished_at
+  }
+}
+
+export async function enqueueVideoJob({ workspaceId, userId, productId, language, ttsVoice }, db = pool) {
+  const created = await db.query(
+    `INSERT INTO video_jobs (workspace_id, user_id, product_ref, status, language, tts_voice)
+     VALUES ($1,$2,$3,'queued',$4,$5)
+     RETURNING ${VIDEO_JOB_SUMMARY_COLUMNS}`,
+    [workspaceId, userId, productId, language, ttsVoice]
+  )
+  await publishJobUpdate(created.rows[0], db)
+  await queueWebhookEvent(db, workspaceId, "video_job.created", videoJobWebhook(created.rows[0]))
+  return created.rows[0]
+}
+
+export async function getVideoJob(workspaceId, id) {
+  const data = await pool.query("SELECT * FROM video_jobs WHERE id=$1 AND workspace_id=$2", [id, workspaceId])
+  if (!data.rows.length) throw httpError(404, "Video job not found")
+  return data.rows[0]
+}
+
+export async function cancelVideoJob(workspaceId, id) {
+  const updated = await pool.query(
+    `UPDATE video_jobs
+     SET status='cancelled', locked_by=NULL, locked_at=NULL, finished_at=NOW(), updated_at=NOW()
+     WHERE id=$1 AND workspace_id=$2 AND status = ANY($3)
+     RETURNING ${VIDEO_JOB_SUMMARY_COLUMNS}`,
+    [id, workspaceId, CANCELLABLE]
+  )
+  if (updated.rows.length) {
+    await publishJobUpdate(updated.rows[0])
+    return updated.rows[0]
+  }
+
+  const job = await getVideoJob(workspaceId, id)
+  throw httpError(409, `Video job is already ${job.status}`)
+}
+
+// Jobs whose worker died mid-run go back to the queue (or fail once they
+// have used up their attempts).
+async function reapExpiredLeases(leaseMs) {
+  const reaped = await pool.query(
+    `UPDATE video_jobs
+     SET status = CASE WHEN attempts >= max_attempts THEN 'failed' ELSE 'queued' END,
+         last_error = 'worker lease expired',
+         finished_at = CASE WHEN attempts >= max_attempts THEN NOW() ELSE NULL END,
+         locked_by = NULL, locked_at = NULL, updated_at = NOW()
+     WHERE status = ANY($1) AND locked_at < NOW() - make_interval(secs => $2)
+     RETURNING *`,
+    [IN_PROGRESS, leaseMs / 1000]
+  )
+  for (const job of reaped.rows) await publishJobUpdate(job)
+}
+
+async function claimVideoJob(workerId) {
+  const claimed = await pool.query(
+    `UPDATE video_jobs
+     SET status='scripting', attempts = attempts + 1, locked_by=$1, locked_at=NOW(), last_error=NULL, updated_at=NOW()
+     WHERE id = (
+       SELECT id FROM video_jobs
+       WHERE status='queued' AND run_after <= NOW()
+       ORDER BY run_after ASC, id ASC
+       FOR UPDATE SKIP LOCKED
+       LIMIT 1
+     )
+     RETURNING *`,
+    [workerId]
+  )
+  if (!claimed.rows.length) return null
+
+  await publishJobUpdate(claimed.rows[0])
+  return claimed.rows[0]
+}
+
+// Every write from the worker is conditional on still owning the job, which
+// is how cancellation and lease takeover reach a running worker. Each write
+// also renews the lease unless it hands the job back.
+async function updateOwnedJob(job, workerId, assignments, values = [], { release = false } = {}) {
+  const lease = release ? "locked_by=NULL, locked_at=NULL" : "locked_at=NOW()"
+  const updated = await pool.query(
+    `UPDATE video_jobs SET ${assignments}, ${lease}, updated_at=NOW()
+     WHERE id=$1 AND locked_by=$2 AND status = ANY($3)
+     RETURNING *`,
+    [job.id, workerId, IN_PROGRESS, ...values]
+  )
+  if (!updated.rows.length) throw new JobLostError(`video job ${job.id} is no longer owned by ${workerId}`)
+  if (updated.rows[0].status !== job.status) await publishJobUpdate(updated.rows[0])
+  return updated.rows[0]
+}
+
+async function runScripting(job, workerId, generator) {
+  if (job.script) return job
+
+  const product = await pool.query("SELECT * FROM products WHERE id=$1 AND workspace_id=$2", [job.product_ref, job.workspace_id])
+  if (!product.rows.length) throw new Error("Product no longer exists")
+
+  const discount = await discountFor(product.rows[0])
+  const pack = await generator.generate({ ...product.rows[0], discount }, { language: job.language })
+  return updateOwnedJob(
+    job,
+    workerId,
+    "title=$4, hook=$5, hook_id=$6, script=$7, storyboard=$8, hashtags=$9, generation=$10",
+    [
+      pack.title,
+      pack.hook,
+      pack.hook_id ?? null,
+      pack.script,
+      JSON.stringify(pack.storyboard),
+      pack.hashtags,
+      JSON.stringify(generationDetails(pack))
+    ]
+  )
+}
+
+async function processVideoJob(job, { workerId, generator, tts }) {
+  let current = await runScripting(job, workerId, generator)
+
+  current = await updateOwnedJob(current, workerId, "status='tts'")
+  const narration = await tts.synthesize(
+    current.storyboard.map((scene) => ({ scene: scene.scene, text: scene.text })),
+    { voice: current.tts_voice, language: current.language }
+  )
+
+  current = await updateOwnedJob(current, workerId, "status='rendering'")
+  const rendered = renderLocal(current.storyboard, narration)
+
+  await updateOwnedJob(
+    current,
+    workerId,
+    "status='ready', artifacts=$4, finished_at=NOW()",
+    [JSON.stringify({ tts_provider: tts.name, narration, ...rendered })],
+    { release: true }
+  )
+}
+
+function retryDelayMs(attempts, { retryBaseMs, retryMaxMs }) {
+  return Math.min(retryMaxMs, retryBaseMs * 2 ** Math.max(0, attempts - 1))
+}
+
+async function failVideoJob(job, workerId, error, options) {
+  const failed = await pool.query(
+    `UPDATE video_jobs
+     SET status = CASE WHEN attempts >= max_attempts THEN 'failed' ELSE 'queued' END,
+         run_after = NOW() + make_interval(secs => $3),
+         finished_at = CASE WHEN attempts >= max_attempts THEN NOW() ELSE NULL END,
+         last_error = $4, locked_by = NULL, locked_at = NULL, updated_at = NOW()
+     WHERE id=$1 AND locked_by=$2
+     RETURNING *`,
+    [job.id, workerId, retryDelayMs(job.attempts, options) / 1000, String(error.message).slice(0, 1000)]
+  )
+  if (failed.rows.length) await publishJobUpdate(failed.rows[0])
+}
+
+export function createVideoWorker({ workerId, generator, tts, pollIntervalMs, concurrency, leaseMs, ...retry }) {
+  let stopping = false
+  const slots = []
+
+  const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms))
+
+  async function runSlot() {
+    while (!stopping) {
+      let job = null
+      try {
+        await reapExpiredLeases(leaseMs)
+        job = await claimVideoJob(workerId)
+      } catch (error) {
+        console.error("Video worker poll failed:", error)
+      }
+
+      if (!job) {
+        await sleep(pollIntervalMs)
+        continue
+      }
+
+      try {
+        await processVideoJob(job, { workerId, generator, tts })
+      } catch (error) {
+        if (error instanceof JobLostError) continue
+        console.error(`Video job ${job.id} attempt ${job.attempts} failed:`, error.message)
+        await failVideoJob(job, workerId, error, retry).catch((failError) => {
+          console.error(`Could not record failure for video job ${job.id}:`, failError)
+        })
+      }
+    }
+  }
+
+  return {
+    start() {
+      for (let i = 0; i < concurrency; i += 1) slots.push(runSlot())
+    },
+    async stop() {
+      stopping = true
+      await Promise.all(slots)
+    }
+  }
+}
@@ -0,0 +1,144 @@
+import { recordAudit } from "./audit.js"
+import { pool, withTransaction } from "./db.js"
+import { publishEvent } from "./events.js"
+import { httpError } from "./http.js"
+import { queueWebhookEvent } from "./webhooks.js"
+
+export function roundMoney(value) {
+  return Math.round(Number(value) * 100) / 100
+}
+
+// Each workspace has one wallet, which pays for its rental.
+export async function ensureWallet(workspaceId, db = pool) {
+  await db.query(
+    `INSERT INTO wallet_accounts (workspace_id, balance, currency)
+     VALUES ($1, 0, 'THB')
+     ON CONFLICT (workspace_id) DO NOTHING`,
+    [workspaceId]
+  )
+
+  const wallet = await db.query(
+    "SELECT id, workspace_id, balance, currency, updated_at, created_at FROM wallet_accounts WHERE workspace_id=$1",
+    [workspaceId]
+  )
+  return wallet.rows[0]
+}
+
+// Must run inside a transaction: the row stays locked until COMMIT/ROLLBACK so
+// concurrent charges against the same wallet are serialized.
+export async function lockWallet(client, workspaceId) {
+  await ensureWallet(workspaceId, client)
+  const wallet = await client.query(
+    "SELECT id, workspace_id, balance, currency, updated_at, created_at FROM wallet_accounts WHERE workspace_id=$1 FOR UPDATE",
+    [workspaceId]
+  )
+  return wallet.rows[0]
+}
+
+async function applyToBalance(client, wallet, amount) {
+  const updated = await client.query(
+    "UPDATE wallet_accounts SET balance = balance + $1, updated_at = NOW() WHERE id=$2 RETURNING *",
+    [amount, wallet.id]
+  )
+  return updated.rows[0]
+}
+
+// Tells the workspace, and its webhooks for deposits, about a transaction
+// that has just moved the balance.
+async function announceTransaction(client, account, transaction) {
+  await publishEvent(client, account.workspace_id, "wallet.updated", {
+    balance: account.balance,
+    currency: account.currency,
+    transaction: { id: transaction.id, tx_type: transaction.tx_type, amount: transaction.amount, note: transaction.note }
+  })
+  if (transaction.tx_type === "deposit") {
+    await queueWebhookEvent(client, account.workspace_id, "wallet.deposit", {
+      transaction_id: transaction.id,
+      amount: transaction.amount,
+      balance: account.balance,
+      currency: account.currency,
+      note: transaction.note
+    })
+  }
+}
+
+// Ledger amounts are signed: credits are positive, debits negative, so the sum
+// of a wallet's completed transactions always equals its balance. userId is
+// the member who made the transaction, null for automatic and admin ones.
+export async function postWalletTransaction(
+  client,
+  wallet,
+  { txType, amount, note, metadata, rentalId = null, userId = null, reference = null, refundOf = null }
+) {
+  const account = await applyToBalance(client, wallet, amount)
+
+  const tx = await client.query(
+    `INSERT INTO wallet_transactions
+       (wallet_id, workspace_id, user_id, rental_id, tx_type, amount, balance_after, status, note, reference, refund_of, metadata)
+     VALUES ($1,$2,$3,$4,$5,$6,$7,'completed',$8,$9,$10,$11)
+     RETURNING *`,
+    [
+      wallet.id,
+      wallet.workspace_id,
+      userId,
+      rentalId,
+      txType,
+      amount,
+      account.balance,
+      note,
+      reference,
+      refundOf,
+      JSON.stringify(metadata ?? {})
+    ]
+  )
+
+  await announceTransaction(client, account, tx.rows[0])
+  return { wallet: account, transaction: tx.rows[0] }
+}
+
+// Deposits are written as pending and leave the balance alone until their
+// payment provider confirms them; this credits one. The wallet must be
+// locked and the deposit row read FOR UPDATE by the caller.
+export async function completeDeposit(client, wallet, deposit, { providerRef = null } = {}) {
+  const account = await applyToBalance(client, wallet, deposit.amount)
+  const tx = await client.query(
+    `UPDATE wallet_transactions
+     SET status='completed', balance_after=$2, provider_ref=COALESCE($3, provider_ref), settled_at=NOW()
+     WHERE id=$1
+     RETURNING *`,
+    [deposit.id, account.balance, providerRef]
+  )
+
+  await announceTransaction(client, account, tx.rows[0])
+  return { wallet: account, transaction: tx.rows[0] }
+}
+
+// Manual corrections by admins. Each posts a ledger row carrying the reason
+// and an outside reference (a ticket, transfer or order id) and is audited in
+// the same transaction.
+export async function adjustWallet(workspaceId, { direction, amount, reason, reference }, audit) {
+  return withTransaction(async (client) => {
+    const wallet = await lockWallet(client, workspaceId)
+    const signed = direction === "debit" ? -amount : amount
+    if (Number(wallet.balance) + signed < 0) {
+      throw httpError(409, "Debit is larger than the wallet balance", { balance: wallet.balance })
+    }
+
+    const posted = await postWalletTransaction(client, wallet, {
+      txType: `admin_${direction}`,
+      amount: signed,
+      note: reason,
+      reference,
+      metadata: { source: "admin", admin_user_id: audit.actorUserId }
+    })
+    await recordAudit(client, audit, {
+      action: `wallet.admin_${direction}`,
+      targetType: "wallet_transaction",
+      targetId: posted.transaction.id,
+      workspaceId,
+      before: { balance: wallet.balance },
+      after: { balance: posted.wallet.balance, amount: posted.transaction.amount, reason, reference }
+    })
+    return posted
+  })
+}
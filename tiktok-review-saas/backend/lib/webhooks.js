@@ -0,0 +1,357 @@
+import crypto from "node:crypto"
+import { fetch } from "undici"
+import { pool } from "./db.js"
+import { httpError } from "./http.js"
+import { queryPage } from "./pagination.js"
+import { assertPublicHost, publicAgent } from "./publicHosts.js"
+import { openSecret, sealSecret } from "./secrets.js"
+
+// Outbound webhooks, configured per workspace. queueWebhookEvent writes one
+// webhook_deliveries row per subscribed endpoint of the workspace, in the caller's transaction when given a client, so
+// an event is queued exactly when the change it reports commits. The worker
+// then POSTs each delivery, retrying with exponential backoff, and logs
+// every attempt.
+//
+// Each request carries:
+//   X-Webhook-Id         event id, the same on retries and redeliveries
+//   X-Webhook-Event      event type
+//   X-Webhook-Signature  t=<unix seconds>,v1=<hex HMAC-SHA256 of "<t>.<body>">
+
+export const WEBHOOK_EVENTS = [
+  "product.imported",
+  "video_job.created",
+  "video_job.ready",
+  "showcase.uploaded",
+  "wallet.deposit",
+  "rental.expired"
+]
+export const WEBHOOK_DELIVERY_STATES = ["pending", "delivering", "delivered", "failed"]
+
+const MAX_ENDPOINTS = 10
+const RESPONSE_EXCERPT_BYTES = 2048
+const USER_AGENT = "TikTokReviewSaaS-Webhooks/1.0"
+
+const ENDPOINT_COLUMNS = "id, url, description, events, active, created_at, updated_at"
+const DELIVERY_COLUMNS = `id, endpoint_id, event_id, event_type, status, attempts, next_attempt_at, last_status_code,
+  last_error, redelivery_of, delivered_at, created_at, updated_at`
+
+const DELIVERY_SORTS = {
+  created_at: { expr: "created_at", type: "timestamp" }
+}
+
+function newSecret() {
+  return `whsec_${crypto.randomBytes(24).toString("base64url")}`
+}
+
+export function signPayload(secret, timestamp, body) {
+  return crypto.createHmac("sha256", secret).update(`${timestamp}.${body}`).digest("hex")
+}
+
+async function parseEndpointUrl(value, { allowPrivateUrls }) {
+  let url
+  try {
+    url = new URL(String(value ?? ""))
+  } catch (_error) {
+    throw httpError(400, "url must be a valid URL")
+  }
+  if (!["http:", "https:"].includes(url.protocol)) throw httpError(400, "url must use http or https")
+  if (url.username || url.password) throw httpError(400, "url must not contain credentials")
+  if (!allowPrivateUrls) {
+    await assertPublicHost(url.hostname).catch((error) => {
+      throw httpError(400, error.message)
+    })
+  }
+  return url.toString()
+}
+
+function parseEvents(value) {
+  if (!Array.isArray(value) || !value.length) throw httpError(400, "events must be a non-empty array")
+  const events = [...new Set(value.map((event) => String(event).trim()))]
+  const unknown = events.filter((event) => !WEBHOOK_EVENTS.includes(event))
+  if (unknown.length) throw httpError(400, `Unknown events: ${unknown.join(", ")}`, { allowed: WEBHOOK_EVENTS })
+  return events
+}
+
+async function getEndpoint(workspaceId, id) {
+  const endpoint = await pool.query(`SELECT ${ENDPOINT_COLUMNS} FROM webhook_endpoints WHERE id=$1 AND workspace_id=$2`, [id, workspaceId])
+  if (!endpoint.rows.length) throw httpError(404, "Webhook not found")
+  return endpoint.rows[0]
+}
+
+export async function listWebhookEndpoints(workspaceId) {
+  const endpoints = await pool.query(
+    `SELECT ${ENDPOINT_COLUMNS} FROM webhook_endpoints WHERE workspace_id=$1 ORDER BY id ASC`,
+    [workspaceId]
+  )
+  return endpoints.rows
+}
+
+// The signing secret is only returned here and by rotateWebhookSecret.
+export async function createWebhookEndpoint(workspaceId, userId, { url, events, description }, options) {
+  const endpointUrl = await parseEndpointUrl(url, options)
+  const endpointEvents = parseEvents(events)
+
+  const count = await pool.query("SELECT COUNT(*)::int AS count FROM webhook_endpoints WHERE workspace_id=$1", [workspaceId])
+  if (count.rows[0].count >= MAX_ENDPOINTS) throw httpError(409, `A workspace can have at most ${MAX_ENDPOINTS} webhooks`)
+
+  const secret = newSecret()
+  const created = await pool.query(
+    `INSERT INTO webhook_endpoints (workspace_id, user_id, url, description, events, secret)
+     VALUES ($1,$2,$3,$4,$5,$6)
+     RETURNING ${ENDPOINT_COLUMNS}`,
+    [workspaceId, userId, endpointUrl, description ? String(description).trim().slice(0, 255) : null, endpointEvents, sealSecret(secret)]
+  )
+  return { ...created.rows[0], secret }
+}
+
+export async function updateWebhookEndpoint(workspaceId, id, changes, options) {
+  await getEndpoint(workspaceId, id)
+  const assignments = []
+  const values = []
+  const set = (column, value) => {
+    values.push(value)
+    assignments.push(`${column}=$${values.length + 2}`)
+  }
+
+  if (changes.url !== undefined) set("url", await parseEndpointUrl(changes.url, options))
+  if (changes.events !== undefined) set("events", parseEvents(changes.events))
+  if (changes.description !== undefined) set("description", changes.description ? String(changes.description).trim().slice(0, 255) : null)
+  if (changes.active !== undefined) {
+    if (typeof changes.active !== "boolean") throw httpError(400, "active must be a boolean")
+    set("active", changes.active)
+  }
+  if (!assignments.length) throw httpError(400, "Nothing to update")
+
+  const updated = await pool.query(
+    `UPDATE webhook_endpoints SET ${assignments.join(", ")}, updated_at=NOW()
+     WHERE id=$1 AND workspace_id=$2
+     RETURNING ${ENDPOINT_COLUMNS}`,
+    [id, workspaceId, ...values]
+  )
+  return updated.rows[0]
+}
+
+export async function rotateWebhookSecret(workspaceId, id) {
+  await getEndpoint(workspaceId, id)
+  const secret = newSecret()
+  const updated = await pool.query(
+    `UPDATE webhook_endpoints SET secret=$3, updated_at=NOW() WHERE id=$1 AND workspace_id=$2 RETURNING ${ENDPOINT_COLUMNS}`,
+    [id, workspaceId, sealSecret(secret)]
+  )
+  return { ...updated.rows[0], secret }
+}
+
+// Deliveries go with the endpoint, including any still waiting to be sent.
+export async function deleteWebhookEndpoint(workspaceId, id) {
+  const deleted = await pool.query("DELETE FROM webhook_endpoints WHERE id=$1 AND workspace_id=$2 RETURNING id", [id, workspaceId])
+  if (!deleted.rows.length) throw httpError(404, "Webhook not found")
+}
+
+export async function queueWebhookEvent(db, workspaceId, type, data) {
+  if (!WEBHOOK_EVENTS.includes(type)) throw new Error(`Unknown webhook event: ${type}`)
+  await db.query(
+    `WITH event AS (SELECT gen_random_uuid() AS id, NOW() AS created_at)
+     INSERT INTO webhook_deliveries (endpoint_id, workspace_id, event_id, event_type, payload)
+     SELECT e.id, e.workspace_id, event.id, $2::text,
+            jsonb_build_object(
+              'id', event.id, 'type', $2::text, 'workspace_id', e.workspace_id, 'created_at', event.created_at, 'data', $3::jsonb
+            )
+     FROM webhook_endpoints e, event
+     WHERE e.workspace_id=$1 AND e.active AND $2::text = ANY(e.events)`,
+    [workspaceId, type, JSON.stringify(data)]
+  )
+}
+
+export async function listWebhookDeliveries(workspaceId, endpointId, query) {
+  await getEndpoint(workspaceId, endpointId)
+  const params = [endpointId]
+  const where = ["endpoint_id=$1"]
+  if (query.status) {
+    const status = String(query.status)
+    if (!WEBHOOK_DELIVERY_STATES.includes(status)) {
+      throw httpError(400, `status must be one of ${WEBHOOK_DELIVERY_STATES.join(", ")}`)
+    }
+    params.push(status)
+    where.push(`status=$${params.length}`)
+  }
+  if (query.event) {
+    params.push(String(query.event))
+    where.push(`event_type=$${params.length}`)
+  }
+  return queryPage(query, { select: DELIVERY_COLUMNS, from: "webhook_deliveries", where, params, sorts: DELIVERY_SORTS })
+}
+
+export async function getWebhookDelivery(workspaceId, id) {
+  const delivery = await pool.query(
+    `SELECT ${DELIVERY_COLUMNS}, payload FROM webhook_deliveries WHERE id=$1 AND workspace_id=$2`,
+    [id, workspaceId]
+  )
+  if (!delivery.rows.length) throw httpError(404, "Webhook delivery not found")
+  const attempts = await pool.query(
+    `SELECT attempt, status_code, response_excerpt, error, duration_ms, created_at
+     FROM webhook_delivery_attempts
+     WHERE delivery_id=$1
+     ORDER BY attempt ASC`,
+    [id]
+  )
+  return { ...delivery.rows[0], attempt_log: attempts.rows }
+}
+
+// Queues a fresh delivery of the same event (same id and payload) to the
+// same endpoint, whatever became of the original.
+export async function redeliverWebhook(workspaceId, id) {
+  const original = await pool.query(
+    `SELECT d.id, e.active FROM webhook_deliveries d
+     JOIN webhook_endpoints e ON e.id = d.endpoint_id
+     WHERE d.id=$1 AND d.workspace_id=$2`,
+    [id, workspaceId]
+  )
+  if (!original.rows.length) throw httpError(404, "Webhook delivery not found")
+  if (!original.rows[0].active) throw httpError(409, "Webhook is paused, activate it before redelivering")
+
+  const created = await pool.query(
+    `INSERT INTO webhook_deliveries (endpoint_id, workspace_id, event_id, event_type, payload, redelivery_of)
+     SELECT endpoint_id, workspace_id, event_id, event_type, payload, id FROM webhook_deliveries WHERE id=$1
+     RETURNING ${DELIVERY_COLUMNS}`,
+    [id]
+  )
+  return created.rows[0]
+}
+
+function retryDelayMs(attempts, { retryBaseMs, retryMaxMs }) {
+  const delay = Math.min(retryMaxMs, retryBaseMs * 2 ** Math.max(0, attempts - 1))
+  // Up to 20% jitter so a receiver coming back up is not hit by every
+  // retry at once.
+  return Math.round(delay * (0.8 + Math.random() * 0.2))
+}
+
+// Takes the next due delivery, or one whose worker died mid-send once its
+// lease has lapsed. Deliveries to a paused endpoint wait without using up
+// attempts until it is active again.
+async function claimDelivery(workerId, leaseMs) {
+  const claimed = await pool.query(
+    `UPDATE webhook_deliveries d
+     SET status='delivering', attempts = d.attempts + 1, locked_by=$1, locked_at=NOW(), updated_at=NOW()
+     FROM webhook_endpoints e
+     WHERE e.id = d.endpoint_id AND d.id = (
+       SELECT pending.id FROM webhook_deliveries pending
+       JOIN webhook_endpoints endpoint ON endpoint.id = pending.endpoint_id
+       WHERE endpoint.active
+         AND ((pending.status='pending' AND pending.next_attempt_at <= NOW())
+           OR (pending.status='delivering' AND pending.locked_at < NOW() - make_interval(secs => $2)))
+       ORDER BY pending.next_attempt_at ASC, pending.id ASC
+       FOR UPDATE OF pending SKIP LOCKED
+       LIMIT 1
+     )
+     RETURNING d.*, e.url, e.secret`,
+    [workerId, leaseMs / 1000]
+  )
+  return claimed.rows[0] ?? null
+}
+
+async function send(delivery, { timeoutMs, allowPrivateUrls }) {
+  const body = JSON.stringify(delivery.payload)
+  const timestamp = Math.floor(Date.now() / 1000)
+  const signature = signPayload(openSecret(delivery.secret), timestamp, body)
+  const startedAt = Date.now()
+
+  try {
+    const url = new URL(delivery.url)
+    if (!allowPrivateUrls) await assertPublicHost(url.hostname)
+    const response = await fetch(url, {
+      method: "POST",
+      redirect: "manual",
+      signal: AbortSignal.timeout(timeoutMs),
+      dispatcher: allowPrivateUrls ? undefined : publicAgent,
+      headers: {
+        "Content-Type": "application/json",
+        "User-Agent": USER_AGENT,
+        "X-Webhook-Id": delivery.event_id,
+        "X-Webhook-Event": delivery.event_type,
+        "X-Webhook-Signature": `t=${timestamp},v1=${signature}`
+      },
+      body
+    })
+    const text = await response.text().catch(() => "")
+    return {
+      ok: response.status >= 200 && response.status < 300,
+      statusCode: response.status,
+      excerpt: text.slice(0, RESPONSE_EXCERPT_BYTES),
+      error: response.status >= 300 && response.status < 400 ? "Redirects are not followed" : null,
+      durationMs: Date.now() - startedAt
+    }
+  } catch (error) {
+    // fetch reports network failures as "fetch failed" with the reason in cause.
+    const message = error.name === "TimeoutError" ? `No response within ${timeoutMs}ms` : error.cause?.message ?? error.message
+    return { ok: false, statusCode: null, excerpt: null, error: message, durationMs: Date.now() - startedAt }
+  }
+}
+
+async function recordAttempt(delivery, workerId, result, { maxAttempts, ...retry }) {
+  await pool.query(
+    `INSERT INTO webhook_delivery_attempts (delivery_id, attempt, status_code, response_excerpt, error, duration_ms)
+     VALUES ($1,$2,$3,$4,$5,$6)`,
+    [delivery.id, delivery.attempts, result.statusCode, result.excerpt, result.error, result.durationMs]
+  )
+
+  const lastError = result.ok ? null : result.error ?? `Endpoint responded ${result.statusCode}`
+  if (result.ok) {
+    await pool.query(
+      `UPDATE webhook_deliveries
+       SET status='delivered', last_status_code=$3, last_error=NULL, delivered_at=NOW(),
+           locked_by=NULL, locked_at=NULL, updated_at=NOW()
+       WHERE id=$1 AND locked_by=$2`,
+      [delivery.id, workerId, result.statusCode]
+    )
+    return
+  }
+
+  await pool.query(
+    `UPDATE webhook_deliveries
+     SET status = CASE WHEN attempts >= $5 THEN 'failed' ELSE 'pending' END,
+         next_attempt_at = NOW() + make_interval(secs => $6),
+         last_status_code=$3, last_error=$4, locked_by=NULL, locked_at=NULL, updated_at=NOW()
+     WHERE id=$1 AND locked_by=$2`,
+    [delivery.id, workerId, result.statusCode, lastError.slice(0, 1000), maxAttempts, retryDelayMs(delivery.attempts, retry) / 1000]
+  )
+}
+
+export function createWebhookWorker({ workerId, pollIntervalMs, leaseMs, timeoutMs, allowPrivateUrls, ...retry }) {
+  let stopping = false
+  let loop = null
+
+  const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms))
+
+  async function run() {
+    while (!stopping) {
+      let delivery = null
+      try {
+        delivery = await claimDelivery(workerId, leaseMs)
+      } catch (error) {
+        console.error("Webhook poll failed:", error)
+      }
+
+      if (!delivery) {
+        await sleep(pollIntervalMs)
+        continue
+      }
+
+      try {
+        const result = await send(delivery, { timeoutMs, allowPrivateUrls })
+        await recordAttempt(delivery, workerId, result, retry)
+      } catch (error) {
+        console.error(`Webhook delivery ${delivery.id} failed:`, error)
+      }
+    }
+  }
+
+  return {
+    start() {
+      loop = run()
+    },
+    async stop() {
+      stopping = true
+      await loop
+    }
+  }
+}
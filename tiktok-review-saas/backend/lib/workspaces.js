@@ -0,0 +1,272 @@
+import crypto from "node:crypto"
+import { pool, withTransaction } from "./db.js"
+import { renderEmail } from "./emailTemplates.js"
+import { httpError } from "./http.js"
+
+// Products, jobs, uploads, the Showcase connection, the rental and the wallet
+// belong to a workspace. Every user has a personal workspace, created with
+// the account, and can own or join team workspaces. Requests act in the
+// workspace named by X-Workspace-Id, or the personal one without it.
+//
+// Roles are ranked: viewers read, editors also create content, owners also
+// spend money and manage the workspace, its integrations and its members.
+
+export const WORKSPACE_ROLES = ["viewer", "editor", "owner"]
+
+const MAX_OWNED_WORKSPACES = 10
+const MAX_MEMBERS = 50
+
+const WORKSPACE_COLUMNS = "w.id, w.name, w.personal, w.plan, w.created_at"
+const INVITATION_COLUMNS = "id, email, role, invited_by, expires_at, accepted_at, revoked_at, created_at"
+
+export function hasWorkspaceRole(role, minRole) {
+  return WORKSPACE_ROLES.indexOf(role) >= WORKSPACE_ROLES.indexOf(minRole)
+}
+
+function parseRole(value) {
+  const role = String(value ?? "").trim()
+  if (!WORKSPACE_ROLES.includes(role)) throw httpError(400, `role must be one of ${WORKSPACE_ROLES.join(", ")}`)
+  return role
+}
+
+function parseName(value) {
+  const name = String(value ?? "").trim().slice(0, 100)
+  if (!name) throw httpError(400, "name is required")
+  return name
+}
+
+function hashToken(token) {
+  return crypto.createHash("sha256").update(token).digest("hex")
+}
+
+export async function createPersonalWorkspace(client, userId) {
+  const workspace = await client.query(
+    "INSERT INTO workspaces (name, personal, created_by) VALUES ('Personal', TRUE, $1) RETURNING id, name, personal, plan, created_at",
+    [userId]
+  )
+  await client.query("INSERT INTO workspace_members (workspace_id, user_id, role) VALUES ($1,$2,'owner')", [workspace.rows[0].id, userId])
+  return workspace.rows[0]
+}
+
+// Resolves the workspace a request acts in along with the caller's role in
+// it. Workspaces the user is not a member of are reported as not found.
+export async function resolveWorkspace(userId, requested) {
+  let workspaceId = null
+  if (requested !== undefined && requested !== null && requested !== "") {
+    workspaceId = Number(requested)
+    if (!Number.isInteger(workspaceId) || workspaceId <= 0) throw httpError(400, "workspace id must be a positive integer")
+  }
+
+  const found = await pool.query(
+    `SELECT ${WORKSPACE_COLUMNS}, m.role
+     FROM workspace_members m
+     JOIN workspaces w ON w.id = m.workspace_id
+     WHERE m.user_id=$1 AND CASE WHEN $2::int IS NULL THEN w.personal AND w.created_by=$1 ELSE w.id=$2 END`,
+    [userId, workspaceId]
+  )
+  if (!found.rows.length) throw httpError(404, "Workspace not found")
+  return found.rows[0]
+}
+
+export async function listWorkspaces(userId) {
+  const workspaces = await pool.query(
+    `SELECT ${WORKSPACE_COLUMNS}, m.role,
+       (SELECT COUNT(*)::int FROM workspace_members mc WHERE mc.workspace_id = w.id) AS member_count
+     FROM workspace_members m
+     JOIN workspaces w ON w.id = m.workspace_id
+     WHERE m.user_id=$1
+     ORDER BY w.personal DESC, w.name ASC, w.id ASC`,
+    [userId]
+  )
+  return workspaces.rows
+}
+
+export async function createWorkspace(userId, { name }) {
+  const workspaceName = parseName(name)
+  return withTransaction(async (client) => {
+    const owned = await client.query(
+      `SELECT COUNT(*)::int AS count FROM workspaces w
+       JOIN workspace_members m ON m.workspace_id = w.id AND m.user_id=$1 AND m.role='owner'
+       WHERE NOT w.personal`,
+      [userId]
+    )
+    if (owned.rows[0].count >= MAX_OWNED_WORKSPACES) {
+      throw httpError(409, `You can own at most ${MAX_OWNED_WORKSPACES} team workspaces`)
+    }
+
+    const workspace = await client.query(
+      "INSERT INTO workspaces (name, created_by) VALUES ($1,$2) RETURNING id, name, personal, plan, created_at",
+      [workspaceName, userId]
+    )
+    await client.query("INSERT INTO workspace_members (workspace_id, user_id, role) VALUES ($1,$2,'owner')", [workspace.rows[0].id, userId])
+    return { ...workspace.rows[0], role: "owner" }
+  })
+}
+
+export async function renameWorkspace(workspaceId, { name }) {
+  const updated = await pool.query(
+    "UPDATE workspaces SET name=$2 WHERE id=$1 RETURNING id, name, personal, plan, created_at",
+    [workspaceId, parseName(name)]
+  )
+  return updated.rows[0]
+}
+
+export async function listMembers(workspaceId) {
+  const members = await pool.query(
+    `SELECT m.user_id, u.email, m.role, m.created_at AS joined_at
+     FROM workspace_members m
+     JOIN users u ON u.id = m.user_id
+     WHERE m.workspace_id=$1
+     ORDER BY m.created_at ASC, m.user_id ASC`,
+    [workspaceId]
+  )
+  return members.rows
+}
+
+// Role changes and removals lock the workspace row so two of them cannot
+// together leave it without an owner.
+async function withLockedMember(workspaceId, userId, work) {
+  return withTransaction(async (client) => {
+    await client.query("SELECT id FROM workspaces WHERE id=$1 FOR UPDATE", [workspaceId])
+    const member = await client.query(
+      "SELECT user_id, role FROM workspace_members WHERE workspace_id=$1 AND user_id=$2",
+      [workspaceId, userId]
+    )
+    if (!member.rows.length) throw httpError(404, "Member not found")
+
+    const owners = await client.query(
+      "SELECT COUNT(*)::int AS count FROM workspace_members WHERE workspace_id=$1 AND role='owner'",
+      [workspaceId]
+    )
+    const lastOwner = member.rows[0].role === "owner" && owners.rows[0].count === 1
+    return work(client, member.rows[0], { lastOwner })
+  })
+}
+
+export async function changeMemberRole(workspaceId, userId, role) {
+  const newRole = parseRole(role)
+  return withLockedMember(workspaceId, userId, async (client, _member, { lastOwner }) => {
+    if (lastOwner && newRole !== "owner") throw httpError(409, "A workspace needs an owner, make someone else owner first")
+    const updated = await client.query(
+      "UPDATE workspace_members SET role=$3 WHERE workspace_id=$1 AND user_id=$2 RETURNING user_id, role",
+      [workspaceId, userId, newRole]
+    )
+    return updated.rows[0]
+  })
+}
+
+export async function removeMember(workspaceId, userId) {
+  return withLockedMember(workspaceId, userId, async (client, _member, { lastOwner }) => {
+    if (lastOwner) throw httpError(409, "The last owner cannot leave the workspace")
+    await client.query("DELETE FROM workspace_members WHERE workspace_id=$1 AND user_id=$2", [workspaceId, userId])
+  })
+}
+
+export async function listInvitations(workspaceId) {
+  const invitations = await pool.query(
+    `SELECT ${INVITATION_COLUMNS} FROM workspace_invitations
+     WHERE workspace_id=$1 AND accepted_at IS NULL AND revoked_at IS NULL AND expires_at > NOW()
+     ORDER BY created_at DESC, id DESC`,
+    [workspaceId]
+  )
+  return invitations.rows
+}
+
+export async function revokeInvitation(workspaceId, invitationId) {
+  const revoked = await pool.query(
+    `UPDATE workspace_invitations SET revoked_at=NOW()
+     WHERE id=$1 AND workspace_id=$2 AND accepted_at IS NULL AND revoked_at IS NULL
+     RETURNING ${INVITATION_COLUMNS}`,
+    [invitationId, workspaceId]
+  )
+  if (!revoked.rows.length) throw httpError(404, "Invitation not found")
+  return revoked.rows[0]
+}
+
+// An invitation is a single-use link mailed to the address. Only its hash is
+// stored, and inviting the same address again replaces the pending one.
+export function createInvitationFlows({ mailer, appBaseUrl, invitationTtlDays }) {
+  function link(token) {
+    const url = new URL(appBaseUrl)
+    url.searchParams.set("invite_token", token)
+    return url.toString()
+  }
+
+  return {
+    async invite(workspace, inviter, { email, role }) {
+      if (workspace.personal) throw httpError(409, "Personal workspaces cannot be shared, create a team workspace instead")
+      const inviteRole = parseRole(role)
+
+      const token = crypto.randomBytes(32).toString("base64url")
+      const invitation = await withTransaction(async (client) => {
+        const members = await client.query(
+          `SELECT COUNT(*)::int AS count, BOOL_OR(u.email=$2) AS already_member
+           FROM workspace_members m
+           JOIN users u ON u.id = m.user_id
+           WHERE m.workspace_id=$1`,
+          [workspace.id, email]
+        )
+        if (members.rows[0].already_member) throw httpError(409, "That address already belongs to a member")
+        if (members.rows[0].count >= MAX_MEMBERS) throw httpError(409, `A workspace can have at most ${MAX_MEMBERS} members`)
+
+        await client.query(
+          `UPDATE workspace_invitations SET revoked_at=NOW()
+           WHERE workspace_id=$1 AND email=$2 AND accepted_at IS NULL AND revoked_at IS NULL`,
+          [workspace.id, email]
+        )
+        const created = await client.query(
+          `INSERT INTO workspace_invitations (workspace_id, email, role, token_hash, invited_by, expires_at)
+           VALUES ($1,$2,$3,$4,$5, NOW() + make_interval(days => $6))
+           RETURNING ${INVITATION_COLUMNS}`,
+          [workspace.id, email, inviteRole, hashToken(token), inviter.id, invitationTtlDays]
+        )
+        return created.rows[0]
+      })
+
+      // Invitees may not have an account yet, so the email goes out in the
+      // inviter's language.
+      const language = await pool.query("SELECT language FROM users WHERE id=$1", [inviter.id])
+      const message = renderEmail("workspace_invitation", language.rows[0]?.language, {
+        email,
+        inviter: inviter.email,
+        workspace: workspace.name,
+        role: inviteRole,
+        link: link(token),
+        days: invitationTtlDays
+      })
+      await mailer.send({ to: email, ...message })
+      return invitation
+    },
+
+    // The invitation is bound to the address it was sent to; the signed-in
+    // account must use that address.
+    async accept(user, token) {
+      return withTransaction(async (client) => {
+        const found = await client.query(
+          `SELECT i.*, w.name AS workspace_name FROM workspace_invitations i
+           JOIN workspaces w ON w.id = i.workspace_id
+           WHERE i.token_hash=$1 AND i.accepted_at IS NULL AND i.revoked_at IS NULL AND i.expires_at > NOW()
+           FOR UPDATE OF i`,
+          [hashToken(String(token))]
+        )
+        const invitation = found.rows[0]
+        if (!invitation) throw httpError(400, "Invitation is invalid, expired or already used")
+        if (invitation.email !== user.email) throw httpError(403, "This invitation was sent to a different email address")
+
+        const joined = await client.query(
+          `INSERT INTO workspace_members (workspace_id, user_id, role) VALUES ($1,$2,$3)
+           ON CONFLICT (workspace_id, user_id) DO NOTHING
+           RETURNING role`,
+          [invitation.workspace_id, user.id, invitation.role]
+        )
+        if (!joined.rows.length) throw httpError(409, "You are already a member of this workspace")
+
+        await client.query(
+          "UPDATE workspace_invitations SET accepted_at=NOW(), accepted_by=$2 WHERE id=$1",
+          [invitation.id, user.id]
+        )
+        return { id: invitation.workspace_id, name: invitation.workspace_name, role: invitation.role }
+      })
+    }
+  }
+}
@@ -0,0 +1,116 @@
+import crypto from "node:crypto"
+import express from "express"
+import { pathToFileURL } from "node:url"
+
+// Local stand-in for the TikTok Showcase API, speaking the same protocol as
+// lib/showcasePublisher.js. Tokens are self-describing so they survive a
+// restart; videos live in memory.
+//
+// Test hooks: a caption containing #mockfail is rejected after processing,
+// and an access token ending in _revoked is refused with 401.
+
+const TOKEN_TTL_SEC = 2 * 60 * 60
+
+function randomId(prefix) {
+  return `${prefix}_${crypto.randomBytes(9).toString("base64url")}`
+}
+
+function issueTokens(openId) {
+  return {
+    open_id: openId,
+    access_token: `mock_at_${openId}_${crypto.randomBytes(6).toString("hex")}`,
+    refresh_token: `mock_rt_${openId}_${crypto.randomBytes(6).toString("hex")}`,
+    expires_in: TOKEN_TTL_SEC,
+    scope: "showcase.publish"
+  }
+}
+
+function apiError(res, status, code, message) {
+  return res.status(status).json({ error: { code, message } })
+}
+
+export function createMockShowcaseApp({ publishDelayMs = 3000 } = {}) {
+  const app = express()
+  const videos = new Map()
+  const idempotencyKeys = new Map()
+
+  app.use(express.json({ limit: "2mb" }))
+  app.use(express.urlencoded({ extended: false }))
+
+  // Grants consent immediately and sends the browser back with a code.
+  app.get("/oauth/authorize", (req, res) => {
+    const { redirect_uri: redirectUri, state } = req.query
+    if (!redirectUri) return apiError(res, 400, "invalid_request", "redirect_uri is required")
+    const target = new URL(redirectUri)
+    target.searchParams.set("code", `mock_code_${randomId("user")}`)
+    if (state) target.searchParams.set("state", state)
+    res.redirect(target.toString())
+  })
+
+  app.post("/oauth/token", (req, res) => {
+    const { grant_type: grantType, code, refresh_token: refreshToken } = req.body
+    if (grantType === "authorization_code" && String(code ?? "").startsWith("mock_code_")) {
+      return res.json(issueTokens(code.slice("mock_code_".length)))
+    }
+    if (grantType === "refresh_token" && String(refreshToken ?? "").startsWith("mock_rt_")) {
+      const openId = refreshToken.slice("mock_rt_".length).replace(/_[0-9a-f]+$/, "")
+      return res.json(issueTokens(openId))
+    }
+    apiError(res, 400, "invalid_grant", "Authorization code or refresh token is invalid")
+  })
+
+  function requireToken(req, res, next) {
+    const token = (req.headers.authorization ?? "").replace(/^Bearer /, "")
+    if (!token.startsWith("mock_at_") || token.endsWith("_revoked")) {
+      return apiError(res, 401, "unauthorized", "Access token is invalid or revoked")
+    }
+    req.openId = token.slice("mock_at_".length).replace(/_[0-9a-f]+$/, "")
+    next()
+  }
+
+  function view(video) {
+    if (video.status === "processing" && Date.now() - video.created_at >= publishDelayMs) {
+      if (video.caption.includes("#mockfail")) {
+        video.status = "failed"
+        video.error = { code: "content_rejected", message: "Video was rejected by Showcase review" }
+      } else {
+        video.status = "published"
+        video.publish_url = `https://www.tiktok.com/@${video.open_id}/video/${video.id}`
+      }
+    }
+    return { id: video.id, status: video.status, publish_url: video.publish_url ?? null, error: video.error ?? null }
+  }
+
+  app.post("/v2/showcase/videos", requireToken, (req, res) => {
+    const key = req.headers["idempotency-key"]
+    if (key && idempotencyKeys.has(`${req.openId}:${key}`)) {
+      return res.status(202).json(view(videos.get(idempotencyKeys.get(`${req.openId}:${key}`))))
+    }
+    if (!req.body?.title) return apiError(res, 422, "invalid_video", "title is required")
+
+    const video = {
+      id: randomId("video"),
+      open_id: req.openId,
+      caption: String(req.body.caption ?? ""),
+      status: "processing",
+      created_at: Date.now()
+    }
+    videos.set(video.id, video)
+    if (key) idempotencyKeys.set(`${req.openId}:${key}`, video.id)
+    res.status(202).json(view(video))
+  })
+
+  app.get("/v2/showcase/videos/:id", requireToken, (req, res) => {
+    const video = videos.get(req.params.id)
+    if (!video || video.open_id !== req.openId) return apiError(res, 404, "not_found", "Video not found")
+    res.json(view(video))
+  })
+
+  return app
+}
+
+if (import.meta.url === pathToFileURL(process.argv[1]).href) {
+  const port = Number(process.env.MOCK_SHOWCASE_PORT || 4500)
+  const publishDelayMs = Number(process.env.MOCK_SHOWCASE_PUBLISH_DELAY_MS || 3000)
+  createMockShowcaseApp({ publishDelayMs }).listen(port, () => console.log(`Mock TikTok Showcase API running on ${port}`))
+}
@@ -2,30 +2,256 @@ import express from "express"
 import cors from "cors"
 import bcrypt from "bcrypt"
 import jwt from "jsonwebtoken"
-import pkg from "pg"
+import multer from "multer"
+import os from "node:os"
+import { PASSWORD_HASH_ROUNDS, createAccountFlows } from "./lib/accounts.js"
+import {
+  GRANULARITIES,
+  getPlatformAnalytics,
+  getWorkspaceAnalytics,
+  parseRange,
+  platformAnalyticsCsv,
+  refreshAnalytics,
+  startAnalyticsRefresh,
+  workspaceAnalyticsCsv
+} from "./lib/analytics.js"
+import {
+  API_KEY_SCOPES,
+  authenticateApiKey,
+  createApiKey,
+  isApiKey,
+  listApiKeys,
+  revokeApiKey
+} from "./lib/apiKeys.js"
+import { components, decimal, json, language, page, pageQuery, timeZone, timestamp } from "./lib/apiSchemas.js"
+import { auditContext, listAuditLog, recordAudit, verifyAuditChain } from "./lib/audit.js"
+import {
+  CHECKED_FIELDS,
+  RULE_KINDS,
+  RULE_SEVERITIES,
+  checkCompliance,
+  createComplianceRule,
+  deleteComplianceRule,
+  listComplianceRules,
+  updateComplianceRule
+} from "./lib/compliance.js"
+import {
+  accountOptions,
+  analyticsOptions,
+  apiOptions,
+  feedImportOptions,
+  mailerOptions,
+  paymentOptions,
+  rateLimitOptions,
+  referralOptions,
+  scriptGeneratorOptions,
+  showcaseOptions,
+  videoWorkerOptions,
+  webhookOptions,
+  workspaceOptions
+} from "./lib/config.js"
+import { pool, withTransaction } from "./lib/db.js"
+import { createDepositFlows } from "./lib/deposits.js"
+import { httpError } from "./lib/http.js"
+import { createEventHub } from "./lib/events.js"
+import { FEED_FORMATS } from "./lib/feedFormats.js"
+import {
+  FEED_IMPORT_JOB_COLUMNS,
+  createFeedImportWorker,
+  enqueueFeedImport,
+  getFeedImportJob,
+  importFeed,
+  parseFeedUrl,
+  prepareFeed
+} from "./lib/feedImports.js"
+import { createScriptGenerator, generationDetails } from "./lib/generators.js"
+import {
+  createHook,
+  hookPerformance,
+  listHooks,
+  recordUploadPerformance,
+  updateHook
+} from "./lib/hooks.js"
+import {
+  clearLockout,
+  clearLoginFailures,
+  listLockouts,
+  lockoutRemaining,
+  recordLoginFailure
+} from "./lib/lockouts.js"
+import { createMailer } from "./lib/mailer.js"
+import { createApi, describeMiddleware, renderDocs } from "./lib/openapi.js"
+import { queryPage } from "./lib/pagination.js"
+import { createPaymentProviders } from "./lib/payments.js"
+import { createPlan, listPlans, updatePlan } from "./lib/plans.js"
+import { PRODUCT_SORTS, getPriceTrend, listProducts } from "./lib/products.js"
+import {
+  DISCOUNT_TYPES,
+  createPromoCode,
+  listPromoCodes,
+  listPromoRedemptions,
+  promoCodeStats,
+  updatePromoCode
+} from "./lib/promoCodes.js"
+import { assertQuota, getUsage, withQuota } from "./lib/quotas.js"
+import { createRateLimitStore, createRateLimiter, startRateLimitCleanup } from "./lib/rateLimits.js"
+import { findReferrer, getReferralSummary, newReferralCode, referralStats } from "./lib/referrals.js"
+import { startRentalLifecycle } from "./lib/rentalLifecycle.js"
+import {
+  cancelAtPeriodEnd,
+  endRentalByAdmin,
+  getActiveRental,
+  refundWalletTransaction,
+  setAutoRenew,
+  subscribeToPlan
+} from "./lib/rentals.js"
+import {
+  array,
+  boolean,
+  enumOf,
+  id,
+  integer,
+  money,
+  nullable,
+  number,
+  object,
+  ref,
+  string
+} from "./lib/schema.js"
+import {
+  authenticateSession,
+  createSession,
+  listSessions,
+  revokeAllSessions,
+  revokeSession,
+  rotateRefreshToken,
+  startSessionCleanup
+} from "./lib/sessions.js"
+import {
+  TEMPLATE_LANGUAGES,
+  createTemplate,
+  deleteTemplate,
+  listTemplates,
+  updateTemplate,
+  validateSections
+} from "./lib/scriptTemplates.js"
+import {
+  connectShowcaseAccount,
+  disconnectShowcaseAccount,
+  getShowcaseAccount,
+  queueShowcaseUpload,
+  startShowcaseSync
+} from "./lib/showcase.js"
+import { createShowcasePublisher } from "./lib/showcasePublisher.js"
+import {
+  WEEKDAYS,
+  assertScheduleTime,
+  cancelScheduledUpload,
+  createSlot,
+  deleteSlot,
+  getSchedule,
+  listSlots,
+  rescheduleUpload,
+  startShowcaseScheduler,
+  updateSlot
+} from "./lib/showcaseSchedule.js"
+import { DEFAULT_TIME_ZONE, addDays, localParts, parseTimeZone, parseZonedDateTime } from "./lib/timezones.js"
+import { createTtsProvider } from "./lib/tts.js"
+import {
+  VIDEO_JOB_STATES,
+  VIDEO_JOB_SUMMARY_COLUMNS,
+  cancelVideoJob,
+  createVideoWorker,
+  enqueueVideoJob,
+  getVideoJob
+} from "./lib/videoJobs.js"
+import { adjustWallet, ensureWallet } from "./lib/wallet.js"
+import {
+  WEBHOOK_DELIVERY_STATES,
+  WEBHOOK_EVENTS,
+  createWebhookEndpoint,
+  createWebhookWorker,
+  deleteWebhookEndpoint,
+  getWebhookDelivery,
+  listWebhookDeliveries,
+  listWebhookEndpoints,
+  redeliverWebhook,
+  rotateWebhookSecret,
+  updateWebhookEndpoint
+} from "./lib/webhooks.js"
+import {
+  WORKSPACE_ROLES,
+  changeMemberRole,
+  createInvitationFlows,
+  createPersonalWorkspace,
+  createWorkspace,
+  hasWorkspaceRole,
+  listInvitations,
+  listMembers,
+  listWorkspaces,
+  removeMember,
+  renameWorkspace,
+  resolveWorkspace,
+  revokeInvitation
+} from "./lib/workspaces.js"
 
-const { Pool } = pkg
 const app = express()
 
 const PORT = Number(process.env.PORT || 4000)
 const JWT_SECRET = process.env.JWT_SECRET
-const DATABASE_URL = process.env.DATABASE_URL
+const ACCESS_TOKEN_TTL = process.env.ACCESS_TOKEN_TTL || "15m"
+const REFRESH_TOKEN_TTL_DAYS = Number(process.env.REFRESH_TOKEN_TTL_DAYS || 30)
+const SESSION_CLEANUP_INTERVAL_MS = Number(process.env.SESSION_CLEANUP_INTERVAL_MS || 60 * 60 * 1000)
 const FRONTEND_ORIGIN = process.env.FRONTEND_ORIGIN
 const RELEASE_VERSION = process.env.RELEASE_VERSION || process.env.npm_package_version || "1.0.0"
 const RELEASE_NAME = process.env.RELEASE_NAME || "Final Release"
+const RENTAL_GRACE_DAYS = Number(process.env.RENTAL_GRACE_DAYS || 3)
+const RENTAL_LIFECYCLE_INTERVAL_MS = Number(process.env.RENTAL_LIFECYCLE_INTERVAL_MS || 60_000)
+const EMBEDDED_WORKER = (process.env.EMBEDDED_WORKER ?? process.env.EMBEDDED_VIDEO_WORKER) === "true"
+const EVENT_RETENTION_DAYS = Number(process.env.EVENT_RETENTION_DAYS || 7)
+const FREE_PLAN_QUOTAS = {
+  video_jobs: Number(process.env.FREE_PLAN_VIDEO_JOBS || 3),
+  script_generations: Number(process.env.FREE_PLAN_SCRIPT_GENERATIONS || 10),
+  showcase_uploads: Number(process.env.FREE_PLAN_SHOWCASE_UPLOADS || 3)
+}
 
-if (!JWT_SECRET) throw new Error("JWT_SECRET is required")
-if (!DATABASE_URL) throw new Error("DATABASE_URL is required")
+const scriptGenerator = createScriptGenerator(scriptGeneratorOptions)
+const eventHub = createEventHub({ retentionDays: EVENT_RETENTION_DAYS })
+const { sync: showcaseSyncOptions, schedule: showcaseScheduleOptions, ...showcasePublisherOptions } = showcaseOptions
+// TikTok Showcase stays off until SHOWCASE_API_BASE_URL names its API.
+const showcasePublisher = showcasePublisherOptions.baseUrl ? createShowcasePublisher(showcasePublisherOptions) : null
+const mailer = createMailer(mailerOptions)
+const accounts = createAccountFlows({ mailer, ...accountOptions })
+const invitations = createInvitationFlows({ mailer, ...workspaceOptions })
+const { expiryIntervalMs: DEPOSIT_EXPIRY_INTERVAL_MS, ...depositOptions } = paymentOptions
+const deposits = createDepositFlows({ ...depositOptions, providers: createPaymentProviders(depositOptions) })
+const rateLimitStore = createRateLimitStore(rateLimitOptions.store)
+const limitRate = createRateLimiter({ store: rateLimitStore, groups: rateLimitOptions.groups })
+const rateLimit = (group) => describeMiddleware(limitRate(group), { rateLimit: { group, ...rateLimitOptions.groups[group] } })
 
-const pool = new Pool({ connectionString: DATABASE_URL })
+if (!JWT_SECRET) throw new Error("JWT_SECRET is required")
 
 app.disable("x-powered-by")
 app.set("trust proxy", 1)
-app.use(express.json({ limit: "200kb" }))
+// Payment callbacks are verified against the exact bytes that were signed.
+app.use(express.json({
+  limit: "200kb",
+  verify: (req, _res, buf) => {
+    if (req.url.startsWith("/payments/")) req.rawBody = buf
+  }
+}))
 app.use(cors({
   origin: FRONTEND_ORIGIN ? FRONTEND_ORIGIN.split(",").map((v) => v.trim()) : true,
-  methods: ["GET", "POST", "OPTIONS"],
-  allowedHeaders: ["Content-Type", "Authorization"]
+  methods: ["GET", "POST", "PATCH", "DELETE", "OPTIONS"],
+  allowedHeaders: ["Content-Type", "Authorization", "Last-Event-ID", "X-Workspace-Id"],
+  exposedHeaders: [
+    "Content-Disposition",
+    "RateLimit-Limit",
+    "RateLimit-Remaining",
+    "RateLimit-Reset",
+    "RateLimit-Policy",
+    "Retry-After"
+  ]
 }))
 
 app.use((_req, res, next) => {
@@ -36,68 +262,34 @@ app.use((_req, res, next) => {
   next()
 })
 
-const authRateMap = new Map()
-function authRateLimit(req, res, next) {
-  const key = `${req.ip}:${req.path}`
-  const now = Date.now()
-  const entry = authRateMap.get(key) ?? { count: 0, startedAt: now }
-  if (now - entry.startedAt > 15 * 60 * 1000) {
-    authRateMap.set(key, { count: 1, startedAt: now })
-    return next()
-  }
-
-  if (entry.count >= 30) {
-    return res.status(429).json({ error: "Too many requests. Please retry later." })
-  }
-
-  entry.count += 1
-  authRateMap.set(key, entry)
-  next()
-}
-
-function normalizeEmail(email = "") {
-  return String(email).trim().toLowerCase()
-}
-
-function isValidEmail(email = "") {
-  return /^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(email)
-}
-
+// Every route is declared through api so its schemas validate the request
+// and end up in /openapi.json.
+const api = createApi(app, {
+  title: "TikTok Review SaaS API",
+  version: RELEASE_VERSION,
+  description: "Product feeds, script and video generation, TikTok Showcase uploads, wallets and rentals. " +
+    "Errors are { error, details? }; a 400 from validation lists every bad field in details.fields.",
+  components,
+  validateResponses: apiOptions.validateResponses
+})
 
 function safeText(value, max = 255) {
   return String(value ?? "").trim().slice(0, max)
 }
 
-function parsePositiveInt(value, fieldName) {
-  const parsed = Number(value)
-  if (!Number.isInteger(parsed) || parsed <= 0) {
-    const err = new Error(`${fieldName} must be a positive integer`)
-    err.status = 400
-    throw err
-  }
-  return parsed
-}
-
 function asyncHandler(handler) {
   return (req, res, next) => Promise.resolve(handler(req, res, next)).catch(next)
 }
 
-async function ensureWallet(userId) {
-  await pool.query(
-    `INSERT INTO wallet_accounts (user_id, balance, currency)
-     VALUES ($1, 0, 'THB')
-     ON CONFLICT (user_id) DO NOTHING`,
-    [userId]
-  )
-
-  const wallet = await pool.query(
-    "SELECT id, user_id, balance, currency, updated_at, created_at FROM wallet_accounts WHERE user_id=$1",
-    [userId]
-  )
-  return wallet.rows[0]
-}
-
-app.get("/health", asyncHandler(async (_req, res) => {
+api.get("/health", {
+  tag: "Meta",
+  summary: "Liveness and database check",
+  response: object({
+    ok: boolean(),
+    release: object({ version: string(), name: string() }),
+    database: object({ ok: boolean(), now: timestamp() })
+  })
+}, asyncHandler(async (_req, res) => {
   const db = await pool.query("SELECT NOW() AS now")
   res.json({
     ok: true,
@@ -106,7 +298,16 @@ app.get("/health", asyncHandler(async (_req, res) => {
   })
 }))
 
-app.get("/release/info", (_req, res) => {
+api.get("/release/info", {
+  tag: "Meta",
+  summary: "Release, features and the route list",
+  response: object({
+    release: object({ version: string(), name: string(), stage: string() }),
+    features: array(string()),
+    endpoints: object({}, { description: "Entry points by name" }),
+    routes: array(object({ method: string(), path: string(), summary: string() }))
+  })
+}, (_req, res) => {
   res.json({
     release: {
       version: RELEASE_VERSION,
@@ -118,379 +319,1613 @@ app.get("/release/info", (_req, res) => {
       "Wallet and deposits",
       "Master meta dashboard",
       "Deep Learn + n8n automation",
-      "Admin and rental control panels"
+      "Admin and rental control panels",
+      "Team workspaces"
     ],
     endpoints: {
       health: "/health",
       release_info: "/release/info",
-      meta_dashboard: "/admin/master-meta-dashboard",
-      wallet: "/wallet"
-    }
+      openapi: "/openapi.json",
+      docs: "/docs",
+      meta_dashboard: "/admin/meta-dashboard",
+      analytics: "/admin/analytics",
+      wallet: "/wallet",
+      workspaces: "/workspaces"
+    },
+    routes: api.routes()
   })
 })
 
-app.post("/register", authRateLimit, asyncHandler(async (req, res) => {
-  const email = normalizeEmail(req.body.email)
-  const password = String(req.body.password ?? "")
-  const adminKey = String(req.body.adminKey ?? "").trim()
+api.get("/openapi.json", {
+  tag: "Meta",
+  summary: "This API as an OpenAPI 3 document",
+  response: object({ openapi: string() })
+}, (_req, res) => {
+  res.json(api.document())
+})
 
-  if (!email || !password) {
-    return res.status(400).json({ error: "email and password are required" })
-  }
-  if (!isValidEmail(email)) return res.status(400).json({ error: "invalid email format" })
-  if (password.length < 8) return res.status(400).json({ error: "password must be at least 8 chars" })
+api.get("/docs", {
+  tag: "Meta",
+  summary: "Browsable API reference",
+  produces: "text/html",
+  response: string()
+}, (_req, res) => {
+  res.type("html").send(renderDocs(api.document()))
+})
+
+api.post("/register", {
+  tag: "Auth",
+  summary: "Create an account",
+  description: "Creates the user's personal workspace and wallet, and emails a verification link.",
+  body: object({
+    email: string({ format: "email", maxLength: 255 }),
+    password: string({ format: "password", minLength: 8 }),
+    language: language(),
+    adminKey: string({ description: "ADMIN_BOOTSTRAP_KEY, to register as an admin" }),
+    referralCode: string({ maxLength: 12 })
+  }, { required: ["email", "password"] }),
+  response: object({
+    message: string(),
+    role: enumOf(["admin", "user"]),
+    verification_sent: boolean({ description: "false if sending failed; retry with /email/verify/resend" })
+  }),
+  errors: [409]
+}, rateLimit("auth"), asyncHandler(async (req, res) => {
+  const { email, password, language, adminKey, referralCode } = req.body
 
   const role = adminKey && adminKey === process.env.ADMIN_BOOTSTRAP_KEY ? "admin" : "user"
-  const hash = await bcrypt.hash(password, 12)
+  const hash = await bcrypt.hash(password, PASSWORD_HASH_ROUNDS)
 
   let newUser
   try {
-    const inserted = await pool.query(
-      "INSERT INTO users (email,password_hash,role) VALUES ($1,$2,$3) RETURNING id",
-      [email, hash, role]
-    )
-    newUser = inserted.rows[0]
+    newUser = await withTransaction(async (client) => {
+      const referredBy = referralCode ? await findReferrer(client, referralCode) : null
+      const inserted = await client.query(
+        `INSERT INTO users (email,password_hash,role,language,referral_code,referred_by)
+         VALUES ($1,$2,$3,$4,$5,$6) RETURNING id`,
+        [email, hash, role, language, newReferralCode(), referredBy]
+      )
+      const workspace = await createPersonalWorkspace(client, inserted.rows[0].id)
+      await ensureWallet(workspace.id, client)
+
+      // Nobody is signed in yet, so the new admin is recorded as the actor.
+      if (role === "admin") {
+        await recordAudit(client, { ...auditContext(req), actorUserId: inserted.rows[0].id, actorEmail: email }, {
+          action: "user.admin_bootstrap",
+          targetType: "user",
+          targetId: inserted.rows[0].id,
+          after: { email, role }
+        })
+      }
+      return inserted.rows[0]
+    })
   } catch (error) {
-    if (error.code === "23505") return res.status(409).json({ error: "email already registered" })
+    if (error.code === "23505" && error.constraint === "users_email_key") {
+      return res.status(409).json({ error: "email already registered" })
+    }
     throw error
   }
 
-  await ensureWallet(newUser.id)
+  // The account exists either way; a failed send can be retried from
+  // /email/verify/resend.
+  let verificationSent = true
+  await accounts.sendVerification(newUser.id).catch((error) => {
+    verificationSent = false
+    console.error(`Sending verification email to user ${newUser.id} failed:`, error.message)
+  })
 
-  res.json({ message: "Registered", role })
+  res.json({ message: "Registered", role, verification_sent: verificationSent })
 }))
 
-app.post("/login", authRateLimit, asyncHandler(async (req, res) => {
-  const email = normalizeEmail(req.body.email)
-  const password = String(req.body.password ?? "")
+api.post("/email/verify", {
+  tag: "Auth",
+  summary: "Verify an email address with the emailed token",
+  body: object({ token: string({ minLength: 1, maxLength: 200 }) }, { required: ["token"] }),
+  response: object({ message: string(), email: string({ format: "email" }), email_verified_at: timestamp() })
+}, rateLimit("auth"), asyncHandler(async (req, res) => {
+  const user = await accounts.verifyEmail(req.body.token)
+  res.json({ message: "Email verified", email: user.email, email_verified_at: user.email_verified_at })
+}))
 
-  if (!email || !password) return res.status(400).json({ error: "email and password are required" })
-  if (!isValidEmail(email)) return res.status(400).json({ error: "invalid email format" })
+api.post("/email/verify/resend", {
+  tag: "Auth",
+  summary: "Send the verification email again",
+  status: 202,
+  response: ref("Message"),
+  errors: [409]
+}, rateLimit("auth"), auth, asyncHandler(async (req, res) => {
+  await accounts.sendVerification(req.user.id)
+  res.status(202).json({ message: "Verification email sent" })
+}))
 
-  const user = await pool.query("SELECT id, email, role, password_hash FROM users WHERE email=$1", [email])
-  if (!user.rows.length) return res.status(401).json({ error: "Invalid credentials" })
+api.post("/password/forgot", {
+  tag: "Auth",
+  summary: "Email a password reset link",
+  description: "Answers the same whether or not the email has an account.",
+  body: object({ email: string({ format: "email", maxLength: 255 }) }, { required: ["email"] }),
+  status: 202,
+  response: ref("Message")
+}, rateLimit("auth"), asyncHandler(async (req, res) => {
+  await accounts.requestPasswordReset(req.body.email)
+  res.status(202).json({ message: "If that email has an account, a reset link is on its way" })
+}))
 
-  const valid = await bcrypt.compare(password, user.rows[0].password_hash)
-  if (!valid) return res.status(401).json({ error: "Invalid credentials" })
+api.post("/password/reset", {
+  tag: "Auth",
+  summary: "Set a new password with the emailed token",
+  description: "Signs the user out everywhere and clears any sign-in lockout.",
+  body: object({
+    token: string({ minLength: 1, maxLength: 200 }),
+    password: string({ format: "password", minLength: 8 })
+  }, { required: ["token", "password"] }),
+  response: ref("Message")
+}, rateLimit("auth"), asyncHandler(async (req, res) => {
+  await accounts.resetPassword(req.body.token, req.body.password)
+  res.json({ message: "Password updated, please sign in again" })
+}))
 
-  const token = jwt.sign(
-    { id: user.rows[0].id, email: user.rows[0].email, role: user.rows[0].role },
-    JWT_SECRET,
-    { expiresIn: "1d" }
-  )
+api.post("/login", {
+  tag: "Auth",
+  summary: "Sign in",
+  description: "Repeated failures lock the email out for longer each time; a locked out sign-in is a 429 with Retry-After.",
+  body: object({
+    email: string({ format: "email", maxLength: 255 }),
+    password: string({ format: "password", minLength: 1 })
+  }, { required: ["email", "password"] }),
+  response: ref("Tokens"),
+  errors: [401, 403]
+}, rateLimit("auth"), asyncHandler(async (req, res) => {
+  const { email, password } = req.body
+
+  const lockedFor = await lockoutRemaining(pool, email)
+  if (lockedFor) return signInLocked(res, lockedFor)
+
+  const user = await pool.query("SELECT id, email, role, password_hash, suspended_at FROM users WHERE email=$1", [email])
+  const valid = user.rows.length > 0 && await bcrypt.compare(password, user.rows[0].password_hash)
+  if (!valid) {
+    const lockSeconds = await recordLoginFailure(pool, email, req.ip ?? null, rateLimitOptions.lockout)
+    if (lockSeconds) return signInLocked(res, lockSeconds)
+    return res.status(401).json({ error: "Invalid credentials" })
+  }
+  await clearLoginFailures(pool, email)
+  if (user.rows[0].suspended_at) return res.status(403).json({ error: "This account is suspended, contact support" })
 
-  res.json({ token, role: user.rows[0].role })
+  const { session, refreshToken } = await createSession(user.rows[0].id, sessionDetails(req))
+  res.json({ ...issueTokens(session, refreshToken), role: user.rows[0].role })
 }))
 
-function auth(req, res, next) {
+function signInLocked(res, seconds) {
+  res.set("Retry-After", String(seconds))
+  return res.status(429).json({
+    error: `Too many failed sign-ins, try again in ${Math.ceil(seconds / 60)} minute(s) or reset your password`,
+    details: { retry_after: seconds }
+  })
+}
+
+api.post("/token/refresh", {
+  tag: "Auth",
+  summary: "Trade a refresh token for new tokens",
+  description: "Refresh tokens are single use; reusing one revokes its session.",
+  body: object({ refreshToken: string({ minLength: 1 }) }, { required: ["refreshToken"] }),
+  response: ref("Tokens"),
+  errors: [401]
+}, rateLimit("auth"), asyncHandler(async (req, res) => {
+  const rotated = await rotateRefreshToken(req.body.refreshToken, sessionDetails(req))
+  res.json({ ...issueTokens(rotated.session, rotated.refreshToken), role: rotated.user.role })
+}))
+
+function sessionDetails(req) {
+  return { userAgent: safeText(req.get("user-agent")) || null, ip: req.ip ?? null, ttlDays: REFRESH_TOKEN_TTL_DAYS }
+}
+
+// Access tokens only carry the user and session ids; the role and workspace
+// memberships are read from the database on every request so changes apply
+// straight away.
+function issueTokens(session, refreshToken) {
+  const token = jwt.sign({ id: session.user_id, sid: session.id }, JWT_SECRET, {
+    expiresIn: ACCESS_TOKEN_TTL,
+    audience: "access"
+  })
+  const { exp, iat } = jwt.decode(token)
+  return { token, refresh_token: refreshToken, expires_in: exp - iat }
+}
+
+// Checks the Bearer credential: an access token from /login, or a personal
+// API key. Routes reachable with API keys authenticate through scoped()
+// below; plain auth only lets sessions in.
+function authenticate(req, res, next, requiredScope) {
+  const header = req.headers.authorization
+  if (!header || !header.startsWith("Bearer ")) {
+    return res.status(401).json({ error: "Unauthorized" })
+  }
+  const credential = header.slice(7)
+
+  if (isApiKey(credential)) {
+    if (!requiredScope) return res.status(403).json({ error: "API keys cannot be used here, sign in instead" })
+    authenticateApiKey(credential, req.ip ?? null).then((key) => {
+      if (!key) return res.status(401).json({ error: "API key is invalid, expired or revoked" })
+      if (!key.scopes.includes(requiredScope)) {
+        return res.status(403).json({ error: `API key is missing the ${requiredScope} scope` })
+      }
+      req.user = {
+        id: key.id,
+        email: key.email,
+        role: key.role,
+        emailVerified: key.email_verified,
+        apiKeyId: key.api_key_id
+      }
+      next()
+    }, next)
+    return
+  }
+
+  let claims
   try {
-    const header = req.headers.authorization
-    if (!header || !header.startsWith("Bearer ")) {
-      return res.status(401).json({ error: "Unauthorized" })
-    }
+    claims = jwt.verify(credential, JWT_SECRET, { audience: "access" })
+  } catch (_error) {
+    return res.status(401).json({ error: "Unauthorized" })
+  }
 
-    const token = header.slice(7)
-    const decoded = jwt.verify(token, JWT_SECRET)
-    req.user = decoded
+  authenticateSession(claims.id, claims.sid).then((user) => {
+    if (!user) return res.status(401).json({ error: "Session has ended, please sign in again" })
+    req.user = {
+      id: user.id,
+      email: user.email,
+      role: user.role,
+      emailVerified: user.email_verified,
+      sessionId: user.session_id
+    }
     next()
-  } catch (_error) {
-    res.status(401).json({ error: "Unauthorized" })
+  }, next)
+}
+
+function auth(req, res, next) {
+  authenticate(req, res, next, null)
+}
+describeMiddleware(auth, { auth: true })
+
+// Like auth, and also accepts API keys granted the scope.
+function scoped(scope) {
+  if (!API_KEY_SCOPES[scope]) throw new Error(`Unknown API key scope: ${scope}`)
+  return describeMiddleware((req, res, next) => authenticate(req, res, next, scope), { auth: true, scope })
+}
+
+// EventSource cannot send headers, so the SSE stream also accepts the token
+// as ?access_token= and the workspace as ?workspace_id=.
+function headersFromQuery(req, _res, next) {
+  if (!req.headers.authorization && typeof req.query.access_token === "string") {
+    req.headers.authorization = `Bearer ${req.query.access_token}`
   }
+  if (!req.headers["x-workspace-id"] && typeof req.query.workspace_id === "string") {
+    req.headers["x-workspace-id"] = req.query.workspace_id
+  }
+  next()
 }
 
 function adminOnly(req, res, next) {
   if (req.user.role !== "admin") return res.status(403).json({ error: "Admin only" })
   next()
 }
+describeMiddleware(adminOnly, { admin: true })
 
-const hooks = [
-  "หยุดก่อน! อันนี้โคตรดี",
-  "ไม่คิดว่าจะดีขนาดนี้",
-  "ใครกำลังเจอปัญหานี้ต้องดู"
-]
+function verifiedOnly(req, res, next) {
+  if (!req.user.emailVerified) return res.status(403).json({ error: "Verify your email address first" })
+  next()
+}
+describeMiddleware(verifiedOnly, { verified: true })
+
+// Resolves the workspace the request acts in, from :workspaceId on
+// /workspaces routes and from X-Workspace-Id elsewhere (the user's personal
+// workspace without it), and checks the caller's role there.
+function workspaceRole(minRole) {
+  return describeMiddleware(asyncHandler(async (req, res, next) => {
+    const workspace = await resolveWorkspace(req.user.id, req.params.workspaceId ?? req.get("X-Workspace-Id"))
+    if (!hasWorkspaceRole(workspace.role, minRole)) {
+      return res.status(403).json({ error: `This needs the ${minRole} role in the workspace, you are ${workspace.role}` })
+    }
+    req.workspace = workspace
+    next()
+  }), { workspaceRole: minRole })
+}
 
-function generateScript(product) {
-  const hook = hooks[Math.floor(Math.random() * hooks.length)]
-  return `${hook}\n\nวันนี้จะมารีวิว ${product}\n\nจุดเด่น:\n1. คุณภาพดี\n2. คุ้มราคา\n3. ใช้งานง่าย\n\nลิงก์อยู่หน้าโปรไฟล์\n`
+// Turns away a workspace that is already at its limit before any work is
+// done. It does not hold the quota: the handler claims it again with
+// withQuota when it inserts the row, so concurrent requests cannot all pass.
+function quota(metric) {
+  return describeMiddleware(asyncHandler(async (req, _res, next) => {
+    req.quota = await assertQuota(req.workspace.id, metric, FREE_PLAN_QUOTAS)
+    next()
+  }), { quota: metric })
 }
 
-function generateVideoPackage(product) {
-  const selectedHook = hooks[Math.floor(Math.random() * hooks.length)]
-  const title = `${product.title} รีวิวสั้นสำหรับ TikTok Showcase`
-  const script = `${selectedHook}\n\nรีวิว ${product.title} จาก TikTok Shop Affiliate\nราคา ${product.price ?? "-"} ${product.currency ?? "THB"}\n\nจุดเด่น 3 ข้อ:\n1) เหมาะกับมือใหม่\n2) ใช้งานจริงได้ทุกวัน\n3) ราคาเข้าถึงง่าย\n\nปิดท้าย: กดดูใน Showcase ได้เลย!`
+const ME_COLUMNS = "id, email, role, language, timezone, email_verified_at, created_at"
 
-  const storyboard = [
-    { scene: 1, duration_sec: 3, shot: "close-up product", text: selectedHook },
-    { scene: 2, duration_sec: 5, shot: "problem -> solution", text: `ปัญหาที่แก้ได้ด้วย ${product.title}` },
-    { scene: 3, duration_sec: 6, shot: "benefits list", text: "คุณภาพดี | คุ้มราคา | ใช้งานง่าย" },
-    { scene: 4, duration_sec: 4, shot: "cta", text: "กดเข้าชมใน TikTok Showcase" }
-  ]
+api.get("/me", {
+  tag: "Account",
+  summary: "The signed-in user",
+  response: ref("Me")
+}, scoped("account:read"), asyncHandler(async (req, res) => {
+  const me = await pool.query(`SELECT ${ME_COLUMNS} FROM users WHERE id=$1`, [req.user.id])
+  res.json(me.rows[0] ?? null)
+}))
 
-  const hashtags = "#tiktokshop #affiliate #รีวิวของดี #ป้ายยาของดี #tiktokshowcase"
-  return { title, hook: selectedHook, script, storyboard, hashtags }
-}
+api.patch("/me", {
+  tag: "Account",
+  summary: "Change the preferred language or time zone",
+  description: "Schedule times given without an offset are read in this time zone.",
+  body: object({
+    language: enumOf(TEMPLATE_LANGUAGES, { case: "lower" }),
+    timezone: timeZone()
+  }),
+  response: ref("Me"),
+  errors: [400]
+}, auth, asyncHandler(async (req, res) => {
+  const { language: preferred, timezone } = req.body
+  if (preferred === undefined && timezone === undefined) throw httpError(400, "Send language or timezone")
+  const me = await pool.query(
+    `UPDATE users SET language=COALESCE($2, language), timezone=COALESCE($3, timezone)
+     WHERE id=$1 RETURNING ${ME_COLUMNS}`,
+    [req.user.id, preferred ?? null, timezone === undefined ? null : parseTimeZone(timezone)]
+  )
+  res.json(me.rows[0])
+}))
 
-app.get("/me", auth, asyncHandler(async (req, res) => {
-  const me = await pool.query("SELECT id, email, role, plan, created_at FROM users WHERE id=$1", [req.user.id])
-  res.json(me.rows[0] ?? null)
+api.get("/me/referral", {
+  tag: "Account",
+  summary: "Referral code, link and earnings",
+  response: object({
+    referral_code: string(),
+    referred_users: integer(),
+    rewarded_referrals: integer(),
+    earned_total: decimal(),
+    referral_link: string({ format: "uri" }),
+    rewards: object({ referrerCredit: number(), referredCredit: number() })
+  })
+}, scoped("account:read"), asyncHandler(async (req, res) => {
+  const summary = await getReferralSummary(req.user.id)
+  const link = new URL(accountOptions.appBaseUrl)
+  link.searchParams.set("ref", summary.referral_code)
+  res.json({ ...summary, referral_link: link.toString(), rewards: referralOptions })
 }))
 
-app.get("/user/dashboard", auth, asyncHandler(async (req, res) => {
-  const [products, videoJobs, uploads, activeRental] = await Promise.all([
-    pool.query("SELECT COUNT(*)::int AS count FROM products WHERE user_id=$1", [req.user.id]),
-    pool.query("SELECT COUNT(*)::int AS count FROM video_jobs WHERE user_id=$1", [req.user.id]),
-    pool.query("SELECT COUNT(*)::int AS count FROM showcase_uploads WHERE user_id=$1", [req.user.id]),
-    pool.query(
-      `SELECT ur.*, rp.code, rp.name, rp.max_video_jobs
-       FROM user_rentals ur
-       JOIN rental_plans rp ON rp.id = ur.plan_id
-       WHERE ur.user_id=$1 AND ur.status='active'
-       ORDER BY ur.created_at DESC
-       LIMIT 1`,
-      [req.user.id]
-    )
+api.post("/me/password", {
+  tag: "Account",
+  summary: "Change the password",
+  description: "Signs out every other session.",
+  body: object({
+    currentPassword: string({ format: "password", minLength: 1 }),
+    newPassword: string({ format: "password", minLength: 8 })
+  }, { required: ["currentPassword", "newPassword"] }),
+  response: ref("Message")
+}, rateLimit("auth"), auth, asyncHandler(async (req, res) => {
+  const { currentPassword, newPassword } = req.body
+  await accounts.changePassword(req.user.id, req.user.sessionId, currentPassword, newPassword)
+  res.json({ message: "Password changed, other sessions were signed out" })
+}))
+
+api.get("/me/sessions", {
+  tag: "Account",
+  summary: "Active sessions",
+  response: array(ref("Session"))
+}, auth, asyncHandler(async (req, res) => {
+  res.json(await listSessions(req.user.id, req.user.sessionId))
+}))
+
+api.delete("/me/sessions/:id", {
+  tag: "Account",
+  summary: "Sign out one session",
+  params: { id: id() },
+  response: ref("Message"),
+  errors: [404]
+}, auth, asyncHandler(async (req, res) => {
+  if (!(await revokeSession(req.user.id, req.params.id, "revoked"))) throw httpError(404, "Session not found")
+  res.json({ message: "Session revoked" })
+}))
+
+api.get("/me/api-keys", {
+  tag: "Account",
+  summary: "Personal API keys and the scopes they can have",
+  response: object({ items: array(ref("ApiKey")), scopes: object({}, { description: "Scope name to description" }) })
+}, auth, asyncHandler(async (req, res) => {
+  res.json({ items: await listApiKeys(req.user.id), scopes: API_KEY_SCOPES })
+}))
+
+// The key itself is only ever returned here.
+api.post("/me/api-keys", {
+  tag: "Account",
+  summary: "Create an API key",
+  description: "The key is only ever returned in this response.",
+  body: object({
+    name: string({ minLength: 1, maxLength: 100 }),
+    scopes: array(enumOf(Object.keys(API_KEY_SCOPES)), { minItems: 1 }),
+    expiresInDays: nullable(integer({ minimum: 1, maximum: 365, description: "Never expires without it" }))
+  }, { required: ["name", "scopes"] }),
+  status: 201,
+  response: { allOf: [ref("ApiKey"), object({ key: string({ description: "trk_..." }) })] },
+  errors: [409]
+}, auth, asyncHandler(async (req, res) => {
+  const apiKey = await createApiKey(req.user.id, {
+    name: req.body.name,
+    scopes: req.body.scopes,
+    expiresInDays: req.body.expiresInDays
+  })
+  res.status(201).json(apiKey)
+}))
+
+api.delete("/me/api-keys/:id", {
+  tag: "Account",
+  summary: "Revoke an API key",
+  params: { id: id() },
+  response: object({ message: string(), api_key: ref("ApiKey") }),
+  errors: [404]
+}, auth, asyncHandler(async (req, res) => {
+  const apiKey = await revokeApiKey(req.user.id, req.params.id)
+  res.json({ message: "API key revoked", api_key: apiKey })
+}))
+
+api.post("/logout", {
+  tag: "Auth",
+  summary: "Sign out this session",
+  response: ref("Message")
+}, auth, asyncHandler(async (req, res) => {
+  await revokeSession(req.user.id, req.user.sessionId, "logout")
+  res.json({ message: "Logged out" })
+}))
+
+api.post("/logout-all", {
+  tag: "Auth",
+  summary: "Sign out every session",
+  response: object({ message: string(), sessions_revoked: integer() })
+}, auth, asyncHandler(async (req, res) => {
+  const revoked = await revokeAllSessions(req.user.id, "logout_all")
+  res.json({ message: "Logged out everywhere", sessions_revoked: revoked })
+}))
+
+const workspaceParams = { workspaceId: id() }
+const workspaceName = string({ minLength: 1, maxLength: 100 })
+const workspaceRoleName = enumOf(WORKSPACE_ROLES)
+
+api.get("/workspaces", {
+  tag: "Workspaces",
+  summary: "Workspaces the user belongs to",
+  response: array(ref("Workspace"))
+}, auth, asyncHandler(async (req, res) => {
+  res.json(await listWorkspaces(req.user.id))
+}))
+
+api.post("/workspaces", {
+  tag: "Workspaces",
+  summary: "Create a team workspace",
+  body: object({ name: workspaceName }, { required: ["name"] }),
+  status: 201,
+  response: ref("Workspace"),
+  errors: [409]
+}, auth, asyncHandler(async (req, res) => {
+  res.status(201).json(await createWorkspace(req.user.id, { name: req.body.name }))
+}))
+
+api.get("/workspaces/:workspaceId", {
+  tag: "Workspaces",
+  summary: "A workspace and its members",
+  params: workspaceParams,
+  response: { allOf: [ref("Workspace"), object({ members: array(ref("Member")) })] }
+}, auth, workspaceRole("viewer"), asyncHandler(async (req, res) => {
+  res.json({ ...req.workspace, members: await listMembers(req.workspace.id) })
+}))
+
+api.patch("/workspaces/:workspaceId", {
+  tag: "Workspaces",
+  summary: "Rename a workspace",
+  params: workspaceParams,
+  body: object({ name: workspaceName }, { required: ["name"] }),
+  response: ref("Workspace")
+}, auth, workspaceRole("owner"), asyncHandler(async (req, res) => {
+  const workspace = await renameWorkspace(req.workspace.id, { name: req.body.name })
+  res.json({ ...workspace, role: req.workspace.role })
+}))
+
+api.get("/workspaces/:workspaceId/members", {
+  tag: "Workspaces",
+  summary: "Members of a workspace",
+  params: workspaceParams,
+  response: array(ref("Member"))
+}, auth, workspaceRole("viewer"), asyncHandler(async (req, res) => {
+  res.json(await listMembers(req.workspace.id))
+}))
+
+api.patch("/workspaces/:workspaceId/members/:userId", {
+  tag: "Workspaces",
+  summary: "Change a member's role",
+  params: { ...workspaceParams, userId: id() },
+  body: object({ role: workspaceRoleName }, { required: ["role"] }),
+  response: object({ user_id: id(), role: workspaceRoleName }),
+  errors: [409]
+}, auth, workspaceRole("owner"), asyncHandler(async (req, res) => {
+  res.json(await changeMemberRole(req.workspace.id, req.params.userId, req.body.role))
+}))
+
+// Owners remove members; anyone may remove themselves to leave.
+api.delete("/workspaces/:workspaceId/members/:userId", {
+  tag: "Workspaces",
+  summary: "Remove a member, or leave",
+  description: "Owners remove members; anyone may remove themselves to leave.",
+  params: { ...workspaceParams, userId: id() },
+  response: ref("Message"),
+  errors: [409]
+}, auth, workspaceRole("viewer"), asyncHandler(async (req, res) => {
+  const { userId } = req.params
+  if (userId !== req.user.id && req.workspace.role !== "owner") {
+    return res.status(403).json({ error: "Only workspace owners can remove other members" })
+  }
+  await removeMember(req.workspace.id, userId)
+  res.json({ message: userId === req.user.id ? "You left the workspace" : "Member removed" })
+}))
+
+api.get("/workspaces/:workspaceId/invitations", {
+  tag: "Workspaces",
+  summary: "Pending and past invitations",
+  params: workspaceParams,
+  response: array(ref("Invitation"))
+}, auth, workspaceRole("owner"), asyncHandler(async (req, res) => {
+  res.json(await listInvitations(req.workspace.id))
+}))
+
+api.post("/workspaces/:workspaceId/invitations", {
+  tag: "Workspaces",
+  summary: "Invite someone by email",
+  params: workspaceParams,
+  body: object({
+    email: string({ format: "email", maxLength: 255 }),
+    role: workspaceRoleName
+  }, { required: ["email", "role"] }),
+  status: 201,
+  response: ref("Invitation"),
+  errors: [409]
+}, auth, verifiedOnly, workspaceRole("owner"), asyncHandler(async (req, res) => {
+  const invitation = await invitations.invite(req.workspace, req.user, { email: req.body.email, role: req.body.role })
+  res.status(201).json(invitation)
+}))
+
+api.delete("/workspaces/:workspaceId/invitations/:id", {
+  tag: "Workspaces",
+  summary: "Revoke an invitation",
+  params: { ...workspaceParams, id: id() },
+  response: ref("Invitation"),
+  errors: [404]
+}, auth, workspaceRole("owner"), asyncHandler(async (req, res) => {
+  res.json(await revokeInvitation(req.workspace.id, req.params.id))
+}))
+
+api.post("/invitations/accept", {
+  tag: "Workspaces",
+  summary: "Join a workspace with an emailed invitation token",
+  body: object({ token: string({ minLength: 1 }) }, { required: ["token"] }),
+  response: object({
+    message: string(),
+    workspace: object({ id: id(), name: string(), role: workspaceRoleName })
+  })
+}, auth, asyncHandler(async (req, res) => {
+  const workspace = await invitations.accept(req.user, req.body.token)
+  res.json({ message: "Invitation accepted", workspace })
+}))
+
+api.get("/user/dashboard", {
+  tag: "Account",
+  summary: "Workspace overview: counts, rental, usage, top hooks and wallet",
+  response: object({
+    workspace: ref("Workspace"),
+    stats: object({ product_count: integer(), video_job_count: integer(), upload_count: integer() }),
+    active_rental: nullable(ref("Rental")),
+    usage: ref("Usage"),
+    top_hooks: array(ref("HookPerformance")),
+    wallet: ref("Wallet")
+  })
+}, scoped("account:read"), workspaceRole("viewer"), asyncHandler(async (req, res) => {
+  const workspaceId = req.workspace.id
+  const [products, videoJobs, uploads, activeRental, usage, topHooks] = await Promise.all([
+    pool.query("SELECT COUNT(*)::int AS count FROM products WHERE workspace_id=$1", [workspaceId]),
+    pool.query("SELECT COUNT(*)::int AS count FROM video_jobs WHERE workspace_id=$1", [workspaceId]),
+    pool.query("SELECT COUNT(*)::int AS count FROM showcase_uploads WHERE workspace_id=$1", [workspaceId]),
+    getActiveRental(workspaceId),
+    getUsage(workspaceId, FREE_PLAN_QUOTAS),
+    hookPerformance({ workspaceId, limit: 5 })
   ])
 
-  const wallet = await ensureWallet(req.user.id)
+  const wallet = await ensureWallet(workspaceId)
 
   res.json({
+    workspace: req.workspace,
     stats: {
       product_count: products.rows[0].count,
       video_job_count: videoJobs.rows[0].count,
       upload_count: uploads.rows[0].count
     },
-    active_rental: activeRental.rows[0] ?? null,
+    active_rental: activeRental,
+    usage,
+    top_hooks: topHooks,
     wallet
   })
 }))
 
-app.get("/wallet", auth, asyncHandler(async (req, res) => {
-  const wallet = await ensureWallet(req.user.id)
+api.get("/events", {
+  tag: "Events",
+  summary: "Live workspace events (Server-Sent Events)",
+  description: "EventSource cannot send headers, so the token and workspace may also be passed as ?access_token= and " +
+    "?workspace_id=. Reconnects resume after Last-Event-ID.",
+  query: object({
+    lastEventId: integer({ minimum: 0, description: "Alternative to the Last-Event-ID header" }),
+    access_token: string({ description: "Alternative to the Authorization header" }),
+    workspace_id: id("Alternative to the X-Workspace-Id header")
+  }),
+  produces: "text/event-stream",
+  response: string()
+}, headersFromQuery, scoped("events:read"), workspaceRole("viewer"), asyncHandler(async (req, res) => {
+  const rawLastId = req.get("Last-Event-ID") ?? req.query.lastEventId
+  const lastEventId = rawLastId === undefined || rawLastId === "" ? null : Number(rawLastId)
+  if (lastEventId !== null && (!Number.isInteger(lastEventId) || lastEventId < 0)) {
+    return res.status(400).json({ error: "Last-Event-ID must be a non-negative integer" })
+  }
+
+  res.set({
+    "Content-Type": "text/event-stream",
+    "Cache-Control": "no-cache",
+    Connection: "keep-alive",
+    "X-Accel-Buffering": "no"
+  })
+  res.flushHeaders()
+  res.write("retry: 5000\n\n")
+
+  let closed = false
+  let unsubscribe = () => {}
+  const heartbeat = setInterval(() => res.write(": keep-alive\n\n"), 25_000)
+  req.on("close", () => {
+    closed = true
+    clearInterval(heartbeat)
+    unsubscribe()
+  })
+
+  const subscription = await eventHub.subscribe(req.workspace.id, lastEventId, (event) => {
+    res.write(`id: ${event.id}\nevent: ${event.type}\ndata: ${JSON.stringify({ ...event.payload, created_at: event.created_at })}\n\n`)
+  })
+  if (closed) subscription()
+  else unsubscribe = subscription
+}))
+
+api.get("/me/usage", {
+  tag: "Account",
+  summary: "Quota usage in the current billing period",
+  response: ref("Usage")
+}, scoped("account:read"), workspaceRole("viewer"), asyncHandler(async (req, res) => {
+  res.json(await getUsage(req.workspace.id, FREE_PLAN_QUOTAS))
+}))
+
+const analyticsQuery = object({
+  from: string({ format: "date", description: "Defaults to a span that suits the granularity" }),
+  to: string({ format: "date", description: "Defaults to today" }),
+  granularity: enumOf(GRANULARITIES, { default: "day" }),
+  format: enumOf(["json", "csv"], { default: "json" })
+})
+
+const analyticsRange = object({ from: string({ format: "date" }), to: string({ format: "date" }), granularity: enumOf(GRANULARITIES) })
+
+api.get("/me/analytics", {
+  tag: "Analytics",
+  summary: "The workspace's jobs, uploads, performance and spend over time",
+  query: analyticsQuery,
+  response: object({ range: analyticsRange, series: array(object({ bucket: string({ format: "date" }) })) }),
+  alsoProduces: { "text/csv": string() }
+}, scoped("account:read"), workspaceRole("viewer"), asyncHandler(async (req, res) => {
+  const report = await getWorkspaceAnalytics(req.workspace.id, parseRange(req.query))
+  sendAnalytics(req, res, report, workspaceAnalyticsCsv, `workspace-${req.workspace.id}-${report.range.granularity}`)
+}))
+
+api.get("/wallet", {
+  tag: "Wallet",
+  summary: "The workspace wallet",
+  response: ref("Wallet")
+}, scoped("wallet:read"), workspaceRole("viewer"), asyncHandler(async (req, res) => {
+  const wallet = await ensureWallet(req.workspace.id)
   res.json(wallet)
 }))
 
-app.post("/wallet/deposit", auth, asyncHandler(async (req, res) => {
-  const amount = Number(req.body.amount)
-  const note = safeText(req.body.note || "manual-topup", 255)
+api.post("/wallet/deposit", {
+  tag: "Wallet",
+  summary: "Start a deposit with a payment provider",
+  description: "The deposit stays pending until the provider confirms the payment, and expires if it never does.",
+  body: object({
+    amount: money({ minimum: paymentOptions.minDeposit, maximum: paymentOptions.maxDeposit }),
+    provider: string({ maxLength: 30, description: "One of GET /payments/providers; the first one without it" }),
+    note: string({ maxLength: 255 })
+  }, { required: ["amount"] }),
+  status: 201,
+  response: object({
+    message: string(),
+    deposit: ref("WalletTransaction"),
+    instructions: object({}, { description: "What the payer does next, depending on the provider" })
+  }),
+  errors: [502, 503]
+}, auth, rateLimit("deposit"), verifiedOnly, workspaceRole("owner"), asyncHandler(async (req, res) => {
+  const result = await deposits.create(req.workspace.id, req.user, {
+    amount: req.body.amount,
+    provider: req.body.provider,
+    note: req.body.note || null
+  })
+  res.status(201).json({ message: "Deposit pending payment", ...result })
+}))
+
+api.get("/wallet/deposits/:id", {
+  tag: "Wallet",
+  summary: "A deposit and its status",
+  params: { id: id() },
+  response: ref("WalletTransaction"),
+  errors: [404]
+}, scoped("wallet:read"), workspaceRole("viewer"), asyncHandler(async (req, res) => {
+  res.json(await deposits.get(req.workspace.id, req.params.id))
+}))
+
+api.get("/payments/providers", {
+  tag: "Wallet",
+  summary: "Payment providers configured on this server",
+  response: object({ providers: array(string()) })
+}, auth, (_req, res) => {
+  res.json({ providers: deposits.providers })
+})
 
-  if (!Number.isFinite(amount) || amount <= 0) {
-    return res.status(400).json({ error: "amount must be > 0" })
+const depositCallbackResult = object({
+  received: boolean(),
+  duplicate: boolean({ description: "An earlier callback had already settled the deposit" }),
+  ignored: boolean({ description: "An interim update from the provider; nothing was settled" }),
+  deposit: ref("WalletTransaction"),
+  wallet: ref("Wallet")
+})
+
+// Called by payment providers, so there is no session: the signature is the
+// authentication.
+api.post("/payments/:provider/callback", {
+  tag: "Wallet",
+  summary: "Payment provider callback",
+  description: "Called by payment providers. There is no session: the signature over the raw body is the authentication.",
+  params: { provider: string() },
+  response: depositCallbackResult,
+  errors: [401, 404]
+}, asyncHandler(async (req, res) => {
+  res.json(await deposits.handleCallback(req.params.provider, req.headers, req.rawBody, auditContext(req)))
+}))
+
+api.post("/payments/fake/:reference/:outcome", {
+  tag: "Wallet",
+  summary: "Complete or fail a deposit made with the fake provider",
+  description: "For development and tests; only works when the fake provider is enabled.",
+  params: { reference: string(), outcome: enumOf(["complete", "fail"]) },
+  response: depositCallbackResult,
+  errors: [404, 409]
+}, auth, rateLimit("deposit"), workspaceRole("owner"), asyncHandler(async (req, res) => {
+  res.json(await deposits.simulate(req.workspace.id, req.params.reference, req.params.outcome, auditContext(req)))
+}))
+
+const TRANSACTION_SORTS = { created_at: { expr: "created_at", type: "timestamp" }, amount: { expr: "amount", type: "numeric" } }
+
+api.get("/wallet/transactions", {
+  tag: "Wallet",
+  summary: "Wallet transactions",
+  query: pageQuery(TRANSACTION_SORTS),
+  response: page(ref("WalletTransaction"))
+}, scoped("wallet:read"), workspaceRole("viewer"), asyncHandler(async (req, res) => {
+  const wallet = await ensureWallet(req.workspace.id)
+  res.json(await queryPage(req.query, {
+    from: "wallet_transactions",
+    where: ["wallet_id=$1"],
+    params: [wallet.id],
+    sorts: TRANSACTION_SORTS
+  }))
+}))
+
+api.get("/rent/plans", {
+  tag: "Rentals",
+  summary: "Plans open for subscription",
+  response: array(ref("RentalPlan"))
+}, scoped("rentals:read"), asyncHandler(async (_req, res) => {
+  const data = await pool.query("SELECT code, name, monthly_price, max_video_jobs, max_script_generations, max_showcase_uploads, perks FROM rental_plans WHERE active=TRUE ORDER BY monthly_price ASC")
+  res.json(data.rows)
+}))
+
+api.post("/rent/subscribe", {
+  tag: "Rentals",
+  summary: "Subscribe the workspace to a plan, paid from its wallet",
+  description: "Switching plans credits the unused part of the current rental.",
+  body: object({
+    planCode: string({ minLength: 1, maxLength: 50 }),
+    months: integer({ minimum: 1, maximum: 24, default: 1 }),
+    autoRenew: boolean({ description: "Keeps the current setting without it" }),
+    promoCode: string({ maxLength: 40 })
+  }, { required: ["planCode"] }),
+  response: object({
+    message: string(),
+    rental: ref("Rental"),
+    plan: ref("RentalPlan"),
+    wallet: ref("Wallet"),
+    proration_credit: number(),
+    promo: nullable(object({ code: string(), discount: number(), bonus_video_jobs: integer() })),
+    referral_reward: json(),
+    transactions: array(ref("WalletTransaction"))
+  }),
+  errors: [402, 404, 409]
+}, auth, workspaceRole("owner"), asyncHandler(async (req, res) => {
+  const { planCode, months, autoRenew } = req.body
+  const result = await subscribeToPlan(req.workspace.id, req.user.id, planCode, months, {
+    autoRenew,
+    promoCode: req.body.promoCode || undefined,
+    referral: referralOptions,
+    audit: auditContext(req)
+  })
+  res.json({ message: "Rent plan subscribed", ...result })
+}))
+
+api.post("/rent/auto-renew", {
+  tag: "Rentals",
+  summary: "Turn auto-renew on or off",
+  body: object({ enabled: boolean() }, { required: ["enabled"] }),
+  response: object({ message: string(), rental: ref("Rental") }),
+  errors: [404]
+}, auth, workspaceRole("owner"), asyncHandler(async (req, res) => {
+  const rental = await setAutoRenew(req.workspace.id, req.body.enabled)
+  res.json({ message: req.body.enabled ? "Auto-renew enabled" : "Auto-renew disabled", rental })
+}))
+
+api.post("/rent/cancel", {
+  tag: "Rentals",
+  summary: "End the rental at the current period end",
+  response: object({ message: string(), rental: ref("Rental") }),
+  errors: [404]
+}, auth, workspaceRole("owner"), asyncHandler(async (req, res) => {
+  const rental = await cancelAtPeriodEnd(req.workspace.id)
+  res.json({ message: "Rental will end at the current period end", rental })
+}))
+
+const RENTAL_SORTS = {
+  created_at: { expr: "ur.created_at", type: "timestamp" },
+  ends_at: { expr: "COALESCE(ur.ends_at, 'infinity'::timestamp)", type: "timestamp" },
+  total_price: { expr: "ur.total_price", type: "numeric" }
+}
+
+api.get("/me/rentals", {
+  tag: "Rentals",
+  summary: "The workspace's rentals",
+  query: pageQuery(RENTAL_SORTS),
+  response: page(ref("Rental"))
+}, scoped("rentals:read"), workspaceRole("viewer"), asyncHandler(async (req, res) => {
+  res.json(await queryPage(req.query, {
+    select: "ur.*, rp.code, rp.name, rp.monthly_price, rp.max_video_jobs",
+    from: "user_rentals ur JOIN rental_plans rp ON rp.id = ur.plan_id",
+    where: ["ur.workspace_id=$1"],
+    params: [req.workspace.id],
+    sorts: RENTAL_SORTS,
+    idColumn: "ur.id"
+  }))
+}))
+
+api.post("/generate", {
+  tag: "Scripts",
+  summary: "Generate a review script",
+  body: object({
+    product: string({ minLength: 1, maxLength: 255 }),
+    category: string({ maxLength: 100 }),
+    language: language()
+  }, { required: ["product"] }),
+  response: object({
+    script: string(),
+    generator: string({ example: "template" }),
+    model: nullable(string()),
+    template_id: nullable(id()),
+    hook_id: nullable(id()),
+    language: enumOf(TEMPLATE_LANGUAGES),
+    hooks: array(string()),
+    short_scripts: array(string()),
+    cta: nullable(string()),
+    ab_test_ideas: array(string()),
+    compliance: ref("ComplianceReport")
+  })
+}, scoped("scripts:generate"), rateLimit("generation"), workspaceRole("editor"), quota("script_generations"), asyncHandler(async (req, res) => {
+  const { product, language } = req.body
+  const category = req.body.category || "general"
+
+  const pack = await scriptGenerator.generate({ title: product, category }, { language })
+  const generation = generationDetails(pack)
+  await withQuota(req.workspace.id, "script_generations", FREE_PLAN_QUOTAS, (client) =>
+    client.query("INSERT INTO scripts (workspace_id,user_id,product_name,category,content,generation) VALUES ($1,$2,$3,$4,$5,$6)", [
+      req.workspace.id,
+      req.user.id,
+      product,
+      category,
+      pack.script,
+      JSON.stringify(generation)
+    ])
+  )
+  res.json({ script: pack.script, ...generation })
+}))
+
+api.post("/compliance/check", {
+  tag: "Scripts",
+  summary: "Check a caption or script against the marketing-claim rules",
+  description: "Send any of the text fields. Rules for the category and the general ones apply, in every language; " +
+    "language only picks which rule reports missing required text. fixed has each changed field with the suggested " +
+    "fixes applied.",
+  body: object({
+    category: string({ maxLength: 100, default: "general" }),
+    language: language(),
+    title: string({ maxLength: 500 }),
+    hooks: array(string({ maxLength: 500 }), { maxItems: 20 }),
+    script: string({ maxLength: 20_000 }),
+    short_scripts: array(string({ maxLength: 2000 }), { maxItems: 20 }),
+    cta: string({ maxLength: 500 }),
+    hashtags: string({ maxLength: 1000 }),
+    caption: string({ maxLength: 500 })
+  }),
+  response: ref("ComplianceReport")
+}, scoped("scripts:read"), asyncHandler(async (req, res) => {
+  const { category, language, ...content } = req.body
+  res.json(await checkCompliance(content, { category, language }))
+}))
+
+const SCRIPT_SORTS = { created_at: { expr: "created_at", type: "timestamp" } }
+
+api.get("/my-scripts", {
+  tag: "Scripts",
+  summary: "Generated scripts",
+  query: pageQuery(SCRIPT_SORTS),
+  response: page(ref("Script"))
+}, scoped("scripts:read"), workspaceRole("viewer"), asyncHandler(async (req, res) => {
+  res.json(await queryPage(req.query, {
+    from: "scripts",
+    where: ["workspace_id=$1"],
+    params: [req.workspace.id],
+    sorts: SCRIPT_SORTS
+  }))
+}))
+
+const feedUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: feedImportOptions.maxBytes, files: 1 }
+}).single("file")
+
+function optionalFeedUpload(req, res, next) {
+  if (!req.is("multipart/form-data")) return next()
+  feedUpload(req, res, (error) => {
+    if (!error) return next()
+    next(httpError(error.code === "LIMIT_FILE_SIZE" ? 413 : 400, error.message))
+  })
+}
+
+// Accepts a JSON products array, a multipart "file" (CSV, JSONL, JSON or a
+// TikTok Shop affiliate export) or a url to fetch. Feeds over the sync limit,
+// url feeds and requests with background=true are imported by the worker.
+api.post("/product-feed/import", {
+  tag: "Products",
+  summary: "Import a product feed",
+  description: "Send a products array, a multipart file (CSV, JSONL, JSON or a TikTok Shop affiliate export) or a url " +
+    "to fetch. Rows are checked one by one and rejected rows are reported with their reasons. Feeds over " +
+    `${feedImportOptions.syncMaxRows} rows, url feeds and background=true are imported by the worker (202 with the job).`,
+  body: object({
+    feedName: string({ maxLength: 255, description: "Defaults to My TikTok Feed" }),
+    format: enumOf(FEED_FORMATS, { case: "lower", description: "Detected from the file without it" }),
+    background: boolean({ default: false }),
+    url: string({ format: "uri" }),
+    products: array(ref("FeedProduct"), { minItems: 1, maxItems: feedImportOptions.syncMaxRows }),
+    file: string({ format: "binary", description: "multipart/form-data only" })
+  }),
+  bodyTypes: ["multipart/form-data"],
+  responses: {
+    200: object({
+      feed: object({ id: id(), feed_name: nullable(string()) }),
+      summary: object({ total: integer(), inserted: integer(), updated: integer(), rejected: integer() }),
+      rows: array(object({ row: integer(), status: enumOf(["inserted", "updated", "rejected"]), errors: array(string()) }))
+    }),
+    202: object({ message: string(), job: ref("FeedImportJob") })
+  },
+  errors: [413]
+}, scoped("products:write"), rateLimit("import"), workspaceRole("editor"), optionalFeedUpload, asyncHandler(async (req, res) => {
+  const { format, background } = req.body
+  const feedName = req.body.feedName || "My TikTok Feed"
+
+  if (req.body.url) {
+    const sourceUrl = parseFeedUrl(req.body.url)
+    const job = await enqueueFeedImport(req.workspace.id, req.user.id, { feedName, format, sourceUrl })
+    return res.status(202).json({ message: "Feed import queued", job })
   }
-  if (amount > 1_000_000) {
-    return res.status(400).json({ error: "amount too large" })
+
+  let records
+  if (req.file) {
+    const text = req.file.buffer.toString("utf8")
+    const feed = prepareFeed({ text, format, filename: req.file.originalname, contentType: req.file.mimetype }, feedImportOptions)
+    if (background || feed.records.length > feedImportOptions.syncMaxRows) {
+      const job = await enqueueFeedImport(req.workspace.id, req.user.id, { feedName, format: feed.format, content: text })
+      return res.status(202).json({ message: "Feed import queued", job })
+    }
+    records = feed.records
+  } else if (req.body.products) {
+    records = req.body.products.map((data, index) => ({ row: index + 1, data }))
+  } else {
+    return res.status(400).json({ error: "Upload a file, or pass a products array or a url" })
   }
 
-  const wallet = await ensureWallet(req.user.id)
-  const client = await pool.connect()
+  res.json(await importFeed(req.workspace.id, req.user.id, { feedName, records }))
+}))
+
+const FEED_IMPORT_SORTS = { created_at: { expr: "created_at", type: "timestamp" } }
+
+api.get("/product-feed/imports", {
+  tag: "Products",
+  summary: "Feed import jobs",
+  query: pageQuery(FEED_IMPORT_SORTS),
+  response: page(ref("FeedImportJob"))
+}, scoped("products:read"), workspaceRole("viewer"), asyncHandler(async (req, res) => {
+  res.json(await queryPage(req.query, {
+    select: FEED_IMPORT_JOB_COLUMNS,
+    from: "feed_import_jobs",
+    where: ["workspace_id=$1"],
+    params: [req.workspace.id],
+    sorts: FEED_IMPORT_SORTS
+  }))
+}))
 
-  try {
-    await client.query("BEGIN")
+api.get("/product-feed/imports/:id", {
+  tag: "Products",
+  summary: "A feed import job and its row report",
+  params: { id: id() },
+  response: { allOf: [ref("FeedImportJob"), object({ report: json("Per-row results once finished") })] },
+  errors: [404]
+}, scoped("products:read"), workspaceRole("viewer"), asyncHandler(async (req, res) => {
+  res.json(await getFeedImportJob(req.workspace.id, req.params.id))
+}))
 
-    const updated = await client.query(
-      "UPDATE wallet_accounts SET balance = balance + $1, updated_at = NOW() WHERE id=$2 RETURNING *",
-      [amount, wallet.id]
-    )
+api.get("/products", {
+  tag: "Products",
+  summary: "Imported products",
+  query: pageQuery(PRODUCT_SORTS, {
+    category: string({ maxLength: 100 }),
+    feed_id: id(),
+    min_price: number({ minimum: 0 }),
+    max_price: number({ minimum: 0 }),
+    q: string({ maxLength: 255, description: "Words that must all appear in the title" })
+  }),
+  response: page(ref("Product"))
+}, scoped("products:read"), workspaceRole("viewer"), asyncHandler(async (req, res) => {
+  res.json(await listProducts(req.workspace.id, req.query))
+}))
 
-    const tx = await client.query(
-      `INSERT INTO wallet_transactions (wallet_id, user_id, tx_type, amount, status, note, metadata)
-       VALUES ($1,$2,'deposit',$3,'completed',$4,$5)
-       RETURNING *`,
-      [wallet.id, req.user.id, amount, note, JSON.stringify({ source: "user_deposit" })]
-    )
+api.get("/products/:id/price-history", {
+  tag: "Products",
+  summary: "A product's recorded prices and trend",
+  params: { id: id() },
+  response: object({
+    product: object({ id: id(), product_id: string(), title: string(), price: nullable(decimal()), currency: nullable(string()) }),
+    recorded_prices: integer(),
+    first_price: nullable(number()),
+    lowest_price: nullable(number()),
+    highest_price: nullable(number()),
+    change_pct: nullable(number({ description: "Change from the first recorded price to the current one" })),
+    history: array(object({
+      price: decimal(),
+      previous_price: nullable(decimal()),
+      currency: nullable(string()),
+      feed_id: nullable(integer()),
+      recorded_at: timestamp()
+    }))
+  }),
+  errors: [404]
+}, scoped("products:read"), workspaceRole("viewer"), asyncHandler(async (req, res) => {
+  res.json(await getPriceTrend(req.workspace.id, req.params.id))
+}))
 
-    await client.query("COMMIT")
-    res.json({ message: "Deposit success", wallet: updated.rows[0], transaction: tx.rows[0] })
-  } catch (error) {
-    await client.query("ROLLBACK")
-    throw error
-  } finally {
-    client.release()
+api.post("/video/generate-from-feed", {
+  tag: "Videos",
+  summary: "Queue a review video for an imported product",
+  body: object({
+    productDbId: id("Product id from GET /products"),
+    ttsVoice: string({ maxLength: 50, default: "th_female_1" }),
+    language: language()
+  }, { required: ["productDbId"] }),
+  status: 202,
+  response: ref("VideoJob"),
+  errors: [404]
+}, scoped("videos:generate"), rateLimit("generation"), workspaceRole("editor"), quota("video_jobs"), asyncHandler(async (req, res) => {
+  const { productDbId, ttsVoice, language } = req.body
+
+  const product = await pool.query("SELECT id FROM products WHERE id=$1 AND workspace_id=$2", [productDbId, req.workspace.id])
+  if (!product.rows.length) return res.status(404).json({ error: "Product not found" })
+
+  const job = await withQuota(req.workspace.id, "video_jobs", FREE_PLAN_QUOTAS, (client) => enqueueVideoJob({
+    workspaceId: req.workspace.id,
+    userId: req.user.id,
+    productId: productDbId,
+    language,
+    ttsVoice: ttsVoice || "th_female_1"
+  }, client))
+  res.status(202).json(job)
+}))
+
+// Optional status filter, e.g. ?status=ready when picking a video to upload.
+function ownedListFilter(req) {
+  const where = ["workspace_id=$1"]
+  const params = [req.workspace.id]
+  if (req.query.status) {
+    params.push(req.query.status)
+    where.push(`status=$${params.length}`)
   }
+  return { where, params }
+}
+
+const VIDEO_JOB_SORTS = {
+  created_at: { expr: "created_at", type: "timestamp" },
+  updated_at: { expr: "updated_at", type: "timestamp" }
+}
+
+api.get("/video-jobs", {
+  tag: "Videos",
+  summary: "Video jobs",
+  query: pageQuery(VIDEO_JOB_SORTS, { status: enumOf(VIDEO_JOB_STATES) }),
+  response: page(ref("VideoJob"))
+}, scoped("videos:read"), workspaceRole("viewer"), asyncHandler(async (req, res) => {
+  res.json(await queryPage(req.query, {
+    select: VIDEO_JOB_SUMMARY_COLUMNS,
+    from: "video_jobs",
+    ...ownedListFilter(req),
+    sorts: VIDEO_JOB_SORTS
+  }))
 }))
 
-app.get("/wallet/transactions", auth, asyncHandler(async (req, res) => {
-  const wallet = await ensureWallet(req.user.id)
-  const data = await pool.query(
-    "SELECT * FROM wallet_transactions WHERE wallet_id=$1 ORDER BY created_at DESC LIMIT 100",
-    [wallet.id]
-  )
-  res.json(data.rows)
+api.get("/video-jobs/:id", {
+  tag: "Videos",
+  summary: "A video job with its artifacts",
+  params: { id: id() },
+  response: { allOf: [ref("VideoJob"), object({ artifacts: json("Rendered files and captions once ready") })] },
+  errors: [404]
+}, scoped("videos:read"), workspaceRole("viewer"), asyncHandler(async (req, res) => {
+  res.json(await getVideoJob(req.workspace.id, req.params.id))
 }))
 
-app.get("/rent/plans", auth, asyncHandler(async (_req, res) => {
-  const data = await pool.query("SELECT code, name, monthly_price, max_video_jobs, perks FROM rental_plans WHERE active=TRUE ORDER BY monthly_price ASC")
-  res.json(data.rows)
+api.get("/video-jobs/:id/captions.:format", {
+  tag: "Videos",
+  summary: "Captions of a ready video as SRT or WebVTT",
+  params: { id: id(), format: enumOf(["srt", "vtt"]) },
+  produces: "text/vtt",
+  response: string(),
+  alsoProduces: { "application/x-subrip": string() },
+  errors: [404, 409]
+}, scoped("videos:read"), workspaceRole("viewer"), asyncHandler(async (req, res) => {
+  const { id, format } = req.params
+  const job = await getVideoJob(req.workspace.id, id)
+  const captions = job.artifacts?.[`captions_${format}`]
+  if (!captions) return res.status(409).json({ error: `Video job is ${job.status}, captions are not ready` })
+
+  res.type(format === "vtt" ? "text/vtt" : "application/x-subrip").send(captions)
 }))
 
-app.post("/rent/subscribe", auth, asyncHandler(async (req, res) => {
-  const planCode = safeText(req.body.planCode, 50)
-  const months = parsePositiveInt(req.body.months ?? 1, "months")
+api.post("/video-jobs/:id/cancel", {
+  tag: "Videos",
+  summary: "Cancel a video job that has not finished",
+  params: { id: id() },
+  response: ref("VideoJob"),
+  errors: [404, 409]
+}, scoped("videos:generate"), workspaceRole("editor"), asyncHandler(async (req, res) => {
+  res.json(await cancelVideoJob(req.workspace.id, req.params.id))
+}))
 
-  if (!planCode) return res.status(400).json({ error: "planCode is required" })
-  if (months > 24) return res.status(400).json({ error: "months must be <= 24" })
+api.get("/showcase/account", {
+  tag: "Showcase",
+  summary: "The connected TikTok Showcase account",
+  response: ref("ShowcaseAccount")
+}, scoped("showcase:read"), workspaceRole("viewer"), asyncHandler(async (req, res) => {
+  res.json(await getShowcaseAccount(req.workspace.id))
+}))
 
-  const plan = await pool.query("SELECT * FROM rental_plans WHERE code=$1 AND active=TRUE", [planCode])
-  if (!plan.rows.length) return res.status(404).json({ error: "Plan not found" })
+api.delete("/showcase/account", {
+  tag: "Showcase",
+  summary: "Disconnect the TikTok Showcase account",
+  response: object({ disconnected: boolean() })
+}, auth, workspaceRole("owner"), asyncHandler(async (req, res) => {
+  res.json(await disconnectShowcaseAccount(req.workspace.id))
+}))
 
-  const selected = plan.rows[0]
-  const totalPrice = Number(selected.monthly_price) * months
+// Answers directly: the error handler hides the message of a 5xx.
+function showcaseConfigured(_req, res, next) {
+  if (showcasePublisher) return next()
+  res.status(503).json({ error: "TikTok Showcase is unavailable: SHOWCASE_API_BASE_URL is not configured" })
+}
 
-  await pool.query("UPDATE user_rentals SET status='expired' WHERE user_id=$1 AND status='active'", [req.user.id])
+// The OAuth state is a short-lived token naming the user and workspace, so
+// the callback, reached by a browser redirect without an Authorization
+// header, knows where to connect the account.
+api.get("/showcase/oauth/start", {
+  tag: "Showcase",
+  summary: "Start connecting a TikTok Showcase account",
+  description: "Send the browser to authorize_url; TikTok redirects back to /showcase/oauth/callback.",
+  response: object({ authorize_url: string({ format: "uri" }) }),
+  errors: [503]
+}, showcaseConfigured, auth, workspaceRole("owner"), asyncHandler(async (req, res) => {
+  const state = jwt.sign({ sub: req.user.id, wid: req.workspace.id }, JWT_SECRET, { expiresIn: "10m", audience: "showcase-oauth" })
+  res.json({ authorize_url: showcasePublisher.authorizeUrl(state) })
+}))
 
-  const rental = await pool.query(
-    `INSERT INTO user_rentals (user_id, plan_id, months, total_price, status, starts_at, ends_at)
-     VALUES ($1,$2,$3,$4,'active',NOW(), NOW() + ($3 || ' month')::INTERVAL)
-     RETURNING *`,
-    [req.user.id, selected.id, months, totalPrice]
-  )
+api.get("/showcase/oauth/callback", {
+  tag: "Showcase",
+  summary: "TikTok Showcase OAuth redirect target",
+  description: "Reached by the browser redirect; the state names the user and workspace.",
+  query: object({
+    code: string(),
+    state: string(),
+    error: string({ maxLength: 100 })
+  }),
+  response: ref("ShowcaseAccount"),
+  errors: [403, 502, 503]
+}, showcaseConfigured, asyncHandler(async (req, res) => {
+  const { code, error } = req.query
+  if (error) return res.status(400).json({ error: `TikTok Showcase authorization denied: ${error}` })
+  if (!code || !req.query.state) return res.status(400).json({ error: "code and state are required" })
+
+  let state
+  try {
+    state = jwt.verify(req.query.state, JWT_SECRET, { audience: "showcase-oauth" })
+  } catch (_error) {
+    return res.status(400).json({ error: "Authorization state is invalid or expired" })
+  }
 
-  await pool.query("UPDATE users SET plan=$1 WHERE id=$2", [selected.code, req.user.id])
-  res.json({ message: "Rent plan subscribed", rental: rental.rows[0], plan: selected })
+  // The user may have lost the owner role since the flow started.
+  const workspace = await resolveWorkspace(state.sub, state.wid)
+  if (!hasWorkspaceRole(workspace.role, "owner")) {
+    return res.status(403).json({ error: "Only workspace owners can connect a TikTok Showcase account" })
+  }
+  res.json(await connectShowcaseAccount(showcasePublisher, workspace.id, state.sub, code))
 }))
 
-app.get("/me/rentals", auth, asyncHandler(async (req, res) => {
-  const data = await pool.query(
-    `SELECT ur.*, rp.code, rp.name, rp.monthly_price, rp.max_video_jobs
-     FROM user_rentals ur
-     JOIN rental_plans rp ON rp.id = ur.plan_id
-     WHERE ur.user_id=$1
-     ORDER BY ur.created_at DESC`,
-    [req.user.id]
-  )
-  res.json(data.rows)
+// The time zone a request's schedule times are read in: the one it names,
+// else the user's own.
+async function requestTimeZone(req, given) {
+  if (given !== undefined) return parseTimeZone(given)
+  const user = await pool.query("SELECT timezone FROM users WHERE id=$1", [req.user.id])
+  return user.rows[0]?.timezone ?? DEFAULT_TIME_ZONE
+}
+
+async function scheduleTime(req, { scheduledFor, timezone }) {
+  const instant = parseZonedDateTime(scheduledFor, await requestTimeZone(req, timezone), "scheduledFor")
+  assertScheduleTime(instant, showcaseScheduleOptions)
+  return instant
+}
+
+const SCHEDULED_FOR = string({
+  maxLength: 40,
+  example: "2026-10-25T19:00",
+  description: "Local time in timezone, or a timestamp with an offset"
+})
+
+api.post("/showcase/upload", {
+  tag: "Showcase",
+  summary: "Queue a ready video for upload to TikTok Showcase",
+  description: "With scheduledFor the upload waits as scheduled until then and can be rescheduled or cancelled meanwhile.",
+  body: object({
+    videoJobId: id(),
+    caption: string({ maxLength: 500, default: "" }),
+    force: boolean({ default: false, description: "Upload again even if the video was already published" }),
+    scheduledFor: SCHEDULED_FOR,
+    timezone: timeZone("Defaults to the user's time zone")
+  }, { required: ["videoJobId"] }),
+  status: 202,
+  response: object({
+    message: string(),
+    upload: ref("ShowcaseUpload"),
+    compliance: object({
+      status: enumOf(["pass", "warn"]),
+      findings: array(ref("ComplianceFinding"))
+    }, { description: "Warnings about the caption and video; blocking findings refuse the upload with 422" })
+  }),
+  errors: [404, 409, 422]
+}, scoped("showcase:upload"), rateLimit("generation"), verifiedOnly, workspaceRole("editor"), quota("showcase_uploads"), asyncHandler(async (req, res) => {
+  const { videoJobId, caption, force } = req.body
+  const scheduledFor = req.body.scheduledFor ? await scheduleTime(req, req.body) : null
+
+  const account = await getShowcaseAccount(req.workspace.id)
+  if (!account.connected) return res.status(409).json({ error: "Connect a TikTok Showcase account before uploading" })
+
+  const upload = await queueShowcaseUpload(req.workspace.id, req.user.id, videoJobId, {
+    caption,
+    force,
+    scheduledFor,
+    freeQuotas: FREE_PLAN_QUOTAS
+  })
+  res.status(202).json({
+    message: scheduledFor ? "Upload scheduled for TikTok Showcase" : "Upload queued for TikTok Showcase",
+    upload,
+    compliance: upload.payload.compliance
+  })
 }))
 
-app.post("/generate", auth, asyncHandler(async (req, res) => {
-  const product = safeText(req.body.product, 255)
-  const category = safeText(req.body.category, 100)
-  if (!product) return res.status(400).json({ error: "product is required" })
+api.get("/showcase/schedule", {
+  tag: "Showcase",
+  summary: "Publishing calendar",
+  description: "Scheduled uploads and upcoming posting slot runs between from and to, whole days in timezone. " +
+    "Covers at most 62 days; defaults to the next 7.",
+  query: object({
+    from: string({ format: "date" }),
+    to: string({ format: "date" }),
+    timezone: timeZone("Defaults to the user's time zone")
+  }),
+  response: object({
+    timezone: string(),
+    from: string({ format: "date" }),
+    to: string({ format: "date" }),
+    items: array(ref("ScheduleItem"))
+  }),
+  errors: [400]
+}, scoped("showcase:read"), workspaceRole("viewer"), asyncHandler(async (req, res) => {
+  const timeZone = await requestTimeZone(req, req.query.timezone)
+  const from = req.query.from ?? localParts(new Date(), timeZone).date
+  const to = req.query.to ?? addDays(from, 6)
+  res.json(await getSchedule(req.workspace.id, { from, to, timeZone }))
+}))
 
-  const script = generateScript(product)
-  await pool.query("INSERT INTO scripts (user_id,product_name,category,content) VALUES ($1,$2,$3,$4)", [
-    req.user.id,
-    product,
-    category || "general",
-    script
-  ])
-  res.json({ script })
+api.patch("/showcase/uploads/:id/schedule", {
+  tag: "Showcase",
+  summary: "Move a scheduled upload",
+  params: { id: id() },
+  body: object({ scheduledFor: SCHEDULED_FOR, timezone: timeZone("Defaults to the user's time zone") }, { required: ["scheduledFor"] }),
+  response: ref("ShowcaseUpload"),
+  errors: [404, 409]
+}, scoped("showcase:upload"), workspaceRole("editor"), asyncHandler(async (req, res) => {
+  res.json(await rescheduleUpload(req.workspace.id, req.params.id, await scheduleTime(req, req.body)))
 }))
 
-app.get("/my-scripts", auth, asyncHandler(async (req, res) => {
-  const data = await pool.query("SELECT * FROM scripts WHERE user_id=$1 ORDER BY created_at DESC", [req.user.id])
-  res.json(data.rows)
+api.post("/showcase/uploads/:id/cancel", {
+  tag: "Showcase",
+  summary: "Cancel a scheduled upload",
+  description: "Cancelled uploads give their quota back and free the video for another upload or slot.",
+  params: { id: id() },
+  response: ref("ShowcaseUpload"),
+  errors: [404, 409]
+}, scoped("showcase:upload"), workspaceRole("editor"), asyncHandler(async (req, res) => {
+  res.json(await cancelScheduledUpload(req.workspace.id, req.params.id))
 }))
 
-app.post("/product-feed/import", auth, asyncHandler(async (req, res) => {
-  const feedName = safeText(req.body.feedName || "My TikTok Feed", 255)
-  const products = Array.isArray(req.body.products) ? req.body.products : []
+const SLOT_TIME = string({ pattern: "^([01]\\d|2[0-3]):[0-5]\\d$", message: "must be a time such as 19:00", example: "19:00" })
 
-  if (products.length === 0) return res.status(400).json({ error: "products array is required" })
-  if (products.length > 200) return res.status(400).json({ error: "products array too large (max 200)" })
+function slotBody({ partial = false } = {}) {
+  return object({
+    time: SLOT_TIME,
+    days: array(enumOf(WEEKDAYS, { case: "lower" }), { maxItems: 7, description: "Leave out or send [] for every day" }),
+    timezone: timeZone(partial ? undefined : "Defaults to the user's time zone"),
+    caption: nullable(string({ maxLength: 500 })),
+    active: partial ? boolean() : boolean({ default: true })
+  }, { required: partial ? [] : ["time"] })
+}
 
-  const feed = await pool.query("INSERT INTO product_feeds (user_id, feed_name) VALUES ($1,$2) RETURNING *", [
-    req.user.id,
-    feedName
-  ])
+api.get("/showcase/slots", {
+  tag: "Showcase",
+  summary: "Recurring posting slots",
+  description: "At each slot time the oldest ready video that has no upload yet is queued for Showcase.",
+  response: array(ref("ShowcaseSlot"))
+}, scoped("showcase:read"), workspaceRole("viewer"), asyncHandler(async (req, res) => {
+  res.json(await listSlots(req.workspace.id))
+}))
 
-  const inserted = []
-  for (const p of products) {
-    if (!(p?.title && (p.product_id || p.id))) continue
-
-    const title = safeText(p.title, 255)
-    const category = safeText(p.category || "general", 100)
-    const productId = safeText(p.product_id ?? p.id, 128)
-    const currency = safeText(p.currency || "THB", 12)
-    const productUrl = safeText(p.product_url || "", 2048) || null
-    const imageUrl = safeText(p.image_url || "", 2048) || null
-    const price = typeof p.price === "number" ? p.price : null
-
-    const row = await pool.query(
-      `INSERT INTO products
-      (feed_id, user_id, product_id, title, category, price, currency, product_url, image_url, raw_payload)
-      VALUES ($1,$2,$3,$4,$5,$6,$7,$8,$9,$10)
-      RETURNING *`,
-      [feed.rows[0].id, req.user.id, productId, title, category, price, currency, productUrl, imageUrl, JSON.stringify(p)]
-    )
-    inserted.push(row.rows[0])
-  }
+api.post("/showcase/slots", {
+  tag: "Showcase",
+  summary: "Add a recurring posting slot",
+  body: slotBody(),
+  status: 201,
+  response: ref("ShowcaseSlot"),
+  errors: [409]
+}, scoped("showcase:upload"), verifiedOnly, workspaceRole("editor"), asyncHandler(async (req, res) => {
+  const timezone = await requestTimeZone(req, req.body.timezone)
+  const slot = await createSlot(req.workspace.id, req.user.id, { ...req.body, timezone }, showcaseScheduleOptions)
+  res.status(201).json(slot)
+}))
 
-  res.json({ feed: feed.rows[0], inserted_count: inserted.length, products: inserted })
+api.patch("/showcase/slots/:id", {
+  tag: "Showcase",
+  summary: "Change a posting slot",
+  params: { id: id() },
+  body: slotBody({ partial: true }),
+  response: ref("ShowcaseSlot"),
+  errors: [404]
+}, scoped("showcase:upload"), workspaceRole("editor"), asyncHandler(async (req, res) => {
+  const changes = { ...req.body }
+  if (changes.timezone !== undefined) changes.timezone = parseTimeZone(changes.timezone)
+  res.json(await updateSlot(req.workspace.id, req.params.id, changes))
 }))
 
-app.get("/products", auth, asyncHandler(async (req, res) => {
-  const data = await pool.query("SELECT * FROM products WHERE user_id=$1 ORDER BY created_at DESC", [req.user.id])
-  res.json(data.rows)
+api.delete("/showcase/slots/:id", {
+  tag: "Showcase",
+  summary: "Remove a posting slot",
+  params: { id: id() },
+  response: object({ message: string() }),
+  errors: [404]
+}, scoped("showcase:upload"), workspaceRole("editor"), asyncHandler(async (req, res) => {
+  await deleteSlot(req.workspace.id, req.params.id)
+  res.json({ message: "Posting slot removed" })
 }))
 
-app.post("/video/generate-from-feed", auth, asyncHandler(async (req, res) => {
-  const productDbId = parsePositiveInt(req.body.productDbId, "productDbId")
-  const ttsVoice = safeText(req.body.ttsVoice || "th_female_1", 50)
+const UPLOAD_SORTS = {
+  created_at: { expr: "created_at", type: "timestamp" },
+  updated_at: { expr: "updated_at", type: "timestamp" },
+  views: { expr: "views", type: "integer" },
+  clicks: { expr: "clicks", type: "integer" },
+  orders: { expr: "orders", type: "integer" }
+}
 
-  const product = await pool.query("SELECT * FROM products WHERE id=$1 AND user_id=$2", [productDbId, req.user.id])
-  if (!product.rows.length) return res.status(404).json({ error: "Product not found" })
+api.get("/showcase/uploads", {
+  tag: "Showcase",
+  summary: "Showcase uploads and their performance",
+  query: pageQuery(UPLOAD_SORTS, {
+    status: string({ maxLength: 30, description: "scheduled, queued, uploading, published, failed or cancelled" })
+  }),
+  response: page(ref("ShowcaseUpload"))
+}, scoped("showcase:read"), workspaceRole("viewer"), asyncHandler(async (req, res) => {
+  res.json(await queryPage(req.query, {
+    from: "showcase_uploads",
+    ...ownedListFilter(req),
+    sorts: UPLOAD_SORTS
+  }))
+}))
 
-  const activeRental = await pool.query(
-    `SELECT ur.*, rp.max_video_jobs
-     FROM user_rentals ur
-     JOIN rental_plans rp ON rp.id = ur.plan_id
-     WHERE ur.user_id=$1 AND ur.status='active'
-     ORDER BY ur.created_at DESC
-     LIMIT 1`,
-    [req.user.id]
-  )
+api.get("/showcase/uploads/:id", {
+  tag: "Showcase",
+  summary: "A Showcase upload",
+  params: { id: id() },
+  response: ref("ShowcaseUpload"),
+  errors: [404]
+}, scoped("showcase:read"), workspaceRole("viewer"), asyncHandler(async (req, res) => {
+  const data = await pool.query("SELECT * FROM showcase_uploads WHERE id=$1 AND workspace_id=$2", [req.params.id, req.workspace.id])
+  if (!data.rows.length) return res.status(404).json({ error: "Showcase upload not found" })
+  res.json(data.rows[0])
+}))
 
-  if (activeRental.rows.length) {
-    const maxJobs = activeRental.rows[0].max_video_jobs
-    const count = await pool.query("SELECT COUNT(*)::int AS count FROM video_jobs WHERE user_id=$1", [req.user.id])
-    if (count.rows[0].count >= maxJobs) {
-      return res.status(403).json({ error: "Plan limit reached. Please rent a higher plan." })
-    }
+api.post("/showcase/uploads/:id/performance", {
+  tag: "Showcase",
+  summary: "Record an upload's views, clicks and orders",
+  description: "Send any of the counters; the others keep their values. They feed the hook rankings.",
+  params: { id: id() },
+  body: object({
+    views: integer({ minimum: 0 }),
+    clicks: integer({ minimum: 0 }),
+    orders: integer({ minimum: 0 })
+  }),
+  response: ref("ShowcaseUpload"),
+  errors: [404]
+}, scoped("showcase:upload"), workspaceRole("editor"), asyncHandler(async (req, res) => {
+  const { views, clicks, orders } = req.body
+  if ([views, clicks, orders].every((value) => value === undefined)) {
+    return res.status(400).json({ error: "views, clicks or orders is required" })
   }
 
-  const pack = generateVideoPackage(product.rows[0])
-  const saved = await pool.query(
-    `INSERT INTO video_jobs
-    (user_id, product_ref, status, title, hook, script, storyboard, hashtags, tts_voice)
-    VALUES ($1,$2,'generated',$3,$4,$5,$6,$7,$8)
-    RETURNING *`,
-    [req.user.id, productDbId, pack.title, pack.hook, pack.script, JSON.stringify(pack.storyboard), pack.hashtags, ttsVoice]
-  )
+  res.json(await recordUploadPerformance(req.workspace.id, req.params.id, { views, clicks, orders }))
+}))
 
-  res.json(saved.rows[0])
+api.get("/hooks/performance", {
+  tag: "Showcase",
+  summary: "The workspace's hooks ranked by order and click rate",
+  response: array(ref("HookPerformance"))
+}, scoped("showcase:read"), workspaceRole("viewer"), asyncHandler(async (req, res) => {
+  res.json(await hookPerformance({ workspaceId: req.workspace.id, limit: 50 }))
 }))
 
-app.get("/video-jobs", auth, asyncHandler(async (req, res) => {
-  const data = await pool.query("SELECT * FROM video_jobs WHERE user_id=$1 ORDER BY created_at DESC", [req.user.id])
-  res.json(data.rows)
+const webhookEvents = array(enumOf(WEBHOOK_EVENTS), { minItems: 1 })
+const webhookSecret = object({ secret: string({ description: "Signing secret; only returned on create and rotate" }) })
+
+api.get("/webhooks", {
+  tag: "Webhooks",
+  summary: "Webhook subscriptions",
+  response: array(ref("WebhookEndpoint"))
+}, scoped("webhooks:manage"), workspaceRole("owner"), asyncHandler(async (req, res) => {
+  res.json(await listWebhookEndpoints(req.workspace.id))
 }))
 
-app.post("/showcase/upload", auth, asyncHandler(async (req, res) => {
-  const videoJobId = parsePositiveInt(req.body.videoJobId, "videoJobId")
-  const caption = safeText(req.body.caption || "", 500)
+api.post("/webhooks", {
+  tag: "Webhooks",
+  summary: "Subscribe a URL to events",
+  body: object({
+    url: string({ format: "uri" }),
+    events: webhookEvents,
+    description: nullable(string({ maxLength: 255 }))
+  }, { required: ["url", "events"] }),
+  status: 201,
+  response: { allOf: [ref("WebhookEndpoint"), webhookSecret] },
+  errors: [409]
+}, scoped("webhooks:manage"), workspaceRole("owner"), asyncHandler(async (req, res) => {
+  const endpoint = await createWebhookEndpoint(req.workspace.id, req.user.id, {
+    url: req.body.url,
+    events: req.body.events,
+    description: req.body.description
+  }, webhookOptions)
+  res.status(201).json(endpoint)
+}))
 
-  const video = await pool.query("SELECT id FROM video_jobs WHERE id=$1 AND user_id=$2", [videoJobId, req.user.id])
-  if (!video.rows.length) return res.status(404).json({ error: "Video job not found" })
+api.patch("/webhooks/:id", {
+  tag: "Webhooks",
+  summary: "Change a webhook subscription",
+  params: { id: id() },
+  body: object({
+    url: string({ format: "uri" }),
+    events: webhookEvents,
+    description: nullable(string({ maxLength: 255 })),
+    active: boolean()
+  }),
+  response: ref("WebhookEndpoint"),
+  errors: [404]
+}, scoped("webhooks:manage"), workspaceRole("owner"), asyncHandler(async (req, res) => {
+  res.json(await updateWebhookEndpoint(req.workspace.id, req.params.id, req.body, webhookOptions))
+}))
 
-  const showcaseVideoId = `showcase_${Date.now()}`
-  const publishUrl = `https://www.tiktok.com/t/${showcaseVideoId}`
+api.delete("/webhooks/:id", {
+  tag: "Webhooks",
+  summary: "Delete a webhook subscription",
+  params: { id: id() },
+  response: ref("Message"),
+  errors: [404]
+}, scoped("webhooks:manage"), workspaceRole("owner"), asyncHandler(async (req, res) => {
+  await deleteWebhookEndpoint(req.workspace.id, req.params.id)
+  res.json({ message: "Webhook deleted" })
+}))
 
-  const upload = await pool.query(
-    `INSERT INTO showcase_uploads
-    (user_id, video_job_id, status, showcase_video_id, publish_url, payload)
-    VALUES ($1,$2,'uploaded',$3,$4,$5)
-    RETURNING *`,
-    [req.user.id, videoJobId, showcaseVideoId, publishUrl, JSON.stringify({ caption })]
-  )
+api.post("/webhooks/:id/rotate-secret", {
+  tag: "Webhooks",
+  summary: "Replace a webhook's signing secret",
+  params: { id: id() },
+  response: { allOf: [ref("WebhookEndpoint"), webhookSecret] },
+  errors: [404]
+}, scoped("webhooks:manage"), workspaceRole("owner"), asyncHandler(async (req, res) => {
+  res.json(await rotateWebhookSecret(req.workspace.id, req.params.id))
+}))
 
-  res.json({ message: "Uploaded to TikTok Showcase (simulated)", upload: upload.rows[0] })
+api.get("/webhooks/:id/deliveries", {
+  tag: "Webhooks",
+  summary: "Deliveries to a webhook",
+  params: { id: id() },
+  query: pageQuery(["created_at"], { status: enumOf(WEBHOOK_DELIVERY_STATES), event: enumOf(WEBHOOK_EVENTS) }),
+  response: page(ref("WebhookDelivery")),
+  errors: [404]
+}, scoped("webhooks:manage"), workspaceRole("owner"), asyncHandler(async (req, res) => {
+  res.json(await listWebhookDeliveries(req.workspace.id, req.params.id, req.query))
 }))
 
-app.get("/showcase/uploads", auth, asyncHandler(async (req, res) => {
-  const data = await pool.query("SELECT * FROM showcase_uploads WHERE user_id=$1 ORDER BY created_at DESC", [req.user.id])
-  res.json(data.rows)
+api.get("/webhooks/deliveries/:id", {
+  tag: "Webhooks",
+  summary: "A delivery with its payload and attempts",
+  params: { id: id() },
+  response: { allOf: [ref("WebhookDelivery"), object({ payload: json(), attempt_log: array(object({
+    attempt: integer(),
+    status_code: nullable(integer()),
+    response_excerpt: nullable(string()),
+    error: nullable(string()),
+    duration_ms: nullable(integer()),
+    created_at: timestamp()
+  })) })] },
+  errors: [404]
+}, scoped("webhooks:manage"), workspaceRole("owner"), asyncHandler(async (req, res) => {
+  res.json(await getWebhookDelivery(req.workspace.id, req.params.id))
 }))
 
-app.get("/admin/dashboard", auth, adminOnly, asyncHandler(async (_req, res) => {
+api.post("/webhooks/deliveries/:id/redeliver", {
+  tag: "Webhooks",
+  summary: "Send a delivery again",
+  params: { id: id() },
+  status: 202,
+  response: ref("WebhookDelivery"),
+  errors: [404]
+}, scoped("webhooks:manage"), workspaceRole("owner"), asyncHandler(async (req, res) => {
+  res.status(202).json(await redeliverWebhook(req.workspace.id, req.params.id))
+}))
+
+const counts = object({
+  total_users: integer(),
+  active_rentals: integer(),
+  total_video_jobs: integer(),
+  total_uploads: integer()
+})
+
+api.get("/admin/dashboard", {
+  tag: "Admin",
+  summary: "Platform totals",
+  response: counts
+}, auth, adminOnly, rateLimit("admin"), asyncHandler(async (_req, res) => {
   const [users, activeRentals, jobs, uploads] = await Promise.all([
     pool.query("SELECT COUNT(*)::int AS count FROM users"),
     pool.query("SELECT COUNT(*)::int AS count FROM user_rentals WHERE status='active'"),
@@ -516,29 +1951,41 @@ async function getMetaDashboardPayload() {
     walletTotals,
     deposits,
     recentTransactions,
-    topWallets
+    topWallets,
+    topHooks,
+    promos,
+    referrals
   ] = await Promise.all([
     pool.query("SELECT COUNT(*)::int AS count FROM users"),
     pool.query("SELECT COUNT(*)::int AS count FROM user_rentals WHERE status='active'"),
     pool.query("SELECT COUNT(*)::int AS count FROM video_jobs"),
     pool.query("SELECT COUNT(*)::int AS count FROM showcase_uploads"),
-    pool.query("SELECT COALESCE(SUM(total_price),0)::numeric(14,2) AS total FROM user_rentals"),
+    pool.query(
+      `SELECT COALESCE(-SUM(amount),0)::numeric(14,2) AS total
+       FROM wallet_transactions
+       WHERE tx_type IN ('subscription_charge','proration_credit','refund') AND status='completed'`
+    ),
     pool.query("SELECT COALESCE(SUM(balance),0)::numeric(14,2) AS total FROM wallet_accounts"),
     pool.query("SELECT COALESCE(SUM(amount),0)::numeric(14,2) AS total FROM wallet_transactions WHERE tx_type='deposit' AND status='completed'"),
     pool.query(
-      `SELECT wt.id, wt.tx_type, wt.amount, wt.status, wt.note, wt.created_at, u.email
+      `SELECT wt.id, wt.workspace_id, w.name AS workspace_name, wt.tx_type, wt.amount, wt.status, wt.note, wt.created_at, u.email
        FROM wallet_transactions wt
-       JOIN users u ON u.id = wt.user_id
+       JOIN workspaces w ON w.id = wt.workspace_id
+       LEFT JOIN users u ON u.id = wt.user_id
        ORDER BY wt.created_at DESC
        LIMIT 20`
     ),
     pool.query(
-      `SELECT wa.user_id, wa.balance, wa.currency, u.email
+      `SELECT wa.workspace_id, w.name AS workspace_name, w.personal, wa.balance, wa.currency, u.email AS created_by_email
        FROM wallet_accounts wa
-       JOIN users u ON u.id = wa.user_id
+       JOIN workspaces w ON w.id = wa.workspace_id
+       LEFT JOIN users u ON u.id = w.created_by
        ORDER BY wa.balance DESC
        LIMIT 10`
-    )
+    ),
+    hookPerformance({ limit: 10 }),
+    promoCodeStats(),
+    referralStats()
   ])
 
   return {
@@ -552,50 +1999,889 @@ async function getMetaDashboardPayload() {
       completed_deposit_total: deposits.rows[0].total
     },
     recent_wallet_transactions: recentTransactions.rows,
-    top_wallet_accounts: topWallets.rows
+    top_wallet_accounts: topWallets.rows,
+    hook_performance: topHooks,
+    promo_codes: promos,
+    referrals
   }
 }
 
-app.get("/admin/meta-dashboard", auth, adminOnly, asyncHandler(async (_req, res) => {
+api.get("/admin/meta-dashboard", {
+  tag: "Admin",
+  summary: "Revenue, wallets, hooks, promo codes and referrals at a glance",
+  response: object({
+    overview: {
+      allOf: [counts, object({
+        rental_revenue_total: decimal(),
+        wallet_balance_total: decimal(),
+        completed_deposit_total: decimal()
+      })]
+    },
+    recent_wallet_transactions: array(object({
+      id: id(),
+      workspace_id: id(),
+      workspace_name: string(),
+      tx_type: string(),
+      amount: decimal(),
+      status: string(),
+      note: nullable(string()),
+      created_at: timestamp(),
+      email: nullable(string())
+    })),
+    top_wallet_accounts: array(object({
+      workspace_id: id(),
+      workspace_name: string(),
+      personal: boolean(),
+      balance: decimal(),
+      currency: string(),
+      created_by_email: nullable(string())
+    })),
+    hook_performance: array(ref("HookPerformance")),
+    promo_codes: object({
+      redemptions: integer(),
+      discount_total: decimal(),
+      bonus_video_jobs: integer(),
+      top_codes: array(object({ code: string(), redemptions: integer(), discount_total: decimal() }))
+    }),
+    referrals: object({ referred_signups: integer(), rewards: integer(), payout_total: decimal() })
+  })
+}, auth, adminOnly, rateLimit("admin"), asyncHandler(async (_req, res) => {
   res.json(await getMetaDashboardPayload())
 }))
 
-app.get("/admin/master-meta-dashboard", auth, adminOnly, asyncHandler(async (_req, res) => {
-  res.json(await getMetaDashboardPayload())
+// Old name for /admin/meta-dashboard, kept for clients that still use it.
+api.get("/admin/master-meta-dashboard", {
+  tag: "Admin",
+  summary: "Old name for /admin/meta-dashboard",
+  description: "Redirects to /admin/meta-dashboard, keeping the query string.",
+  deprecated: true,
+  status: 308,
+  responseDescription: "Permanent redirect to /admin/meta-dashboard"
+}, (req, res) => {
+  res.set("Deprecation", "true")
+  res.set("Link", "</admin/meta-dashboard>; rel=\"successor-version\"")
+  res.redirect(308, req.originalUrl.replace("/admin/master-meta-dashboard", "/admin/meta-dashboard"))
+})
+
+function sendAnalytics(req, res, report, toCsv, filename) {
+  if (req.query.format === "csv") {
+    res.set("Content-Disposition", `attachment; filename="${filename}-${report.range.from}-${report.range.to}.csv"`)
+    return res.type("text/csv").send(toCsv(report))
+  }
+  res.json(report)
+}
+
+api.get("/admin/analytics", {
+  tag: "Admin",
+  summary: "Sign-ups, revenue, jobs and uploads across the platform over time",
+  query: analyticsQuery,
+  response: object({ range: analyticsRange, series: array(object({ bucket: string({ format: "date" }) })) }),
+  alsoProduces: { "text/csv": string() }
+}, auth, adminOnly, rateLimit("admin"), asyncHandler(async (req, res) => {
+  const report = await getPlatformAnalytics(parseRange(req.query))
+  sendAnalytics(req, res, report, platformAnalyticsCsv, `analytics-${report.range.granularity}`)
 }))
 
-app.get("/admin/users", auth, adminOnly, asyncHandler(async (_req, res) => {
-  const data = await pool.query("SELECT id, email, role, plan, created_at FROM users ORDER BY created_at DESC")
-  res.json(data.rows)
+// Rebuilds the rollups now instead of waiting for the next scheduled refresh.
+api.post("/admin/analytics/refresh", {
+  tag: "Admin",
+  summary: "Rebuild the analytics rollups now",
+  response: object({}, { description: "The days that were rebuilt" }),
+  errors: [409]
+}, auth, adminOnly, rateLimit("admin"), asyncHandler(async (_req, res) => {
+  const refreshed = await refreshAnalytics({ refreshDays: analyticsOptions.refreshDays })
+  if (!refreshed) return res.status(409).json({ error: "A refresh is already running" })
+  res.json(refreshed)
+}))
+
+const ADMIN_USER_SORTS = {
+  created_at: { expr: "u.created_at", type: "timestamp" },
+  email: { expr: "u.email", type: "text" }
+}
+
+api.get("/admin/users", {
+  tag: "Admin",
+  summary: "Users",
+  query: pageQuery(ADMIN_USER_SORTS, {
+    role: enumOf(["admin", "user"]),
+    plan: string({ maxLength: 50, description: "Plan of the user's personal workspace" }),
+    q: string({ maxLength: 255, case: "lower", description: "Part of the email" }),
+    status: enumOf(["active", "suspended"])
+  }),
+  response: page(object({
+    id: id(),
+    email: string(),
+    role: enumOf(["admin", "user"]),
+    plan: nullable(string()),
+    suspended_at: nullable(timestamp()),
+    created_at: timestamp()
+  }))
+}, auth, adminOnly, rateLimit("admin"), asyncHandler(async (req, res) => {
+  const where = []
+  const params = []
+  // A user's plan is the plan of their personal workspace.
+  for (const [field, column] of [["role", "u.role"], ["plan", "w.plan"]]) {
+    if (!req.query[field]) continue
+    params.push(req.query[field])
+    where.push(`${column}=$${params.length}`)
+  }
+  if (req.query.q) {
+    params.push(`%${req.query.q.replace(/[\\%_]/g, "\\$&")}%`)
+    where.push(`u.email LIKE $${params.length}`)
+  }
+  if (req.query.status === "suspended") where.push("u.suspended_at IS NOT NULL")
+  else if (req.query.status === "active") where.push("u.suspended_at IS NULL")
+
+  res.json(await queryPage(req.query, {
+    select: "u.id, u.email, u.role, w.plan, u.suspended_at, u.created_at",
+    from: "users u LEFT JOIN workspaces w ON w.created_by = u.id AND w.personal",
+    where,
+    params,
+    sorts: ADMIN_USER_SORTS,
+    idColumn: "u.id"
+  }))
 }))
 
-app.get("/admin/rentals", auth, adminOnly, asyncHandler(async (_req, res) => {
-  const data = await pool.query(
-    `SELECT ur.*, u.email, rp.code, rp.name
-     FROM user_rentals ur
-     JOIN users u ON u.id = ur.user_id
-     JOIN rental_plans rp ON rp.id = ur.plan_id
-     ORDER BY ur.created_at DESC`
+const adminRental = { allOf: [ref("Rental"), object({ workspace_name: string(), email: nullable(string()) })] }
+
+api.get("/admin/rentals", {
+  tag: "Admin",
+  summary: "Rentals of every workspace",
+  query: pageQuery(RENTAL_SORTS, { status: string({ maxLength: 20, example: "active" }) }),
+  response: page(adminRental)
+}, auth, adminOnly, rateLimit("admin"), asyncHandler(async (req, res) => {
+  const where = []
+  const params = []
+  if (req.query.status) {
+    params.push(req.query.status)
+    where.push(`ur.status=$${params.length}`)
+  }
+
+  res.json(await queryPage(req.query, {
+    select: "ur.*, u.email, w.name AS workspace_name, rp.code, rp.name",
+    from: `user_rentals ur
+      JOIN workspaces w ON w.id = ur.workspace_id
+      LEFT JOIN users u ON u.id = ur.user_id
+      JOIN rental_plans rp ON rp.id = ur.plan_id`,
+    where,
+    params,
+    sorts: RENTAL_SORTS,
+    idColumn: "ur.id"
+  }))
+}))
+
+// Access ends now and the workspace drops to the free plan. Nothing is
+// refunded; refund the charge separately if the customer is owed money.
+api.post("/admin/rentals/:id/end", {
+  tag: "Admin",
+  summary: "End a rental now",
+  params: { id: id() },
+  body: object({ reason: string({ minLength: 1, maxLength: 255 }) }, { required: ["reason"] }),
+  response: object({ message: string(), rental: ref("Rental") }),
+  errors: [404, 409]
+}, auth, adminOnly, rateLimit("admin"), asyncHandler(async (req, res) => {
+  const rental = await endRentalByAdmin(req.params.id, { reason: req.body.reason }, auditContext(req))
+  res.json({ message: "Rental ended", rental })
+}))
+
+async function findUser(id, db = pool) {
+  const user = await db.query(
+    `SELECT id, email, role, language, email_verified_at, suspended_at, suspended_reason,
+       referral_code, referred_by, created_at
+     FROM users WHERE id=$1`,
+    [id]
   )
-  res.json(data.rows)
+  if (!user.rows.length) throw httpError(404, "User not found")
+  return user.rows[0]
+}
+
+api.get("/admin/users/:id", {
+  tag: "Admin",
+  summary: "A user and the workspaces they belong to",
+  params: { id: id() },
+  response: {
+    allOf: [ref("AdminUser"), object({
+      workspaces: array(object({
+        id: id(),
+        name: string(),
+        personal: boolean(),
+        plan: string(),
+        role: enumOf(WORKSPACE_ROLES),
+        balance: nullable(decimal()),
+        currency: nullable(string())
+      }))
+    })]
+  },
+  errors: [404]
+}, auth, adminOnly, rateLimit("admin"), asyncHandler(async (req, res) => {
+  const user = await findUser(req.params.id)
+  const workspaces = await pool.query(
+    `SELECT w.id, w.name, w.personal, w.plan, m.role, wa.balance, wa.currency
+     FROM workspace_members m
+     JOIN workspaces w ON w.id = m.workspace_id
+     LEFT JOIN wallet_accounts wa ON wa.workspace_id = w.id
+     WHERE m.user_id=$1
+     ORDER BY w.personal DESC, w.name ASC, w.id ASC`,
+    [user.id]
+  )
+  res.json({ ...user, workspaces: workspaces.rows })
+}))
+
+// A user's rentals, jobs and transactions are those of every workspace they
+// belong to; ?workspace_id= narrows it to one.
+function memberWorkspacesFilter(req, column) {
+  const params = [req.params.id]
+  const where = [`${column} IN (SELECT workspace_id FROM workspace_members WHERE user_id=$1)`]
+  if (req.query.workspace_id !== undefined) {
+    params.push(req.query.workspace_id)
+    where.push(`${column}=$2`)
+  }
+  return { where, params }
+}
+
+const memberWorkspaceFilter = { workspace_id: id("Only this workspace") }
+
+api.get("/admin/users/:id/rentals", {
+  tag: "Admin",
+  summary: "Rentals of a user's workspaces",
+  params: { id: id() },
+  query: pageQuery(RENTAL_SORTS, memberWorkspaceFilter),
+  response: page({ allOf: [ref("Rental"), object({ workspace_name: string() })] })
+}, auth, adminOnly, rateLimit("admin"), asyncHandler(async (req, res) => {
+  res.json(await queryPage(req.query, {
+    select: "ur.*, w.name AS workspace_name, rp.code, rp.name",
+    from: "user_rentals ur JOIN workspaces w ON w.id = ur.workspace_id JOIN rental_plans rp ON rp.id = ur.plan_id",
+    ...memberWorkspacesFilter(req, "ur.workspace_id"),
+    sorts: RENTAL_SORTS,
+    idColumn: "ur.id"
+  }))
 }))
 
-app.post("/admin/users/:id/role", auth, adminOnly, asyncHandler(async (req, res) => {
-  const id = parsePositiveInt(req.params.id, "id")
-  const role = safeText(req.body.role, 20)
-  if (!["admin", "user"].includes(role)) return res.status(400).json({ error: "role must be admin or user" })
+api.get("/admin/users/:id/video-jobs", {
+  tag: "Admin",
+  summary: "Video jobs of a user's workspaces",
+  params: { id: id() },
+  query: pageQuery(VIDEO_JOB_SORTS, memberWorkspaceFilter),
+  response: page(ref("VideoJob"))
+}, auth, adminOnly, rateLimit("admin"), asyncHandler(async (req, res) => {
+  res.json(await queryPage(req.query, {
+    select: VIDEO_JOB_SUMMARY_COLUMNS,
+    from: "video_jobs",
+    ...memberWorkspacesFilter(req, "workspace_id"),
+    sorts: VIDEO_JOB_SORTS
+  }))
+}))
 
-  const updated = await pool.query("UPDATE users SET role=$1 WHERE id=$2 RETURNING id,email,role,plan", [role, id])
-  if (!updated.rows.length) return res.status(404).json({ error: "User not found" })
-  res.json(updated.rows[0])
+api.get("/admin/users/:id/transactions", {
+  tag: "Admin",
+  summary: "Wallet transactions of a user's workspaces",
+  params: { id: id() },
+  query: pageQuery(TRANSACTION_SORTS, memberWorkspaceFilter),
+  response: page(ref("WalletTransaction"))
+}, auth, adminOnly, rateLimit("admin"), asyncHandler(async (req, res) => {
+  res.json(await queryPage(req.query, {
+    from: "wallet_transactions",
+    ...memberWorkspacesFilter(req, "workspace_id"),
+    sorts: TRANSACTION_SORTS
+  }))
+}))
+
+const suspensionState = object({
+  id: id(),
+  email: string(),
+  role: enumOf(["admin", "user"]),
+  suspended_at: nullable(timestamp()),
+  suspended_reason: nullable(string())
+})
+
+// Suspension signs the user out everywhere and keeps them out: sign-in,
+// token refresh and API keys are refused until an admin reactivates them.
+// Their workspaces and data are untouched.
+api.post("/admin/users/:id/suspend", {
+  tag: "Admin",
+  summary: "Suspend a user and sign them out everywhere",
+  params: { id: id() },
+  body: object({ reason: string({ minLength: 1, maxLength: 255 }) }, { required: ["reason"] }),
+  response: object({ message: string(), user: suspensionState, sessions_revoked: integer() }),
+  errors: [404, 409]
+}, auth, adminOnly, rateLimit("admin"), asyncHandler(async (req, res) => {
+  const { id } = req.params
+  if (id === req.user.id) return res.status(400).json({ error: "You cannot suspend your own account" })
+  const { reason } = req.body
+
+  const user = await withTransaction(async (client) => {
+    const updated = await client.query(
+      `UPDATE users SET suspended_at=NOW(), suspended_reason=$2
+       WHERE id=$1 AND suspended_at IS NULL
+       RETURNING id, email, role, suspended_at, suspended_reason`,
+      [id, reason]
+    )
+    if (!updated.rows.length) {
+      await findUser(id, client)
+      throw httpError(409, "User is already suspended")
+    }
+    await recordAudit(client, auditContext(req), {
+      action: "user.suspended",
+      targetType: "user",
+      targetId: id,
+      before: { suspended: false },
+      after: { suspended: true, reason }
+    })
+    return updated.rows[0]
+  })
+
+  const revoked = await revokeAllSessions(id, "suspended")
+  res.json({ message: "User suspended", user, sessions_revoked: revoked })
+}))
+
+api.post("/admin/users/:id/reactivate", {
+  tag: "Admin",
+  summary: "Lift a user's suspension",
+  params: { id: id() },
+  response: object({ message: string(), user: suspensionState }),
+  errors: [404, 409]
+}, auth, adminOnly, rateLimit("admin"), asyncHandler(async (req, res) => {
+  const { id } = req.params
+  const user = await withTransaction(async (client) => {
+    const current = await client.query("SELECT suspended_reason FROM users WHERE id=$1 AND suspended_at IS NOT NULL FOR UPDATE", [id])
+    if (!current.rows.length) {
+      await findUser(id, client)
+      throw httpError(409, "User is not suspended")
+    }
+    const updated = await client.query(
+      `UPDATE users SET suspended_at=NULL, suspended_reason=NULL WHERE id=$1
+       RETURNING id, email, role, suspended_at, suspended_reason`,
+      [id]
+    )
+    await recordAudit(client, auditContext(req), {
+      action: "user.reactivated",
+      targetType: "user",
+      targetId: id,
+      before: { suspended: true, reason: current.rows[0].suspended_reason },
+      after: { suspended: false }
+    })
+    return updated.rows[0]
+  })
+  res.json({ message: "User reactivated", user })
+}))
+
+// Emails with failed sign-ins on record, newest failure first.
+api.get("/admin/lockouts", {
+  tag: "Admin",
+  summary: "Emails with failed sign-ins on record",
+  query: pageQuery(["last_failed_at", "created_at"], { status: enumOf(["locked"], { description: "Only emails locked out now" }) }),
+  response: page(ref("Lockout"))
+}, auth, adminOnly, rateLimit("admin"), asyncHandler(async (req, res) => {
+  res.json(await listLockouts(req.query))
+}))
+
+api.delete("/admin/lockouts/:id", {
+  tag: "Admin",
+  summary: "Clear an email's failed sign-ins and lockout",
+  params: { id: id() },
+  response: object({ message: string(), lockout: ref("Lockout") }),
+  errors: [404]
+}, auth, adminOnly, rateLimit("admin"), asyncHandler(async (req, res) => {
+  const lockout = await clearLockout(req.params.id, auditContext(req))
+  res.json({ message: "Lockout cleared", lockout })
+}))
+
+// Clearing a text field with "" stores null, the same as leaving it out on
+// create.
+function blankToNull(body, fields) {
+  for (const field of fields) if (body[field] === "") body[field] = null
+  return body
+}
+
+// Create and update take the same fields. On create the required ones must
+// be there and the rest get their defaults; on update only what is sent
+// changes.
+function planBody({ partial }) {
+  const fallback = (value) => (partial ? {} : { default: value })
+  const limit = (description) => nullable(integer({ minimum: 0, description, ...fallback(null) }))
+  return object({
+    ...(partial ? {} : {
+      code: string({ maxLength: 50, case: "lower", pattern: "^[a-z0-9_-]+$", message: "must be lowercase letters, digits, - or _" })
+    }),
+    name: string({ minLength: 1, maxLength: 100 }),
+    monthly_price: money({ minimum: 0, maximum: 1_000_000 }),
+    max_video_jobs: integer({ minimum: 0 }),
+    max_script_generations: limit("null is unlimited"),
+    max_showcase_uploads: limit("null is unlimited"),
+    perks: nullable(string({ maxLength: 1000, ...fallback(null) })),
+    active: boolean(fallback(true))
+  }, { required: partial ? [] : ["code", "name", "monthly_price", "max_video_jobs"] })
+}
+
+api.get("/admin/plans", {
+  tag: "Admin",
+  summary: "Rental plans, inactive ones included",
+  response: array(ref("RentalPlan"))
+}, auth, adminOnly, rateLimit("admin"), asyncHandler(async (_req, res) => {
+  res.json(await listPlans({ includeInactive: true }))
+}))
+
+api.post("/admin/plans", {
+  tag: "Admin",
+  summary: "Create a rental plan",
+  body: planBody({ partial: false }),
+  status: 201,
+  response: ref("RentalPlan"),
+  errors: [409]
+}, auth, adminOnly, rateLimit("admin"), asyncHandler(async (req, res) => {
+  if (req.body.code === "free") return res.status(400).json({ error: "free is reserved for workspaces without a rental" })
+  res.status(201).json(await createPlan(blankToNull(req.body, ["perks"]), auditContext(req)))
+}))
+
+api.patch("/admin/plans/:id", {
+  tag: "Admin",
+  summary: "Change a rental plan",
+  description: "A plan's code cannot be changed; create a new plan instead.",
+  params: { id: id() },
+  body: planBody({ partial: true }),
+  response: ref("RentalPlan"),
+  errors: [404]
+}, auth, adminOnly, rateLimit("admin"), asyncHandler(async (req, res) => {
+  if (req.body.code !== undefined) {
+    return res.status(400).json({ error: "A plan's code cannot be changed, create a new plan instead" })
+  }
+  res.json(await updatePlan(req.params.id, blankToNull(req.body, ["perks"]), auditContext(req)))
+}))
+
+// Plans stay referenced by past rentals, so removing one deactivates it:
+// nobody new can subscribe and active rentals expire at their period end.
+api.delete("/admin/plans/:id", {
+  tag: "Admin",
+  summary: "Deactivate a rental plan",
+  params: { id: id() },
+  response: ref("RentalPlan"),
+  errors: [404]
+}, auth, adminOnly, rateLimit("admin"), asyncHandler(async (req, res) => {
+  res.json(await updatePlan(req.params.id, { active: false }, auditContext(req)))
+}))
+
+const adjustmentFields = {
+  amount: money({ minimum: 0, exclusiveMinimum: true, maximum: 1_000_000 }),
+  reason: string({ minLength: 1, maxLength: 255 }),
+  reference: string({ maxLength: 255, description: "A ticket or transfer id" })
+}
+
+const walletAdjustment = object({
+  wallet: ref("Wallet"),
+  transaction: ref("WalletTransaction")
+})
+
+async function findWorkspace(id) {
+  const workspace = await pool.query("SELECT id FROM workspaces WHERE id=$1", [id])
+  if (!workspace.rows.length) throw httpError(404, "Workspace not found")
+  return workspace.rows[0].id
+}
+
+for (const direction of ["credit", "debit"]) {
+  api.post(`/admin/workspaces/:workspaceId/wallet/${direction}`, {
+    tag: "Admin",
+    summary: direction === "credit" ? "Add money to a workspace wallet" : "Take money from a workspace wallet",
+    params: workspaceParams,
+    body: object({
+      ...adjustmentFields,
+      reference: string({ minLength: 1, maxLength: 255, description: "A ticket or transfer id" })
+    }, { required: ["amount", "reason", "reference"] }),
+    response: walletAdjustment,
+    errors: [404, 409]
+  }, auth, adminOnly, rateLimit("admin"), asyncHandler(async (req, res) => {
+    const workspaceId = await findWorkspace(req.params.workspaceId)
+    const { amount, reason, reference } = req.body
+    res.json(await adjustWallet(workspaceId, { direction, amount, reason, reference }, auditContext(req)))
+  }))
+}
+
+// Without an amount the whole remaining charge is refunded. Once a charge is
+// refunded in full its rental ends.
+api.post("/admin/workspaces/:workspaceId/wallet/refund", {
+  tag: "Admin",
+  summary: "Refund a wallet charge",
+  description: "Without an amount the whole remaining charge is refunded. Once a charge is refunded in full its rental ends.",
+  params: workspaceParams,
+  body: object({ transactionId: id("The charge to refund"), ...adjustmentFields }, { required: ["transactionId", "reason"] }),
+  response: { allOf: [walletAdjustment, object({ refundable: number({ description: "What is left to refund of the charge" }) })] },
+  errors: [404, 409]
+}, auth, adminOnly, rateLimit("admin"), asyncHandler(async (req, res) => {
+  const workspaceId = await findWorkspace(req.params.workspaceId)
+  const { transactionId, amount, reason, reference } = req.body
+  res.json(await refundWalletTransaction(workspaceId, transactionId, { amount, reason, reference: reference || null }, auditContext(req)))
+}))
+
+function promoBody({ partial }) {
+  const fallback = (value) => (partial ? {} : { default: value })
+  return object({
+    ...(partial ? {} : {
+      code: string({ case: "upper", pattern: "^[A-Z0-9_-]{3,40}$", message: "must be 3-40 letters, digits, - or _" })
+    }),
+    description: nullable(string({ maxLength: 255, ...fallback(null) })),
+    discount_type: enumOf(DISCOUNT_TYPES),
+    discount_value: money({ minimum: 0, maximum: 1_000_000, description: "Percent or baht, by discount_type", ...fallback(0) }),
+    bonus_video_jobs: integer({ minimum: 0, ...fallback(0) }),
+    plan_codes: nullable(array(string({ minLength: 1, maxLength: 50, case: "lower" }), {
+      description: "Plans the code applies to; null for every plan",
+      ...fallback(null)
+    })),
+    max_redemptions: nullable(integer({ minimum: 1, description: "null is unlimited", ...fallback(null) })),
+    max_redemptions_per_workspace: integer({ minimum: 1, ...fallback(1) }),
+    starts_at: nullable(string({ format: "date-time", ...fallback(null) })),
+    expires_at: nullable(string({ format: "date-time", ...fallback(null) })),
+    active: boolean(fallback(true))
+  }, { required: partial ? [] : ["code", "discount_type"] })
+}
+
+function promoInput(body) {
+  blankToNull(body, ["description", "starts_at", "expires_at"])
+  if (body.plan_codes) body.plan_codes = body.plan_codes.length ? [...new Set(body.plan_codes)] : null
+  return body
+}
+
+api.get("/admin/promo-codes", {
+  tag: "Admin",
+  summary: "Promo codes with their redemption counts",
+  response: array({ allOf: [ref("PromoCode"), object({ redemptions: integer(), discount_total: decimal() })] })
+}, auth, adminOnly, rateLimit("admin"), asyncHandler(async (_req, res) => {
+  res.json(await listPromoCodes())
+}))
+
+api.post("/admin/promo-codes", {
+  tag: "Admin",
+  summary: "Create a promo code",
+  description: "A code must give a discount, bonus video jobs or both. Percent discounts go up to 100.",
+  body: promoBody({ partial: false }),
+  status: 201,
+  response: ref("PromoCode"),
+  errors: [409]
+}, auth, adminOnly, rateLimit("admin"), asyncHandler(async (req, res) => {
+  const input = promoInput(req.body)
+  if (input.discount_value === 0 && input.bonus_video_jobs === 0) {
+    return res.status(400).json({ error: "A promo code must give a discount or bonus video jobs" })
+  }
+  if (input.discount_type === "percent" && input.discount_value > 100) {
+    return res.status(400).json({ error: "A percent discount cannot be more than 100" })
+  }
+  res.status(201).json(await createPromoCode(input, auditContext(req)))
+}))
+
+api.patch("/admin/promo-codes/:id", {
+  tag: "Admin",
+  summary: "Change a promo code",
+  description: "A promo code cannot be renamed; create a new one instead.",
+  params: { id: id() },
+  body: promoBody({ partial: true }),
+  response: ref("PromoCode"),
+  errors: [404]
+}, auth, adminOnly, rateLimit("admin"), asyncHandler(async (req, res) => {
+  if (req.body.code !== undefined) {
+    return res.status(400).json({ error: "A promo code cannot be renamed, create a new one instead" })
+  }
+  res.json(await updatePromoCode(req.params.id, promoInput(req.body), auditContext(req)))
+}))
+
+// Redemptions point at their code, so removing one deactivates it.
+api.delete("/admin/promo-codes/:id", {
+  tag: "Admin",
+  summary: "Deactivate a promo code",
+  params: { id: id() },
+  response: ref("PromoCode"),
+  errors: [404]
+}, auth, adminOnly, rateLimit("admin"), asyncHandler(async (req, res) => {
+  res.json(await updatePromoCode(req.params.id, { active: false }, auditContext(req)))
+}))
+
+api.get("/admin/promo-codes/:id/redemptions", {
+  tag: "Admin",
+  summary: "Redemptions of a promo code",
+  params: { id: id() },
+  query: pageQuery(["created_at"]),
+  response: page(object({
+    id: id(),
+    promo_code_id: id(),
+    workspace_id: id(),
+    workspace_name: string(),
+    user_id: nullable(id()),
+    email: nullable(string()),
+    rental_id: nullable(id()),
+    discount_amount: decimal(),
+    bonus_video_jobs: integer(),
+    created_at: timestamp()
+  }))
+}, auth, adminOnly, rateLimit("admin"), asyncHandler(async (req, res) => {
+  res.json(await listPromoRedemptions(req.params.id, req.query))
+}))
+
+const libraryFilters = object({
+  category: string({ maxLength: 100, case: "lower" }),
+  language: enumOf(TEMPLATE_LANGUAGES, { case: "lower" })
+})
+
+function templateBody({ partial }) {
+  return object({
+    name: string({ minLength: 1, maxLength: 100 }),
+    category: string({ maxLength: 100, case: "lower", ...(partial ? {} : { default: "general" }) }),
+    language: partial ? enumOf(TEMPLATE_LANGUAGES, { case: "lower" }) : language(),
+    sections: ref("TemplateSections"),
+    active: boolean(partial ? {} : { default: true })
+  }, { required: partial ? [] : ["name", "sections"] })
+}
+
+// validateSections also normalises the sections, so it still runs after the
+// schema check.
+function templateInput(body) {
+  if (body.category === "") body.category = "general"
+  if (body.sections !== undefined) body.sections = validateSections(body.sections)
+  return body
+}
+
+api.get("/admin/script-templates", {
+  tag: "Admin",
+  summary: "Script templates",
+  query: libraryFilters,
+  response: array(ref("ScriptTemplate"))
+}, auth, adminOnly, rateLimit("admin"), asyncHandler(async (req, res) => {
+  const { category, language } = req.query
+  res.json(await listTemplates({ category, language }))
+}))
+
+api.post("/admin/script-templates", {
+  tag: "Admin",
+  summary: "Create a script template",
+  body: templateBody({ partial: false }),
+  status: 201,
+  response: ref("ScriptTemplate")
+}, auth, adminOnly, rateLimit("admin"), asyncHandler(async (req, res) => {
+  const template = await createTemplate(templateInput(req.body), req.user.id)
+  res.status(201).json(template)
+}))
+
+api.patch("/admin/script-templates/:id", {
+  tag: "Admin",
+  summary: "Change a script template",
+  params: { id: id() },
+  body: templateBody({ partial: true }),
+  response: ref("ScriptTemplate"),
+  errors: [404]
+}, auth, adminOnly, rateLimit("admin"), asyncHandler(async (req, res) => {
+  res.json(await updateTemplate(req.params.id, templateInput(req.body)))
+}))
+
+api.delete("/admin/script-templates/:id", {
+  tag: "Admin",
+  summary: "Delete a script template",
+  params: { id: id() },
+  response: object({ message: string(), id: id() }),
+  errors: [404]
+}, auth, adminOnly, rateLimit("admin"), asyncHandler(async (req, res) => {
+  await deleteTemplate(req.params.id)
+  res.json({ message: "Template deleted", id: req.params.id })
+}))
+
+function hookBody({ partial }) {
+  return object({
+    text: string({ minLength: 1, maxLength: 500 }),
+    category: string({ maxLength: 100, case: "lower", ...(partial ? {} : { default: "general" }) }),
+    language: partial ? enumOf(TEMPLATE_LANGUAGES, { case: "lower" }) : language(),
+    weight: number({ minimum: 0, maximum: 1000, description: "How often the hook is picked relative to others", ...(partial ? {} : { default: 1 }) }),
+    active: boolean(partial ? {} : { default: true })
+  }, { required: partial ? [] : ["text"] })
+}
+
+api.get("/admin/hooks", {
+  tag: "Admin",
+  summary: "The hook library",
+  query: libraryFilters,
+  response: array(ref("Hook"))
+}, auth, adminOnly, rateLimit("admin"), asyncHandler(async (req, res) => {
+  const { category, language } = req.query
+  res.json(await listHooks({ category, language }))
+}))
+
+api.post("/admin/hooks", {
+  tag: "Admin",
+  summary: "Add a hook to the library",
+  body: hookBody({ partial: false }),
+  status: 201,
+  response: ref("Hook")
+}, auth, adminOnly, rateLimit("admin"), asyncHandler(async (req, res) => {
+  if (req.body.category === "") req.body.category = "general"
+  res.status(201).json(await createHook(req.body, req.user.id))
+}))
+
+api.patch("/admin/hooks/:id", {
+  tag: "Admin",
+  summary: "Change a hook",
+  params: { id: id() },
+  body: hookBody({ partial: true }),
+  response: ref("Hook"),
+  errors: [404]
+}, auth, adminOnly, rateLimit("admin"), asyncHandler(async (req, res) => {
+  if (req.body.category === "") req.body.category = "general"
+  res.json(await updateHook(req.params.id, req.body))
+}))
+
+function complianceRuleBody({ partial }) {
+  const fallback = (value) => (partial ? {} : { default: value })
+  return object({
+    category: string({ maxLength: 100, case: "lower", ...fallback("general") }),
+    language: partial ? enumOf(TEMPLATE_LANGUAGES, { case: "lower" }) : language(),
+    code: string({ maxLength: 50, case: "lower", pattern: "^[a-z0-9_-]+$", message: "must be lowercase letters, digits, - or _" }),
+    kind: enumOf(RULE_KINDS, { case: "lower", description: "forbidden flags matches, required flags content without one", ...fallback("forbidden") }),
+    pattern: string({ minLength: 1, maxLength: 1000 }),
+    is_regex: boolean({ description: "Treat pattern as a regular expression rather than a phrase", ...fallback(false) }),
+    fields: nullable(array(enumOf(CHECKED_FIELDS), { minItems: 1, description: "Fields to check; null for all", ...fallback(null) })),
+    severity: enumOf(RULE_SEVERITIES, { case: "lower", description: "block refuses uploads, warn reports", ...fallback("warn") }),
+    message: string({ minLength: 1, maxLength: 500 }),
+    suggestion: nullable(string({ maxLength: 500, description: "Replacement for flagged text (empty removes it), or text to add", ...fallback(null) })),
+    active: boolean(fallback(true))
+  }, { required: partial ? [] : ["code", "pattern", "message"] })
+}
+
+api.get("/admin/compliance-rules", {
+  tag: "Admin",
+  summary: "Marketing-claim compliance rules",
+  query: libraryFilters,
+  response: array(ref("ComplianceRule"))
+}, auth, adminOnly, rateLimit("admin"), asyncHandler(async (req, res) => {
+  const { category, language } = req.query
+  res.json(await listComplianceRules({ category, language }))
+}))
+
+api.post("/admin/compliance-rules", {
+  tag: "Admin",
+  summary: "Add a compliance rule",
+  body: complianceRuleBody({ partial: false }),
+  status: 201,
+  response: ref("ComplianceRule")
+}, auth, adminOnly, rateLimit("admin"), asyncHandler(async (req, res) => {
+  if (req.body.category === "") req.body.category = "general"
+  res.status(201).json(await createComplianceRule(req.body, auditContext(req)))
+}))
+
+api.patch("/admin/compliance-rules/:id", {
+  tag: "Admin",
+  summary: "Change a compliance rule",
+  params: { id: id() },
+  body: complianceRuleBody({ partial: true }),
+  response: ref("ComplianceRule"),
+  errors: [404]
+}, auth, adminOnly, rateLimit("admin"), asyncHandler(async (req, res) => {
+  if (req.body.category === "") req.body.category = "general"
+  res.json(await updateComplianceRule(req.params.id, req.body, auditContext(req)))
+}))
+
+api.delete("/admin/compliance-rules/:id", {
+  tag: "Admin",
+  summary: "Delete a compliance rule",
+  description: "Set active to false instead to keep the rule for later.",
+  params: { id: id() },
+  response: object({ message: string(), id: id() }),
+  errors: [404]
+}, auth, adminOnly, rateLimit("admin"), asyncHandler(async (req, res) => {
+  await deleteComplianceRule(req.params.id, auditContext(req))
+  res.json({ message: "Compliance rule deleted", id: req.params.id })
+}))
+
+api.get("/admin/hooks/performance", {
+  tag: "Admin",
+  summary: "Hooks across all workspaces ranked by order and click rate",
+  response: array(ref("HookPerformance"))
+}, auth, adminOnly, rateLimit("admin"), asyncHandler(async (_req, res) => {
+  res.json(await hookPerformance({ limit: 100 }))
+}))
+
+api.post("/admin/users/:id/role", {
+  tag: "Admin",
+  summary: "Make a user an admin, or a regular user again",
+  params: { id: id() },
+  body: object({ role: enumOf(["admin", "user"]) }, { required: ["role"] }),
+  response: object({ id: id(), email: string(), role: enumOf(["admin", "user"]) }),
+  errors: [404]
+}, auth, adminOnly, rateLimit("admin"), asyncHandler(async (req, res) => {
+  const { id } = req.params
+  const { role } = req.body
+
+  const updated = await withTransaction(async (client) => {
+    const current = await client.query("SELECT role FROM users WHERE id=$1 FOR UPDATE", [id])
+    if (!current.rows.length) throw httpError(404, "User not found")
+
+    const changed = await client.query("UPDATE users SET role=$1 WHERE id=$2 RETURNING id,email,role", [role, id])
+    await recordAudit(client, auditContext(req), {
+      action: "user.role_changed",
+      targetType: "user",
+      targetId: id,
+      before: { role: current.rows[0].role },
+      after: { role }
+    })
+    return changed.rows[0]
+  })
+  res.json(updated)
+}))
+
+api.get("/admin/audit-log", {
+  tag: "Admin",
+  summary: "The audit log",
+  query: pageQuery(["created_at"], {
+    actor_user_id: id(),
+    workspace_id: id(),
+    action: string({ maxLength: 100, description: "A trailing \".\" matches every action under it, e.g. wallet." }),
+    target_type: string({ maxLength: 50 }),
+    target_id: string({ maxLength: 100 }),
+    from: string({ format: "date-time" }),
+    to: string({ format: "date-time", description: "Exclusive" })
+  }),
+  response: page(ref("AuditEntry"))
+}, auth, adminOnly, rateLimit("admin"), asyncHandler(async (req, res) => {
+  res.json(await listAuditLog(req.query))
+}))
+
+// Recomputes the hash chain from the first entry.
+api.get("/admin/audit-log/verify", {
+  tag: "Admin",
+  summary: "Check the audit log's hash chain",
+  response: object({
+    valid: boolean(),
+    checked: integer({ description: "Entries checked before a break, or all of them" }),
+    broken_at: id("First entry that does not match; only when invalid"),
+    reason: string({ description: "Only when invalid" }),
+    head_id: nullable(id("Last entry; only when valid")),
+    head_hash: nullable(string({ description: "Only when valid" }))
+  })
+}, auth, adminOnly, rateLimit("admin"), asyncHandler(async (_req, res) => {
+  res.json(await verifyAuditChain())
 }))
 
 app.use((error, _req, res, _next) => {
   const status = error.status || 500
   if (status >= 500) {
     console.error("Unhandled error:", error)
+    return res.status(status).json({ error: "Internal server error" })
   }
-  res.status(status).json({ error: status >= 500 ? "Internal server error" : error.message })
+  res.status(status).json(error.details ? { error: error.message, details: error.details } : { error: error.message })
 })
 
 app.listen(PORT, () => console.log(`Backend running on ${PORT} | ${RELEASE_NAME} v${RELEASE_VERSION}`))
+
+eventHub.start()
+startRentalLifecycle({ intervalMs: RENTAL_LIFECYCLE_INTERVAL_MS, graceDays: RENTAL_GRACE_DAYS })
+if (showcasePublisher) startShowcaseSync({ publisher: showcasePublisher, ...showcaseSyncOptions })
+startShowcaseScheduler({ intervalMs: showcaseScheduleOptions.intervalMs, freeQuotas: FREE_PLAN_QUOTAS })
+startSessionCleanup({ intervalMs: SESSION_CLEANUP_INTERVAL_MS })
+startRateLimitCleanup({ store: rateLimitStore, intervalMs: rateLimitOptions.cleanupIntervalMs })
+deposits.startExpiry({ intervalMs: DEPOSIT_EXPIRY_INTERVAL_MS })
+startAnalyticsRefresh({ intervalMs: analyticsOptions.refreshIntervalMs, refreshDays: analyticsOptions.refreshDays })
+
+if (EMBEDDED_WORKER) {
+  const { tts, ...workerOptions } = videoWorkerOptions
+  const workerId = `${os.hostname()}:${process.pid}:embedded`
+  createVideoWorker({
+    ...workerOptions,
+    workerId,
+    generator: scriptGenerator,
+    tts: createTtsProvider(tts)
+  }).start()
+  createFeedImportWorker({ ...feedImportOptions, workerId }).start()
+  createWebhookWorker({ ...webhookOptions, workerId }).start()
+}
@@ -0,0 +1,67 @@
+import assert from "node:assert/strict"
+import { after, before, describe, test } from "node:test"
+import { createWorkspace, needsDatabase } from "./helpers.js"
+
+describe("compliance", needsDatabase, () => {
+  let pool
+  let checkCompliance
+  let checkUploadCompliance
+
+  before(async () => {
+    ({ pool } = await import("../lib/db.js"))
+    ;({ checkCompliance } = await import("../lib/compliance.js"))
+    ;({ checkUploadCompliance } = await import("../lib/showcase.js"))
+  })
+
+  after(() => pool.end())
+
+  async function thaiVideoJob() {
+    const { userId, workspaceId } = await createWorkspace(pool)
+    const product = await pool.query(
+      "INSERT INTO products (workspace_id, user_id, product_id, title, category) VALUES ($1, $2, 'vc-1', 'วิตามินซี', 'supplements') RETURNING id",
+      [workspaceId, userId]
+    )
+    const job = await pool.query(
+      `INSERT INTO video_jobs (workspace_id, user_id, product_ref, status, language, title, script, hashtags)
+       VALUES ($1, $2, $3, 'ready', 'th', 'วิตามินซี', 'รีวิววิตามินซีที่ใช้ทุกวัน', '#tiktokshop #affiliate')
+       RETURNING id`,
+      [workspaceId, userId, product.rows[0].id]
+    )
+    return job.rows[0].id
+  }
+
+  test("an English caption on a Thai video job is checked against the English rules", async () => {
+    const jobId = await thaiVideoJob()
+    const report = await checkUploadCompliance(jobId, "Vitamin C cures covid, best No.1")
+
+    assert.equal(report.language, "th")
+    assert.equal(report.status, "block")
+    const codes = report.findings.filter((item) => item.severity === "block").map((item) => item.code)
+    assert.ok(codes.includes("medical_claim"))
+    assert.ok(codes.includes("superlative"))
+  })
+
+  test("a Thai caption on a Thai video job is still checked against the Thai rules", async () => {
+    const jobId = await thaiVideoJob()
+    const report = await checkUploadCompliance(jobId, "รักษาโรคหายขาด")
+
+    assert.equal(report.status, "block")
+    assert.ok(report.findings.some((item) => item.code === "medical_claim"))
+  })
+
+  test("a disclosure in either language satisfies the required rule", async () => {
+    const thai = await checkCompliance({ caption: "ลองแล้วชอบ ได้ค่าคอมจากลิงก์นี้" }, { category: "general", language: "en" })
+    assert.ok(!thai.findings.some((item) => item.code === "affiliate_disclosure"))
+
+    const english = await checkCompliance({ caption: "Loved it, affiliate link below" }, { category: "general", language: "th" })
+    assert.ok(!english.findings.some((item) => item.code === "affiliate_disclosure"))
+  })
+
+  test("a missing disclosure is reported once, by the rule in the content's language", async () => {
+    const report = await checkCompliance({ caption: "Loved it" }, { category: "general", language: "en" })
+    const missing = report.findings.filter((item) => item.code === "affiliate_disclosure")
+
+    assert.equal(missing.length, 1)
+    assert.match(missing[0].message, /commission/)
+  })
+})
@@ -0,0 +1,49 @@
+import assert from "node:assert/strict"
+import { after, before, describe, test } from "node:test"
+import { createWorkspace, needsDatabase } from "./helpers.js"
+
+describe("deposit callbacks", needsDatabase, () => {
+  let pool
+  let deposits
+
+  before(async () => {
+    ({ pool } = await import("../lib/db.js"))
+    const { createDepositFlows } = await import("../lib/deposits.js")
+    const { createPaymentProviders } = await import("../lib/payments.js")
+    const options = { minDeposit: 20, maxDeposit: 10_000, expiryMinutes: 30, callbackBaseUrl: "http://localhost:4000", returnUrl: "" }
+    deposits = createDepositFlows({
+      ...options,
+      providers: createPaymentProviders({ providers: ["fake"], fake: {}, toleranceSeconds: 300 })
+    })
+  })
+
+  after(() => pool.end())
+
+  async function newDeposit(amount) {
+    const { userId, workspaceId } = await createWorkspace(pool)
+    const { deposit } = await deposits.create(workspaceId, { id: userId }, { amount })
+    return { workspaceId, reference: deposit.reference }
+  }
+
+  test("a redelivered completion answers with the wallet like the first", async () => {
+    const { workspaceId, reference } = await newDeposit(150)
+    const first = await deposits.simulate(workspaceId, reference, "complete", {})
+    const again = await deposits.simulate(workspaceId, reference, "complete", {})
+
+    assert.equal(again.duplicate, true)
+    assert.deepEqual(Object.keys(again).filter((key) => key !== "duplicate").sort(), Object.keys(first).sort())
+    assert.equal(Number(first.wallet.balance), 150)
+    assert.deepEqual(again.wallet, first.wallet)
+  })
+
+  test("failed deposits answer with the unchanged wallet", async () => {
+    const { workspaceId, reference } = await newDeposit(80)
+    const first = await deposits.simulate(workspaceId, reference, "fail", {})
+    const again = await deposits.simulate(workspaceId, reference, "fail", {})
+
+    assert.equal(first.deposit.status, "failed")
+    assert.equal(Number(first.wallet.balance), 0)
+    assert.equal(again.duplicate, true)
+    assert.deepEqual(again.wallet, first.wallet)
+  })
+})
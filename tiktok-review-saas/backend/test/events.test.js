@@ -0,0 +1,47 @@
+import assert from "node:assert/strict"
+import { after, before, describe, test } from "node:test"
+import { createWorkspace, needsDatabase } from "./helpers.js"
+
+describe("event stream", needsDatabase, () => {
+  let pool
+  let createEventHub
+  let publishEvent
+
+  before(async () => {
+    ({ pool } = await import("../lib/db.js"))
+    ;({ createEventHub, publishEvent } = await import("../lib/events.js"))
+  })
+
+  after(() => pool.end())
+
+  async function replay(hub, workspaceId, lastEventId) {
+    const events = []
+    const unsubscribe = await hub.subscribe(workspaceId, lastEventId, (event) => events.push(event))
+    unsubscribe()
+    return events
+  }
+
+  test("delivers an event that commits after a higher-numbered one", async () => {
+    const { workspaceId } = await createWorkspace(pool)
+    const hub = createEventHub()
+
+    // The slow transaction draws its id first and commits last.
+    const reserved = await pool.query("SELECT nextval('workspace_events_id_seq') AS id")
+    await publishEvent(pool, workspaceId, "fast.one", {})
+    await publishEvent(pool, workspaceId, "fast.two", {})
+    const seen = await replay(hub, workspaceId, 0)
+    assert.deepEqual(seen.map((event) => event.type), ["fast.one", "fast.two"])
+
+    await pool.query(
+      "INSERT INTO workspace_events (id, workspace_id, type, payload) VALUES ($1, $2, 'slow', '{}')",
+      [reserved.rows[0].id, workspaceId]
+    )
+    const lastEventId = Number(seen.at(-1).id)
+    const resumed = await replay(hub, workspaceId, lastEventId)
+    assert.deepEqual(resumed.map((event) => event.type), ["slow"])
+    assert.ok(Number(resumed[0].id) > lastEventId)
+
+    assert.deepEqual(await replay(hub, workspaceId, Number(resumed[0].id)), [])
+    await hub.stop()
+  })
+})
@@ -0,0 +1,23 @@
+import { randomBytes } from "node:crypto"
+
+// Tests that touch the database run against DATABASE_URL, a database loaded
+// from database/init.sql, and are skipped without one. Each test makes its
+// own user and workspace, so they can share a database with other data.
+export const needsDatabase = process.env.DATABASE_URL ? {} : { skip: "DATABASE_URL is not set" }
+
+export async function createWorkspace(db) {
+  const tag = randomBytes(4).toString("hex")
+  const user = await db.query(
+    "INSERT INTO users (email, password_hash, referral_code) VALUES ($1, 'x', $2) RETURNING id",
+    [`test-${tag}@example.com`, tag.toUpperCase()]
+  )
+  const workspace = await db.query(
+    "INSERT INTO workspaces (name, personal, created_by) VALUES ($1, TRUE, $2) RETURNING id",
+    [`Test ${tag}`, user.rows[0].id]
+  )
+  await db.query(
+    "INSERT INTO workspace_members (workspace_id, user_id, role) VALUES ($1, $2, 'owner')",
+    [workspace.rows[0].id, user.rows[0].id]
+  )
+  return { userId: user.rows[0].id, workspaceId: workspace.rows[0].id }
+}
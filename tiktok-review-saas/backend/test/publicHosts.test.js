@@ -0,0 +1,36 @@
+import assert from "node:assert/strict"
+import http from "node:http"
+import { after, before, describe, test } from "node:test"
+import { fetch } from "undici"
+import { assertPublicHost, publicAgent } from "../lib/publicHosts.js"
+
+describe("public hosts", () => {
+  test("refuses private and IPv4-embedding IPv6 literals", async () => {
+    for (const host of ["127.0.0.1", "[::]", "::", "[::1]", "::ffff:127.0.0.1", "64:ff9b::7f00:1", "2002:7f00:1::", "fd00::1"]) {
+      await assert.rejects(assertPublicHost(host), /private address/, host)
+    }
+  })
+
+  test("accepts public literals", async () => {
+    for (const host of ["93.184.216.34", "[2606:4700::1111]"]) await assertPublicHost(host)
+  })
+
+  describe("publicAgent", () => {
+    let server
+    let port
+
+    before(async () => {
+      server = http.createServer((_req, res) => res.end("internal"))
+      await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve))
+      port = server.address().port
+    })
+
+    after(() => new Promise((resolve) => server.close(resolve)))
+
+    test("checks the address it connects to, not an earlier lookup", async () => {
+      const error = await fetch(`http://localhost:${port}/`, { dispatcher: publicAgent }).catch((fetchError) => fetchError)
+      assert.ok(error instanceof Error)
+      assert.match(error.cause?.message ?? "", /localhost resolves to a private address/)
+    })
+  })
+})
@@ -0,0 +1,83 @@
+import assert from "node:assert/strict"
+import { after, before, describe, test } from "node:test"
+import { createWorkspace, needsDatabase } from "./helpers.js"
+
+const FREE_QUOTAS = { video_jobs: 3, script_generations: 10, showcase_uploads: 3 }
+
+describe("quotas", needsDatabase, () => {
+  let pool
+  let getUsage
+  let subscribeToPlan
+  let endRentalByAdmin
+
+  before(async () => {
+    ({ pool } = await import("../lib/db.js"))
+    ;({ getUsage } = await import("../lib/quotas.js"))
+    ;({ endRentalByAdmin, subscribeToPlan } = await import("../lib/rentals.js"))
+  })
+
+  after(() => pool.end())
+
+  // A workspace ten days into a starter rental, with five scripts written
+  // five days ago.
+  async function workspaceMidPeriod() {
+    const { userId, workspaceId } = await createWorkspace(pool)
+    await pool.query("INSERT INTO wallet_accounts (workspace_id, balance) VALUES ($1, 10000)", [workspaceId])
+    await subscribeToPlan(workspaceId, userId, "starter", 1)
+    await pool.query(
+      `UPDATE user_rentals
+       SET starts_at = NOW() - INTERVAL '10 days', cycle_starts_at = NOW() - INTERVAL '10 days', ends_at = NOW() + INTERVAL '20 days'
+       WHERE workspace_id=$1`,
+      [workspaceId]
+    )
+    for (let index = 0; index < 5; index++) {
+      await pool.query(
+        "INSERT INTO scripts (workspace_id, user_id, product_name, created_at) VALUES ($1, $2, 'Serum', NOW() - INTERVAL '5 days')",
+        [workspaceId, userId]
+      )
+    }
+    return { userId, workspaceId }
+  }
+
+  test("changing plan part-way through a period keeps the usage of the period", async () => {
+    const { userId, workspaceId } = await workspaceMidPeriod()
+    const before = await getUsage(workspaceId, FREE_QUOTAS)
+    assert.equal(before.metrics.script_generations.used, 5)
+
+    await subscribeToPlan(workspaceId, userId, "growth", 1)
+    const upgraded = await getUsage(workspaceId, FREE_QUOTAS)
+    assert.equal(upgraded.plan, "growth")
+    assert.equal(upgraded.metrics.script_generations.used, 5)
+    assert.equal(upgraded.period.starts_at.getTime(), before.period.starts_at.getTime())
+
+    await subscribeToPlan(workspaceId, userId, "starter", 1)
+    const downgraded = await getUsage(workspaceId, FREE_QUOTAS)
+    assert.equal(downgraded.metrics.script_generations.used, 5)
+  })
+
+  test("leaving a plan and subscribing again keeps the usage of the period", async () => {
+    const { userId, workspaceId } = await workspaceMidPeriod()
+    const rental = await pool.query("SELECT id FROM user_rentals WHERE workspace_id=$1 AND status='active'", [workspaceId])
+    await endRentalByAdmin(rental.rows[0].id, { reason: "test" }, {})
+
+    await subscribeToPlan(workspaceId, userId, "starter", 1)
+    const usage = await getUsage(workspaceId, FREE_QUOTAS)
+    assert.equal(usage.metrics.script_generations.used, 5)
+  })
+
+  test("a subscription after the last cycle has run out starts a new one", async () => {
+    const { userId, workspaceId } = await workspaceMidPeriod()
+    await pool.query(
+      `UPDATE user_rentals
+       SET status='expired', starts_at = NOW() - INTERVAL '70 days', cycle_starts_at = NOW() - INTERVAL '70 days',
+         ends_at = NOW() - INTERVAL '40 days'
+       WHERE workspace_id=$1`,
+      [workspaceId]
+    )
+    await pool.query("UPDATE scripts SET created_at = NOW() - INTERVAL '45 days' WHERE workspace_id=$1", [workspaceId])
+
+    await subscribeToPlan(workspaceId, userId, "starter", 1)
+    const usage = await getUsage(workspaceId, FREE_QUOTAS)
+    assert.equal(usage.metrics.script_generations.used, 0)
+  })
+})
@@ -0,0 +1,28 @@
+import assert from "node:assert/strict"
+import { describe, test } from "node:test"
+import { id, nullable, object, ref, string, validate } from "../lib/schema.js"
+
+describe("schema", () => {
+  const components = { Rental: object({ id: id(), code: string() }, { required: ["id", "code"] }) }
+  const Subscription = object({ active_rental: nullable(ref("Rental")) }, { required: ["active_rental"] })
+
+  test("a nullable reference is documented as allOf", () => {
+    assert.deepEqual(nullable(ref("Rental")), { nullable: true, allOf: [{ $ref: "#/components/schemas/Rental" }] })
+  })
+
+  test("a nullable reference accepts null in responses", () => {
+    const { errors } = validate(Subscription, { active_rental: null }, { mode: "response", components })
+    assert.deepEqual(errors, [])
+  })
+
+  test("a nullable reference still checks a present value", () => {
+    assert.deepEqual(validate(Subscription, { active_rental: { id: 3, code: "pro" } }, { mode: "response", components }).errors, [])
+    const { errors } = validate(Subscription, { active_rental: { id: 3 } }, { location: "response", mode: "response", components })
+    assert.deepEqual(errors, [{ in: "response", field: "active_rental.code", message: "is required" }])
+  })
+
+  test("keywords beside a $ref are kept", () => {
+    const schema = object({ rental: { ...ref("Rental"), nullable: true } })
+    assert.deepEqual(validate(schema, { rental: null }, { mode: "response", components }).errors, [])
+  })
+})
@@ -0,0 +1,36 @@
+import os from "node:os"
+import { feedImportOptions, scriptGeneratorOptions, videoWorkerOptions, webhookOptions } from "./lib/config.js"
+import { pool } from "./lib/db.js"
+import { createFeedImportWorker } from "./lib/feedImports.js"
+import { createScriptGenerator } from "./lib/generators.js"
+import { createTtsProvider } from "./lib/tts.js"
+import { createVideoWorker } from "./lib/videoJobs.js"
+import { createWebhookWorker } from "./lib/webhooks.js"
+
+const { tts: ttsOptions, ...workerOptions } = videoWorkerOptions
+const workerId = `${os.hostname()}:${process.pid}`
+
+const worker = createVideoWorker({
+  ...workerOptions,
+  workerId,
+  generator: createScriptGenerator(scriptGeneratorOptions),
+  tts: createTtsProvider(ttsOptions)
+})
+
+const feedImportWorker = createFeedImportWorker({ ...feedImportOptions, workerId })
+const webhookWorker = createWebhookWorker({ ...webhookOptions, workerId })
+
+worker.start()
+feedImportWorker.start()
+webhookWorker.start()
+console.log(`Worker ${workerId} running | video concurrency ${workerOptions.concurrency} | feed imports | webhooks`)
+
+async function shutdown(signal) {
+  console.log(`Worker received ${signal}, finishing in-flight jobs...`)
+  await Promise.all([worker.stop(), feedImportWorker.stop(), webhookWorker.stop()])
+  await pool.end()
+  process.exit(0)
+}
+
+process.on("SIGINT", () => shutdown("SIGINT"))
+process.on("SIGTERM", () => shutdown("SIGTERM"))
@@ -1,23 +1,238 @@
+CREATE EXTENSION IF NOT EXISTS pg_trgm;
+
 CREATE TABLE users (
   id SERIAL PRIMARY KEY,
   email VARCHAR(255) UNIQUE NOT NULL,
   password_hash TEXT NOT NULL,
   role VARCHAR(20) NOT NULL DEFAULT 'user',
-  plan VARCHAR(50) DEFAULT 'free',
+  language VARCHAR(8) NOT NULL DEFAULT 'th',
+  timezone VARCHAR(64) NOT NULL DEFAULT 'Asia/Bangkok',
+  email_verified_at TIMESTAMP,
+  suspended_at TIMESTAMP,
+  suspended_reason VARCHAR(255),
+  referral_code VARCHAR(12) UNIQUE NOT NULL,
+  referred_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX idx_users_referred_by ON users(referred_by) WHERE referred_by IS NOT NULL;
+CREATE INDEX idx_users_created_at ON users(created_at);
+
+-- Resources, rentals and wallets belong to a workspace; every user gets a
+-- personal one on sign-up. user_id columns on resource tables record who
+-- created the row.
+CREATE TABLE workspaces (
+  id SERIAL PRIMARY KEY,
+  name VARCHAR(100) NOT NULL,
+  personal BOOLEAN NOT NULL DEFAULT FALSE,
+  plan VARCHAR(50) NOT NULL DEFAULT 'free',
+  created_by INTEGER REFERENCES users(id),
   created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
 );
 
+CREATE UNIQUE INDEX idx_workspaces_personal ON workspaces(created_by) WHERE personal;
+
+CREATE TABLE workspace_members (
+  workspace_id INTEGER NOT NULL REFERENCES workspaces(id) ON DELETE CASCADE,
+  user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  role VARCHAR(20) NOT NULL CHECK (role IN ('owner', 'editor', 'viewer')),
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  PRIMARY KEY (workspace_id, user_id)
+);
+
+CREATE INDEX idx_workspace_members_user_id ON workspace_members(user_id);
+
+CREATE TABLE workspace_invitations (
+  id SERIAL PRIMARY KEY,
+  workspace_id INTEGER NOT NULL REFERENCES workspaces(id) ON DELETE CASCADE,
+  email VARCHAR(255) NOT NULL,
+  role VARCHAR(20) NOT NULL CHECK (role IN ('owner', 'editor', 'viewer')),
+  token_hash CHAR(64) UNIQUE NOT NULL,
+  invited_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+  expires_at TIMESTAMP NOT NULL,
+  accepted_at TIMESTAMP,
+  accepted_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+  revoked_at TIMESTAMP,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX idx_workspace_invitations_workspace_id ON workspace_invitations(workspace_id, created_at DESC);
+
 CREATE TABLE scripts (
   id SERIAL PRIMARY KEY,
+  workspace_id INTEGER NOT NULL REFERENCES workspaces(id),
   user_id INTEGER REFERENCES users(id),
   product_name VARCHAR(255),
   category VARCHAR(100),
   content TEXT,
+  generation JSONB,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX idx_scripts_workspace_id ON scripts(workspace_id, created_at DESC);
+
+CREATE TABLE script_templates (
+  id SERIAL PRIMARY KEY,
+  name VARCHAR(100) NOT NULL,
+  category VARCHAR(100) NOT NULL DEFAULT 'general',
+  language VARCHAR(8) NOT NULL DEFAULT 'th',
+  sections JSONB NOT NULL,
+  active BOOLEAN NOT NULL DEFAULT TRUE,
+  created_by INTEGER REFERENCES users(id),
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX idx_script_templates_lookup ON script_templates(language, category) WHERE active=TRUE;
+
+INSERT INTO script_templates (name, category, language, sections)
+VALUES
+  ('Default Thai', 'general', 'th', '{"title": "{{title}} รีวิวสั้นสำหรับ TikTok Showcase", "hooks": ["หยุดก่อน! {{title}} ตัวนี้โคตรดี", "ไม่คิดว่า {{title}} จะดีขนาดนี้", "ใครกำลังหา{{category}}ดี ๆ ต้องดู", "ราคา {{price|ไม่แพง}} บาท ได้ขนาดนี้เลยเหรอ?"], "benefits": ["ใช้งานจริงได้ทุกวัน", "ราคาเข้าถึงง่าย", "เหมาะกับมือใหม่"], "long_script": "{{hook}}\n\nรีวิว {{title}} จาก TikTok Shop Affiliate\nราคา {{price|-}} {{currency}}{{price_note}}\n\nจุดเด่น 3 ข้อ:\n{{benefits}}\n\nปิดท้าย: {{cta}}", "short_scripts": ["{{hook}} {{benefit_1}} ราคา {{price|-}} {{currency}}{{price_note}} {{cta}}", "{{title}} — {{benefit_1}}, {{benefit_2}} {{cta}}"], "storyboard": [{"duration_sec": 3, "shot": "close-up product", "text": "{{hook}}"}, {"duration_sec": 5, "shot": "problem -> solution", "text": "ปัญหาที่แก้ได้ด้วย {{title}}"}, {"duration_sec": 6, "shot": "benefits list", "text": "{{benefit_1}} | {{benefit_2}} | {{benefit_3}}"}, {"duration_sec": 4, "shot": "cta", "text": "{{cta}}"}], "cta": "กดดูใน Showcase ได้เลย!", "hashtags": "#tiktokshop #affiliate #รีวิวของดี #ป้ายยาของดี #tiktokshowcase", "ab_test_ideas": ["เปิดด้วยตัวสินค้าระยะใกล้ vs เปิดด้วยหน้าผู้รีวิว", "บอกราคาใน 3 วินาทีแรก vs เก็บราคาไว้ตอนท้าย", "ข้อความบนจอเป็นคำถาม vs ข้อความบนจอเป็นข้อเท็จจริง"]}'::jsonb),
+  ('Default English', 'general', 'en', '{"title": "{{title}} — quick TikTok Showcase review", "hooks": ["Stop scrolling! {{title}} is worth it", "I didn''t expect {{title}} to be this good", "Looking for {{category}} that actually works? Watch this", "Only {{price|a few}} {{currency}} for this?"], "benefits": ["Easy to use every day", "Affordable price", "Great for beginners"], "long_script": "{{hook}}\n\nReviewing {{title}} from TikTok Shop Affiliate\nPrice: {{price|-}} {{currency}}{{price_note}}\n\nTop 3 reasons:\n{{benefits}}\n\nWrap-up: {{cta}}", "short_scripts": ["{{hook}} {{benefit_1}} — just {{price|-}} {{currency}}{{price_note}}. {{cta}}", "{{title}}: {{benefit_1}}, {{benefit_2}}. {{cta}}"], "storyboard": [{"duration_sec": 3, "shot": "close-up product", "text": "{{hook}}"}, {"duration_sec": 5, "shot": "problem -> solution", "text": "The problem {{title}} solves"}, {"duration_sec": 6, "shot": "benefits list", "text": "{{benefit_1}} | {{benefit_2}} | {{benefit_3}}"}, {"duration_sec": 4, "shot": "cta", "text": "{{cta}}"}], "cta": "Tap the Showcase link to grab yours!", "hashtags": "#tiktokshop #affiliate #tiktokmademebuyit #review #tiktokshowcase", "ab_test_ideas": ["Open on a product close-up vs open on the creator''s face", "Say the price in the first 3 seconds vs reveal it at the end", "On-screen question vs on-screen statement"]}'::jsonb),
+  ('Beauty Thai', 'beauty', 'th', '{"title": "{{title}} รีวิวสกินแคร์ใช้จริง", "hooks": ["ผิวหมองต้องดู! {{title}}", "ลองใช้ {{title}} มา 7 วัน ผลเป็นยังไง?", "สายสกินแคร์งบน้อยห้ามพลาด", "ของมันต้องมีในโต๊ะเครื่องแป้ง"], "benefits": ["เนื้อบางเบา ซึมไว", "ใช้ได้ทั้งเช้าและเย็น", "ขนาดพกพาสะดวก"], "long_script": "{{hook}}\n\nวันนี้มารีวิว {{title}}\nราคา {{price|-}} {{currency}}{{price_note}}\n\nที่ชอบคือ:\n{{benefits}}\n\nผลลัพธ์แต่ละคนอาจแตกต่างกัน ควรทดสอบก่อนใช้\n\n{{cta}}", "short_scripts": ["{{hook}} {{benefit_1}} {{cta}}", "{{title}} ราคา {{price|-}} {{currency}} — {{benefit_1}} {{cta}}"], "storyboard": [{"duration_sec": 3, "shot": "texture close-up", "text": "{{hook}}"}, {"duration_sec": 5, "shot": "apply on skin", "text": "{{benefit_1}}"}, {"duration_sec": 6, "shot": "routine montage", "text": "{{benefit_2}} | {{benefit_3}}"}, {"duration_sec": 4, "shot": "cta", "text": "{{cta}}"}], "cta": "กดตะกร้าใน Showcase ได้เลย", "hashtags": "#tiktokshop #affiliate #รีวิวสกินแคร์ #skincare #tiktokshowcase", "ab_test_ideas": ["โชว์เนื้อครีมก่อน vs โชว์ผิวหลังใช้ก่อน", "เสียงพูดปกติ vs เสียงกระซิบ ASMR", "ถือสินค้าเข้ากล้อง vs วางบนโต๊ะเครื่องแป้ง"]}'::jsonb),
+  ('Kitchen Thai', 'kitchen', 'th', '{"title": "{{title}} ตัวช่วยในครัวที่ต้องมี", "hooks": ["ทำอาหารไวขึ้นเท่าตัวด้วย {{title}}", "ครัวเล็กก็ใช้ได้! {{title}}", "เลิกล้างจานเยอะ ๆ ได้แล้ว", "ราคา {{price|ไม่ถึงพัน}} บาท แต่ใช้คุ้มมาก"], "benefits": ["ประหยัดเวลาเตรียมอาหาร", "ทำความสะอาดง่าย", "ไม่กินพื้นที่ในครัว"], "long_script": "{{hook}}\n\nรีวิว {{title}} ของใช้ในครัว\nราคา {{price|-}} {{currency}}{{price_note}}\n\nจุดเด่น:\n{{benefits}}\n\n{{cta}}", "short_scripts": ["{{hook}} {{benefit_1}} {{cta}}", "{{title}} — {{benefit_1}} และ {{benefit_2}} {{cta}}"], "storyboard": [{"duration_sec": 3, "shot": "product in action", "text": "{{hook}}"}, {"duration_sec": 5, "shot": "before / after cooking", "text": "{{benefit_1}}"}, {"duration_sec": 6, "shot": "cleaning + storage", "text": "{{benefit_2}} | {{benefit_3}}"}, {"duration_sec": 4, "shot": "cta", "text": "{{cta}}"}], "cta": "กดดูใน Showcase ได้เลย!", "hashtags": "#tiktokshop #affiliate #ของใช้ในครัว #kitchenhacks #tiktokshowcase", "ab_test_ideas": ["เปิดด้วยผลลัพธ์อาหาร vs เปิดด้วยตัวเครื่อง", "ความเร็วคลิปปกติ vs timelapse", "ใส่ราคาบนจอ vs ไม่ใส่ราคา"]}'::jsonb);
+
+CREATE TABLE hooks (
+  id SERIAL PRIMARY KEY,
+  text VARCHAR(500) NOT NULL,
+  category VARCHAR(100) NOT NULL DEFAULT 'general',
+  language VARCHAR(8) NOT NULL DEFAULT 'th',
+  weight NUMERIC(8,2) NOT NULL DEFAULT 1,
+  active BOOLEAN NOT NULL DEFAULT TRUE,
+  created_by INTEGER REFERENCES users(id),
   created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
 );
 
+CREATE INDEX idx_hooks_lookup ON hooks(language, category) WHERE active=TRUE;
+
+INSERT INTO hooks (text, category, language)
+VALUES
+  ('หยุดก่อน! อันนี้โคตรดี', 'general', 'th'),
+  ('ไม่คิดว่าจะดีขนาดนี้', 'general', 'th'),
+  ('ใครกำลังเจอปัญหานี้ต้องดู', 'general', 'th'),
+  ('Stop scrolling! This one is seriously good', 'general', 'en'),
+  ('I did not expect it to be this good', 'general', 'en'),
+  ('If you have this problem, you need to see this', 'general', 'en');
+
+CREATE TABLE compliance_rules (
+  id SERIAL PRIMARY KEY,
+  category VARCHAR(100) NOT NULL DEFAULT 'general',
+  language VARCHAR(8) NOT NULL DEFAULT 'th',
+  code VARCHAR(50) NOT NULL,
+  kind VARCHAR(20) NOT NULL DEFAULT 'forbidden',
+  pattern TEXT NOT NULL,
+  is_regex BOOLEAN NOT NULL DEFAULT FALSE,
+  fields TEXT[],
+  severity VARCHAR(10) NOT NULL DEFAULT 'warn',
+  message TEXT NOT NULL,
+  suggestion TEXT,
+  active BOOLEAN NOT NULL DEFAULT TRUE,
+  created_by INTEGER REFERENCES users(id),
+  updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX idx_compliance_rules_lookup ON compliance_rules(language, category) WHERE active=TRUE;
+
+INSERT INTO compliance_rules (category, language, code, kind, pattern, is_regex, fields, severity, message, suggestion)
+VALUES
+  ('general', 'th', 'superlative', 'forbidden', 'ดีที่สุด', FALSE, NULL, 'block', 'ห้ามอ้างว่าดีที่สุดหรือเป็นอันดับหนึ่งโดยไม่มีหลักฐานรองรับ', 'ที่เราชอบ'),
+  ('general', 'th', 'superlative', 'forbidden', '(อันดับ|เบอร์)\s*(1|หนึ่ง)(?![0-9])', TRUE, NULL, 'block', 'ห้ามอ้างว่าดีที่สุดหรือเป็นอันดับหนึ่งโดยไม่มีหลักฐานรองรับ', 'ที่น่าสนใจ'),
+  ('general', 'th', 'superlative', 'forbidden', 'ที่สุดในโลก', FALSE, NULL, 'block', 'ห้ามอ้างว่าดีที่สุดหรือเป็นอันดับหนึ่งโดยไม่มีหลักฐานรองรับ', ''),
+  ('general', 'th', 'guarantee', 'forbidden', 'การันตี|รับประกันผล|(เห็น|ได้)ผล\s*100\s*%', TRUE, NULL, 'warn', 'การรับประกันผลลัพธ์ต้องมีหลักฐานรองรับ', NULL),
+  ('general', 'th', 'unverified_claim', 'forbidden', 'คุณภาพดี', FALSE, NULL, 'warn', 'คำอ้างเรื่องคุณภาพที่ยังไม่ได้ตรวจสอบ ควรเล่าจากการใช้งานจริง', 'ที่ลองใช้แล้วชอบ'),
+  ('general', 'th', 'affiliate_disclosure', 'required', '#(affiliate|ad|โฆษณา|นายหน้า)(?![\p{L}\p{N}_])|ค่าคอมมิชชั่น|ค่าคอม', TRUE, '{caption,hashtags}', 'warn', 'ต้องแจ้งว่าเป็นลิงก์ Affiliate ที่ผู้รีวิวได้รับค่าคอมมิชชั่น', '#affiliate'),
+  ('supplements', 'th', 'medical_claim', 'forbidden', 'รักษาโรค|รักษาอาการ|หายขาด|บำบัด|ป้องกันโรค|ต้านมะเร็ง|ลดความเสี่ยง(ของ)?โรค', TRUE, NULL, 'block', 'อาหารเสริมห้ามอ้างสรรพคุณรักษา บำบัด หรือป้องกันโรค', NULL),
+  ('supplements', 'th', 'weight_loss_claim', 'forbidden', 'ลดน้ำหนัก|ลดความอ้วน|เผาผลาญไขมัน|ลดไขมัน', TRUE, NULL, 'block', 'อาหารเสริมห้ามอ้างว่าช่วยลดน้ำหนักหรือเผาผลาญไขมัน', NULL),
+  ('beauty', 'th', 'cosmetic_claim', 'forbidden', '(ขาว|ใส|หน้าใส)(ขึ้น)?\s*(ภายใน|ใน)\s*\d+\s*วัน|ลดริ้วรอยถาวร|หน้าเด็กลง\s*\d+\s*ปี', TRUE, NULL, 'block', 'เครื่องสำอางห้ามอ้างผลลัพธ์ภายในเวลาที่กำหนดหรือผลถาวร', NULL),
+  ('general', 'en', 'superlative', 'forbidden', 'the best', FALSE, NULL, 'block', 'Do not claim to be the best or No.1 without evidence', 'a favourite'),
+  ('general', 'en', 'superlative', 'forbidden', '(#|\bno\.?\s*|\bnumber\s+)(1|one)\b', TRUE, NULL, 'block', 'Do not claim to be the best or No.1 without evidence', 'popular'),
+  ('general', 'en', 'guarantee', 'forbidden', '\bguarantee[ds]?\b|\b100\s*%\s*(effective|results?)\b', TRUE, NULL, 'warn', 'Guaranteed results need evidence', NULL),
+  ('general', 'en', 'unverified_claim', 'forbidden', 'high quality', FALSE, NULL, 'warn', 'Unverified quality claim; describe what you saw when using it', NULL),
+  ('general', 'en', 'affiliate_disclosure', 'required', '#(affiliate|ad|sponsored)(?![\p{L}\p{N}_])|\baffiliate link\b|\bcommission\b', TRUE, '{caption,hashtags}', 'warn', 'Disclose that you earn a commission from this link', '#affiliate'),
+  ('supplements', 'en', 'medical_claim', 'forbidden', '\b(cures?|heals?|treats?\s+(the\s+)?(disease|illness|symptoms?)|prevents?\s+(disease|illness|cancer|diabetes)|fights?\s+cancer)\b', TRUE, NULL, 'block', 'Supplements must not claim to cure, treat or prevent disease', NULL),
+  ('supplements', 'en', 'weight_loss_claim', 'forbidden', '\b(lose\s+weight|weight\s+loss|burns?\s+fat|fat[\s-]+burn(ing|er)?|slimming)\b', TRUE, NULL, 'block', 'Supplements must not claim weight loss or fat burning', NULL),
+  ('beauty', 'en', 'cosmetic_claim', 'forbidden', '\b(whiter|brighter|clearer)\s+(skin\s+)?in\s+\d+\s+days\b|\bpermanently\s+(removes?|erases?)\b|\bremoves?\s+wrinkles\s+permanently\b', TRUE, NULL, 'block', 'Cosmetics must not promise results by a date or permanent effects', NULL);
+
+CREATE TABLE user_sessions (
+  id SERIAL PRIMARY KEY,
+  user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  user_agent VARCHAR(255),
+  ip VARCHAR(64),
+  expires_at TIMESTAMP NOT NULL,
+  revoked_at TIMESTAMP,
+  revoked_reason VARCHAR(50),
+  last_used_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX idx_user_sessions_user_id ON user_sessions(user_id) WHERE revoked_at IS NULL;
+
+CREATE TABLE refresh_tokens (
+  id SERIAL PRIMARY KEY,
+  session_id INTEGER NOT NULL REFERENCES user_sessions(id) ON DELETE CASCADE,
+  token_hash CHAR(64) UNIQUE NOT NULL,
+  used_at TIMESTAMP,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX idx_refresh_tokens_session_id ON refresh_tokens(session_id);
+
+CREATE TABLE api_keys (
+  id SERIAL PRIMARY KEY,
+  user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  name VARCHAR(100) NOT NULL,
+  prefix VARCHAR(16) NOT NULL,
+  key_hash CHAR(64) UNIQUE NOT NULL,
+  scopes TEXT[] NOT NULL,
+  last_used_at TIMESTAMP,
+  last_used_ip VARCHAR(64),
+  expires_at TIMESTAMP,
+  revoked_at TIMESTAMP,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX idx_api_keys_user_id ON api_keys(user_id) WHERE revoked_at IS NULL;
+
+CREATE TABLE account_tokens (
+  id SERIAL PRIMARY KEY,
+  user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  purpose VARCHAR(30) NOT NULL CHECK (purpose IN ('verify_email', 'password_reset')),
+  token_hash CHAR(64) UNIQUE NOT NULL,
+  expires_at TIMESTAMP NOT NULL,
+  used_at TIMESTAMP,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX idx_account_tokens_user_purpose ON account_tokens(user_id, purpose);
+
+-- Request counters for the API's rate limits, one row per group and caller
+-- and window. Expired rows are pruned by the API.
+CREATE TABLE rate_limit_buckets (
+  key VARCHAR(255) PRIMARY KEY,
+  count INTEGER NOT NULL,
+  reset_at TIMESTAMP NOT NULL
+);
+
+CREATE INDEX idx_rate_limit_buckets_reset_at ON rate_limit_buckets(reset_at);
+
+-- Failed sign-ins per email, and the lockout they led to.
+CREATE TABLE login_lockouts (
+  id SERIAL PRIMARY KEY,
+  email VARCHAR(255) UNIQUE NOT NULL,
+  failed_count INTEGER NOT NULL DEFAULT 0,
+  lockouts INTEGER NOT NULL DEFAULT 0,
+  locked_until TIMESTAMP,
+  last_failed_at TIMESTAMP NOT NULL,
+  last_ip VARCHAR(64),
+  created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX idx_login_lockouts_locked_until ON login_lockouts(locked_until) WHERE locked_until IS NOT NULL;
+
 CREATE TABLE product_feeds (
   id SERIAL PRIMARY KEY,
+  workspace_id INTEGER NOT NULL REFERENCES workspaces(id),
   user_id INTEGER REFERENCES users(id),
   source VARCHAR(100) NOT NULL DEFAULT 'tiktok_shop_affiliate',
   feed_name VARCHAR(255),
@@ -27,6 +242,7 @@ CREATE TABLE product_feeds (
 CREATE TABLE products (
   id SERIAL PRIMARY KEY,
   feed_id INTEGER REFERENCES product_feeds(id),
+  workspace_id INTEGER NOT NULL REFERENCES workspaces(id),
   user_id INTEGER REFERENCES users(id),
   product_id VARCHAR(128) NOT NULL,
   title VARCHAR(255) NOT NULL,
@@ -36,47 +252,164 @@ CREATE TABLE products (
   product_url TEXT,
   image_url TEXT,
   raw_payload JSONB,
+  updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  UNIQUE (workspace_id, product_id)
+);
+
+CREATE INDEX idx_products_workspace_created ON products(workspace_id, created_at DESC, id DESC);
+CREATE INDEX idx_products_workspace_category ON products(workspace_id, LOWER(category));
+CREATE INDEX idx_products_title_trgm ON products USING gin (LOWER(title) gin_trgm_ops);
+
+CREATE TABLE product_price_history (
+  id SERIAL PRIMARY KEY,
+  product_ref INTEGER NOT NULL REFERENCES products(id) ON DELETE CASCADE,
+  feed_id INTEGER REFERENCES product_feeds(id),
+  price NUMERIC(12,2) NOT NULL,
+  previous_price NUMERIC(12,2),
+  currency VARCHAR(12),
+  recorded_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX idx_product_price_history_product ON product_price_history(product_ref, recorded_at);
+
+CREATE TABLE feed_import_jobs (
+  id SERIAL PRIMARY KEY,
+  workspace_id INTEGER NOT NULL REFERENCES workspaces(id),
+  user_id INTEGER REFERENCES users(id),
+  feed_id INTEGER REFERENCES product_feeds(id),
+  feed_name VARCHAR(255) NOT NULL,
+  source VARCHAR(20) NOT NULL,
+  format VARCHAR(20),
+  source_url TEXT,
+  content TEXT,
+  status VARCHAR(20) NOT NULL DEFAULT 'queued',
+  summary JSONB,
+  report JSONB,
+  error TEXT,
+  attempts INTEGER NOT NULL DEFAULT 0,
+  locked_by VARCHAR(255),
+  locked_at TIMESTAMP,
+  finished_at TIMESTAMP,
+  updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
   created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
 );
 
+CREATE INDEX idx_feed_import_jobs_workspace_id ON feed_import_jobs(workspace_id, created_at DESC);
+CREATE INDEX idx_feed_import_jobs_pending ON feed_import_jobs(id) WHERE status IN ('queued','running');
+
 CREATE TABLE video_jobs (
   id SERIAL PRIMARY KEY,
+  workspace_id INTEGER NOT NULL REFERENCES workspaces(id),
   user_id INTEGER REFERENCES users(id),
   product_ref INTEGER REFERENCES products(id),
-  status VARCHAR(30) DEFAULT 'generated',
+  status VARCHAR(30) NOT NULL DEFAULT 'queued',
   title VARCHAR(255),
   hook TEXT,
+  hook_id INTEGER REFERENCES hooks(id),
   script TEXT,
   storyboard JSONB,
   hashtags TEXT,
   tts_voice VARCHAR(50) DEFAULT 'th_female_1',
+  language VARCHAR(8) NOT NULL DEFAULT 'th',
+  generation JSONB,
+  artifacts JSONB,
+  attempts INTEGER NOT NULL DEFAULT 0,
+  max_attempts INTEGER NOT NULL DEFAULT 3,
+  run_after TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  locked_by VARCHAR(255),
+  locked_at TIMESTAMP,
+  last_error TEXT,
+  finished_at TIMESTAMP,
+  updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
   created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
 );
 
+CREATE INDEX idx_video_jobs_workspace_id ON video_jobs(workspace_id, created_at DESC);
+CREATE INDEX idx_video_jobs_hook_id ON video_jobs(hook_id);
+CREATE INDEX idx_video_jobs_queue ON video_jobs(run_after, id) WHERE status='queued';
+CREATE INDEX idx_video_jobs_leases ON video_jobs(locked_at) WHERE status IN ('scripting','tts','rendering');
+CREATE INDEX idx_video_jobs_created_at ON video_jobs(created_at);
+
+CREATE TABLE showcase_slots (
+  id SERIAL PRIMARY KEY,
+  workspace_id INTEGER NOT NULL REFERENCES workspaces(id),
+  created_by INTEGER REFERENCES users(id),
+  time_of_day VARCHAR(5) NOT NULL,
+  days TEXT[],
+  timezone VARCHAR(64) NOT NULL,
+  caption TEXT,
+  active BOOLEAN NOT NULL DEFAULT TRUE,
+  next_run_at TIMESTAMP,
+  last_run_at TIMESTAMP,
+  last_upload_id INTEGER,
+  last_error JSONB,
+  updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX idx_showcase_slots_workspace_id ON showcase_slots(workspace_id);
+CREATE INDEX idx_showcase_slots_due ON showcase_slots(next_run_at) WHERE active;
+
 CREATE TABLE showcase_uploads (
   id SERIAL PRIMARY KEY,
+  workspace_id INTEGER NOT NULL REFERENCES workspaces(id),
   user_id INTEGER REFERENCES users(id),
   video_job_id INTEGER REFERENCES video_jobs(id),
   status VARCHAR(30) DEFAULT 'queued',
   showcase_video_id VARCHAR(100),
   publish_url TEXT,
   payload JSONB,
+  views INTEGER NOT NULL DEFAULT 0,
+  clicks INTEGER NOT NULL DEFAULT 0,
+  orders INTEGER NOT NULL DEFAULT 0,
+  performance_updated_at TIMESTAMP,
+  error JSONB,
+  attempts INTEGER NOT NULL DEFAULT 0,
+  next_check_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  scheduled_for TIMESTAMP,
+  slot_id INTEGER REFERENCES showcase_slots(id) ON DELETE SET NULL,
+  finished_at TIMESTAMP,
+  updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
   created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
 );
 
+CREATE INDEX idx_showcase_uploads_workspace_id ON showcase_uploads(workspace_id, created_at DESC);
+CREATE INDEX idx_showcase_uploads_video_job_id ON showcase_uploads(video_job_id);
+CREATE INDEX idx_showcase_uploads_pending ON showcase_uploads(next_check_at) WHERE status IN ('queued','uploading');
+CREATE INDEX idx_showcase_uploads_created_at ON showcase_uploads(created_at);
+CREATE INDEX idx_showcase_uploads_scheduled_for ON showcase_uploads(workspace_id, scheduled_for) WHERE scheduled_for IS NOT NULL;
+CREATE INDEX idx_showcase_uploads_due ON showcase_uploads(scheduled_for) WHERE status='scheduled';
+
+CREATE TABLE showcase_accounts (
+  workspace_id INTEGER PRIMARY KEY REFERENCES workspaces(id),
+  connected_by INTEGER REFERENCES users(id),
+  open_id VARCHAR(100),
+  access_token TEXT NOT NULL,
+  refresh_token TEXT,
+  scope TEXT,
+  expires_at TIMESTAMP,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
 CREATE TABLE rental_plans (
   id SERIAL PRIMARY KEY,
   code VARCHAR(50) UNIQUE NOT NULL,
   name VARCHAR(100) NOT NULL,
   monthly_price NUMERIC(10,2) NOT NULL,
   max_video_jobs INTEGER NOT NULL,
+  max_script_generations INTEGER,
+  max_showcase_uploads INTEGER,
   perks TEXT,
   active BOOLEAN DEFAULT TRUE,
+  updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
   created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
 );
 
 CREATE TABLE user_rentals (
   id SERIAL PRIMARY KEY,
+  workspace_id INTEGER NOT NULL REFERENCES workspaces(id),
   user_id INTEGER REFERENCES users(id),
   plan_id INTEGER REFERENCES rental_plans(id),
   months INTEGER NOT NULL DEFAULT 1,
@@ -84,20 +417,63 @@ CREATE TABLE user_rentals (
   status VARCHAR(20) NOT NULL DEFAULT 'active',
   starts_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
   ends_at TIMESTAMP,
+  auto_renew BOOLEAN NOT NULL DEFAULT FALSE,
+  cancel_at_period_end BOOLEAN NOT NULL DEFAULT FALSE,
+  grace_until TIMESTAMP,
+  bonus_video_jobs INTEGER NOT NULL DEFAULT 0,
+  cycle_starts_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
   created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
 );
 
-INSERT INTO rental_plans (code, name, monthly_price, max_video_jobs, perks)
+CREATE UNIQUE INDEX idx_user_rentals_one_active ON user_rentals(workspace_id) WHERE status='active';
+CREATE INDEX idx_user_rentals_due ON user_rentals(ends_at) WHERE status='active';
+CREATE INDEX idx_user_rentals_workspace_starts ON user_rentals(workspace_id, starts_at);
+
+INSERT INTO rental_plans (code, name, monthly_price, max_video_jobs, max_script_generations, max_showcase_uploads, perks)
 VALUES
-  ('starter', 'Starter', 299, 30, 'Basic AI script + video package generation'),
-  ('growth', 'Growth', 999, 150, 'Priority generation + richer storyboard'),
-  ('pro', 'Pro', 2499, 1000, 'Team-ready scaling + advanced automation');
+  ('starter', 'Starter', 299, 30, 300, 30, 'Basic AI script + video package generation'),
+  ('growth', 'Growth', 999, 150, 1500, 150, 'Priority generation + richer storyboard'),
+  ('pro', 'Pro', 2499, 1000, NULL, NULL, 'Team-ready scaling + advanced automation');
+
+-- Codes are stored upper-case. plan_codes NULL means any plan;
+-- max_redemptions NULL means unlimited.
+CREATE TABLE promo_codes (
+  id SERIAL PRIMARY KEY,
+  code VARCHAR(40) UNIQUE NOT NULL,
+  description VARCHAR(255),
+  discount_type VARCHAR(10) NOT NULL CHECK (discount_type IN ('percent', 'fixed')),
+  discount_value NUMERIC(10,2) NOT NULL DEFAULT 0 CHECK (discount_value >= 0),
+  bonus_video_jobs INTEGER NOT NULL DEFAULT 0 CHECK (bonus_video_jobs >= 0),
+  plan_codes TEXT[],
+  max_redemptions INTEGER,
+  max_redemptions_per_workspace INTEGER NOT NULL DEFAULT 1,
+  starts_at TIMESTAMP,
+  expires_at TIMESTAMP,
+  active BOOLEAN NOT NULL DEFAULT TRUE,
+  created_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+  updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE TABLE promo_redemptions (
+  id SERIAL PRIMARY KEY,
+  promo_code_id INTEGER NOT NULL REFERENCES promo_codes(id),
+  workspace_id INTEGER NOT NULL REFERENCES workspaces(id),
+  user_id INTEGER REFERENCES users(id),
+  rental_id INTEGER REFERENCES user_rentals(id),
+  discount_amount NUMERIC(12,2) NOT NULL,
+  bonus_video_jobs INTEGER NOT NULL DEFAULT 0,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX idx_promo_redemptions_promo_code_id ON promo_redemptions(promo_code_id, created_at DESC);
+CREATE INDEX idx_promo_redemptions_workspace_id ON promo_redemptions(workspace_id, promo_code_id);
 
 
 CREATE TABLE wallet_accounts (
   id SERIAL PRIMARY KEY,
-  user_id INTEGER UNIQUE REFERENCES users(id),
-  balance NUMERIC(14,2) NOT NULL DEFAULT 0,
+  workspace_id INTEGER UNIQUE NOT NULL REFERENCES workspaces(id),
+  balance NUMERIC(14,2) NOT NULL DEFAULT 0 CHECK (balance >= 0),
   currency VARCHAR(12) NOT NULL DEFAULT 'THB',
   updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
   created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
@@ -106,14 +482,192 @@ CREATE TABLE wallet_accounts (
 CREATE TABLE wallet_transactions (
   id SERIAL PRIMARY KEY,
   wallet_id INTEGER REFERENCES wallet_accounts(id),
+  workspace_id INTEGER NOT NULL REFERENCES workspaces(id),
   user_id INTEGER REFERENCES users(id),
+  rental_id INTEGER REFERENCES user_rentals(id),
   tx_type VARCHAR(30) NOT NULL,
   amount NUMERIC(14,2) NOT NULL,
+  balance_after NUMERIC(14,2),
   status VARCHAR(20) NOT NULL DEFAULT 'completed',
   note VARCHAR(255),
+  reference VARCHAR(255),
+  refund_of INTEGER REFERENCES wallet_transactions(id),
+  provider VARCHAR(30),
+  provider_ref VARCHAR(255),
+  expires_at TIMESTAMP,
+  settled_at TIMESTAMP,
   metadata JSONB,
   created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
 );
 
 CREATE INDEX idx_wallet_transactions_wallet_id ON wallet_transactions(wallet_id, created_at DESC);
-CREATE INDEX idx_wallet_transactions_user_id ON wallet_transactions(user_id, created_at DESC);
+CREATE INDEX idx_wallet_transactions_workspace_id ON wallet_transactions(workspace_id, created_at DESC);
+CREATE INDEX idx_wallet_transactions_refund_of ON wallet_transactions(refund_of) WHERE refund_of IS NOT NULL;
+CREATE INDEX idx_wallet_transactions_rental_id ON wallet_transactions(rental_id);
+CREATE UNIQUE INDEX idx_wallet_transactions_provider_reference ON wallet_transactions(provider, reference) WHERE provider IS NOT NULL;
+CREATE INDEX idx_wallet_transactions_pending_expiry ON wallet_transactions(expires_at) WHERE status='pending';
+CREATE INDEX idx_wallet_transactions_deposits ON wallet_transactions(created_at) WHERE tx_type='deposit';
+
+-- One reward per referred user, paid on their first paid subscription.
+CREATE TABLE referral_rewards (
+  id SERIAL PRIMARY KEY,
+  referrer_user_id INTEGER REFERENCES users(id) ON DELETE SET NULL,
+  referred_user_id INTEGER UNIQUE NOT NULL REFERENCES users(id),
+  rental_id INTEGER REFERENCES user_rentals(id),
+  referrer_amount NUMERIC(12,2) NOT NULL,
+  referred_amount NUMERIC(12,2) NOT NULL,
+  referrer_transaction_id INTEGER REFERENCES wallet_transactions(id),
+  referred_transaction_id INTEGER REFERENCES wallet_transactions(id),
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX idx_referral_rewards_referrer ON referral_rewards(referrer_user_id);
+
+CREATE TABLE workspace_events (
+  id BIGSERIAL PRIMARY KEY,
+  workspace_id INTEGER NOT NULL REFERENCES workspaces(id) ON DELETE CASCADE,
+  type VARCHAR(50) NOT NULL,
+  payload JSONB NOT NULL DEFAULT '{}'::jsonb,
+  seq BIGINT,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- seq is assigned after commit; see backend/lib/events.js.
+CREATE SEQUENCE workspace_events_seq;
+
+CREATE INDEX idx_workspace_events_workspace_id ON workspace_events(workspace_id, id);
+CREATE INDEX idx_workspace_events_created_at ON workspace_events(created_at);
+CREATE UNIQUE INDEX idx_workspace_events_seq ON workspace_events(workspace_id, seq);
+CREATE INDEX idx_workspace_events_unsequenced ON workspace_events(id) WHERE seq IS NULL;
+
+CREATE TABLE webhook_endpoints (
+  id SERIAL PRIMARY KEY,
+  workspace_id INTEGER NOT NULL REFERENCES workspaces(id) ON DELETE CASCADE,
+  user_id INTEGER REFERENCES users(id) ON DELETE SET NULL,
+  url TEXT NOT NULL,
+  description VARCHAR(255),
+  events TEXT[] NOT NULL,
+  secret TEXT NOT NULL,
+  active BOOLEAN NOT NULL DEFAULT TRUE,
+  updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX idx_webhook_endpoints_workspace_id ON webhook_endpoints(workspace_id);
+
+CREATE TABLE webhook_deliveries (
+  id SERIAL PRIMARY KEY,
+  endpoint_id INTEGER NOT NULL REFERENCES webhook_endpoints(id) ON DELETE CASCADE,
+  workspace_id INTEGER NOT NULL REFERENCES workspaces(id) ON DELETE CASCADE,
+  event_id UUID NOT NULL,
+  event_type VARCHAR(50) NOT NULL,
+  payload JSONB NOT NULL,
+  status VARCHAR(20) NOT NULL DEFAULT 'pending' CHECK (status IN ('pending', 'delivering', 'delivered', 'failed')),
+  attempts INTEGER NOT NULL DEFAULT 0,
+  next_attempt_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  locked_by VARCHAR(255),
+  locked_at TIMESTAMP,
+  last_status_code INTEGER,
+  last_error TEXT,
+  redelivery_of INTEGER REFERENCES webhook_deliveries(id) ON DELETE SET NULL,
+  delivered_at TIMESTAMP,
+  updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX idx_webhook_deliveries_endpoint_id ON webhook_deliveries(endpoint_id, created_at DESC);
+CREATE INDEX idx_webhook_deliveries_due ON webhook_deliveries(next_attempt_at) WHERE status IN ('pending', 'delivering');
+
+CREATE TABLE webhook_delivery_attempts (
+  id SERIAL PRIMARY KEY,
+  delivery_id INTEGER NOT NULL REFERENCES webhook_deliveries(id) ON DELETE CASCADE,
+  attempt INTEGER NOT NULL,
+  status_code INTEGER,
+  response_excerpt TEXT,
+  error TEXT,
+  duration_ms INTEGER,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX idx_webhook_delivery_attempts_delivery_id ON webhook_delivery_attempts(delivery_id);
+
+-- Append-only, hash-chained record of privileged and financial actions.
+-- Actors and workspaces are kept as plain ids (and the actor's email at the
+-- time) rather than foreign keys, so deleting a user never rewrites history.
+CREATE TABLE audit_log (
+  id SERIAL PRIMARY KEY,
+  actor_user_id INTEGER,
+  actor_email VARCHAR(255),
+  action VARCHAR(100) NOT NULL,
+  target_type VARCHAR(50) NOT NULL,
+  target_id VARCHAR(100),
+  workspace_id INTEGER,
+  before JSONB,
+  after JSONB,
+  ip VARCHAR(64),
+  user_agent VARCHAR(255),
+  prev_hash CHAR(64) NOT NULL,
+  hash CHAR(64) UNIQUE NOT NULL,
+  created_at TIMESTAMPTZ NOT NULL
+);
+
+CREATE INDEX idx_audit_log_created_at ON audit_log(created_at DESC, id DESC);
+CREATE INDEX idx_audit_log_actor ON audit_log(actor_user_id, created_at DESC);
+CREATE INDEX idx_audit_log_action ON audit_log(action, created_at DESC);
+CREATE INDEX idx_audit_log_target ON audit_log(target_type, target_id);
+
+CREATE FUNCTION audit_log_append_only() RETURNS trigger AS $$
+BEGIN
+  RAISE EXCEPTION 'audit_log is append-only';
+END
+$$ LANGUAGE plpgsql;
+
+CREATE TRIGGER audit_log_no_update_delete BEFORE UPDATE OR DELETE ON audit_log
+  FOR EACH ROW EXECUTE FUNCTION audit_log_append_only();
+CREATE TRIGGER audit_log_no_truncate BEFORE TRUNCATE ON audit_log
+  FOR EACH STATEMENT EXECUTE FUNCTION audit_log_append_only();
+
+-- Daily rollups behind the admin analytics, rebuilt by the API's refresh job
+-- (see backend/lib/analytics.js). Plan rows hold rentals active and MRR at
+-- the end of the day, and rentals started and churned during it.
+CREATE TABLE analytics_daily (
+  day DATE PRIMARY KEY,
+  signups INTEGER NOT NULL DEFAULT 0,
+  deposits_count INTEGER NOT NULL DEFAULT 0,
+  deposits_total NUMERIC(14,2) NOT NULL DEFAULT 0,
+  video_jobs INTEGER NOT NULL DEFAULT 0,
+  uploads INTEGER NOT NULL DEFAULT 0,
+  refreshed_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE TABLE analytics_daily_plans (
+  day DATE NOT NULL,
+  plan_code VARCHAR(50) NOT NULL,
+  active_rentals INTEGER NOT NULL DEFAULT 0,
+  mrr NUMERIC(14,2) NOT NULL DEFAULT 0,
+  new_rentals INTEGER NOT NULL DEFAULT 0,
+  churned_rentals INTEGER NOT NULL DEFAULT 0,
+  PRIMARY KEY (day, plan_code)
+);
+
+-- Migrations database/migrate.sh has applied. This file already includes all
+-- of them; add each new one here along with its schema changes.
+CREATE TABLE schema_migrations (
+  name VARCHAR(255) PRIMARY KEY,
+  applied_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+INSERT INTO schema_migrations (name)
+VALUES
+  ('000_baseline_upgrade'),
+  ('001_workspaces'),
+  ('002_audit_log'),
+  ('003_admin_operations'),
+  ('004_payment_deposits'),
+  ('005_promotions'),
+  ('006_analytics'),
+  ('007_rate_limits'),
+  ('008_showcase_schedule'),
+  ('009_compliance_rules'),
+  ('010_billing_cycles'),
+  ('011_event_sequence');
@@ -0,0 +1,64 @@
+#!/usr/bin/env bash
+# Applies the migrations in database/migrations the database has not had yet,
+# in file name order. Each runs in one transaction together with its
+# schema_migrations row, so a failed migration leaves nothing behind and is
+# retried on the next run. init.sql records the migrations it already
+# includes, so a fresh database has nothing to apply.
+#
+# A database from before schema_migrations has no record of what was applied
+# by hand: set MIGRATE_BASELINE to the last migration it has had (for example
+# 004_payment_deposits), or to "none" if it was created from the original
+# init.sql. Those are recorded without being run.
+#
+#   DATABASE_URL=postgresql://... database/migrate.sh
+set -euo pipefail
+
+DIR="$(cd "$(dirname "${BASH_SOURCE[0]}")" && pwd)"
+PSQL=(psql "${DATABASE_URL:?DATABASE_URL is required}" -X -q -v ON_ERROR_STOP=1)
+
+query() {
+  "${PSQL[@]}" -tA -c "$1"
+}
+
+if [[ "$(query "SELECT to_regclass('schema_migrations') IS NOT NULL")" != "t" ]]; then
+  if [[ "$(query "SELECT to_regclass('users') IS NOT NULL")" != "t" ]]; then
+    echo "❌ The database is empty, load database/init.sql first"
+    exit 1
+  fi
+
+  baseline="${MIGRATE_BASELINE:-}"
+  if [[ -z "$baseline" ]]; then
+    echo "❌ This database predates schema_migrations. Set MIGRATE_BASELINE to the last migration it has had, or to none"
+    exit 1
+  fi
+  if [[ "$baseline" != "none" && ! -f "$DIR/migrations/$baseline.sql" ]]; then
+    echo "❌ MIGRATE_BASELINE=$baseline is not a migration in $DIR/migrations"
+    exit 1
+  fi
+
+  query "CREATE TABLE schema_migrations (name VARCHAR(255) PRIMARY KEY, applied_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP)" >/dev/null
+  if [[ "$baseline" != "none" ]]; then
+    for file in "$DIR"/migrations/*.sql; do
+      name="$(basename "$file" .sql)"
+      [[ "$name" > "$baseline" ]] && break
+      query "INSERT INTO schema_migrations (name) VALUES ('$name')" >/dev/null
+    done
+  fi
+fi
+
+applied=0
+for file in "$DIR"/migrations/*.sql; do
+  name="$(basename "$file" .sql)"
+  [[ -n "$(query "SELECT 1 FROM schema_migrations WHERE name='$name'")" ]] && continue
+
+  echo "Applying $name"
+  # The file's own COMMIT is held back until its row is recorded.
+  {
+    sed '/^COMMIT;$/d' "$file"
+    echo "INSERT INTO schema_migrations (name) VALUES ('$name');"
+    echo "COMMIT;"
+  } | "${PSQL[@]}"
+  applied=$((applied + 1))
+done
+
+echo "✅ Database is up to date ($applied migration(s) applied)"
@@ -0,0 +1,313 @@
+-- Brings a database created from the original init.sql up to the schema the
+-- later migrations start from: sessions and API keys, email verification,
+-- templates and hooks, the job queues, price history, the Showcase connection,
+-- rental renewals, the wallet ledger, events and webhooks. Run it first, then
+-- 001 onwards. Fresh installs get all of it from init.sql and skip this.
+--
+--   psql "$DATABASE_URL" -f database/migrations/000_baseline_upgrade.sql
+
+BEGIN;
+
+CREATE EXTENSION IF NOT EXISTS pg_trgm;
+
+-- Accounts that predate email verification are treated as verified.
+ALTER TABLE users
+  ADD COLUMN language VARCHAR(8) NOT NULL DEFAULT 'th',
+  ADD COLUMN email_verified_at TIMESTAMP;
+UPDATE users SET email_verified_at = created_at;
+
+ALTER TABLE scripts ADD COLUMN generation JSONB;
+CREATE INDEX idx_scripts_user_id ON scripts(user_id, created_at DESC);
+
+CREATE TABLE script_templates (
+  id SERIAL PRIMARY KEY,
+  name VARCHAR(100) NOT NULL,
+  category VARCHAR(100) NOT NULL DEFAULT 'general',
+  language VARCHAR(8) NOT NULL DEFAULT 'th',
+  sections JSONB NOT NULL,
+  active BOOLEAN NOT NULL DEFAULT TRUE,
+  created_by INTEGER REFERENCES users(id),
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX idx_script_templates_lookup ON script_templates(language, category) WHERE active=TRUE;
+
+INSERT INTO script_templates (name, category, language, sections)
+VALUES
+  ('Default Thai', 'general', 'th', '{"title": "{{title}} รีวิวสั้นสำหรับ TikTok Showcase", "hooks": ["หยุดก่อน! {{title}} ตัวนี้โคตรดี", "ไม่คิดว่า {{title}} จะดีขนาดนี้", "ใครกำลังหา{{category}}ดี ๆ ต้องดู", "ราคา {{price|ไม่แพง}} บาท ได้ขนาดนี้เลยเหรอ?"], "benefits": ["ใช้งานจริงได้ทุกวัน", "ราคาเข้าถึงง่าย", "เหมาะกับมือใหม่"], "long_script": "{{hook}}\n\nรีวิว {{title}} จาก TikTok Shop Affiliate\nราคา {{price|-}} {{currency}}{{price_note}}\n\nจุดเด่น 3 ข้อ:\n{{benefits}}\n\nปิดท้าย: {{cta}}", "short_scripts": ["{{hook}} {{benefit_1}} ราคา {{price|-}} {{currency}}{{price_note}} {{cta}}", "{{title}} — {{benefit_1}}, {{benefit_2}} {{cta}}"], "storyboard": [{"duration_sec": 3, "shot": "close-up product", "text": "{{hook}}"}, {"duration_sec": 5, "shot": "problem -> solution", "text": "ปัญหาที่แก้ได้ด้วย {{title}}"}, {"duration_sec": 6, "shot": "benefits list", "text": "{{benefit_1}} | {{benefit_2}} | {{benefit_3}}"}, {"duration_sec": 4, "shot": "cta", "text": "{{cta}}"}], "cta": "กดดูใน Showcase ได้เลย!", "hashtags": "#tiktokshop #affiliate #รีวิวของดี #ป้ายยาของดี #tiktokshowcase", "ab_test_ideas": ["เปิดด้วยตัวสินค้าระยะใกล้ vs เปิดด้วยหน้าผู้รีวิว", "บอกราคาใน 3 วินาทีแรก vs เก็บราคาไว้ตอนท้าย", "ข้อความบนจอเป็นคำถาม vs ข้อความบนจอเป็นข้อเท็จจริง"]}'::jsonb),
+  ('Default English', 'general', 'en', '{"title": "{{title}} — quick TikTok Showcase review", "hooks": ["Stop scrolling! {{title}} is worth it", "I didn''t expect {{title}} to be this good", "Looking for {{category}} that actually works? Watch this", "Only {{price|a few}} {{currency}} for this?"], "benefits": ["Easy to use every day", "Affordable price", "Great for beginners"], "long_script": "{{hook}}\n\nReviewing {{title}} from TikTok Shop Affiliate\nPrice: {{price|-}} {{currency}}{{price_note}}\n\nTop 3 reasons:\n{{benefits}}\n\nWrap-up: {{cta}}", "short_scripts": ["{{hook}} {{benefit_1}} — just {{price|-}} {{currency}}{{price_note}}. {{cta}}", "{{title}}: {{benefit_1}}, {{benefit_2}}. {{cta}}"], "storyboard": [{"duration_sec": 3, "shot": "close-up product", "text": "{{hook}}"}, {"duration_sec": 5, "shot": "problem -> solution", "text": "The problem {{title}} solves"}, {"duration_sec": 6, "shot": "benefits list", "text": "{{benefit_1}} | {{benefit_2}} | {{benefit_3}}"}, {"duration_sec": 4, "shot": "cta", "text": "{{cta}}"}], "cta": "Tap the Showcase link to grab yours!", "hashtags": "#tiktokshop #affiliate #tiktokmademebuyit #review #tiktokshowcase", "ab_test_ideas": ["Open on a product close-up vs open on the creator''s face", "Say the price in the first 3 seconds vs reveal it at the end", "On-screen question vs on-screen statement"]}'::jsonb),
+  ('Beauty Thai', 'beauty', 'th', '{"title": "{{title}} รีวิวสกินแคร์ใช้จริง", "hooks": ["ผิวหมองต้องดู! {{title}}", "ลองใช้ {{title}} มา 7 วัน ผลเป็นยังไง?", "สายสกินแคร์งบน้อยห้ามพลาด", "ของมันต้องมีในโต๊ะเครื่องแป้ง"], "benefits": ["เนื้อบางเบา ซึมไว", "ใช้ได้ทั้งเช้าและเย็น", "ขนาดพกพาสะดวก"], "long_script": "{{hook}}\n\nวันนี้มารีวิว {{title}}\nราคา {{price|-}} {{currency}}{{price_note}}\n\nที่ชอบคือ:\n{{benefits}}\n\nผลลัพธ์แต่ละคนอาจแตกต่างกัน ควรทดสอบก่อนใช้\n\n{{cta}}", "short_scripts": ["{{hook}} {{benefit_1}} {{cta}}", "{{title}} ราคา {{price|-}} {{currency}} — {{benefit_1}} {{cta}}"], "storyboard": [{"duration_sec": 3, "shot": "texture close-up", "text": "{{hook}}"}, {"duration_sec": 5, "shot": "apply on skin", "text": "{{benefit_1}}"}, {"duration_sec": 6, "shot": "routine montage", "text": "{{benefit_2}} | {{benefit_3}}"}, {"duration_sec": 4, "shot": "cta", "text": "{{cta}}"}], "cta": "กดตะกร้าใน Showcase ได้เลย", "hashtags": "#tiktokshop #affiliate #รีวิวสกินแคร์ #skincare #tiktokshowcase", "ab_test_ideas": ["โชว์เนื้อครีมก่อน vs โชว์ผิวหลังใช้ก่อน", "เสียงพูดปกติ vs เสียงกระซิบ ASMR", "ถือสินค้าเข้ากล้อง vs วางบนโต๊ะเครื่องแป้ง"]}'::jsonb),
+  ('Kitchen Thai', 'kitchen', 'th', '{"title": "{{title}} ตัวช่วยในครัวที่ต้องมี", "hooks": ["ทำอาหารไวขึ้นเท่าตัวด้วย {{title}}", "ครัวเล็กก็ใช้ได้! {{title}}", "เลิกล้างจานเยอะ ๆ ได้แล้ว", "ราคา {{price|ไม่ถึงพัน}} บาท แต่ใช้คุ้มมาก"], "benefits": ["ประหยัดเวลาเตรียมอาหาร", "ทำความสะอาดง่าย", "ไม่กินพื้นที่ในครัว"], "long_script": "{{hook}}\n\nรีวิว {{title}} ของใช้ในครัว\nราคา {{price|-}} {{currency}}{{price_note}}\n\nจุดเด่น:\n{{benefits}}\n\n{{cta}}", "short_scripts": ["{{hook}} {{benefit_1}} {{cta}}", "{{title}} — {{benefit_1}} และ {{benefit_2}} {{cta}}"], "storyboard": [{"duration_sec": 3, "shot": "product in action", "text": "{{hook}}"}, {"duration_sec": 5, "shot": "before / after cooking", "text": "{{benefit_1}}"}, {"duration_sec": 6, "shot": "cleaning + storage", "text": "{{benefit_2}} | {{benefit_3}}"}, {"duration_sec": 4, "shot": "cta", "text": "{{cta}}"}], "cta": "กดดูใน Showcase ได้เลย!", "hashtags": "#tiktokshop #affiliate #ของใช้ในครัว #kitchenhacks #tiktokshowcase", "ab_test_ideas": ["เปิดด้วยผลลัพธ์อาหาร vs เปิดด้วยตัวเครื่อง", "ความเร็วคลิปปกติ vs timelapse", "ใส่ราคาบนจอ vs ไม่ใส่ราคา"]}'::jsonb);
+
+CREATE TABLE hooks (
+  id SERIAL PRIMARY KEY,
+  text VARCHAR(500) NOT NULL,
+  category VARCHAR(100) NOT NULL DEFAULT 'general',
+  language VARCHAR(8) NOT NULL DEFAULT 'th',
+  weight NUMERIC(8,2) NOT NULL DEFAULT 1,
+  active BOOLEAN NOT NULL DEFAULT TRUE,
+  created_by INTEGER REFERENCES users(id),
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX idx_hooks_lookup ON hooks(language, category) WHERE active=TRUE;
+
+INSERT INTO hooks (text, category, language)
+VALUES
+  ('หยุดก่อน! อันนี้โคตรดี', 'general', 'th'),
+  ('ไม่คิดว่าจะดีขนาดนี้', 'general', 'th'),
+  ('ใครกำลังเจอปัญหานี้ต้องดู', 'general', 'th'),
+  ('Stop scrolling! This one is seriously good', 'general', 'en'),
+  ('I did not expect it to be this good', 'general', 'en'),
+  ('If you have this problem, you need to see this', 'general', 'en');
+
+CREATE TABLE user_sessions (
+  id SERIAL PRIMARY KEY,
+  user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  user_agent VARCHAR(255),
+  ip VARCHAR(64),
+  expires_at TIMESTAMP NOT NULL,
+  revoked_at TIMESTAMP,
+  revoked_reason VARCHAR(50),
+  last_used_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX idx_user_sessions_user_id ON user_sessions(user_id) WHERE revoked_at IS NULL;
+
+CREATE TABLE refresh_tokens (
+  id SERIAL PRIMARY KEY,
+  session_id INTEGER NOT NULL REFERENCES user_sessions(id) ON DELETE CASCADE,
+  token_hash CHAR(64) UNIQUE NOT NULL,
+  used_at TIMESTAMP,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX idx_refresh_tokens_session_id ON refresh_tokens(session_id);
+
+CREATE TABLE api_keys (
+  id SERIAL PRIMARY KEY,
+  user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  name VARCHAR(100) NOT NULL,
+  prefix VARCHAR(16) NOT NULL,
+  key_hash CHAR(64) UNIQUE NOT NULL,
+  scopes TEXT[] NOT NULL,
+  last_used_at TIMESTAMP,
+  last_used_ip VARCHAR(64),
+  expires_at TIMESTAMP,
+  revoked_at TIMESTAMP,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX idx_api_keys_user_id ON api_keys(user_id) WHERE revoked_at IS NULL;
+
+CREATE TABLE account_tokens (
+  id SERIAL PRIMARY KEY,
+  user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  purpose VARCHAR(30) NOT NULL CHECK (purpose IN ('verify_email', 'password_reset')),
+  token_hash CHAR(64) UNIQUE NOT NULL,
+  expires_at TIMESTAMP NOT NULL,
+  used_at TIMESTAMP,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX idx_account_tokens_user_purpose ON account_tokens(user_id, purpose);
+
+-- Products were inserted on every import; the newest copy of each product is
+-- kept and the jobs made from older copies point at it.
+ALTER TABLE products ADD COLUMN updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP;
+UPDATE products SET updated_at = created_at;
+WITH ranked AS (
+  SELECT id, FIRST_VALUE(id) OVER (PARTITION BY user_id, product_id ORDER BY created_at DESC, id DESC) AS keep_id
+  FROM products
+)
+UPDATE video_jobs vj SET product_ref = ranked.keep_id
+FROM ranked
+WHERE vj.product_ref = ranked.id AND ranked.id <> ranked.keep_id;
+DELETE FROM products p
+WHERE EXISTS (
+  SELECT 1 FROM products newer
+  WHERE newer.user_id IS NOT DISTINCT FROM p.user_id AND newer.product_id = p.product_id
+    AND (newer.created_at, newer.id) > (p.created_at, p.id)
+);
+ALTER TABLE products ADD UNIQUE (user_id, product_id);
+CREATE INDEX idx_products_user_created ON products(user_id, created_at DESC, id DESC);
+CREATE INDEX idx_products_user_category ON products(user_id, LOWER(category));
+CREATE INDEX idx_products_title_trgm ON products USING gin (LOWER(title) gin_trgm_ops);
+
+CREATE TABLE product_price_history (
+  id SERIAL PRIMARY KEY,
+  product_ref INTEGER NOT NULL REFERENCES products(id) ON DELETE CASCADE,
+  feed_id INTEGER REFERENCES product_feeds(id),
+  price NUMERIC(12,2) NOT NULL,
+  previous_price NUMERIC(12,2),
+  currency VARCHAR(12),
+  recorded_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX idx_product_price_history_product ON product_price_history(product_ref, recorded_at);
+
+CREATE TABLE feed_import_jobs (
+  id SERIAL PRIMARY KEY,
+  user_id INTEGER REFERENCES users(id),
+  feed_id INTEGER REFERENCES product_feeds(id),
+  feed_name VARCHAR(255) NOT NULL,
+  source VARCHAR(20) NOT NULL,
+  format VARCHAR(20),
+  source_url TEXT,
+  content TEXT,
+  status VARCHAR(20) NOT NULL DEFAULT 'queued',
+  summary JSONB,
+  report JSONB,
+  error TEXT,
+  attempts INTEGER NOT NULL DEFAULT 0,
+  locked_by VARCHAR(255),
+  locked_at TIMESTAMP,
+  finished_at TIMESTAMP,
+  updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX idx_feed_import_jobs_user_id ON feed_import_jobs(user_id, created_at DESC);
+CREATE INDEX idx_feed_import_jobs_pending ON feed_import_jobs(id) WHERE status IN ('queued','running');
+
+-- Jobs were generated in the request and stored as 'generated'; they are the
+-- finished jobs of the queue.
+ALTER TABLE video_jobs
+  ADD COLUMN hook_id INTEGER REFERENCES hooks(id),
+  ADD COLUMN language VARCHAR(8) NOT NULL DEFAULT 'th',
+  ADD COLUMN generation JSONB,
+  ADD COLUMN artifacts JSONB,
+  ADD COLUMN attempts INTEGER NOT NULL DEFAULT 0,
+  ADD COLUMN max_attempts INTEGER NOT NULL DEFAULT 3,
+  ADD COLUMN run_after TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  ADD COLUMN locked_by VARCHAR(255),
+  ADD COLUMN locked_at TIMESTAMP,
+  ADD COLUMN last_error TEXT,
+  ADD COLUMN finished_at TIMESTAMP,
+  ADD COLUMN updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP;
+UPDATE video_jobs SET status='ready', finished_at=created_at, updated_at=created_at WHERE status IS NULL OR status='generated';
+ALTER TABLE video_jobs ALTER COLUMN status SET DEFAULT 'queued', ALTER COLUMN status SET NOT NULL;
+CREATE INDEX idx_video_jobs_user_id ON video_jobs(user_id, created_at DESC);
+CREATE INDEX idx_video_jobs_hook_id ON video_jobs(hook_id);
+CREATE INDEX idx_video_jobs_queue ON video_jobs(run_after, id) WHERE status='queued';
+CREATE INDEX idx_video_jobs_leases ON video_jobs(locked_at) WHERE status IN ('scripting','tts','rendering');
+
+-- Uploads were simulated and stored as 'uploaded' straight away; they stay
+-- finished rather than being sent to Showcase now.
+ALTER TABLE showcase_uploads
+  ADD COLUMN views INTEGER NOT NULL DEFAULT 0,
+  ADD COLUMN clicks INTEGER NOT NULL DEFAULT 0,
+  ADD COLUMN orders INTEGER NOT NULL DEFAULT 0,
+  ADD COLUMN performance_updated_at TIMESTAMP,
+  ADD COLUMN error JSONB,
+  ADD COLUMN attempts INTEGER NOT NULL DEFAULT 0,
+  ADD COLUMN next_check_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  ADD COLUMN finished_at TIMESTAMP,
+  ADD COLUMN updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP;
+UPDATE showcase_uploads SET status='published', finished_at=created_at, updated_at=created_at WHERE status='uploaded';
+CREATE INDEX idx_showcase_uploads_user_id ON showcase_uploads(user_id, created_at DESC);
+CREATE INDEX idx_showcase_uploads_video_job_id ON showcase_uploads(video_job_id);
+CREATE INDEX idx_showcase_uploads_pending ON showcase_uploads(next_check_at) WHERE status IN ('queued','uploading');
+
+CREATE TABLE showcase_accounts (
+  user_id INTEGER PRIMARY KEY REFERENCES users(id),
+  open_id VARCHAR(100),
+  access_token TEXT NOT NULL,
+  refresh_token TEXT,
+  scope TEXT,
+  expires_at TIMESTAMP,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+ALTER TABLE rental_plans
+  ADD COLUMN max_script_generations INTEGER,
+  ADD COLUMN max_showcase_uploads INTEGER;
+UPDATE rental_plans SET max_script_generations=300, max_showcase_uploads=30 WHERE code='starter';
+UPDATE rental_plans SET max_script_generations=1500, max_showcase_uploads=150 WHERE code='growth';
+
+-- Only the newest active rental of a user stays active.
+ALTER TABLE user_rentals
+  ADD COLUMN auto_renew BOOLEAN NOT NULL DEFAULT FALSE,
+  ADD COLUMN cancel_at_period_end BOOLEAN NOT NULL DEFAULT FALSE,
+  ADD COLUMN grace_until TIMESTAMP;
+UPDATE user_rentals ur SET status='expired'
+WHERE ur.status='active' AND EXISTS (
+  SELECT 1 FROM user_rentals newer
+  WHERE newer.user_id = ur.user_id AND newer.status='active'
+    AND (newer.created_at, newer.id) > (ur.created_at, ur.id)
+);
+CREATE UNIQUE INDEX idx_user_rentals_one_active ON user_rentals(user_id) WHERE status='active';
+CREATE INDEX idx_user_rentals_due ON user_rentals(ends_at) WHERE status='active';
+
+ALTER TABLE wallet_accounts ADD CHECK (balance >= 0);
+
+ALTER TABLE wallet_transactions
+  ADD COLUMN rental_id INTEGER REFERENCES user_rentals(id),
+  ADD COLUMN balance_after NUMERIC(14,2);
+CREATE INDEX idx_wallet_transactions_rental_id ON wallet_transactions(rental_id);
+
+CREATE TABLE user_events (
+  id BIGSERIAL PRIMARY KEY,
+  user_id INTEGER NOT NULL REFERENCES users(id),
+  type VARCHAR(50) NOT NULL,
+  payload JSONB NOT NULL DEFAULT '{}'::jsonb,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX idx_user_events_user_id ON user_events(user_id, id);
+CREATE INDEX idx_user_events_created_at ON user_events(created_at);
+
+CREATE TABLE webhook_endpoints (
+  id SERIAL PRIMARY KEY,
+  user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  url TEXT NOT NULL,
+  description VARCHAR(255),
+  events TEXT[] NOT NULL,
+  secret TEXT NOT NULL,
+  active BOOLEAN NOT NULL DEFAULT TRUE,
+  updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX idx_webhook_endpoints_user_id ON webhook_endpoints(user_id);
+
+CREATE TABLE webhook_deliveries (
+  id SERIAL PRIMARY KEY,
+  endpoint_id INTEGER NOT NULL REFERENCES webhook_endpoints(id) ON DELETE CASCADE,
+  user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  event_id UUID NOT NULL,
+  event_type VARCHAR(50) NOT NULL,
+  payload JSONB NOT NULL,
+  status VARCHAR(20) NOT NULL DEFAULT 'pending' CHECK (status IN ('pending', 'delivering', 'delivered', 'failed')),
+  attempts INTEGER NOT NULL DEFAULT 0,
+  next_attempt_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  locked_by VARCHAR(255),
+  locked_at TIMESTAMP,
+  last_status_code INTEGER,
+  last_error TEXT,
+  redelivery_of INTEGER REFERENCES webhook_deliveries(id) ON DELETE SET NULL,
+  delivered_at TIMESTAMP,
+  updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX idx_webhook_deliveries_endpoint_id ON webhook_deliveries(endpoint_id, created_at DESC);
+CREATE INDEX idx_webhook_deliveries_due ON webhook_deliveries(next_attempt_at) WHERE status IN ('pending', 'delivering');
+
+CREATE TABLE webhook_delivery_attempts (
+  id SERIAL PRIMARY KEY,
+  delivery_id INTEGER NOT NULL REFERENCES webhook_deliveries(id) ON DELETE CASCADE,
+  attempt INTEGER NOT NULL,
+  status_code INTEGER,
+  response_excerpt TEXT,
+  error TEXT,
+  duration_ms INTEGER,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX idx_webhook_delivery_attempts_delivery_id ON webhook_delivery_attempts(delivery_id);
+
+COMMIT;
@@ -0,0 +1,129 @@
+-- Moves a database created before workspaces onto them. Every user gets a
+-- personal workspace they own, and everything they had (products, jobs,
+-- uploads, the Showcase connection, rentals, the wallet, webhooks) moves into
+-- it. A database from the original init.sql needs 000_baseline_upgrade.sql
+-- first. Fresh installs get the same schema from init.sql and skip this.
+--
+--   psql "$DATABASE_URL" -f database/migrations/001_workspaces.sql
+
+BEGIN;
+
+CREATE TABLE workspaces (
+  id SERIAL PRIMARY KEY,
+  name VARCHAR(100) NOT NULL,
+  personal BOOLEAN NOT NULL DEFAULT FALSE,
+  plan VARCHAR(50) NOT NULL DEFAULT 'free',
+  created_by INTEGER REFERENCES users(id),
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE UNIQUE INDEX idx_workspaces_personal ON workspaces(created_by) WHERE personal;
+
+CREATE TABLE workspace_members (
+  workspace_id INTEGER NOT NULL REFERENCES workspaces(id) ON DELETE CASCADE,
+  user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  role VARCHAR(20) NOT NULL CHECK (role IN ('owner', 'editor', 'viewer')),
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  PRIMARY KEY (workspace_id, user_id)
+);
+
+CREATE INDEX idx_workspace_members_user_id ON workspace_members(user_id);
+
+CREATE TABLE workspace_invitations (
+  id SERIAL PRIMARY KEY,
+  workspace_id INTEGER NOT NULL REFERENCES workspaces(id) ON DELETE CASCADE,
+  email VARCHAR(255) NOT NULL,
+  role VARCHAR(20) NOT NULL CHECK (role IN ('owner', 'editor', 'viewer')),
+  token_hash CHAR(64) UNIQUE NOT NULL,
+  invited_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+  expires_at TIMESTAMP NOT NULL,
+  accepted_at TIMESTAMP,
+  accepted_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+  revoked_at TIMESTAMP,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX idx_workspace_invitations_workspace_id ON workspace_invitations(workspace_id, created_at DESC);
+
+INSERT INTO workspaces (name, personal, plan, created_by, created_at)
+SELECT 'Personal', TRUE, COALESCE(plan, 'free'), id, created_at FROM users;
+
+INSERT INTO workspace_members (workspace_id, user_id, role, created_at)
+SELECT id, created_by, 'owner', created_at FROM workspaces WHERE personal;
+
+ALTER TABLE users DROP COLUMN plan;
+
+DO $$
+DECLARE
+  target TEXT;
+BEGIN
+  FOREACH target IN ARRAY ARRAY[
+    'scripts', 'product_feeds', 'products', 'feed_import_jobs', 'video_jobs', 'showcase_uploads',
+    'showcase_accounts', 'user_rentals', 'wallet_accounts', 'wallet_transactions', 'user_events',
+    'webhook_endpoints', 'webhook_deliveries'
+  ] LOOP
+    EXECUTE format('ALTER TABLE %I ADD COLUMN workspace_id INTEGER REFERENCES workspaces(id)', target);
+    EXECUTE format(
+      'UPDATE %I t SET workspace_id = w.id FROM workspaces w WHERE w.personal AND w.created_by = t.user_id',
+      target
+    );
+    EXECUTE format('ALTER TABLE %I ALTER COLUMN workspace_id SET NOT NULL', target);
+  END LOOP;
+END $$;
+
+CREATE INDEX idx_scripts_workspace_id ON scripts(workspace_id, created_at DESC);
+DROP INDEX idx_scripts_user_id;
+
+ALTER TABLE products DROP CONSTRAINT products_user_id_product_id_key;
+ALTER TABLE products ADD CONSTRAINT products_workspace_id_product_id_key UNIQUE (workspace_id, product_id);
+DROP INDEX idx_products_user_created;
+DROP INDEX idx_products_user_category;
+CREATE INDEX idx_products_workspace_created ON products(workspace_id, created_at DESC, id DESC);
+CREATE INDEX idx_products_workspace_category ON products(workspace_id, LOWER(category));
+
+DROP INDEX idx_feed_import_jobs_user_id;
+CREATE INDEX idx_feed_import_jobs_workspace_id ON feed_import_jobs(workspace_id, created_at DESC);
+
+DROP INDEX idx_video_jobs_user_id;
+CREATE INDEX idx_video_jobs_workspace_id ON video_jobs(workspace_id, created_at DESC);
+
+DROP INDEX idx_showcase_uploads_user_id;
+CREATE INDEX idx_showcase_uploads_workspace_id ON showcase_uploads(workspace_id, created_at DESC);
+
+ALTER TABLE showcase_accounts DROP CONSTRAINT showcase_accounts_pkey;
+ALTER TABLE showcase_accounts RENAME COLUMN user_id TO connected_by;
+ALTER TABLE showcase_accounts RENAME CONSTRAINT showcase_accounts_user_id_fkey TO showcase_accounts_connected_by_fkey;
+ALTER TABLE showcase_accounts ALTER COLUMN connected_by DROP NOT NULL;
+ALTER TABLE showcase_accounts ADD PRIMARY KEY (workspace_id);
+
+DROP INDEX idx_user_rentals_one_active;
+CREATE UNIQUE INDEX idx_user_rentals_one_active ON user_rentals(workspace_id) WHERE status='active';
+
+ALTER TABLE wallet_accounts DROP COLUMN user_id;
+ALTER TABLE wallet_accounts ADD CONSTRAINT wallet_accounts_workspace_id_key UNIQUE (workspace_id);
+
+DROP INDEX idx_wallet_transactions_user_id;
+CREATE INDEX idx_wallet_transactions_workspace_id ON wallet_transactions(workspace_id, created_at DESC);
+
+ALTER TABLE user_events DROP CONSTRAINT user_events_workspace_id_fkey;
+ALTER TABLE user_events DROP COLUMN user_id;
+ALTER TABLE user_events RENAME TO workspace_events;
+ALTER TABLE workspace_events RENAME CONSTRAINT user_events_pkey TO workspace_events_pkey;
+ALTER SEQUENCE user_events_id_seq RENAME TO workspace_events_id_seq;
+ALTER TABLE workspace_events ADD FOREIGN KEY (workspace_id) REFERENCES workspaces(id) ON DELETE CASCADE;
+ALTER INDEX idx_user_events_created_at RENAME TO idx_workspace_events_created_at;
+CREATE INDEX idx_workspace_events_workspace_id ON workspace_events(workspace_id, id);
+
+ALTER TABLE webhook_endpoints ALTER COLUMN user_id DROP NOT NULL;
+ALTER TABLE webhook_endpoints DROP CONSTRAINT webhook_endpoints_user_id_fkey;
+ALTER TABLE webhook_endpoints ADD FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE SET NULL;
+ALTER TABLE webhook_endpoints DROP CONSTRAINT webhook_endpoints_workspace_id_fkey;
+ALTER TABLE webhook_endpoints ADD FOREIGN KEY (workspace_id) REFERENCES workspaces(id) ON DELETE CASCADE;
+DROP INDEX idx_webhook_endpoints_user_id;
+CREATE INDEX idx_webhook_endpoints_workspace_id ON webhook_endpoints(workspace_id);
+
+ALTER TABLE webhook_deliveries DROP COLUMN user_id;
+ALTER TABLE webhook_deliveries DROP CONSTRAINT webhook_deliveries_workspace_id_fkey;
+ALTER TABLE webhook_deliveries ADD FOREIGN KEY (workspace_id) REFERENCES workspaces(id) ON DELETE CASCADE;
+
+COMMIT;
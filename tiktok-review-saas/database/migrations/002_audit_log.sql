@@ -0,0 +1,40 @@
+-- Adds the admin audit log to a database created before it.
+--
+--   psql "$DATABASE_URL" -f database/migrations/002_audit_log.sql
+
+BEGIN;
+
+CREATE TABLE audit_log (
+  id SERIAL PRIMARY KEY,
+  actor_user_id INTEGER,
+  actor_email VARCHAR(255),
+  action VARCHAR(100) NOT NULL,
+  target_type VARCHAR(50) NOT NULL,
+  target_id VARCHAR(100),
+  workspace_id INTEGER,
+  before JSONB,
+  after JSONB,
+  ip VARCHAR(64),
+  user_agent VARCHAR(255),
+  prev_hash CHAR(64) NOT NULL,
+  hash CHAR(64) UNIQUE NOT NULL,
+  created_at TIMESTAMPTZ NOT NULL
+);
+
+CREATE INDEX idx_audit_log_created_at ON audit_log(created_at DESC, id DESC);
+CREATE INDEX idx_audit_log_actor ON audit_log(actor_user_id, created_at DESC);
+CREATE INDEX idx_audit_log_action ON audit_log(action, created_at DESC);
+CREATE INDEX idx_audit_log_target ON audit_log(target_type, target_id);
+
+CREATE FUNCTION audit_log_append_only() RETURNS trigger AS $$
+BEGIN
+  RAISE EXCEPTION 'audit_log is append-only';
+END
+$$ LANGUAGE plpgsql;
+
+CREATE TRIGGER audit_log_no_update_delete BEFORE UPDATE OR DELETE ON audit_log
+  FOR EACH ROW EXECUTE FUNCTION audit_log_append_only();
+CREATE TRIGGER audit_log_no_truncate BEFORE TRUNCATE ON audit_log
+  FOR EACH STATEMENT EXECUTE FUNCTION audit_log_append_only();
+
+COMMIT;
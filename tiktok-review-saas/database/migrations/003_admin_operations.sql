@@ -0,0 +1,17 @@
+-- Adds account suspension, plan timestamps and the wallet reference and
+-- refund columns to a database created before them.
+--
+--   psql "$DATABASE_URL" -f database/migrations/003_admin_operations.sql
+
+BEGIN;
+
+ALTER TABLE users ADD COLUMN suspended_at TIMESTAMP;
+ALTER TABLE users ADD COLUMN suspended_reason VARCHAR(255);
+
+ALTER TABLE rental_plans ADD COLUMN updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP;
+
+ALTER TABLE wallet_transactions ADD COLUMN reference VARCHAR(255);
+ALTER TABLE wallet_transactions ADD COLUMN refund_of INTEGER REFERENCES wallet_transactions(id);
+CREATE INDEX idx_wallet_transactions_refund_of ON wallet_transactions(refund_of) WHERE refund_of IS NOT NULL;
+
+COMMIT;
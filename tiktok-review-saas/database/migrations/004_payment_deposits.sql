@@ -0,0 +1,16 @@
+-- Adds the payment provider columns deposits need to sit pending in the
+-- ledger until their provider confirms them. Existing deposits stay
+-- completed.
+--
+--   psql "$DATABASE_URL" -f database/migrations/004_payment_deposits.sql
+
+BEGIN;
+
+ALTER TABLE wallet_transactions ADD COLUMN provider VARCHAR(30);
+ALTER TABLE wallet_transactions ADD COLUMN provider_ref VARCHAR(255);
+ALTER TABLE wallet_transactions ADD COLUMN expires_at TIMESTAMP;
+ALTER TABLE wallet_transactions ADD COLUMN settled_at TIMESTAMP;
+CREATE UNIQUE INDEX idx_wallet_transactions_provider_reference ON wallet_transactions(provider, reference) WHERE provider IS NOT NULL;
+CREATE INDEX idx_wallet_transactions_pending_expiry ON wallet_transactions(expires_at) WHERE status='pending';
+
+COMMIT;
@@ -0,0 +1,67 @@
+-- Adds promo codes and referrals to a database created before them. Existing
+-- users get a random referral code and no referrer.
+--
+--   psql "$DATABASE_URL" -f database/migrations/005_promotions.sql
+
+BEGIN;
+
+ALTER TABLE users ADD COLUMN referral_code VARCHAR(12);
+ALTER TABLE users ADD COLUMN referred_by INTEGER REFERENCES users(id) ON DELETE SET NULL;
+-- Referencing users.id keeps the subquery from being evaluated only once.
+UPDATE users SET referral_code = (
+  SELECT string_agg(substr('ABCDEFGHJKLMNPQRSTUVWXYZ23456789', 1 + floor(random() * 32)::int, 1), '')
+  FROM generate_series(1, 8 + 0 * users.id)
+);
+ALTER TABLE users ALTER COLUMN referral_code SET NOT NULL;
+ALTER TABLE users ADD CONSTRAINT users_referral_code_key UNIQUE (referral_code);
+CREATE INDEX idx_users_referred_by ON users(referred_by) WHERE referred_by IS NOT NULL;
+
+ALTER TABLE user_rentals ADD COLUMN bonus_video_jobs INTEGER NOT NULL DEFAULT 0;
+
+CREATE TABLE promo_codes (
+  id SERIAL PRIMARY KEY,
+  code VARCHAR(40) UNIQUE NOT NULL,
+  description VARCHAR(255),
+  discount_type VARCHAR(10) NOT NULL CHECK (discount_type IN ('percent', 'fixed')),
+  discount_value NUMERIC(10,2) NOT NULL DEFAULT 0 CHECK (discount_value >= 0),
+  bonus_video_jobs INTEGER NOT NULL DEFAULT 0 CHECK (bonus_video_jobs >= 0),
+  plan_codes TEXT[],
+  max_redemptions INTEGER,
+  max_redemptions_per_workspace INTEGER NOT NULL DEFAULT 1,
+  starts_at TIMESTAMP,
+  expires_at TIMESTAMP,
+  active BOOLEAN NOT NULL DEFAULT TRUE,
+  created_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+  updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE TABLE promo_redemptions (
+  id SERIAL PRIMARY KEY,
+  promo_code_id INTEGER NOT NULL REFERENCES promo_codes(id),
+  workspace_id INTEGER NOT NULL REFERENCES workspaces(id),
+  user_id INTEGER REFERENCES users(id),
+  rental_id INTEGER REFERENCES user_rentals(id),
+  discount_amount NUMERIC(12,2) NOT NULL,
+  bonus_video_jobs INTEGER NOT NULL DEFAULT 0,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX idx_promo_redemptions_promo_code_id ON promo_redemptions(promo_code_id, created_at DESC);
+CREATE INDEX idx_promo_redemptions_workspace_id ON promo_redemptions(workspace_id, promo_code_id);
+
+CREATE TABLE referral_rewards (
+  id SERIAL PRIMARY KEY,
+  referrer_user_id INTEGER REFERENCES users(id) ON DELETE SET NULL,
+  referred_user_id INTEGER UNIQUE NOT NULL REFERENCES users(id),
+  rental_id INTEGER REFERENCES user_rentals(id),
+  referrer_amount NUMERIC(12,2) NOT NULL,
+  referred_amount NUMERIC(12,2) NOT NULL,
+  referrer_transaction_id INTEGER REFERENCES wallet_transactions(id),
+  referred_transaction_id INTEGER REFERENCES wallet_transactions(id),
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX idx_referral_rewards_referrer ON referral_rewards(referrer_user_id);
+
+COMMIT;
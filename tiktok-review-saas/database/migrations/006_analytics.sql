@@ -0,0 +1,35 @@
+-- Adds the analytics rollup tables and the created_at indexes they are built
+-- from. The API fills the rollups back to the first signup on its first
+-- refresh after starting.
+--
+--   psql "$DATABASE_URL" -f database/migrations/006_analytics.sql
+
+BEGIN;
+
+CREATE INDEX idx_users_created_at ON users(created_at);
+CREATE INDEX idx_video_jobs_created_at ON video_jobs(created_at);
+CREATE INDEX idx_showcase_uploads_created_at ON showcase_uploads(created_at);
+CREATE INDEX idx_user_rentals_workspace_starts ON user_rentals(workspace_id, starts_at);
+CREATE INDEX idx_wallet_transactions_deposits ON wallet_transactions(created_at) WHERE tx_type='deposit';
+
+CREATE TABLE analytics_daily (
+  day DATE PRIMARY KEY,
+  signups INTEGER NOT NULL DEFAULT 0,
+  deposits_count INTEGER NOT NULL DEFAULT 0,
+  deposits_total NUMERIC(14,2) NOT NULL DEFAULT 0,
+  video_jobs INTEGER NOT NULL DEFAULT 0,
+  uploads INTEGER NOT NULL DEFAULT 0,
+  refreshed_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE TABLE analytics_daily_plans (
+  day DATE NOT NULL,
+  plan_code VARCHAR(50) NOT NULL,
+  active_rentals INTEGER NOT NULL DEFAULT 0,
+  mrr NUMERIC(14,2) NOT NULL DEFAULT 0,
+  new_rentals INTEGER NOT NULL DEFAULT 0,
+  churned_rentals INTEGER NOT NULL DEFAULT 0,
+  PRIMARY KEY (day, plan_code)
+);
+
+COMMIT;
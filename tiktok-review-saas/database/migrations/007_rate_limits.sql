@@ -0,0 +1,29 @@
+-- Adds the shared rate limit counters and the login lockouts that replace
+-- the API's in-process auth limiter.
+--
+--   psql "$DATABASE_URL" -f database/migrations/007_rate_limits.sql
+
+BEGIN;
+
+CREATE TABLE rate_limit_buckets (
+  key VARCHAR(255) PRIMARY KEY,
+  count INTEGER NOT NULL,
+  reset_at TIMESTAMP NOT NULL
+);
+
+CREATE INDEX idx_rate_limit_buckets_reset_at ON rate_limit_buckets(reset_at);
+
+CREATE TABLE login_lockouts (
+  id SERIAL PRIMARY KEY,
+  email VARCHAR(255) UNIQUE NOT NULL,
+  failed_count INTEGER NOT NULL DEFAULT 0,
+  lockouts INTEGER NOT NULL DEFAULT 0,
+  locked_until TIMESTAMP,
+  last_failed_at TIMESTAMP NOT NULL,
+  last_ip VARCHAR(64),
+  created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX idx_login_lockouts_locked_until ON login_lockouts(locked_until) WHERE locked_until IS NOT NULL;
+
+COMMIT;
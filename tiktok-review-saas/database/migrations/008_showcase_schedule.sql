@@ -0,0 +1,37 @@
+-- Adds scheduled Showcase uploads, recurring posting slots and each user's
+-- time zone for reading schedule times.
+--
+--   psql "$DATABASE_URL" -f database/migrations/008_showcase_schedule.sql
+
+BEGIN;
+
+ALTER TABLE users ADD COLUMN timezone VARCHAR(64) NOT NULL DEFAULT 'Asia/Bangkok';
+
+CREATE TABLE showcase_slots (
+  id SERIAL PRIMARY KEY,
+  workspace_id INTEGER NOT NULL REFERENCES workspaces(id),
+  created_by INTEGER REFERENCES users(id),
+  time_of_day VARCHAR(5) NOT NULL,
+  days TEXT[],
+  timezone VARCHAR(64) NOT NULL,
+  caption TEXT,
+  active BOOLEAN NOT NULL DEFAULT TRUE,
+  next_run_at TIMESTAMP,
+  last_run_at TIMESTAMP,
+  last_upload_id INTEGER,
+  last_error JSONB,
+  updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX idx_showcase_slots_workspace_id ON showcase_slots(workspace_id);
+CREATE INDEX idx_showcase_slots_due ON showcase_slots(next_run_at) WHERE active;
+
+ALTER TABLE showcase_uploads
+  ADD COLUMN scheduled_for TIMESTAMP,
+  ADD COLUMN slot_id INTEGER REFERENCES showcase_slots(id) ON DELETE SET NULL;
+
+CREATE INDEX idx_showcase_uploads_scheduled_for ON showcase_uploads(workspace_id, scheduled_for) WHERE scheduled_for IS NOT NULL;
+CREATE INDEX idx_showcase_uploads_due ON showcase_uploads(scheduled_for) WHERE status='scheduled';
+
+COMMIT;
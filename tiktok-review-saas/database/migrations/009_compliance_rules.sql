@@ -0,0 +1,49 @@
+-- Adds the marketing-claim compliance rules that generated packages and
+-- Showcase uploads are checked against, with the default Thai and English
+-- rule sets.
+--
+--   psql "$DATABASE_URL" -f database/migrations/009_compliance_rules.sql
+
+BEGIN;
+
+CREATE TABLE compliance_rules (
+  id SERIAL PRIMARY KEY,
+  category VARCHAR(100) NOT NULL DEFAULT 'general',
+  language VARCHAR(8) NOT NULL DEFAULT 'th',
+  code VARCHAR(50) NOT NULL,
+  kind VARCHAR(20) NOT NULL DEFAULT 'forbidden',
+  pattern TEXT NOT NULL,
+  is_regex BOOLEAN NOT NULL DEFAULT FALSE,
+  fields TEXT[],
+  severity VARCHAR(10) NOT NULL DEFAULT 'warn',
+  message TEXT NOT NULL,
+  suggestion TEXT,
+  active BOOLEAN NOT NULL DEFAULT TRUE,
+  created_by INTEGER REFERENCES users(id),
+  updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX idx_compliance_rules_lookup ON compliance_rules(language, category) WHERE active=TRUE;
+
+INSERT INTO compliance_rules (category, language, code, kind, pattern, is_regex, fields, severity, message, suggestion)
+VALUES
+  ('general', 'th', 'superlative', 'forbidden', 'ดีที่สุด', FALSE, NULL, 'block', 'ห้ามอ้างว่าดีที่สุดหรือเป็นอันดับหนึ่งโดยไม่มีหลักฐานรองรับ', 'ที่เราชอบ'),
+  ('general', 'th', 'superlative', 'forbidden', '(อันดับ|เบอร์)\s*(1|หนึ่ง)(?![0-9])', TRUE, NULL, 'block', 'ห้ามอ้างว่าดีที่สุดหรือเป็นอันดับหนึ่งโดยไม่มีหลักฐานรองรับ', 'ที่น่าสนใจ'),
+  ('general', 'th', 'superlative', 'forbidden', 'ที่สุดในโลก', FALSE, NULL, 'block', 'ห้ามอ้างว่าดีที่สุดหรือเป็นอันดับหนึ่งโดยไม่มีหลักฐานรองรับ', ''),
+  ('general', 'th', 'guarantee', 'forbidden', 'การันตี|รับประกันผล|(เห็น|ได้)ผล\s*100\s*%', TRUE, NULL, 'warn', 'การรับประกันผลลัพธ์ต้องมีหลักฐานรองรับ', NULL),
+  ('general', 'th', 'unverified_claim', 'forbidden', 'คุณภาพดี', FALSE, NULL, 'warn', 'คำอ้างเรื่องคุณภาพที่ยังไม่ได้ตรวจสอบ ควรเล่าจากการใช้งานจริง', 'ที่ลองใช้แล้วชอบ'),
+  ('general', 'th', 'affiliate_disclosure', 'required', '#(affiliate|ad|โฆษณา|นายหน้า)(?![\p{L}\p{N}_])|ค่าคอมมิชชั่น|ค่าคอม', TRUE, '{caption,hashtags}', 'warn', 'ต้องแจ้งว่าเป็นลิงก์ Affiliate ที่ผู้รีวิวได้รับค่าคอมมิชชั่น', '#affiliate'),
+  ('supplements', 'th', 'medical_claim', 'forbidden', 'รักษาโรค|รักษาอาการ|หายขาด|บำบัด|ป้องกันโรค|ต้านมะเร็ง|ลดความเสี่ยง(ของ)?โรค', TRUE, NULL, 'block', 'อาหารเสริมห้ามอ้างสรรพคุณรักษา บำบัด หรือป้องกันโรค', NULL),
+  ('supplements', 'th', 'weight_loss_claim', 'forbidden', 'ลดน้ำหนัก|ลดความอ้วน|เผาผลาญไขมัน|ลดไขมัน', TRUE, NULL, 'block', 'อาหารเสริมห้ามอ้างว่าช่วยลดน้ำหนักหรือเผาผลาญไขมัน', NULL),
+  ('beauty', 'th', 'cosmetic_claim', 'forbidden', '(ขาว|ใส|หน้าใส)(ขึ้น)?\s*(ภายใน|ใน)\s*\d+\s*วัน|ลดริ้วรอยถาวร|หน้าเด็กลง\s*\d+\s*ปี', TRUE, NULL, 'block', 'เครื่องสำอางห้ามอ้างผลลัพธ์ภายในเวลาที่กำหนดหรือผลถาวร', NULL),
+  ('general', 'en', 'superlative', 'forbidden', 'the best', FALSE, NULL, 'block', 'Do not claim to be the best or No.1 without evidence', 'a favourite'),
+  ('general', 'en', 'superlative', 'forbidden', '(#|\bno\.?\s*|\bnumber\s+)(1|one)\b', TRUE, NULL, 'block', 'Do not claim to be the best or No.1 without evidence', 'popular'),
+  ('general', 'en', 'guarantee', 'forbidden', '\bguarantee[ds]?\b|\b100\s*%\s*(effective|results?)\b', TRUE, NULL, 'warn', 'Guaranteed results need evidence', NULL),
+  ('general', 'en', 'unverified_claim', 'forbidden', 'high quality', FALSE, NULL, 'warn', 'Unverified quality claim; describe what you saw when using it', NULL),
+  ('general', 'en', 'affiliate_disclosure', 'required', '#(affiliate|ad|sponsored)(?![\p{L}\p{N}_])|\baffiliate link\b|\bcommission\b', TRUE, '{caption,hashtags}', 'warn', 'Disclose that you earn a commission from this link', '#affiliate'),
+  ('supplements', 'en', 'medical_claim', 'forbidden', '\b(cures?|heals?|treats?\s+(the\s+)?(disease|illness|symptoms?)|prevents?\s+(disease|illness|cancer|diabetes)|fights?\s+cancer)\b', TRUE, NULL, 'block', 'Supplements must not claim to cure, treat or prevent disease', NULL),
+  ('supplements', 'en', 'weight_loss_claim', 'forbidden', '\b(lose\s+weight|weight\s+loss|burns?\s+fat|fat[\s-]+burn(ing|er)?|slimming)\b', TRUE, NULL, 'block', 'Supplements must not claim weight loss or fat burning', NULL),
+  ('beauty', 'en', 'cosmetic_claim', 'forbidden', '\b(whiter|brighter|clearer)\s+(skin\s+)?in\s+\d+\s+days\b|\bpermanently\s+(removes?|erases?)\b|\bremoves?\s+wrinkles\s+permanently\b', TRUE, NULL, 'block', 'Cosmetics must not promise results by a date or permanent effects', NULL);
+
+COMMIT;
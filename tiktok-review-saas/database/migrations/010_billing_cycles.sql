@@ -0,0 +1,15 @@
+-- Meters rental usage over billing cycles that a plan change carries over,
+-- instead of over each rental. Existing rentals start their cycle when they
+-- started.
+--
+--   psql "$DATABASE_URL" -f database/migrations/010_billing_cycles.sql
+
+BEGIN;
+
+ALTER TABLE user_rentals ADD COLUMN cycle_starts_at TIMESTAMP;
+UPDATE user_rentals SET cycle_starts_at = COALESCE(starts_at, created_at, NOW());
+ALTER TABLE user_rentals
+  ALTER COLUMN cycle_starts_at SET DEFAULT CURRENT_TIMESTAMP,
+  ALTER COLUMN cycle_starts_at SET NOT NULL;
+
+COMMIT;
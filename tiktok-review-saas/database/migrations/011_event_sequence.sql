@@ -0,0 +1,17 @@
+-- Gives stream events a position in commit order, so an event whose
+-- transaction commits after a later-numbered one is still delivered.
+-- Existing events keep their id as their position, which keeps the
+-- Last-Event-ID of connected clients valid.
+--
+--   psql "$DATABASE_URL" -f database/migrations/011_event_sequence.sql
+
+BEGIN;
+
+CREATE SEQUENCE workspace_events_seq;
+ALTER TABLE workspace_events ADD COLUMN seq BIGINT;
+UPDATE workspace_events SET seq = id;
+SELECT setval('workspace_events_seq', GREATEST((SELECT MAX(id) FROM workspace_events), 1));
+CREATE UNIQUE INDEX idx_workspace_events_seq ON workspace_events(workspace_id, seq);
+CREATE INDEX idx_workspace_events_unsequenced ON workspace_events(id) WHERE seq IS NULL;
+
+COMMIT;